@@ -1,5 +1,6 @@
 const dotenv = require("dotenv");
 const path = require("path");
+const { parsePepperKeyring } = require("../utils/hashUtil");
 
 // Load environment variables from .env file
 dotenv.config({ path: path.join(__dirname, "../../.env") });
@@ -10,6 +11,7 @@ const requiredEnvVars = [
   "JWT_SECRET",
   "EMAIL_USER",
   "EMAIL_PASS",
+  "BREACH_HASH_PEPPERS",
 ];
 
 // In development mode with mock SMS, we don't require Twilio credentials
@@ -33,6 +35,14 @@ if (missingEnvVars.length > 0) {
   process.exit(1);
 }
 
+// Breached passwords cannot be stored without a valid pepper keyring
+try {
+  parsePepperKeyring(process.env.BREACH_HASH_PEPPERS);
+} catch (error) {
+  console.error(`Invalid BREACH_HASH_PEPPERS: ${error.message}`);
+  process.exit(1);
+}
+
 module.exports = {
   PORT: process.env.PORT || 3000,
   MONGODB_URI: process.env.MONGODB_URI,
@@ -0,0 +1,344 @@
+const crypto = require("crypto");
+const OutboxJob = require("../models/OutboxJob");
+const User = require("../models/User");
+const OutboxService = require("../services/outboxService");
+const AuditService = require("../services/auditService");
+const EmailService = require("../services/emailService");
+const SessionService = require("../services/sessionService");
+const UserAdminService = require("../services/userAdminService");
+const logger = require("../utils/logger");
+const {
+  catchAsync,
+  AppError,
+  assertValidRequest,
+} = require("../middlewares/errorHandler");
+
+// Create service instances
+const outboxService = new OutboxService();
+const auditService = new AuditService();
+const emailService = new EmailService();
+const sessionService = new SessionService();
+const userAdminService = new UserAdminService();
+
+/**
+ * List outbox jobs with totals per status
+ */
+const getOutboxJobs = catchAsync(async (req, res) => {
+  assertValidRequest(req);
+
+  const { status, type, userId, breachId, page, limit } = req.query;
+  const { jobs, counts, pagination } = await outboxService.listJobs(
+    { status, type, userId, breachId },
+    { page, limit },
+  );
+
+  res.json({
+    status: "success",
+    data: {
+      jobs,
+      counts,
+      pagination,
+    },
+  });
+});
+
+/**
+ * Get one outbox job
+ */
+const getOutboxJob = catchAsync(async (req, res) => {
+  const job = await OutboxJob.findById(req.params.jobId);
+
+  if (!job) {
+    throw new AppError("Outbox job not found", 404);
+  }
+
+  res.json({
+    status: "success",
+    data: {
+      job,
+    },
+  });
+});
+
+/**
+ * Put a dead-lettered (or waiting) job back in the queue with fresh attempts
+ */
+const requeueOutboxJob = catchAsync(async (req, res) => {
+  const job = await outboxService.requeue(req.params.jobId);
+
+  if (!job) {
+    throw new AppError("No dead or pending outbox job with this ID", 404);
+  }
+
+  await auditService.record(req, "outbox.requeue", {
+    targetType: "OutboxJob",
+    targetId: job._id,
+    metadata: { type: job.type, lastError: job.lastError },
+  });
+
+  res.json({
+    status: "success",
+    message: "Outbox job requeued",
+    data: {
+      job,
+    },
+  });
+});
+
+// Manual locks last until an admin lifts them
+const INDEFINITE_LOCK = new Date("9999-12-31T23:59:59.999Z");
+
+// How long the link from a forced password reset stays valid
+const FORCED_RESET_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Fields an admin sees for a user
+ * @param {object} user - User document
+ * @returns {object} - Summary without secrets
+ */
+const describeUser = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  role: user.role,
+  isVerified: user.isVerified,
+  isLocked: user.isLocked,
+  lockUntil: user.isLocked ? user.lockUntil : null,
+  loginAttempts: user.loginAttempts || 0,
+  mfaEnabled: user.mfaEnabled,
+  lastLoginAt: user.lastLoginAt,
+  createdAt: user.createdAt,
+});
+
+/**
+ * Load the user an admin action targets. Admins cannot act on their own
+ * account, so they cannot lock, demote or delete themselves by mistake.
+ * @param {object} req - Express request with params.userId
+ * @param {string} action - What is refused on one's own account
+ * @returns {Promise<object>} - User document
+ */
+const findTargetUser = async (req, action) => {
+  if (action && String(req.params.userId) === String(req.user._id)) {
+    throw new AppError(`You cannot ${action} your own account`, 400);
+  }
+
+  const user = await User.findById(req.params.userId);
+  if (!user) {
+    throw new AppError("User not found", 404);
+  }
+
+  return user;
+};
+
+/**
+ * List users with optional search and verified, locked and role filters
+ */
+const getUsers = catchAsync(async (req, res) => {
+  assertValidRequest(req);
+
+  const { search, verified, locked, role, page, limit } = req.query;
+  const { users, pagination } = await userAdminService.listUsers(
+    { search, verified, locked, role },
+    { page, limit },
+  );
+
+  res.json({
+    status: "success",
+    data: {
+      users: users.map(describeUser),
+      pagination,
+    },
+  });
+});
+
+/**
+ * Get one user
+ */
+const getUser = catchAsync(async (req, res) => {
+  const user = await findTargetUser(req);
+
+  res.json({
+    status: "success",
+    data: {
+      user: describeUser(user),
+    },
+  });
+});
+
+/**
+ * Lock an account until a given time, or until an admin unlocks it, and
+ * sign it out everywhere
+ */
+const lockUser = catchAsync(async (req, res) => {
+  assertValidRequest(req);
+
+  const user = await findTargetUser(req, "lock");
+
+  user.lockUntil = req.body.until ? new Date(req.body.until) : INDEFINITE_LOCK;
+  await user.save();
+  const revoked = await sessionService.revokeAllSessions(user._id, "admin");
+  await auditService.record(req, "user.lock", {
+    targetType: "User",
+    targetId: user._id,
+    metadata: {
+      lockUntil: user.lockUntil,
+      reason: req.body.reason,
+      sessionsRevoked: revoked,
+    },
+  });
+
+  res.json({
+    status: "success",
+    message: "User locked",
+    data: {
+      user: describeUser(user),
+    },
+  });
+});
+
+/**
+ * Lift a lock, whether set by an admin or by failed logins
+ */
+const unlockUser = catchAsync(async (req, res) => {
+  const user = await findTargetUser(req);
+
+  const wasLocked = user.isLocked;
+  await user.resetLoginAttempts();
+  user.lockUntil = undefined;
+  user.loginAttempts = undefined;
+  await auditService.record(req, "user.unlock", {
+    targetType: "User",
+    targetId: user._id,
+    metadata: { wasLocked },
+  });
+
+  res.json({
+    status: "success",
+    message: "User unlocked",
+    data: {
+      user: describeUser(user),
+    },
+  });
+});
+
+/**
+ * Promote a user to admin or demote them. A demoted admin is signed out so
+ * open dashboards stop receiving the admin feed.
+ */
+const updateUserRole = catchAsync(async (req, res) => {
+  assertValidRequest(req);
+
+  const user = await findTargetUser(req, "change the role of");
+  const previousRole = user.role;
+
+  user.role = req.body.role;
+  await user.save();
+  const revoked =
+    previousRole === "admin" && user.role !== "admin"
+      ? await sessionService.revokeAllSessions(user._id, "admin")
+      : 0;
+  await auditService.record(req, "user.role_change", {
+    targetType: "User",
+    targetId: user._id,
+    metadata: { from: previousRole, to: user.role, sessionsRevoked: revoked },
+  });
+
+  res.json({
+    status: "success",
+    message: "User role updated",
+    data: {
+      user: describeUser(user),
+    },
+  });
+});
+
+/**
+ * Make a user choose a new password: the current one stops working, every
+ * session is revoked and a reset link is emailed
+ */
+const forcePasswordReset = catchAsync(async (req, res) => {
+  const user = await findTargetUser(req, "force a password reset on");
+
+  const resetToken = crypto.randomBytes(32).toString("hex");
+  user.password = crypto.randomBytes(32).toString("hex");
+  user.resetPasswordToken = resetToken;
+  user.resetPasswordExpires = Date.now() + FORCED_RESET_TTL_MS;
+  await user.save();
+  const revoked = await sessionService.revokeAllSessions(user._id, "admin");
+
+  // The old password is already unusable, so a failed email is reported
+  // rather than undone; the user can still request a reset themselves
+  let emailSent = true;
+  try {
+    await emailService.sendPasswordResetEmail(user.email, resetToken, {
+      userId: user._id,
+    });
+  } catch (error) {
+    emailSent = false;
+    logger.error("Failed to send forced password reset email:", error);
+  }
+
+  await auditService.record(req, "user.force_password_reset", {
+    targetType: "User",
+    targetId: user._id,
+    metadata: { sessionsRevoked: revoked, emailSent },
+  });
+
+  res.json({
+    status: "success",
+    message: emailSent
+      ? "Password reset forced and reset email sent"
+      : "Password reset forced, but the reset email could not be sent",
+    data: {
+      user: describeUser(user),
+      emailSent,
+    },
+  });
+});
+
+/**
+ * Permanently delete a user together with their breaches and other data
+ */
+const deleteUser = catchAsync(async (req, res) => {
+  const user = await findTargetUser(req, "delete");
+
+  if (await userAdminService.isLastOrganizationOwner(user)) {
+    throw new AppError(
+      "User is the last owner of their organization; make another member owner first",
+      409,
+    );
+  }
+
+  const deleted = await userAdminService.deleteUser(user);
+  await auditService.record(req, "user.delete", {
+    targetType: "User",
+    targetId: user._id,
+    metadata: {
+      username: user.username,
+      email: user.email,
+      role: user.role,
+      deleted,
+    },
+  });
+
+  res.json({
+    status: "success",
+    message: "User deleted",
+    data: {
+      deleted,
+    },
+  });
+});
+
+module.exports = {
+  getOutboxJobs,
+  getOutboxJob,
+  requeueOutboxJob,
+  getUsers,
+  getUser,
+  lockUser,
+  unlockUser,
+  updateUserRole,
+  forcePasswordReset,
+  deleteUser,
+};
@@ -0,0 +1,82 @@
+const { validationResult } = require("express-validator");
+const AuditService = require("../services/auditService");
+const { catchAsync } = require("../middlewares/errorHandler");
+
+// Create service instances
+const auditService = new AuditService();
+
+/**
+ * Search the audit log (admin)
+ */
+const getAuditEvents = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: "fail",
+      message: "Validation errors",
+      errors: errors.array(),
+    });
+  }
+
+  const { events, pagination } = await auditService.listEvents(
+    auditService.buildQuery(req.query),
+    req.query,
+  );
+
+  res.json({
+    status: "success",
+    data: {
+      events,
+      pagination,
+    },
+  });
+});
+
+/**
+ * Get the current user's own activity
+ */
+const getMyActivity = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: "fail",
+      message: "Validation errors",
+      errors: errors.array(),
+    });
+  }
+
+  const { action, outcome, dateFrom, dateTo } = req.query;
+  const { events, pagination } = await auditService.listEvents(
+    auditService.buildQuery({
+      userId: req.user._id,
+      action,
+      outcome,
+      dateFrom,
+      dateTo,
+    }),
+    req.query,
+  );
+
+  res.json({
+    status: "success",
+    data: {
+      events: events.map((event) => ({
+        id: event._id,
+        action: event.action,
+        outcome: event.outcome,
+        reason: event.reason,
+        targetType: event.targetType,
+        targetId: event.targetId,
+        ipAddress: event.ipAddress,
+        userAgent: event.userAgent,
+        createdAt: event.createdAt,
+      })),
+      pagination,
+    },
+  });
+});
+
+module.exports = {
+  getAuditEvents,
+  getMyActivity,
+};
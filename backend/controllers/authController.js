@@ -1,25 +1,63 @@
-const jwt = require("jsonwebtoken");
 const crypto = require("crypto");
 const { validationResult } = require("express-validator");
 const User = require("../models/User");
 const EmailService = require("../services/emailService");
 const SmsService = require("../services/smsService");
+const MfaService = require("../services/mfaService");
+const SessionService = require("../services/sessionService");
+const AuditService = require("../services/auditService");
+const PasswordPolicyService = require("../services/passwordPolicyService");
+const OrganizationService = require("../services/organizationService");
 const logger = require("../utils/logger");
 const { catchAsync, AppError } = require("../middlewares/errorHandler");
 
 // Create service instances
 const emailService = new EmailService();
 const smsService = new SmsService();
+const mfaService = new MfaService();
+const sessionService = new SessionService();
+const auditService = new AuditService();
+const passwordPolicyService = new PasswordPolicyService();
+const organizationService = new OrganizationService();
 
 /**
- * Generate JWT token
- * @param {string} userId - User ID
- * @returns {string} - JWT token
+ * Open a session and describe its tokens for a response body
+ * @param {object} user - Authenticated user document
+ * @param {object} req - Express request
+ * @returns {Promise<object>} - { token, refreshToken, expiresIn }
  */
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: "7d",
-  });
+const issueTokens = async (user, req) => {
+  const { accessToken, refreshToken } = await sessionService.createSession(
+    user,
+    req,
+  );
+
+  return {
+    token: accessToken,
+    refreshToken,
+    expiresIn: sessionService.accessTokenExpiresIn,
+  };
+};
+
+/**
+ * Warnings from the breached-password policy, in the same shape as
+ * validation errors
+ * @param {object} req - Express request
+ * @returns {Array<object>|undefined} - Warnings, if any
+ */
+const getPasswordWarnings = (req) => {
+  if (!req.passwordPolicy || !req.passwordPolicy.warning) {
+    return undefined;
+  }
+
+  return [
+    {
+      type: "field",
+      msg: req.passwordPolicy.warning,
+      path: req.passwordPolicy.path,
+      location: "body",
+    },
+  ];
 };
 
 /**
@@ -62,16 +100,19 @@ const register = catchAsync(async (req, res) => {
   });
 
   await user.save();
+  await auditService.record(req, "auth.register", { actor: user });
 
   // Send welcome email
   try {
-    await emailService.sendWelcomeEmail(email, username, verificationToken);
+    await emailService.sendWelcomeEmail(email, username, verificationToken, {
+      userId: user._id,
+    });
   } catch (error) {
     logger.error("Failed to send welcome email:", error);
   }
 
-  // Generate token
-  const token = generateToken(user._id);
+  // Open a session
+  const tokens = await issueTokens(user, req);
 
   res.status(201).json({
     status: "success",
@@ -85,11 +126,52 @@ const register = catchAsync(async (req, res) => {
         isVerified: user.isVerified,
         role: user.role,
       },
-      token,
+      ...tokens,
     },
+    warnings: getPasswordWarnings(req),
   });
 });
 
+/**
+ * Finish a login: reset failed attempts and open a session
+ * @param {object} user - Authenticated user document
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {string} [mfaMethod] - "totp" or "recovery" when MFA was used
+ */
+const completeLogin = async (user, req, res, mfaMethod) => {
+  // Reset login attempts on successful login
+  await user.resetLoginAttempts();
+
+  // Update last login
+  user.lastLoginAt = new Date();
+  await user.save();
+
+  // Open a session
+  const tokens = await issueTokens(user, req);
+
+  await auditService.record(req, "auth.login", {
+    actor: user,
+    metadata: mfaMethod ? { mfaMethod } : undefined,
+  });
+
+  res.json({
+    status: "success",
+    message: "Login successful",
+    data: {
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        isVerified: user.isVerified,
+        role: user.role,
+        lastLoginAt: user.lastLoginAt,
+      },
+      ...tokens,
+    },
+  });
+};
+
 /**
  * Login user
  */
@@ -109,6 +191,12 @@ const login = catchAsync(async (req, res) => {
   const user = await User.findOne({ email });
 
   if (!user) {
+    await auditService.record(req, "auth.login", {
+      actorEmail: email,
+      outcome: "failure",
+      reason: "unknown_email",
+    });
+
     return res.status(401).json({
       status: "fail",
       message: "Invalid email or password",
@@ -117,6 +205,12 @@ const login = catchAsync(async (req, res) => {
 
   // Check if account is locked
   if (user.isLocked) {
+    await auditService.record(req, "auth.login", {
+      actor: user,
+      outcome: "failure",
+      reason: "account_locked",
+    });
+
     return res.status(423).json({
       status: "fail",
       message: "Account temporarily locked due to failed login attempts",
@@ -129,6 +223,11 @@ const login = catchAsync(async (req, res) => {
   if (!isPasswordValid) {
     // Increment login attempts
     await user.incLoginAttempts();
+    await auditService.record(req, "auth.login", {
+      actor: user,
+      outcome: "failure",
+      reason: "invalid_password",
+    });
 
     return res.status(401).json({
       status: "fail",
@@ -136,31 +235,89 @@ const login = catchAsync(async (req, res) => {
     });
   }
 
-  // Reset login attempts on successful login
-  await user.resetLoginAttempts();
+  // With MFA on, the password only earns a short-lived challenge token
+  if (user.mfaEnabled) {
+    return res.json({
+      status: "success",
+      message: "MFA code required",
+      data: {
+        mfaRequired: true,
+        mfaToken: mfaService.generateChallengeToken(user._id),
+      },
+    });
+  }
 
-  // Update last login
-  user.lastLoginAt = new Date();
-  await user.save();
+  await completeLogin(user, req, res);
+});
+
+/**
+ * Second login step: exchange an MFA challenge token and a TOTP or recovery
+ * code for the access token
+ */
+const verifyMfaLogin = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: "fail",
+      message: "Validation errors",
+      errors: errors.array(),
+    });
+  }
 
-  // Generate token
-  const token = generateToken(user._id);
+  const { mfaToken, code } = req.body;
+  const userId = mfaService.verifyChallengeToken(mfaToken);
 
-  res.json({
-    status: "success",
-    message: "Login successful",
-    data: {
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        isVerified: user.isVerified,
-        role: user.role,
-        lastLoginAt: user.lastLoginAt,
-      },
-      token,
-    },
-  });
+  if (!userId) {
+    return res.status(401).json({
+      status: "fail",
+      message: "Invalid or expired MFA challenge, please login again",
+    });
+  }
+
+  const user = await User.findById(userId).select(MfaService.MFA_SECRET_FIELDS);
+
+  if (!user) {
+    return res.status(401).json({
+      status: "fail",
+      message: "Invalid or expired MFA challenge, please login again",
+    });
+  }
+
+  if (user.isLocked) {
+    await auditService.record(req, "auth.login", {
+      actor: user,
+      outcome: "failure",
+      reason: "account_locked",
+    });
+
+    return res.status(423).json({
+      status: "fail",
+      message: "Account temporarily locked due to failed login attempts",
+    });
+  }
+
+  const method = await mfaService.verifyCode(user, code);
+
+  if (!method) {
+    // Wrong codes count towards the account lockout like wrong passwords
+    await user.incLoginAttempts();
+    await auditService.record(req, "auth.login", {
+      actor: user,
+      outcome: "failure",
+      reason: "invalid_mfa_code",
+    });
+
+    return res.status(401).json({
+      status: "fail",
+      message: "Invalid MFA code",
+    });
+  }
+
+  if (method === "recovery") {
+    logger.info(`Recovery code used to log in user ${user._id}`);
+  }
+
+  await completeLogin(user, req, res, method);
 });
 
 /**
@@ -188,6 +345,18 @@ const verifyEmail = catchAsync(async (req, res) => {
   user.isVerified = true;
   user.verificationToken = undefined;
   await user.save();
+  await auditService.record(req, "auth.email_verify", { actor: user });
+
+  // A verified address on a claimed domain joins that organization
+  const organization = await organizationService.autoJoin(user);
+  if (organization) {
+    await auditService.record(req, "organization.join", {
+      actor: user,
+      targetType: "Organization",
+      targetId: organization._id,
+      metadata: { domain: OrganizationService.getEmailDomain(user.email) },
+    });
+  }
 
   res.json({
     status: "success",
@@ -204,6 +373,12 @@ const forgotPassword = catchAsync(async (req, res) => {
   const user = await User.findOne({ email });
 
   if (!user) {
+    await auditService.record(req, "auth.password_reset_request", {
+      actorEmail: email,
+      outcome: "failure",
+      reason: "unknown_email",
+    });
+
     return res.status(404).json({
       status: "fail",
       message: "User not found with this email",
@@ -215,14 +390,19 @@ const forgotPassword = catchAsync(async (req, res) => {
   user.resetPasswordToken = resetToken;
   user.resetPasswordExpires = Date.now() + 60 * 60 * 1000; // 1 hour
   await user.save();
+  await auditService.record(req, "auth.password_reset_request", {
+    actor: user,
+  });
 
   // Send reset email
   try {
-    await emailService.sendPasswordResetEmail(email, resetToken);
+    await emailService.sendPasswordResetEmail(email, resetToken, {
+      userId: user._id,
+    });
 
     // Send SMS notification if phone is available
     if (user.phone && user.notificationPreferences.sms) {
-      await smsService.sendPasswordResetSMS(user.phone);
+      await smsService.sendPasswordResetSMS(user.phone, { userId: user._id });
     }
   } catch (error) {
     logger.error("Failed to send password reset email:", error);
@@ -242,6 +422,15 @@ const forgotPassword = catchAsync(async (req, res) => {
  * Reset password
  */
 const resetPassword = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: "fail",
+      message: "Validation errors",
+      errors: errors.array(),
+    });
+  }
+
   const { token, newPassword } = req.body;
 
   if (!token || !newPassword) {
@@ -257,20 +446,55 @@ const resetPassword = catchAsync(async (req, res) => {
   });
 
   if (!user) {
+    await auditService.record(req, "auth.password_reset", {
+      outcome: "failure",
+      reason: "invalid_token",
+    });
+
     return res.status(400).json({
       status: "fail",
       message: "Invalid or expired reset token",
     });
   }
 
+  // Only holders of a valid token get the breached-password lookup
+  const policy = await passwordPolicyService.evaluate(newPassword);
+  req.passwordPolicy = { ...policy, path: "newPassword" };
+
+  if (!policy.allowed) {
+    return res.status(400).json({
+      status: "fail",
+      message: "Validation errors",
+      errors: [
+        {
+          type: "field",
+          msg: policy.message,
+          path: "newPassword",
+          location: "body",
+        },
+      ],
+    });
+  }
+
   user.password = newPassword;
   user.resetPasswordToken = undefined;
   user.resetPasswordExpires = undefined;
   await user.save();
 
+  // Anyone holding a session may be the reason for the reset
+  const revoked = await sessionService.revokeAllSessions(
+    user._id,
+    "password_reset",
+  );
+  await auditService.record(req, "auth.password_reset", {
+    actor: user,
+    metadata: { sessionsRevoked: revoked },
+  });
+
   res.json({
     status: "success",
     message: "Password reset successfully",
+    warnings: getPasswordWarnings(req),
   });
 });
 
@@ -299,13 +523,33 @@ const updateProfile = catchAsync(async (req, res) => {
   if (username) user.username = username;
   if (phone) user.phone = phone;
   if (notificationPreferences) {
+    // Merge quiet hours and chat field by field so a partial update keeps
+    // the rest
+    const { quietHours, chat, ...preferences } = notificationPreferences;
     user.notificationPreferences = {
       ...user.notificationPreferences,
-      ...notificationPreferences,
+      ...preferences,
+      quietHours: {
+        ...user.notificationPreferences.quietHours,
+        ...quietHours,
+      },
+      chat: {
+        ...user.notificationPreferences.chat,
+        ...chat,
+      },
     };
   }
 
   await user.save();
+  await auditService.record(req, "user.profile_update", {
+    targetType: "User",
+    targetId: user._id,
+    metadata: {
+      fields: ["username", "phone", "notificationPreferences"].filter(
+        (field) => req.body[field],
+      ),
+    },
+  });
 
   res.json({
     status: "success",
@@ -328,6 +572,15 @@ const updateProfile = catchAsync(async (req, res) => {
  * Change password
  */
 const changePassword = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: "fail",
+      message: "Validation errors",
+      errors: errors.array(),
+    });
+  }
+
   const { currentPassword, newPassword } = req.body;
 
   const user = await User.findById(req.user._id);
@@ -336,6 +589,11 @@ const changePassword = catchAsync(async (req, res) => {
   const isCurrentPasswordValid = await user.comparePassword(currentPassword);
 
   if (!isCurrentPasswordValid) {
+    await auditService.record(req, "auth.password_change", {
+      outcome: "failure",
+      reason: "invalid_current_password",
+    });
+
     return res.status(400).json({
       status: "fail",
       message: "Current password is incorrect",
@@ -345,9 +603,21 @@ const changePassword = catchAsync(async (req, res) => {
   user.password = newPassword;
   await user.save();
 
+  // Sign out every session, then keep this client signed in on a new one
+  const revoked = await sessionService.revokeAllSessions(
+    user._id,
+    "password_change",
+  );
+  const tokens = await issueTokens(user, req);
+  await auditService.record(req, "auth.password_change", {
+    metadata: { sessionsRevoked: revoked },
+  });
+
   res.json({
     status: "success",
     message: "Password changed successfully",
+    data: tokens,
+    warnings: getPasswordWarnings(req),
   });
 });
 
@@ -355,15 +625,163 @@ const changePassword = catchAsync(async (req, res) => {
  * Logout user (client-side token removal)
  */
 const logout = catchAsync(async (req, res) => {
+  if (req.sessionId) {
+    await sessionService.revokeSession(req.user._id, req.sessionId, "logout");
+  }
+  await auditService.record(req, "auth.logout", {
+    targetType: req.sessionId ? "Session" : undefined,
+    targetId: req.sessionId,
+  });
+
   res.json({
     status: "success",
     message: "Logged out successfully",
   });
 });
 
+/**
+ * Exchange a refresh token for a new access and refresh token pair
+ */
+const refreshToken = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: "fail",
+      message: "Validation errors",
+      errors: errors.array(),
+    });
+  }
+
+  const result = await sessionService.rotate(req.body.refreshToken);
+
+  if (result.status === "reused") {
+    await auditService.record(req, "session.reuse_detected", {
+      actor: { _id: result.session.userId },
+      outcome: "failure",
+      reason: "refresh_token_reuse",
+      targetType: "Session",
+      targetId: result.session._id,
+    });
+  }
+
+  if (result.status !== "rotated") {
+    return res.status(401).json({
+      status: "fail",
+      message:
+        result.status === "reused"
+          ? "Refresh token was already used; the session has been revoked"
+          : "Invalid or expired refresh token",
+    });
+  }
+
+  const user = await User.findById(result.session.userId);
+
+  if (!user) {
+    return res.status(401).json({
+      status: "fail",
+      message: "Invalid or expired refresh token",
+    });
+  }
+
+  if (user.isLocked) {
+    // The rotated token never reaches the client, so end the session here
+    await sessionService.revoke(result.session, "account_locked");
+    await auditService.record(req, "auth.refresh", {
+      actor: user,
+      outcome: "failure",
+      reason: "account_locked",
+      targetType: "Session",
+      targetId: result.session._id,
+    });
+    return res.status(423).json({
+      status: "fail",
+      message: "Account temporarily locked due to failed login attempts",
+    });
+  }
+
+  res.json({
+    status: "success",
+    data: {
+      token: result.accessToken,
+      refreshToken: result.refreshToken,
+      expiresIn: sessionService.accessTokenExpiresIn,
+    },
+  });
+});
+
+/**
+ * List the current user's active sessions
+ */
+const getSessions = catchAsync(async (req, res) => {
+  const sessions = await sessionService.listSessions(req.user._id);
+
+  res.json({
+    status: "success",
+    data: {
+      sessions: sessions.map((session) => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: String(session._id) === String(req.sessionId),
+      })),
+    },
+  });
+});
+
+/**
+ * Revoke one of the current user's sessions
+ */
+const revokeSession = catchAsync(async (req, res) => {
+  const revoked = await sessionService.revokeSession(
+    req.user._id,
+    req.params.sessionId,
+    "user",
+  );
+
+  if (!revoked) {
+    throw new AppError("Session not found", 404);
+  }
+
+  await auditService.record(req, "session.revoke", {
+    targetType: "Session",
+    targetId: req.params.sessionId,
+  });
+
+  res.json({
+    status: "success",
+    message: "Session revoked",
+  });
+});
+
+/**
+ * Revoke all of the current user's sessions except this one
+ */
+const revokeOtherSessions = catchAsync(async (req, res) => {
+  const revoked = await sessionService.revokeAllSessions(
+    req.user._id,
+    "user",
+    req.sessionId,
+  );
+  await auditService.record(req, "session.revoke_all", {
+    metadata: { sessionsRevoked: revoked },
+  });
+
+  res.json({
+    status: "success",
+    message: `${revoked} session(s) revoked`,
+    data: {
+      revoked,
+    },
+  });
+});
+
 module.exports = {
   register,
   login,
+  verifyMfaLogin,
   verifyEmail,
   forgotPassword,
   resetPassword,
@@ -371,4 +789,8 @@ module.exports = {
   updateProfile,
   changePassword,
   logout,
+  refreshToken,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
 };
@@ -1,20 +1,259 @@
 const { validationResult } = require("express-validator");
 const User = require("../models/User");
 const Breach = require("../models/Breach");
+const AccountBreach = require("../models/AccountBreach");
 const BreachService = require("../services/breachService");
-const EmailService = require("../services/emailService");
-const SmsService = require("../services/smsService");
-const { generateSHA1Hash } = require("../utils/hashUtil");
+const AccountBreachService = require("../services/accountBreachService");
+const OutboxService = require("../services/outboxService");
+const DigestService = require("../services/digestService");
+const WebhookService = require("../services/webhookService");
+const ChatService = require("../services/chatService");
+const PushService = require("../services/pushService");
+const RealtimeService = require("../services/realtimeService");
+const AuditService = require("../services/auditService");
+const {
+  generateSHA1Hash,
+  getKeyedHashCandidates,
+} = require("../utils/hashUtil");
+const { SEVERITY_LEVELS, meetsSeverity } = require("../utils/severity");
+const { getDeliveryTime } = require("../utils/quietHours");
 const logger = require("../utils/logger");
 const { catchAsync, AppError } = require("../middlewares/errorHandler");
 
 // Create service instances
 const breachService = new BreachService();
-const emailService = new EmailService();
-const smsService = new SmsService();
+const accountBreachService = new AccountBreachService();
+const outboxService = new OutboxService();
+const digestService = new DigestService({ outboxService });
+const webhookService = new WebhookService({ outboxService });
+const chatService = new ChatService();
+const pushService = new PushService();
+const realtimeService = new RealtimeService();
+const auditService = new AuditService();
 
 /**
- * Check if a password has been breached
+ * Merge provider results into a breach record, keeping one breachSources
+ * entry per provider
+ * @param {object} breach - Breach document
+ * @param {Array<object>} sources - Matching provider results
+ */
+const mergeBreachSources = (breach, sources) => {
+  for (const source of sources) {
+    const existingSource = breach.breachSources.find(
+      (entry) => entry.name === source.name,
+    );
+
+    if (existingSource) {
+      existingSource.severity = source.severity;
+      existingSource.description = source.description;
+      existingSource.affectedAccounts = source.count;
+    } else {
+      breach.breachSources.push({
+        name: source.name,
+        dateFound: new Date(),
+        severity: source.severity,
+        description: source.description,
+        affectedAccounts: source.count,
+      });
+    }
+  }
+};
+
+/**
+ * Record a breached password for a user, updating the existing record when
+ * the same password was found before. Records stored under an older pepper
+ * version (or as a legacy SHA-1) are re-keyed when matched.
+ * @param {string} userId - User ID
+ * @param {string} sha1Hash - SHA-1 hash of the password
+ * @param {object} breachResult - Result from BreachService
+ * @returns {Promise<object>} - Saved breach document
+ */
+const recordBreach = async (userId, sha1Hash, breachResult) => {
+  const candidates = getKeyedHashCandidates(sha1Hash);
+  const current = candidates[candidates.length - 1];
+
+  // Check if this breach already exists for the user
+  let breach = await Breach.findOne({
+    userId,
+    passwordHash: { $in: candidates.map((candidate) => candidate.hash) },
+  });
+
+  if (breach) {
+    // Update existing breach
+    breach.timesFound += 1;
+    breach.lastChecked = new Date();
+    breach.isActive = true;
+  } else {
+    // Create new breach record
+    breach = new Breach({
+      userId,
+      timesFound: 1,
+    });
+  }
+
+  breach.passwordHash = current.hash;
+  breach.passwordHashVersion = current.version;
+
+  mergeBreachSources(breach, breachResult.sources);
+
+  await breach.save();
+  return breach;
+};
+
+/**
+ * Announce a detected breach: webhooks and open dashboards get a
+ * breach.detected event for every detection, and the admin chat channel
+ * every detection at its minimum severity, whatever the user's alert
+ * preferences. Queueing errors are logged and never fail the check.
+ * @param {object} user - User document
+ * @param {object} breach - Breach document
+ * @param {object} breachResult - Result from BreachService
+ */
+const publishBreach = async (user, breach, breachResult) => {
+  const refs = { userId: user._id, breachId: breach._id };
+
+  const detected = webhookService.describeBreach(breach);
+  await webhookService.emit("breach.detected", detected, refs);
+  await realtimeService.publish("breach.detected", detected, refs);
+
+  try {
+    const adminChat = chatService.getAdminTarget();
+    if (adminChat && meetsSeverity(breach.riskLevel, adminChat.minSeverity)) {
+      await outboxService.enqueue(
+        "breach_chat",
+        {
+          channel: "admin",
+          breachData: {
+            ...breachResult,
+            riskLevel: breach.riskLevel,
+            recommendedActions: breach.recommendedActions,
+            account: user.email,
+          },
+        },
+        refs,
+      );
+    }
+  } catch (error) {
+    logger.error("Failed to queue admin chat notification:", error);
+  }
+};
+
+/**
+ * Queue one breach alert for a user on the channels their preferences
+ * allow, covering one or more breaches found by the same check. The outbox
+ * worker delivers it and retries failures; queueing errors are logged and
+ * never fail the check. Breaches below the user's minimum severity are not
+ * alerted, and digest subscribers only get breaches at their immediate
+ * threshold right away; the rest are held for their next digest. The alert
+ * describes the most severe breach and counts the others. Alerts raised
+ * during the user's quiet hours are queued for the end of the window.
+ * @param {object} user - User document
+ * @param {Array<object>} found - { breach, breachResult } per breach
+ */
+const alertUser = async (user, found) => {
+  try {
+    const immediate = [];
+
+    for (const item of found) {
+      const delivery = digestService.route(
+        user.notificationPreferences,
+        item.breach.riskLevel,
+      );
+
+      if (delivery === "digest") {
+        await digestService.hold(item.breach);
+      } else if (delivery === "immediate") {
+        immediate.push(item);
+      }
+    }
+
+    if (immediate.length === 0) return;
+
+    // Most severe first, then the most often found
+    const rank = ({ breach, breachResult }) => [
+      SEVERITY_LEVELS.indexOf(breach.riskLevel),
+      breachResult.count,
+    ];
+    const { breach, breachResult } = immediate.reduce((best, item) => {
+      const [severity, count] = rank(item);
+      const [bestSeverity, bestCount] = rank(best);
+      return severity > bestSeverity ||
+        (severity === bestSeverity && count > bestCount)
+        ? item
+        : best;
+    });
+
+    const refs = { userId: user._id, breachId: breach._id };
+    const breachData = {
+      ...breachResult,
+      riskLevel: breach.riskLevel,
+      recommendedActions: breach.recommendedActions,
+      otherBreaches: immediate.length - 1,
+    };
+    const options = {
+      deliverAt: getDeliveryTime(
+        user.notificationPreferences,
+        breach.riskLevel,
+      ),
+    };
+
+    if (user.notificationPreferences.email) {
+      await outboxService.enqueue(
+        "breach_email",
+        { email: user.email, breachData },
+        refs,
+        options,
+      );
+    }
+
+    if (user.notificationPreferences.sms && user.phone) {
+      await outboxService.enqueue(
+        "breach_sms",
+        { phone: user.phone, breachData },
+        refs,
+        options,
+      );
+    }
+
+    const chat = user.notificationPreferences.chat;
+    if (chat && chat.enabled && chat.webhookUrl) {
+      await outboxService.enqueue(
+        "breach_chat",
+        { channel: "user", breachData },
+        refs,
+        options,
+      );
+    }
+
+    if (
+      user.notificationPreferences.push &&
+      pushService.isConfigured() &&
+      (await pushService.hasSubscriptions(user._id))
+    ) {
+      await outboxService.enqueue("breach_push", { breachData }, refs, options);
+    }
+  } catch (error) {
+    logger.error("Failed to queue breach notifications:", error);
+  }
+};
+
+/**
+ * Announce a breach and alert its user
+ * @param {object} user - User document
+ * @param {object} breach - Breach document
+ * @param {object} breachResult - Result from BreachService
+ */
+const notifyBreach = async (user, breach, breachResult) => {
+  await publishBreach(user, breach, breachResult);
+  await alertUser(user, [{ breach, breachResult }]);
+};
+
+/**
+ * Check if a password has been breached. The body carries one of:
+ * - `password`: plaintext, hashed on the server
+ * - `hash`: full SHA-1 hash computed by the client
+ * - `prefix`: first 5 hash characters; the matching range is returned for
+ *   the client to match locally and nothing is recorded
  */
 const checkPasswordBreach = catchAsync(async (req, res) => {
   const errors = validationResult(req);
@@ -26,86 +265,47 @@ const checkPasswordBreach = catchAsync(async (req, res) => {
     });
   }
 
-  const { password } = req.body;
+  const { password, hash, prefix } = req.body;
   const userId = req.user._id;
 
+  if (prefix !== undefined) {
+    const range = await breachService.getPrefixRange(prefix);
+    await auditService.record(req, "breach.check", {
+      metadata: { mode: "prefix" },
+    });
+
+    return res.json({
+      status: "success",
+      message: "Match the rest of the hash against the returned range",
+      data: {
+        ...range,
+        lastChecked: new Date().toISOString(),
+      },
+    });
+  }
+
   // Check password breach
-  const breachResult = await breachService.checkPasswordBreach(password);
+  const mode = hash !== undefined ? "hash" : "password";
+  const breachResult =
+    mode === "hash"
+      ? await breachService.checkHashBreach(hash)
+      : await breachService.checkPasswordBreach(password);
 
   if (breachResult.breached) {
-    // Generate password hash for storage
-    const passwordHash = generateSHA1Hash(password);
-
-    // Check if this breach already exists for the user
-    let existingBreach = await Breach.findOne({
+    const breach = await recordBreach(
       userId,
-      passwordHash,
+      mode === "hash" ? hash.toUpperCase() : generateSHA1Hash(password),
+      breachResult,
+    );
+    await auditService.record(req, "breach.check", {
+      targetType: "Breach",
+      targetId: breach._id,
+      metadata: { mode, breached: true, riskLevel: breach.riskLevel },
     });
 
-    if (existingBreach) {
-      // Update existing breach
-      existingBreach.timesFound += 1;
-      existingBreach.lastChecked = new Date();
-      existingBreach.isActive = true;
-
-      // Add new breach source if not already present
-      const existingSource = existingBreach.breachSources.find(
-        (source) => source.name === breachResult.source,
-      );
-
-      if (!existingSource) {
-        existingBreach.breachSources.push({
-          name: breachResult.source,
-          dateFound: new Date(),
-          severity: breachResult.severity,
-          description: "Password found " + breachResult.count + " times",
-          affectedAccounts: breachResult.count,
-        });
-      }
-
-      await existingBreach.save();
-    } else {
-      // Create new breach record
-      const newBreach = new Breach({
-        userId,
-        passwordHash,
-        breachSources: [
-          {
-            name: breachResult.source,
-            dateFound: new Date(),
-            severity: breachResult.severity,
-            description: "Password found " + breachResult.count + " times",
-            affectedAccounts: breachResult.count,
-          },
-        ],
-        timesFound: 1,
-      });
-
-      await newBreach.save();
-      existingBreach = newBreach;
-    }
-
     // Send notifications if user preferences allow
     const user = await User.findById(userId);
-
-    try {
-      if (user.notificationPreferences.email) {
-        await emailService.sendBreachNotification(user.email, {
-          ...breachResult,
-          riskLevel: existingBreach.riskLevel,
-          recommendedActions: existingBreach.recommendedActions,
-        });
-        existingBreach.notificationsSent += 1;
-      }
-
-      if (user.notificationPreferences.sms && user.phone) {
-        await smsService.sendBreachNotificationSMS(user.phone, breachResult);
-      }
-
-      await existingBreach.save();
-    } catch (error) {
-      logger.error("Failed to send breach notifications:", error);
-    }
+    await notifyBreach(user, breach, breachResult);
 
     return res.json({
       status: "success",
@@ -113,18 +313,23 @@ const checkPasswordBreach = catchAsync(async (req, res) => {
       data: {
         isBreached: true,
         breachCount: breachResult.count,
-        riskLevel: existingBreach.riskLevel,
-        recommendedActions: existingBreach.recommendedActions,
+        riskLevel: breach.riskLevel,
+        recommendedActions: breach.recommendedActions,
         severity: breachResult.severity,
         source: breachResult.source,
+        sources: breachResult.sources,
+        failedSources: breachResult.failedSources,
         suggestMfa:
-          existingBreach.riskLevel === "critical" ||
-          existingBreach.riskLevel === "high",
-        breachId: existingBreach._id,
+          breach.riskLevel === "critical" || breach.riskLevel === "high",
+        breachId: breach._id,
       },
     });
   }
 
+  await auditService.record(req, "breach.check", {
+    metadata: { mode, breached: false },
+  });
+
   res.json({
     status: "success",
     message: "Password not found in breach databases",
@@ -134,11 +339,135 @@ const checkPasswordBreach = catchAsync(async (req, res) => {
       riskLevel: "none",
       recommendedActions: [],
       source: breachResult.source,
+      checkedSources: breachResult.checkedSources,
+      failedSources: breachResult.failedSources,
       lastChecked: new Date().toISOString(),
     },
   });
 });
 
+/**
+ * Check a batch of passwords and/or SHA-1 hashes, streaming one NDJSON line
+ * per item as it completes followed by a summary line. Items are numbered
+ * passwords first, then hashes, in request order. A password repeated in
+ * the batch is recorded once, and the user gets one alert for the whole
+ * batch. Errors after streaming started end the stream with an error line.
+ */
+const checkPasswordBatch = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: "fail",
+      message: "Validation errors",
+      errors: errors.array(),
+    });
+  }
+
+  const { passwords = [], hashes = [] } = req.body;
+  const user = await User.findById(req.user._id);
+  const items = [
+    ...passwords.map((password) => generateSHA1Hash(password)),
+    ...hashes.map((hash) => hash.toUpperCase()),
+  ];
+  const summary = {
+    type: "summary",
+    total: items.length,
+    breached: 0,
+    failed: 0,
+  };
+
+  // One record per distinct hash, shared by its repeats in the batch
+  const recorded = new Map();
+  const record = (hash, result) => {
+    if (!recorded.has(hash)) {
+      recorded.set(
+        hash,
+        recordBreach(user._id, hash, result).then(async (breach) => {
+          await publishBreach(user, breach, result);
+          return { breach, breachResult: result };
+        }),
+      );
+    }
+    return recorded.get(hash);
+  };
+
+  res.status(200);
+  res.setHeader("Content-Type", "application/x-ndjson; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache");
+
+  try {
+    await breachService.checkHashBatch(items, {
+      onResult: async ({ index, hash, result, error }) => {
+        let line;
+
+        if (error) {
+          summary.failed += 1;
+          line = { type: "result", index, error };
+        } else if (!result.breached) {
+          line = {
+            type: "result",
+            index,
+            isBreached: false,
+            breachCount: 0,
+            riskLevel: "none",
+            failedSources: result.failedSources,
+          };
+        } else {
+          try {
+            const { breach } = await record(hash, result);
+
+            summary.breached += 1;
+            line = {
+              type: "result",
+              index,
+              isBreached: true,
+              breachCount: result.count,
+              riskLevel: breach.riskLevel,
+              severity: result.severity,
+              source: result.source,
+              sources: result.sources,
+              failedSources: result.failedSources,
+              breachId: breach._id,
+            };
+          } catch (recordError) {
+            logger.error("Failed to record batch breach:", recordError);
+            summary.failed += 1;
+            line = { type: "result", index, error: "Failed to record breach" };
+          }
+        }
+
+        res.write(`${JSON.stringify(line)}\n`);
+      },
+    });
+
+    const found = await Promise.allSettled(recorded.values());
+    await alertUser(
+      user,
+      found
+        .filter((outcome) => outcome.status === "fulfilled")
+        .map((outcome) => outcome.value),
+    );
+
+    await auditService.record(req, "breach.check_batch", {
+      metadata: {
+        total: summary.total,
+        breached: summary.breached,
+        failed: summary.failed,
+      },
+    });
+  } catch (error) {
+    // Once lines are sent the error handler can no longer answer with JSON
+    if (!res.headersSent) throw error;
+
+    logger.error("Batch check failed mid-stream:", error);
+    return res.end(
+      `${JSON.stringify({ type: "error", message: "Batch check failed" })}\n`,
+    );
+  }
+
+  res.end(`${JSON.stringify(summary)}\n`);
+});
+
 /**
  * Get user's breach history
  */
@@ -223,6 +552,15 @@ const acknowledgeBreach = catchAsync(async (req, res) => {
   breach.userAcknowledged = true;
   breach.acknowledgedAt = new Date();
   await breach.save();
+  await auditService.record(req, "breach.acknowledge", {
+    targetType: "Breach",
+    targetId: breach._id,
+  });
+  await webhookService.emit(
+    "breach.acknowledged",
+    webhookService.describeBreach(breach),
+    { userId },
+  );
 
   res.json({
     status: "success",
@@ -271,6 +609,20 @@ const markActionCompleted = catchAsync(async (req, res) => {
 
   breach.recommendedActions[actionIndex].completed = true;
   await breach.save();
+  await auditService.record(req, "breach.action_complete", {
+    targetType: "Breach",
+    targetId: breach._id,
+    metadata: { actionIndex },
+  });
+  await webhookService.emit(
+    "action.completed",
+    {
+      ...webhookService.describeBreach(breach),
+      action: breach.recommendedActions[actionIndex].action,
+      actionIndex,
+    },
+    { userId },
+  );
 
   res.json({
     status: "success",
@@ -386,7 +738,8 @@ const getUserBreaches = catchAsync(async (req, res) => {
 
   const breaches = await Breach.find({ userId })
     .sort({ createdAt: -1 })
-    .limit(50);
+    .limit(50)
+    .select("-passwordHash"); // Don't expose password hashes
 
   res.json({
     status: "success",
@@ -402,8 +755,127 @@ const getUserBreaches = catchAsync(async (req, res) => {
   });
 });
 
+/**
+ * Check which named breaches the user's email address appears in
+ */
+const checkAccountExposure = catchAsync(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  const { breaches, newBreaches } =
+    await accountBreachService.checkAccount(user);
+  await auditService.record(req, "account_breach.check", {
+    metadata: {
+      breachCount: breaches.length,
+      newBreachCount: newBreaches.length,
+    },
+  });
+  for (const breach of newBreaches) {
+    const detected = webhookService.describeAccountBreach(breach);
+    await webhookService.emit("breach.detected", detected, {
+      userId: user._id,
+    });
+    await realtimeService.publish("breach.detected", detected, {
+      userId: user._id,
+    });
+  }
+
+  res.json({
+    status: "success",
+    message:
+      breaches.length > 0
+        ? `Email address found in ${breaches.length} breach(es)`
+        : "Email address not found in any known breaches",
+    data: {
+      email: user.email,
+      isExposed: breaches.length > 0,
+      breachCount: breaches.length,
+      newBreachCount: newBreaches.length,
+      breaches,
+      lastChecked: new Date().toISOString(),
+    },
+  });
+});
+
+/**
+ * Get the named breaches recorded for the user's email address
+ */
+const getAccountBreaches = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: "fail",
+      message: "Validation errors",
+      errors: errors.array(),
+    });
+  }
+
+  const userId = req.user._id;
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+
+  const query = { userId };
+  if (req.query.status) query.status = req.query.status;
+
+  const breaches = await AccountBreach.find(query)
+    .sort({ breachDate: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await AccountBreach.countDocuments(query);
+
+  res.json({
+    status: "success",
+    data: {
+      breaches,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    },
+  });
+});
+
+/**
+ * Acknowledge a named account breach
+ */
+const acknowledgeAccountBreach = catchAsync(async (req, res) => {
+  const breach = await AccountBreach.findOne({
+    _id: req.params.accountBreachId,
+    userId: req.user._id,
+  });
+
+  if (!breach) {
+    throw new AppError("Account breach not found", 404);
+  }
+
+  breach.status = "acknowledged";
+  breach.acknowledgedAt = new Date();
+  await breach.save();
+  await auditService.record(req, "account_breach.acknowledge", {
+    targetType: "AccountBreach",
+    targetId: breach._id,
+  });
+  await webhookService.emit(
+    "breach.acknowledged",
+    webhookService.describeAccountBreach(breach),
+    { userId: req.user._id },
+  );
+
+  res.json({
+    status: "success",
+    message: "Account breach acknowledged successfully",
+    data: {
+      breach,
+    },
+  });
+});
+
 module.exports = {
   checkPasswordBreach,
+  checkPasswordBatch,
   getBreachHistory,
   getBreachById,
   acknowledgeBreach,
@@ -412,4 +884,7 @@ module.exports = {
   getRecentBreaches,
   searchBreaches,
   getUserBreaches,
+  checkAccountExposure,
+  getAccountBreaches,
+  acknowledgeAccountBreach,
 };
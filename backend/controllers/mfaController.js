@@ -0,0 +1,175 @@
+const User = require("../models/User");
+const MfaService = require("../services/mfaService");
+const AuditService = require("../services/auditService");
+const logger = require("../utils/logger");
+const {
+  catchAsync,
+  AppError,
+  assertValidRequest,
+} = require("../middlewares/errorHandler");
+
+// Create service instances
+const mfaService = new MfaService();
+const auditService = new AuditService();
+
+/**
+ * Load the current user with MFA secrets
+ * @param {object} req - Express request
+ * @returns {Promise<object>} - User document
+ */
+const getUserWithSecrets = (req) => {
+  return User.findById(req.user._id).select(MfaService.MFA_SECRET_FIELDS);
+};
+
+/**
+ * Get MFA status for the current user
+ */
+const getMfaStatus = catchAsync(async (req, res) => {
+  const user = await getUserWithSecrets(req);
+
+  res.json({
+    status: "success",
+    data: {
+      mfaEnabled: user.mfaEnabled,
+      setupPending: !user.mfaEnabled && !!user.mfaPendingSecret,
+      recoveryCodesRemaining: user.mfaEnabled
+        ? (user.mfaRecoveryCodes || []).length
+        : 0,
+    },
+  });
+});
+
+/**
+ * Start MFA enrollment: generate a secret and its otpauth URI
+ */
+const setupMfa = catchAsync(async (req, res) => {
+  const user = await getUserWithSecrets(req);
+
+  if (user.mfaEnabled) {
+    throw new AppError("MFA is already enabled", 400);
+  }
+
+  const { secret, otpauthUri } = await mfaService.beginEnrollment(user);
+
+  res.json({
+    status: "success",
+    message: "Scan the URI with an authenticator app, then confirm a code",
+    data: {
+      secret,
+      otpauthUri,
+    },
+  });
+});
+
+/**
+ * Confirm enrollment with a first code and return the recovery codes
+ */
+const enableMfa = catchAsync(async (req, res) => {
+  assertValidRequest(req);
+
+  const user = await getUserWithSecrets(req);
+
+  if (user.mfaEnabled) {
+    throw new AppError("MFA is already enabled", 400);
+  }
+  if (!user.mfaPendingSecret) {
+    throw new AppError("Start MFA setup before confirming a code", 400);
+  }
+
+  const recoveryCodes = await mfaService.confirmEnrollment(user, req.body.code);
+
+  if (!recoveryCodes) {
+    throw new AppError("Invalid MFA code", 400);
+  }
+
+  logger.info(`MFA enabled for user ${user._id}`);
+  await auditService.record(req, "mfa.enable");
+
+  res.json({
+    status: "success",
+    message:
+      "MFA enabled. Store the recovery codes somewhere safe; they are shown only once.",
+    data: {
+      mfaEnabled: true,
+      recoveryCodes,
+    },
+  });
+});
+
+/**
+ * Disable MFA; requires the password and a current TOTP or recovery code
+ */
+const disableMfa = catchAsync(async (req, res) => {
+  assertValidRequest(req);
+
+  const user = await getUserWithSecrets(req);
+
+  if (!user.mfaEnabled) {
+    throw new AppError("MFA is not enabled", 400);
+  }
+
+  const isPasswordValid = await user.comparePassword(req.body.password);
+  if (!isPasswordValid) {
+    await auditService.record(req, "mfa.disable", {
+      outcome: "failure",
+      reason: "invalid_password",
+    });
+    throw new AppError("Password is incorrect", 400);
+  }
+
+  if (!(await mfaService.verifyCode(user, req.body.code))) {
+    await auditService.record(req, "mfa.disable", {
+      outcome: "failure",
+      reason: "invalid_mfa_code",
+    });
+    throw new AppError("Invalid MFA code", 400);
+  }
+
+  await mfaService.disable(user);
+  logger.info(`MFA disabled for user ${user._id}`);
+  await auditService.record(req, "mfa.disable");
+
+  res.json({
+    status: "success",
+    message: "MFA disabled",
+    data: {
+      mfaEnabled: false,
+    },
+  });
+});
+
+/**
+ * Replace the recovery codes; requires a current TOTP code
+ */
+const regenerateRecoveryCodes = catchAsync(async (req, res) => {
+  assertValidRequest(req);
+
+  const user = await getUserWithSecrets(req);
+
+  if (!user.mfaEnabled) {
+    throw new AppError("MFA is not enabled", 400);
+  }
+
+  if ((await mfaService.verifyCode(user, req.body.code)) !== "totp") {
+    throw new AppError("Invalid MFA code", 400);
+  }
+
+  const recoveryCodes = await mfaService.regenerateRecoveryCodes(user);
+  await auditService.record(req, "mfa.recovery_codes_regenerate");
+
+  res.json({
+    status: "success",
+    message: "Recovery codes regenerated; previous codes no longer work",
+    data: {
+      recoveryCodes,
+    },
+  });
+});
+
+module.exports = {
+  getMfaStatus,
+  setupMfa,
+  enableMfa,
+  disableMfa,
+  regenerateRecoveryCodes,
+};
@@ -1,13 +1,21 @@
+const { validationResult } = require("express-validator");
 const User = require("../models/User");
-const Breach = require("../models/Breach");
 const EmailService = require("../services/emailService");
 const SmsService = require("../services/smsService");
+const ChatService = require("../services/chatService");
+const PushService = require("../services/pushService");
+const AuditService = require("../services/auditService");
+const NotificationService = require("../services/notificationService");
 const logger = require("../utils/logger");
-const { catchAsync } = require("../middlewares/errorHandler");
+const { catchAsync, AppError } = require("../middlewares/errorHandler");
 
 // Create service instances
 const emailService = new EmailService();
 const smsService = new SmsService();
+const chatService = new ChatService();
+const pushService = new PushService();
+const auditService = new AuditService();
+const notificationService = new NotificationService();
 
 /**
  * Get user's notification preferences
@@ -29,7 +37,26 @@ const getNotificationPreferences = catchAsync(async (req, res) => {
  * Update user's notification preferences
  */
 const updateNotificationPreferences = catchAsync(async (req, res) => {
-  const { email, sms, push } = req.body;
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: "fail",
+      message: "Validation errors",
+      errors: errors.array(),
+    });
+  }
+
+  const {
+    email,
+    sms,
+    push,
+    frequency,
+    minSeverity,
+    immediateSeverity,
+    timeZone,
+    quietHours,
+    chat,
+  } = req.body;
   const userId = req.user._id;
 
   const user = await User.findById(userId);
@@ -37,8 +64,50 @@ const updateNotificationPreferences = catchAsync(async (req, res) => {
   if (email !== undefined) user.notificationPreferences.email = email;
   if (sms !== undefined) user.notificationPreferences.sms = sms;
   if (push !== undefined) user.notificationPreferences.push = push;
+  if (frequency !== undefined) {
+    user.notificationPreferences.frequency = frequency;
+  }
+  if (minSeverity !== undefined) {
+    user.notificationPreferences.minSeverity = minSeverity;
+  }
+  if (immediateSeverity !== undefined) {
+    user.notificationPreferences.immediateSeverity = immediateSeverity;
+  }
+  if (timeZone !== undefined) user.notificationPreferences.timeZone = timeZone;
+  if (quietHours !== undefined) {
+    const { enabled, start, end, allowCritical } = quietHours;
+    const current = user.notificationPreferences.quietHours;
+
+    if (enabled !== undefined) current.enabled = enabled;
+    if (start !== undefined) current.start = start;
+    if (end !== undefined) current.end = end;
+    if (allowCritical !== undefined) current.allowCritical = allowCritical;
+  }
+  if (chat !== undefined) {
+    const { enabled, provider, webhookUrl } = chat;
+    const current = user.notificationPreferences.chat;
+
+    if (enabled !== undefined) current.enabled = enabled;
+    if (provider !== undefined) current.provider = provider;
+    if (webhookUrl !== undefined) current.webhookUrl = webhookUrl;
+  }
 
   await user.save();
+  await auditService.record(req, "notification.preferences_update", {
+    targetType: "User",
+    targetId: user._id,
+    metadata: {
+      email,
+      sms,
+      push,
+      frequency,
+      minSeverity,
+      immediateSeverity,
+      timeZone,
+      quietHours,
+      chat: chat && { enabled: chat.enabled, provider: chat.provider },
+    },
+  });
 
   res.json({
     status: "success",
@@ -49,88 +118,83 @@ const updateNotificationPreferences = catchAsync(async (req, res) => {
   });
 });
 
+/**
+ * Describe a notification for a response body
+ * @param {object} notification - Notification document
+ * @returns {object} - Notification fields exposed to the user
+ */
+const formatNotification = (notification) => ({
+  id: notification._id,
+  type: notification.type,
+  channel: notification.channel,
+  title: notification.title,
+  body: notification.body,
+  severity: notification.severity,
+  breachId: notification.breachId,
+  accountBreachIds: notification.accountBreachIds,
+  isRead: notification.isRead,
+  readAt: notification.readAt,
+  deliveryStatus: notification.deliveryStatus,
+  sentAt: notification.sentAt,
+  createdAt: notification.createdAt,
+});
+
 /**
  * Get user's notifications/alerts
  */
 const getNotifications = catchAsync(async (req, res) => {
-  const userId = req.user._id;
-  const page = parseInt(req.query.page) || 1;
-  const limit = parseInt(req.query.limit) || 10;
-  const skip = (page - 1) * limit;
-
-  // Get recent breaches as notifications
-  const breaches = await Breach.find({
-    userId,
-    isActive: true,
-  })
-    .sort({ createdAt: -1 })
-    .skip(skip)
-    .limit(limit);
-
-  const total = await Breach.countDocuments({
-    userId,
-    isActive: true,
-  });
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: "fail",
+      message: "Validation errors",
+      errors: errors.array(),
+    });
+  }
 
-  // Transform breaches into notification format
-  const notifications = breaches.map((breach) => ({
-    id: breach._id,
-    type: "breach_alert",
-    title: "Password Breach Detected",
-    message: `Your password was found in ${breach.breachSources.length} breach source(s)`,
-    severity: breach.riskLevel,
-    isRead: breach.userAcknowledged,
-    createdAt: breach.createdAt,
-    data: {
-      breachId: breach._id,
-      riskLevel: breach.riskLevel,
-      sources: breach.breachSources.map((source) => source.name),
-      timesFound: breach.timesFound,
-      recommendedActions: breach.recommendedActions,
-    },
-  }));
+  const { page, limit, unread, type, channel } = req.query;
+  const { notifications, pagination } = await notificationService.listForUser(
+    req.user._id,
+    { page, limit, unread: unread === "true", type, channel },
+  );
 
   res.json({
     status: "success",
     data: {
-      notifications,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit),
-      },
+      notifications: notifications.map(formatNotification),
+      pagination,
     },
   });
 });
 
 /**
- * Mark notification as read
+ * Mark notification as read. The linked breach stays unacknowledged until
+ * the user acknowledges it through the breach routes.
  */
 const markNotificationAsRead = catchAsync(async (req, res) => {
-  const { notificationId } = req.params;
-  const userId = req.user._id;
-
-  // Since notifications are based on breaches, mark breach as acknowledged
-  const breach = await Breach.findOne({
-    _id: notificationId,
-    userId,
-  });
+  const notification = await notificationService.markRead(
+    req.user._id,
+    req.params.notificationId,
+  );
 
-  if (!breach) {
+  if (!notification) {
     return res.status(404).json({
       status: "fail",
       message: "Notification not found",
     });
   }
 
-  breach.userAcknowledged = true;
-  breach.acknowledgedAt = new Date();
-  await breach.save();
+  await auditService.record(req, "notification.read", {
+    targetType: "Notification",
+    targetId: notification._id,
+  });
 
   res.json({
     status: "success",
     message: "Notification marked as read",
+    data: {
+      notification: formatNotification(notification),
+    },
   });
 });
 
@@ -138,19 +202,17 @@ const markNotificationAsRead = catchAsync(async (req, res) => {
  * Mark all notifications as read
  */
 const markAllNotificationsAsRead = catchAsync(async (req, res) => {
-  const userId = req.user._id;
-
-  await Breach.updateMany(
-    { userId, userAcknowledged: false },
-    {
-      userAcknowledged: true,
-      acknowledgedAt: new Date(),
-    },
-  );
+  const updated = await notificationService.markAllRead(req.user._id);
+  await auditService.record(req, "notification.read_all", {
+    metadata: { updated },
+  });
 
   res.json({
     status: "success",
     message: "All notifications marked as read",
+    data: {
+      updated,
+    },
   });
 });
 
@@ -158,40 +220,12 @@ const markAllNotificationsAsRead = catchAsync(async (req, res) => {
  * Get notification statistics
  */
 const getNotificationStats = catchAsync(async (req, res) => {
-  const userId = req.user._id;
-
-  const stats = await Breach.aggregate([
-    { $match: { userId: userId } },
-    {
-      $group: {
-        _id: null,
-        totalNotifications: { $sum: 1 },
-        unreadNotifications: {
-          $sum: { $cond: [{ $eq: ["$userAcknowledged", false] }, 1, 0] },
-        },
-        criticalNotifications: {
-          $sum: { $cond: [{ $eq: ["$riskLevel", "critical"] }, 1, 0] },
-        },
-        highNotifications: {
-          $sum: { $cond: [{ $eq: ["$riskLevel", "high"] }, 1, 0] },
-        },
-        totalNotificationsSent: { $sum: "$notificationsSent" },
-      },
-    },
-  ]);
-
-  const result = stats[0] || {
-    totalNotifications: 0,
-    unreadNotifications: 0,
-    criticalNotifications: 0,
-    highNotifications: 0,
-    totalNotificationsSent: 0,
-  };
+  const statistics = await notificationService.getStats(req.user._id);
 
   res.json({
     status: "success",
     data: {
-      statistics: result,
+      statistics,
     },
   });
 });
@@ -210,37 +244,73 @@ const testNotification = catchAsync(async (req, res) => {
     });
   }
 
+  // Sample breach data, recorded as a "test" notification
+  const testBreach = { count: 12345, severity: "high", source: "Test Source" };
+  const context = {
+    userId: user._id,
+    type: "test",
+    title: "Test Notification",
+  };
+  const { chat } = user.notificationPreferences;
+
   try {
     let result = false;
 
     switch (type) {
       case "email":
         if (user.notificationPreferences.email) {
-          result = await emailService.sendBreachNotification(user.email, {
-            count: 12345,
-            severity: "high",
-            source: "Test Source",
-          });
+          result = await emailService.sendBreachNotification(
+            user.email,
+            testBreach,
+            context,
+          );
         }
         break;
 
       case "sms":
         if (user.notificationPreferences.sms && user.phone) {
-          result = await smsService.sendBreachNotificationSMS(user.phone, {
-            count: 12345,
-            severity: "high",
-            source: "Test Source",
-          });
+          result = await smsService.sendBreachNotificationSMS(
+            user.phone,
+            testBreach,
+            context,
+          );
+        }
+        break;
+
+      case "chat":
+        if (chat.enabled && chat.webhookUrl) {
+          result = await chatService.sendBreachNotification(
+            chat,
+            testBreach,
+            context,
+          );
+        }
+        break;
+
+      case "push":
+        if (user.notificationPreferences.push) {
+          result = await pushService.sendBreachNotification(
+            user._id,
+            testBreach,
+            context,
+          );
         }
         break;
 
       default:
         return res.status(400).json({
           status: "fail",
-          message: 'Invalid notification type. Use "email" or "sms"',
+          message:
+            'Invalid notification type. Use "email", "sms", "chat" or "push"',
         });
     }
 
+    await auditService.record(req, "notification.test", {
+      outcome: result ? "success" : "failure",
+      reason: result ? undefined : "not_sent",
+      metadata: { type },
+    });
+
     res.json({
       status: "success",
       message: `Test ${type} notification ${result ? "sent successfully" : "failed to send"}`,
@@ -261,39 +331,120 @@ const testNotification = catchAsync(async (req, res) => {
  * Get notification delivery history
  */
 const getNotificationHistory = catchAsync(async (req, res) => {
-  const userId = req.user._id;
-  const page = parseInt(req.query.page) || 1;
-  const limit = parseInt(req.query.limit) || 20;
-  const skip = (page - 1) * limit;
-
-  const history = await Breach.find({
-    userId,
-    notificationsSent: { $gt: 0 },
-  })
-    .sort({ createdAt: -1 })
-    .skip(skip)
-    .limit(limit)
-    .select("breachSources notificationsSent createdAt riskLevel");
-
-  const total = await Breach.countDocuments({
-    userId,
-    notificationsSent: { $gt: 0 },
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: "fail",
+      message: "Validation errors",
+      errors: errors.array(),
+    });
+  }
+
+  const { page, limit, channel, deliveryStatus } = req.query;
+  const { notifications, pagination } = await notificationService.listForUser(
+    req.user._id,
+    { page, limit: limit || 20, channel, deliveryStatus },
+  );
+
+  res.json({
+    status: "success",
+    data: {
+      history: notifications.map((notification) => ({
+        id: notification._id,
+        type: notification.type,
+        channel: notification.channel,
+        recipient: notification.recipient,
+        title: notification.title,
+        deliveryStatus: notification.deliveryStatus,
+        deliveryError: notification.deliveryError,
+        sentAt: notification.sentAt,
+        createdAt: notification.createdAt,
+      })),
+      pagination,
+    },
   });
+});
+
+/**
+ * Get the VAPID public key browsers need to subscribe to push notifications
+ */
+const getPushPublicKey = catchAsync(async (req, res) => {
+  if (!pushService.isConfigured()) {
+    throw new AppError("Push notifications are not configured", 503);
+  }
 
   res.json({
     status: "success",
     data: {
-      history,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit),
+      publicKey: pushService.publicKey,
+    },
+  });
+});
+
+/**
+ * Register the browser's push subscription for the current user
+ */
+const subscribePush = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: "fail",
+      message: "Validation errors",
+      errors: errors.array(),
+    });
+  }
+
+  if (!pushService.isConfigured()) {
+    throw new AppError("Push notifications are not configured", 503);
+  }
+
+  const subscription = await pushService.subscribe(
+    req.user._id,
+    req.body,
+    req.get("User-Agent"),
+  );
+
+  res.status(201).json({
+    status: "success",
+    message: "Push subscription saved",
+    data: {
+      subscription: {
+        id: subscription._id,
+        endpoint: subscription.endpoint,
+        createdAt: subscription.createdAt,
       },
     },
   });
 });
 
+/**
+ * Remove one of the current user's push subscriptions
+ */
+const unsubscribePush = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: "fail",
+      message: "Validation errors",
+      errors: errors.array(),
+    });
+  }
+
+  const removed = await pushService.unsubscribe(
+    req.user._id,
+    req.body.endpoint,
+  );
+
+  if (!removed) {
+    throw new AppError("Push subscription not found", 404);
+  }
+
+  res.json({
+    status: "success",
+    message: "Push subscription removed",
+  });
+});
+
 module.exports = {
   getNotificationPreferences,
   updateNotificationPreferences,
@@ -303,4 +454,7 @@ module.exports = {
   getNotificationStats,
   testNotification,
   getNotificationHistory,
+  getPushPublicKey,
+  subscribePush,
+  unsubscribePush,
 };
@@ -0,0 +1,546 @@
+const Organization = require("../models/Organization");
+const User = require("../models/User");
+const OrganizationService = require("../services/organizationService");
+const AuditService = require("../services/auditService");
+const {
+  catchAsync,
+  AppError,
+  assertValidRequest,
+} = require("../middlewares/errorHandler");
+
+// Create service instances
+const organizationService = new OrganizationService();
+const auditService = new AuditService();
+
+/**
+ * Shape an organization for API responses
+ * @param {object} organization - Organization document
+ * @returns {object} - Public organization fields
+ */
+const describeOrganization = (organization) => ({
+  id: organization._id,
+  name: organization.name,
+  domains: organization.domains,
+  pendingDomains: organization.pendingDomains.map((pending) =>
+    organizationService.describeDomainRecord(pending),
+  ),
+  autoJoin: organization.autoJoin,
+  createdAt: organization.createdAt,
+});
+
+/**
+ * Shape an invitation for API responses
+ * @param {object} invitation - Invitation subdocument
+ * @returns {object} - Invitation fields
+ */
+const describeInvitation = (invitation) => ({
+  userId: invitation.userId,
+  role: invitation.role,
+  invitedAt: invitation.invitedAt,
+});
+
+/**
+ * Shape a member for API responses
+ * @param {object} user - User document
+ * @returns {object} - Member fields visible inside the organization
+ */
+const describeMember = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  isVerified: user.isVerified,
+  organizationRole: user.organizationRole,
+  lastLoginAt: user.lastLoginAt,
+});
+
+/**
+ * Normalize requested domains and refuse any the user may not claim or
+ * that another organization has already verified
+ * @param {object} req - Express request
+ * @param {Array<string>} domains - Requested domains
+ * @param {string} [organizationId] - Organization being updated
+ * @returns {Promise<Array<string>>} - Normalized domains
+ */
+const checkDomains = async (req, domains, organizationId) => {
+  const normalized = organizationService.normalizeDomains(domains);
+
+  const unclaimable = organizationService.findUnclaimableDomains(
+    req.user,
+    normalized,
+  );
+  if (unclaimable.length > 0) {
+    throw new AppError(
+      `You cannot claim these domains: ${unclaimable.join(", ")}`,
+      403,
+    );
+  }
+
+  const taken = await organizationService.findTakenDomains(
+    normalized,
+    organizationId,
+  );
+  if (taken.length > 0) {
+    throw new AppError(
+      `Domains already belong to another organization: ${taken.join(", ")}`,
+      409,
+    );
+  }
+
+  return normalized;
+};
+
+/**
+ * Load the current user's organization
+ * @param {object} req - Express request
+ * @returns {Promise<object>} - Organization document
+ */
+const findOwnOrganization = async (req) => {
+  const organization = req.user.organizationId
+    ? await Organization.findById(req.user.organizationId)
+    : null;
+
+  if (!organization) {
+    throw new AppError("You are not a member of an organization", 404);
+  }
+
+  return organization;
+};
+
+/**
+ * Load a member of the current user's organization
+ * @param {object} req - Express request
+ * @returns {Promise<object>} - User document
+ */
+const findMember = async (req) => {
+  const member = await User.findOne({
+    _id: req.params.userId,
+    organizationId: req.user.organizationId,
+  });
+
+  if (!member) {
+    throw new AppError("Member not found", 404);
+  }
+
+  return member;
+};
+
+/**
+ * Refuse to take the owner role away from an organization's last owner
+ * @param {object} member - User document losing the owner role
+ */
+const keepAnOwner = async (member) => {
+  if (
+    member.organizationRole === "owner" &&
+    (await organizationService.countOwners(member.organizationId)) <= 1
+  ) {
+    throw new AppError(
+      "An organization needs an owner; make another member owner first",
+      400,
+    );
+  }
+};
+
+/**
+ * Create an organization; the creator becomes its owner
+ */
+const createOrganization = catchAsync(async (req, res) => {
+  assertValidRequest(req);
+
+  if (req.user.organizationId) {
+    throw new AppError("You already belong to an organization", 409);
+  }
+
+  const { name, autoJoin } = req.body;
+  const domains = await checkDomains(req, req.body.domains || []);
+
+  const organization = await organizationService.create(req.user, {
+    name,
+    domains,
+    autoJoin,
+  });
+
+  await auditService.record(req, "organization.create", {
+    targetType: "Organization",
+    targetId: organization._id,
+    metadata: { name, domains, autoJoin: organization.autoJoin },
+  });
+
+  res.status(201).json({
+    status: "success",
+    message: "Organization created",
+    data: {
+      organization: describeOrganization(organization),
+      role: req.user.organizationRole,
+    },
+  });
+});
+
+/**
+ * Get the current user's organization and their role in it
+ */
+const getOrganization = catchAsync(async (req, res) => {
+  const organization = await findOwnOrganization(req);
+
+  res.json({
+    status: "success",
+    data: {
+      organization: describeOrganization(organization),
+      role: req.user.organizationRole,
+    },
+  });
+});
+
+/**
+ * Rename the organization or change its domains or auto-join setting
+ */
+const updateOrganization = catchAsync(async (req, res) => {
+  assertValidRequest(req);
+
+  const organization = await findOwnOrganization(req);
+  const { name, autoJoin } = req.body;
+
+  // Only newly requested domains need checking
+  let domains;
+  if (req.body.domains !== undefined) {
+    domains = organizationService.normalizeDomains(req.body.domains);
+    await checkDomains(
+      req,
+      domains.filter(
+        (domain) =>
+          !organization.domains.includes(domain) &&
+          !organization.pendingDomains.some((entry) => entry.domain === domain),
+      ),
+      organization._id,
+    );
+  }
+
+  await organizationService.update(organization, {
+    name,
+    domains,
+    autoJoin,
+  });
+
+  await auditService.record(req, "organization.update", {
+    targetType: "Organization",
+    targetId: organization._id,
+    metadata: { name, domains, autoJoin },
+  });
+
+  res.json({
+    status: "success",
+    message: "Organization updated",
+    data: {
+      organization: describeOrganization(organization),
+    },
+  });
+});
+
+/**
+ * Verify a pending domain once its TXT record is published
+ */
+const verifyDomain = catchAsync(async (req, res) => {
+  assertValidRequest(req);
+
+  const organization = await findOwnOrganization(req);
+  const domain = String(req.params.domain).toLowerCase();
+
+  const pending = organization.pendingDomains.find(
+    (entry) => entry.domain === domain,
+  );
+  if (!pending) {
+    throw new AppError("No pending domain with that name", 404);
+  }
+
+  const taken = await organizationService.findTakenDomains(
+    [domain],
+    organization._id,
+  );
+  if (taken.length > 0) {
+    throw new AppError("Domain already belongs to another organization", 409);
+  }
+
+  if (!(await organizationService.verifyDomain(organization, pending))) {
+    const record = organizationService.describeDomainRecord(pending);
+    throw new AppError(
+      `TXT record not found; publish "${record.value}" on ${record.name}`,
+      400,
+    );
+  }
+
+  await auditService.record(req, "organization.domain_verify", {
+    targetType: "Organization",
+    targetId: organization._id,
+    metadata: { domain },
+  });
+
+  res.json({
+    status: "success",
+    message: "Domain verified",
+    data: {
+      organization: describeOrganization(organization),
+    },
+  });
+});
+
+/**
+ * Delete the organization; members keep their accounts and data
+ */
+const deleteOrganization = catchAsync(async (req, res) => {
+  const organization = await findOwnOrganization(req);
+  const released = await organizationService.delete(organization);
+
+  await auditService.record(req, "organization.delete", {
+    targetType: "Organization",
+    targetId: organization._id,
+    metadata: { name: organization.name, released },
+  });
+
+  res.json({
+    status: "success",
+    message: "Organization deleted",
+    data: { released },
+  });
+});
+
+/**
+ * List the organization's members
+ */
+const getMembers = catchAsync(async (req, res) => {
+  assertValidRequest(req);
+
+  const { role, page, limit } = req.query;
+  const { members, pagination } = await organizationService.listMembers(
+    req.user.organizationId,
+    { role },
+    { page, limit },
+  );
+
+  res.json({
+    status: "success",
+    data: {
+      members: members.map(describeMember),
+      pagination,
+    },
+  });
+});
+
+/**
+ * Invite a user with a verified email on one of the organization's verified
+ * domains; they join once they accept
+ */
+const inviteMember = catchAsync(async (req, res) => {
+  assertValidRequest(req);
+
+  const organization = await findOwnOrganization(req);
+  const { email, role } = req.body;
+
+  const member = await User.findOne({ email });
+  if (!member || !organizationService.isEligible(organization, member)) {
+    throw new AppError(
+      "No verified user with that email on the organization's domains",
+      404,
+    );
+  }
+
+  if (member.organizationId) {
+    throw new AppError("User already belongs to an organization", 409);
+  }
+
+  const invitation = await organizationService.invite(
+    organization,
+    member,
+    role || "member",
+    req.user,
+  );
+
+  await auditService.record(req, "organization.member_invite", {
+    targetType: "User",
+    targetId: member._id,
+    metadata: {
+      organizationId: organization._id,
+      role: invitation.role,
+    },
+  });
+
+  res.status(201).json({
+    status: "success",
+    message: "Invitation sent",
+    data: {
+      invitation: describeInvitation(invitation),
+    },
+  });
+});
+
+/**
+ * List the organizations the current user may join: those that invited
+ * them and the one claiming their email domain with auto-join on
+ */
+const getJoinable = catchAsync(async (req, res) => {
+  const organizations = await organizationService.findJoinable(req.user);
+
+  res.json({
+    status: "success",
+    data: {
+      organizations: organizations.map((organization) => ({
+        id: organization._id,
+        name: organization.name,
+        invited: organization.invitations.some(
+          (invitation) => String(invitation.userId) === String(req.user._id),
+        ),
+      })),
+    },
+  });
+});
+
+/**
+ * Join an organization the current user was invited to or whose verified
+ * domain matches their email
+ */
+const joinOrganization = catchAsync(async (req, res) => {
+  assertValidRequest(req);
+
+  if (req.user.organizationId) {
+    throw new AppError("You already belong to an organization", 409);
+  }
+
+  const organization = await organizationService.join(
+    req.user,
+    req.body.organizationId,
+  );
+  if (!organization) {
+    throw new AppError("No organization you can join with that ID", 404);
+  }
+
+  await auditService.record(req, "organization.join", {
+    targetType: "Organization",
+    targetId: organization._id,
+    metadata: { role: req.user.organizationRole },
+  });
+
+  res.json({
+    status: "success",
+    message: "You joined the organization",
+    data: {
+      organization: describeOrganization(organization),
+      role: req.user.organizationRole,
+    },
+  });
+});
+
+/**
+ * Change a member's organization role
+ */
+const updateMember = catchAsync(async (req, res) => {
+  assertValidRequest(req);
+
+  const member = await findMember(req);
+  const previousRole = member.organizationRole;
+
+  if (req.body.role !== "owner") {
+    await keepAnOwner(member);
+  }
+
+  member.organizationRole = req.body.role;
+  await member.save();
+
+  await auditService.record(req, "organization.member_update", {
+    targetType: "User",
+    targetId: member._id,
+    metadata: {
+      organizationId: member.organizationId,
+      from: previousRole,
+      to: member.organizationRole,
+    },
+  });
+
+  res.json({
+    status: "success",
+    message: "Member role updated",
+    data: {
+      member: describeMember(member),
+    },
+  });
+});
+
+/**
+ * Remove a member. Owners may remove anyone; other members only themselves,
+ * which leaves the organization.
+ */
+const removeMember = catchAsync(async (req, res) => {
+  const leaving = String(req.params.userId) === String(req.user._id);
+
+  if (!leaving && req.user.organizationRole !== "owner") {
+    throw new AppError("Only owners can remove other members", 403);
+  }
+
+  const member = await findMember(req);
+  await keepAnOwner(member);
+
+  const { organizationId, organizationRole } = member;
+  member.organizationId = undefined;
+  member.organizationRole = undefined;
+  await member.save();
+
+  await auditService.record(req, "organization.member_remove", {
+    targetType: "User",
+    targetId: member._id,
+    metadata: { organizationId, role: organizationRole, left: leaving },
+  });
+
+  res.json({
+    status: "success",
+    message: leaving ? "You left the organization" : "Member removed",
+  });
+});
+
+/**
+ * Breach statistics across every member
+ */
+const getStats = catchAsync(async (req, res) => {
+  const stats = await organizationService.getBreachStats(
+    req.user.organizationId,
+  );
+
+  res.json({
+    status: "success",
+    data: { stats },
+  });
+});
+
+/**
+ * List breaches across every member, optionally for one member
+ */
+const getBreaches = catchAsync(async (req, res) => {
+  assertValidRequest(req);
+
+  const { userId, riskLevel, acknowledged, active, page, limit } = req.query;
+  const { breaches, pagination } = await organizationService.listBreaches(
+    req.user.organizationId,
+    { userId, riskLevel, acknowledged, active },
+    { page, limit },
+  );
+
+  res.json({
+    status: "success",
+    data: {
+      breaches,
+      pagination,
+    },
+  });
+});
+
+module.exports = {
+  createOrganization,
+  getOrganization,
+  updateOrganization,
+  deleteOrganization,
+  verifyDomain,
+  getJoinable,
+  joinOrganization,
+  getMembers,
+  inviteMember,
+  updateMember,
+  removeMember,
+  getStats,
+  getBreaches,
+};
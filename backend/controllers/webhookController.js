@@ -0,0 +1,236 @@
+const { validationResult } = require("express-validator");
+const WebhookService = require("../services/webhookService");
+const AuditService = require("../services/auditService");
+const { catchAsync, AppError } = require("../middlewares/errorHandler");
+
+// Create service instances
+const webhookService = new WebhookService();
+const auditService = new AuditService();
+
+/**
+ * Describe a webhook for a response body, without its secret
+ * @param {object} webhook - Webhook document
+ * @returns {object} - Webhook fields exposed to the user
+ */
+const formatWebhook = (webhook) => ({
+  id: webhook._id,
+  scope: webhook.scope,
+  organizationId: webhook.organizationId,
+  url: webhook.url,
+  description: webhook.description,
+  events: webhook.events,
+  isActive: webhook.isActive,
+  secretRotatedAt: webhook.secretRotatedAt,
+  lastDeliveryAt: webhook.lastDeliveryAt,
+  lastDeliveryStatus: webhook.lastDeliveryStatus,
+  createdAt: webhook.createdAt,
+});
+
+/**
+ * Find a webhook the current user may manage, or fail with 404
+ * @param {object} req - Express request
+ * @param {boolean} [withSecret] - Load the signing secret too
+ * @returns {Promise<object>} - Webhook document
+ */
+const findWebhook = async (req, withSecret = false) => {
+  const webhook = await webhookService.findForUser(
+    req.user,
+    req.params.webhookId,
+    withSecret,
+  );
+
+  if (!webhook) {
+    throw new AppError("Webhook not found", 404);
+  }
+
+  return webhook;
+};
+
+/**
+ * List the current user's webhooks, plus their organization's webhooks for
+ * its owners and security officers
+ */
+const getWebhooks = catchAsync(async (req, res) => {
+  const webhooks = await webhookService.listForUser(req.user);
+
+  res.json({
+    status: "success",
+    data: {
+      webhooks: webhooks.map(formatWebhook),
+      events: WebhookService.EVENTS,
+    },
+  });
+});
+
+/**
+ * Register a webhook. The signing secret is returned once.
+ */
+const createWebhook = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: "fail",
+      message: "Validation errors",
+      errors: errors.array(),
+    });
+  }
+
+  const { url, events, description, scope } = req.body;
+
+  if (
+    scope === "organization" &&
+    !webhookService.canManageOrganizationWebhooks(req.user)
+  ) {
+    throw new AppError(
+      "Only organization owners and security officers can create organization webhooks",
+      403,
+    );
+  }
+
+  const { webhook, secret } = await webhookService.create(req.user._id, {
+    url,
+    events,
+    description,
+    scope,
+    organizationId: req.user.organizationId,
+  });
+  await auditService.record(req, "webhook.create", {
+    targetType: "Webhook",
+    targetId: webhook._id,
+    metadata: {
+      url,
+      events,
+      scope: webhook.scope,
+      organizationId: webhook.organizationId,
+    },
+  });
+
+  res.status(201).json({
+    status: "success",
+    message: "Webhook created. Store the secret now; it is not shown again.",
+    data: {
+      webhook: formatWebhook(webhook),
+      secret,
+    },
+  });
+});
+
+/**
+ * Get one webhook
+ */
+const getWebhook = catchAsync(async (req, res) => {
+  const webhook = await findWebhook(req);
+
+  res.json({
+    status: "success",
+    data: {
+      webhook: formatWebhook(webhook),
+    },
+  });
+});
+
+/**
+ * Delete a webhook. Queued deliveries to it are dropped.
+ */
+const deleteWebhook = catchAsync(async (req, res) => {
+  const webhook = await findWebhook(req);
+
+  await webhook.deleteOne();
+  await auditService.record(req, "webhook.delete", {
+    targetType: "Webhook",
+    targetId: webhook._id,
+    metadata: { url: webhook.url },
+  });
+
+  res.json({
+    status: "success",
+    message: "Webhook deleted",
+  });
+});
+
+/**
+ * Send a signed test event to a webhook right away
+ */
+const testWebhook = catchAsync(async (req, res) => {
+  const webhook = await findWebhook(req, true);
+
+  const delivery = await webhookService.sendTest(webhook);
+  await auditService.record(req, "webhook.test", {
+    targetType: "Webhook",
+    targetId: webhook._id,
+    outcome: delivery.status === "delivered" ? "success" : "failure",
+    reason: delivery.error,
+  });
+
+  res.json({
+    status: "success",
+    message:
+      delivery.status === "delivered"
+        ? "Test event delivered"
+        : "Test event could not be delivered",
+    data: {
+      delivery,
+    },
+  });
+});
+
+/**
+ * Replace a webhook's signing secret. The new secret is returned once.
+ */
+const rotateWebhookSecret = catchAsync(async (req, res) => {
+  const webhook = await findWebhook(req, true);
+
+  const secret = await webhookService.rotateSecret(webhook);
+  await auditService.record(req, "webhook.rotate_secret", {
+    targetType: "Webhook",
+    targetId: webhook._id,
+  });
+
+  res.json({
+    status: "success",
+    message: "Secret rotated. Store the new secret now; it is not shown again.",
+    data: {
+      webhook: formatWebhook(webhook),
+      secret,
+    },
+  });
+});
+
+/**
+ * List delivery attempts to a webhook, most recent first
+ */
+const getWebhookDeliveries = catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: "fail",
+      message: "Validation errors",
+      errors: errors.array(),
+    });
+  }
+
+  const webhook = await findWebhook(req);
+  const { page, limit, status } = req.query;
+  const { deliveries, pagination } = await webhookService.listDeliveries(
+    webhook._id,
+    { page, limit, status },
+  );
+
+  res.json({
+    status: "success",
+    data: {
+      deliveries,
+      pagination,
+    },
+  });
+});
+
+module.exports = {
+  getWebhooks,
+  createWebhook,
+  getWebhook,
+  deleteWebhook,
+  testWebhook,
+  rotateWebhookSecret,
+  getWebhookDeliveries,
+};
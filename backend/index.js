@@ -14,6 +14,13 @@ const connectDB = require("./config/db");
 const authRoutes = require("./routes/authRoutes");
 const breachRoutes = require("./routes/breachRoutes");
 const notificationRoutes = require("./routes/notificationRoutes");
+const auditRoutes = require("./routes/auditRoutes");
+const adminRoutes = require("./routes/adminRoutes");
+const webhookRoutes = require("./routes/webhookRoutes");
+const organizationRoutes = require("./routes/organizationRoutes");
+
+// Real-time events
+const RealtimeServer = require("./services/realtimeServer");
 
 // Middleware
 const {
@@ -97,6 +104,10 @@ app.get("/health", (req, res) => {
 app.use("/api/auth", authRoutes);
 app.use("/api/breach", breachRoutes);
 app.use("/api/notifications", notificationRoutes);
+app.use("/api/audit", auditRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/webhooks", webhookRoutes);
+app.use("/api/organization", organizationRoutes);
 
 // API documentation endpoint
 app.get("/api", (req, res) => {
@@ -113,11 +124,32 @@ app.get("/api", (req, res) => {
         "GET /api/auth/me": "Get current user (protected)",
         "PUT /api/auth/profile": "Update user profile (protected)",
         "POST /api/auth/change-password": "Change password (protected)",
-        "POST /api/auth/logout": "Logout user (protected)",
+        "POST /api/auth/logout": "Logout and revoke the session (protected)",
+        "POST /api/auth/refresh": "Rotate a refresh token for new tokens",
+        "GET /api/auth/sessions": "List active sessions (protected)",
+        "DELETE /api/auth/sessions": "Revoke all other sessions (protected)",
+        "DELETE /api/auth/sessions/:sessionId": "Revoke a session (protected)",
+        "POST /api/auth/login/mfa":
+          "Complete login with an MFA challenge token and code",
+        "GET /api/auth/mfa": "Get MFA status (protected)",
+        "POST /api/auth/mfa/setup": "Start MFA enrollment (protected)",
+        "POST /api/auth/mfa/enable":
+          "Confirm MFA enrollment with a first code (protected)",
+        "POST /api/auth/mfa/disable": "Disable MFA (protected)",
+        "POST /api/auth/mfa/recovery-codes":
+          "Regenerate MFA recovery codes (protected)",
       },
       breach: {
-        "POST /api/breach/check": "Check password breach (protected)",
+        "POST /api/breach/check":
+          "Check a password, SHA-1 hash or hash prefix (protected)",
+        "POST /api/breach/check/batch":
+          "Check passwords or SHA-1 hashes in bulk, streamed as NDJSON (protected)",
         "GET /api/breach/history": "Get breach history (protected)",
+        "POST /api/breach/account/check":
+          "Check account email against named breaches (protected)",
+        "GET /api/breach/account": "Get account email breaches (protected)",
+        "PUT /api/breach/account/:accountBreachId/acknowledge":
+          "Acknowledge account breach (protected)",
         "GET /api/breach/search": "Search breaches (protected)",
         "GET /api/breach/:breachId": "Get breach details (protected)",
         "PUT /api/breach/:breachId/acknowledge":
@@ -142,6 +174,70 @@ app.get("/api", (req, res) => {
         "PUT /api/notifications/:notificationId/read":
           "Mark notification as read (protected)",
         "POST /api/notifications/test": "Test notification sending (protected)",
+        "GET /api/notifications/push/public-key":
+          "Get the VAPID key for web push subscriptions (protected)",
+        "POST /api/notifications/push/subscriptions":
+          "Subscribe this browser to push notifications (protected)",
+        "DELETE /api/notifications/push/subscriptions":
+          "Unsubscribe a browser from push notifications (protected)",
+      },
+      audit: {
+        "GET /api/audit/me": "Get your own account activity (protected)",
+        "GET /api/audit/events": "Search the audit log (admin)",
+      },
+      admin: {
+        "GET /api/admin/outbox":
+          "List queued, delivered and dead-lettered notification jobs (admin)",
+        "GET /api/admin/outbox/:jobId": "Get a notification job (admin)",
+        "POST /api/admin/outbox/:jobId/requeue":
+          "Requeue a dead-lettered notification job (admin)",
+        "GET /api/admin/users":
+          "List and search users with pagination and filters (admin)",
+        "GET /api/admin/users/:userId": "Get a user (admin)",
+        "DELETE /api/admin/users/:userId":
+          "Delete a user with their breaches (admin)",
+        "PUT /api/admin/users/:userId/lock": "Lock a user account (admin)",
+        "PUT /api/admin/users/:userId/unlock": "Unlock a user account (admin)",
+        "PUT /api/admin/users/:userId/role": "Change a user's role (admin)",
+        "POST /api/admin/users/:userId/force-password-reset":
+          "Force a user to reset their password (admin)",
+      },
+      webhooks: {
+        "GET /api/webhooks": "List your webhooks (protected)",
+        "POST /api/webhooks":
+          "Create a webhook and get its signing secret (protected)",
+        "GET /api/webhooks/:webhookId": "Get a webhook (protected)",
+        "DELETE /api/webhooks/:webhookId": "Delete a webhook (protected)",
+        "POST /api/webhooks/:webhookId/test":
+          "Send a signed test event (protected)",
+        "POST /api/webhooks/:webhookId/rotate-secret":
+          "Replace the signing secret (protected)",
+        "GET /api/webhooks/:webhookId/deliveries":
+          "List delivery attempts (protected)",
+      },
+      organization: {
+        "POST /api/organization":
+          "Create an organization and become its owner (protected)",
+        "GET /api/organization": "Get your organization and role (member)",
+        "PUT /api/organization":
+          "Update the name, domains or auto-join setting (owner)",
+        "DELETE /api/organization": "Delete the organization (owner)",
+        "GET /api/organization/members":
+          "List members (owner, security officer)",
+        "POST /api/organization/members":
+          "Add a verified user from the organization's domains (owner)",
+        "PUT /api/organization/members/:userId":
+          "Change a member's role (owner)",
+        "DELETE /api/organization/members/:userId":
+          "Remove a member, or leave the organization (member)",
+        "GET /api/organization/stats":
+          "Breach statistics across members (owner, security officer)",
+        "GET /api/organization/breaches":
+          "List members' breaches (owner, security officer)",
+      },
+      realtime: {
+        "GET /ws?token=<access token>":
+          "WebSocket feed of breach and notification events (protected)",
       },
     },
   });
@@ -162,9 +258,14 @@ const server = app.listen(PORT, () => {
   logger.info(`📚 API docs: http://localhost:${PORT}/api`);
 });
 
+// WebSocket connections share the HTTP port
+const realtimeServer = new RealtimeServer();
+realtimeServer.attach(server);
+
 // Graceful shutdown
 process.on("SIGTERM", () => {
   logger.info("SIGTERM received. Shutting down gracefully...");
+  realtimeServer.close();
   server.close(() => {
     logger.info("Process terminated");
     process.exit(0);
@@ -173,6 +274,7 @@ process.on("SIGTERM", () => {
 
 process.on("SIGINT", () => {
   logger.info("SIGINT received. Shutting down gracefully...");
+  realtimeServer.close();
   server.close(() => {
     logger.info("Process terminated");
     process.exit(0);
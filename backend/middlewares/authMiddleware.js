@@ -1,7 +1,93 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const SessionService = require("../services/sessionService");
 const logger = require("../utils/logger");
 
+const sessionService = new SessionService();
+
+// Why an access token was refused: HTTP status and response body
+const TOKEN_FAILURES = {
+  expired: {
+    status: 401,
+    error: "Token expired",
+    message: "Please login again",
+  },
+  invalid: {
+    status: 401,
+    error: "Invalid token",
+    message: "Please provide a valid token",
+  },
+  revoked: {
+    status: 401,
+    error: "Session revoked",
+    message: "Please login again",
+  },
+  userGone: {
+    status: 401,
+    error: "Invalid token",
+    message: "User no longer exists",
+  },
+  locked: {
+    status: 423,
+    error: "Account locked",
+    message: "Account is temporarily locked due to failed login attempts",
+  },
+};
+
+/**
+ * Resolve an access token to its user, for HTTP requests and WebSocket
+ * handshakes alike
+ * @param {string} token - JWT access token
+ * @returns {Promise<object>} - { user, sessionId, expiresAt } when valid,
+ *   otherwise { failure } with one of TOKEN_FAILURES
+ */
+const verifyAccessToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    if (error.name === "TokenExpiredError") {
+      return { failure: TOKEN_FAILURES.expired };
+    }
+    if (error.name === "JsonWebTokenError") {
+      return { failure: TOKEN_FAILURES.invalid };
+    }
+    throw error;
+  }
+
+  // Purpose-bound tokens (e.g. MFA challenges) are not access tokens
+  if (decoded.purpose) {
+    return { failure: TOKEN_FAILURES.invalid };
+  }
+
+  // Every access token is bound to a session and stops working once the
+  // session is revoked. Tokens without one could never be revoked, so they
+  // are refused.
+  if (
+    !decoded.sid ||
+    !(await sessionService.isSessionActive(decoded.sid, decoded.userId))
+  ) {
+    return { failure: TOKEN_FAILURES.revoked };
+  }
+
+  // Check if user still exists
+  const user = await User.findById(decoded.userId).select("-password");
+  if (!user) {
+    return { failure: TOKEN_FAILURES.userGone };
+  }
+
+  // Check if user account is locked
+  if (user.isLocked) {
+    return { failure: TOKEN_FAILURES.locked };
+  }
+
+  return {
+    user,
+    sessionId: decoded.sid,
+    expiresAt: decoded.exp ? new Date(decoded.exp * 1000) : null,
+  };
+};
+
 // Middleware to verify JWT token
 const authenticateToken = async (req, res, next) => {
   try {
@@ -15,44 +101,20 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    // Check if user still exists
-    const user = await User.findById(decoded.userId).select("-password");
-    if (!user) {
-      return res.status(401).json({
-        error: "Invalid token",
-        message: "User no longer exists",
-      });
-    }
-
-    // Check if user account is locked
-    if (user.isLocked) {
-      return res.status(423).json({
-        error: "Account locked",
-        message: "Account is temporarily locked due to failed login attempts",
+    const { user, sessionId, failure } = await verifyAccessToken(token);
+    if (failure) {
+      return res.status(failure.status).json({
+        error: failure.error,
+        message: failure.message,
       });
     }
 
     req.user = user;
+    req.sessionId = sessionId;
     next();
   } catch (error) {
     logger.error("Authentication error:", error);
 
-    if (error.name === "TokenExpiredError") {
-      return res.status(401).json({
-        error: "Token expired",
-        message: "Please login again",
-      });
-    }
-
-    if (error.name === "JsonWebTokenError") {
-      return res.status(401).json({
-        error: "Invalid token",
-        message: "Please provide a valid token",
-      });
-    }
-
     return res.status(500).json({
       error: "Authentication failed",
       message: "Internal server error",
@@ -82,6 +144,30 @@ const requireVerified = (req, res, next) => {
   next();
 };
 
+/**
+ * Middleware to check the user's role in their organization
+ * @param {...string} roles - Organization roles allowed through
+ * @returns {Function} - Express middleware
+ */
+const requireOrganizationRole = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user.organizationId) {
+      return res.status(403).json({
+        error: "Forbidden",
+        message: "You are not a member of an organization",
+      });
+    }
+
+    if (!roles.includes(req.user.organizationRole)) {
+      return res.status(403).json({
+        error: "Forbidden",
+        message: `Organization role required: ${roles.join(" or ")}`,
+      });
+    }
+    next();
+  };
+};
+
 // Optional authentication middleware (doesn't fail if no token)
 const optionalAuth = async (req, res, next) => {
   try {
@@ -90,9 +176,16 @@ const optionalAuth = async (req, res, next) => {
 
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.userId).select("-password");
+      const sessionActive =
+        decoded.sid &&
+        (await sessionService.isSessionActive(decoded.sid, decoded.userId));
+      const user =
+        decoded.purpose || !sessionActive
+          ? null
+          : await User.findById(decoded.userId).select("-password");
       if (user && !user.isLocked) {
         req.user = user;
+        req.sessionId = decoded.sid;
       }
     }
     next();
@@ -103,8 +196,10 @@ const optionalAuth = async (req, res, next) => {
 };
 
 module.exports = {
+  verifyAccessToken,
   authenticateToken,
   requireAdmin,
   requireVerified,
+  requireOrganizationRole,
   optionalAuth,
 };
@@ -1,3 +1,4 @@
+const { validationResult } = require("express-validator");
 const logger = require("../utils/logger");
 
 // Custom error class
@@ -45,6 +46,7 @@ const sendErrorDev = (err, res) => {
     status: err.status,
     error: err,
     message: err.message,
+    errors: err.errors,
     stack: err.stack,
   });
 };
@@ -56,6 +58,7 @@ const sendErrorProd = (err, res) => {
     res.status(err.statusCode).json({
       status: err.status,
       message: err.message,
+      errors: err.errors,
     });
   } else {
     // Programming or other unknown error: don't leak error details
@@ -167,6 +170,16 @@ const catchAsync = (fn) => {
   };
 };
 
+// Throw a 400 carrying express-validator's errors when the request is invalid
+const assertValidRequest = (req) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const err = new AppError("Validation errors", 400);
+    err.errors = errors.array();
+    throw err;
+  }
+};
+
 // Handle unhandled routes
 const handleUnknownRoutes = (req, res, next) => {
   const err = new AppError(
@@ -180,5 +193,6 @@ module.exports = {
   AppError,
   globalErrorHandler,
   catchAsync,
+  assertValidRequest,
   handleUnknownRoutes,
 };
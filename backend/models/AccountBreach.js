@@ -0,0 +1,92 @@
+const mongoose = require("mongoose");
+
+// A named data breach (e.g. "Adobe") in which a user's email address appeared
+const accountBreachSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    breachName: {
+      type: String,
+      required: true, // Stable breach identifier, e.g. HIBP "Name"
+    },
+    title: {
+      type: String,
+    },
+    domain: {
+      type: String,
+    },
+    breachDate: {
+      type: Date,
+    },
+    addedDate: {
+      type: Date,
+    },
+    dataClasses: [
+      {
+        type: String,
+      },
+    ],
+    affectedAccounts: {
+      type: Number,
+      default: 0,
+    },
+    description: {
+      type: String,
+    },
+    isVerified: {
+      type: Boolean,
+      default: true,
+    },
+    severity: {
+      type: String,
+      enum: ["low", "medium", "high", "critical"],
+      default: "medium",
+    },
+    source: {
+      type: String,
+      default: "HaveIBeenPwned",
+    },
+    status: {
+      type: String,
+      enum: ["unacknowledged", "acknowledged"],
+      default: "unacknowledged",
+    },
+    acknowledgedAt: {
+      type: Date,
+    },
+    notificationSent: {
+      type: Boolean,
+      default: false,
+    },
+    notificationSentDate: {
+      type: Date,
+    },
+    firstDetected: {
+      type: Date,
+      default: Date.now,
+    },
+    lastChecked: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Indexes for efficient queries
+accountBreachSchema.index({ userId: 1, breachName: 1 }, { unique: true });
+accountBreachSchema.index({ userId: 1, status: 1 });
+accountBreachSchema.index({ breachDate: -1 });
+
+module.exports = mongoose.model("AccountBreach", accountBreachSchema);
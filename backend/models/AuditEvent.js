@@ -0,0 +1,135 @@
+const mongoose = require("mongoose");
+
+// A security-relevant event. Events are append-only: once written they can
+// be read but never updated or deleted through the model.
+const auditEventSchema = new mongoose.Schema(
+  {
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    actorEmail: {
+      type: String,
+      lowercase: true,
+      trim: true, // Kept for events without a known user, e.g. failed logins
+    },
+    action: {
+      type: String,
+      required: true,
+      enum: [
+        "auth.register",
+        "auth.login",
+        "auth.logout",
+        "auth.refresh",
+        "auth.email_verify",
+        "auth.password_change",
+        "auth.password_reset_request",
+        "auth.password_reset",
+        "user.profile_update",
+        "user.lock",
+        "user.unlock",
+        "user.role_change",
+        "user.force_password_reset",
+        "user.delete",
+        "session.revoke",
+        "session.revoke_all",
+        "session.reuse_detected",
+        "mfa.enable",
+        "mfa.disable",
+        "mfa.recovery_codes_regenerate",
+        "breach.check",
+        "breach.check_batch",
+        "breach.acknowledge",
+        "breach.action_complete",
+        "account_breach.check",
+        "account_breach.acknowledge",
+        "notification.preferences_update",
+        "notification.read",
+        "notification.read_all",
+        "notification.test",
+        "outbox.requeue",
+        "webhook.create",
+        "webhook.delete",
+        "webhook.test",
+        "webhook.rotate_secret",
+        "organization.create",
+        "organization.update",
+        "organization.delete",
+        "organization.join",
+        "organization.domain_verify",
+        "organization.member_add",
+        "organization.member_invite",
+        "organization.member_update",
+        "organization.member_remove",
+      ],
+    },
+    targetType: {
+      type: String,
+      enum: [
+        "User",
+        "Session",
+        "Breach",
+        "AccountBreach",
+        "Notification",
+        "OutboxJob",
+        "Webhook",
+        "Organization",
+      ],
+    },
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    outcome: {
+      type: String,
+      enum: ["success", "failure"],
+      default: "success",
+    },
+    reason: {
+      type: String, // Why a failed action failed, e.g. "invalid_password"
+    },
+    ipAddress: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+);
+
+// Refuse every write other than inserting a new event
+const rejectMutation = function () {
+  throw new Error("Audit events are append-only");
+};
+
+auditEventSchema.pre("save", function () {
+  if (!this.isNew) rejectMutation();
+});
+auditEventSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  { document: true, query: true },
+  rejectMutation,
+);
+auditEventSchema.pre("bulkWrite", rejectMutation);
+
+// Indexes for efficient queries
+auditEventSchema.index({ actorId: 1, createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+auditEventSchema.index({ targetType: 1, targetId: 1 });
+auditEventSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model("AuditEvent", auditEventSchema);
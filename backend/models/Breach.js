@@ -9,7 +9,11 @@ const breachSchema = new mongoose.Schema(
     },
     passwordHash: {
       type: String,
-      required: true, // SHA-1 hash of the password for privacy
+      required: true, // Peppered HMAC of the password SHA-1 (see hashUtil)
+    },
+    passwordHashVersion: {
+      type: Number,
+      default: 0, // Pepper version; 0 marks a legacy unkeyed SHA-1
     },
     breachSources: [
       {
@@ -55,6 +59,10 @@ const breachSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    digestPending: {
+      type: Boolean,
+      default: false, // Held for the user's next daily or weekly digest
+    },
     userAcknowledged: {
       type: Boolean,
       default: false,
@@ -97,7 +105,9 @@ const breachSchema = new mongoose.Schema(
 
 // Indexes for efficient queries
 breachSchema.index({ userId: 1, isActive: 1 });
+breachSchema.index({ userId: 1, digestPending: 1 });
 breachSchema.index({ passwordHash: 1 });
+breachSchema.index({ passwordHashVersion: 1 });
 breachSchema.index({ firstDetected: -1 });
 breachSchema.index({ "breachSources.dateFound": -1 });
 
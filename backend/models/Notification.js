@@ -0,0 +1,88 @@
+const mongoose = require("mongoose");
+
+// A message sent to a user on one channel. Reading a notification is
+// independent of acknowledging the breach it links to.
+const notificationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      required: true,
+      enum: [
+        "breach_alert",
+        "account_breach_alert",
+        "digest",
+        "welcome",
+        "password_reset",
+        "verification_code",
+        "account_locked",
+        "test",
+      ],
+    },
+    channel: {
+      type: String,
+      required: true,
+      enum: ["email", "sms", "chat", "push"],
+    },
+    recipient: {
+      type: String, // Email, phone, chat provider and host, or push device count
+    },
+    title: {
+      type: String,
+      required: true,
+    },
+    body: {
+      type: String,
+    },
+    severity: {
+      type: String,
+      enum: ["low", "medium", "high", "critical"],
+    },
+    breachId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Breach",
+    },
+    accountBreachIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "AccountBreach",
+      },
+    ],
+    isRead: {
+      type: Boolean,
+      default: false,
+    },
+    readAt: {
+      type: Date,
+    },
+    deliveryStatus: {
+      type: String,
+      enum: ["pending", "sent", "failed"],
+      default: "pending",
+    },
+    sentAt: {
+      type: Date,
+    },
+    providerMessageId: {
+      type: String,
+    },
+    deliveryError: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Indexes for efficient queries
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, isRead: 1 });
+notificationSchema.index({ breachId: 1 });
+notificationSchema.index({ deliveryStatus: 1 });
+
+module.exports = mongoose.model("Notification", notificationSchema);
@@ -0,0 +1,83 @@
+const mongoose = require("mongoose");
+
+// A company or team whose security staff watch breach exposure across its
+// members. Membership is stored on the user (organizationId and
+// organizationRole), so a user belongs to at most one organization.
+const organizationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    domains: [
+      {
+        type: String,
+        lowercase: true,
+        trim: true, // Verified email domains, e.g. example.com
+      },
+    ],
+    // Requested domains waiting for their DNS TXT record
+    pendingDomains: [
+      {
+        _id: false,
+        domain: {
+          type: String,
+          lowercase: true,
+          trim: true,
+        },
+        token: {
+          type: String,
+          required: true,
+        },
+        requestedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    autoJoin: {
+      type: Boolean,
+      default: true, // Users who verify an email on a verified domain join
+    },
+    // Users invited by an owner; they join once they accept
+    invitations: [
+      {
+        _id: false,
+        userId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        role: {
+          type: String,
+          enum: ["owner", "security-officer", "member"],
+          default: "member",
+        },
+        invitedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        invitedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Indexes for efficient queries
+organizationSchema.index({ domains: 1 });
+organizationSchema.index({ "invitations.userId": 1 });
+
+module.exports = mongoose.model("Organization", organizationSchema);
@@ -0,0 +1,78 @@
+const mongoose = require("mongoose");
+
+// A queued notification delivery. The worker claims pending jobs, retries
+// failures with exponential backoff and dead-letters them after maxAttempts.
+const outboxJobSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+      enum: [
+        "breach_email",
+        "breach_sms",
+        "breach_chat",
+        "breach_push",
+        "digest_email",
+        "webhook",
+      ],
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    breachId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Breach",
+    },
+    notificationId: {
+      type: mongoose.Schema.Types.ObjectId, // Reused by every attempt
+      ref: "Notification",
+    },
+    status: {
+      type: String,
+      enum: ["pending", "processing", "delivered", "dead"],
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      required: true,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedAt: {
+      type: Date,
+    },
+    lockedBy: {
+      type: String, // Worker that claimed the job
+    },
+    lastError: {
+      type: String,
+    },
+    deliveredAt: {
+      type: Date,
+    },
+    deadAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Indexes for efficient queries
+outboxJobSchema.index({ status: 1, nextAttemptAt: 1 });
+outboxJobSchema.index({ status: 1, lockedAt: 1 });
+outboxJobSchema.index({ breachId: 1 });
+
+module.exports = mongoose.model("OutboxJob", outboxJobSchema);
@@ -0,0 +1,44 @@
+const mongoose = require("mongoose");
+
+// A browser's Web Push subscription. The endpoint is issued by the browser's
+// push service and identifies one browser profile, so it belongs to whichever
+// user subscribed from it last.
+const pushSubscriptionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    endpoint: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    keys: {
+      p256dh: {
+        type: String,
+        required: true, // Browser's P-256 public key, base64url
+      },
+      auth: {
+        type: String,
+        required: true, // 16-byte authentication secret, base64url
+      },
+    },
+    userAgent: {
+      type: String,
+      maxlength: 500,
+    },
+    lastDeliveryAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Indexes for efficient queries
+pushSubscriptionSchema.index({ userId: 1 });
+
+module.exports = mongoose.model("PushSubscription", pushSubscriptionSchema);
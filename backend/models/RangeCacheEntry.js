@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+const rangeCacheEntrySchema = new mongoose.Schema(
+  {
+    prefix: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      match: [/^[0-9A-F]{5}$/, "Please enter a valid hash prefix"],
+    },
+    body: {
+      type: String,
+      default: "", // Raw "SUFFIX:COUNT" lines as returned by the provider
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Let MongoDB drop entries once they expire
+rangeCacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RangeCacheEntry", rangeCacheEntrySchema);
@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+// An event for connected dashboards. The API, the outbox worker and scripts
+// publish here; the WebSocket server tails the collection and forwards each
+// event to the open sockets it concerns. The collection is capped, so old
+// events are discarded on their own and nothing reads them after the fact.
+const realtimeEventSchema = new mongoose.Schema(
+  {
+    event: {
+      type: String,
+      required: true, // e.g. breach.detected, notification.created
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User", // User the event concerns; absent for admin-only events
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    capped: { size: 8 * 1024 * 1024, max: 20000 },
+    // Events are only useful live; never queue them while disconnected
+    bufferCommands: false,
+  },
+);
+
+module.exports = mongoose.model("RealtimeEvent", realtimeEventSchema);
@@ -0,0 +1,66 @@
+const mongoose = require("mongoose");
+
+// A login session; access tokens carry its id and the refresh token rotates
+// on every use
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true, // SHA-256 of the current refresh token secret
+    },
+    rotatedTokenHashes: [
+      {
+        type: String, // Recently replaced secrets, to detect token reuse
+      },
+    ],
+    userAgent: {
+      type: String,
+    },
+    ipAddress: {
+      type: String,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedReason: {
+      type: String,
+      enum: [
+        "logout",
+        "user",
+        "password_change",
+        "password_reset",
+        "reuse_detected",
+        "account_locked",
+        "admin",
+      ],
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Virtual for whether the session can still be used
+sessionSchema.virtual("isActive").get(function () {
+  return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+// Indexes for efficient queries
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// Let MongoDB drop sessions a day after they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model("Session", sessionSchema);
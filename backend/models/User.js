@@ -1,5 +1,7 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const { SEVERITY_LEVELS } = require("../utils/severity");
+const { TIME_OF_DAY, isValidTimeZone } = require("../utils/quietHours");
 
 const userSchema = new mongoose.Schema(
   {
@@ -58,6 +60,64 @@ const userSchema = new mongoose.Schema(
         type: Boolean,
         default: true,
       },
+      frequency: {
+        type: String,
+        enum: ["immediate", "daily", "weekly"],
+        default: "immediate", // daily and weekly hold alerts for a digest
+      },
+      minSeverity: {
+        type: String,
+        enum: SEVERITY_LEVELS,
+        default: "low", // Breaches below this are not alerted at all
+      },
+      immediateSeverity: {
+        type: String,
+        enum: SEVERITY_LEVELS,
+        default: "critical", // Sent right away even to digest subscribers
+      },
+      timeZone: {
+        type: String,
+        default: "UTC",
+        validate: {
+          validator: isValidTimeZone,
+          message: "Time zone must be an IANA name, e.g. Europe/Berlin",
+        },
+      },
+      quietHours: {
+        enabled: {
+          type: Boolean,
+          default: false,
+        },
+        start: {
+          type: String,
+          match: TIME_OF_DAY, // Local "HH:MM"
+          default: "22:00",
+        },
+        end: {
+          type: String,
+          match: TIME_OF_DAY,
+          default: "07:00",
+        },
+        allowCritical: {
+          type: Boolean,
+          default: true, // Critical alerts are still delivered during the window
+        },
+      },
+      chat: {
+        enabled: {
+          type: Boolean,
+          default: false,
+        },
+        provider: {
+          type: String,
+          enum: ["slack", "teams"],
+          default: "slack",
+        },
+        webhookUrl: {
+          type: String,
+          trim: true, // Slack or Teams incoming webhook URL
+        },
+      },
     },
     mfaEnabled: {
       type: Boolean,
@@ -65,6 +125,19 @@ const userSchema = new mongoose.Schema(
     },
     mfaSecret: {
       type: String,
+      select: false, // Base32 TOTP secret
+    },
+    mfaPendingSecret: {
+      type: String,
+      select: false, // Secret awaiting a first code during enrollment
+    },
+    mfaRecoveryCodes: {
+      type: [String],
+      select: false, // SHA-256 hashes of unused recovery codes
+    },
+    mfaLastUsedStep: {
+      type: Number,
+      select: false, // Last accepted TOTP time step, to block replays
     },
     lastLoginAt: {
       type: Date,
@@ -81,12 +154,25 @@ const userSchema = new mongoose.Schema(
       enum: ["user", "admin"],
       default: "user",
     },
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+    },
+    organizationRole: {
+      type: String,
+      // Owners manage the organization; security officers see every
+      // member's breaches; members see only their own
+      enum: ["owner", "security-officer", "member"],
+    },
   },
   {
     timestamps: true,
   },
 );
 
+// Indexes for efficient queries
+userSchema.index({ organizationId: 1, organizationRole: 1 });
+
 // Virtual for account lock status
 userSchema.virtual("isLocked").get(function () {
   return !!(this.lockUntil && this.lockUntil > Date.now());
@@ -0,0 +1,78 @@
+const mongoose = require("mongoose");
+
+// Breach events a webhook can subscribe to
+const WEBHOOK_EVENTS = [
+  "breach.detected",
+  "breach.acknowledged",
+  "action.completed",
+];
+
+// An HTTPS endpoint that receives signed breach events. User webhooks get
+// their owner's events; organization webhooks, managed by the organization's
+// owners and security officers, get the events of its members.
+const webhookSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true, // Owner; the member who created an organization webhook
+    },
+    scope: {
+      type: String,
+      enum: ["user", "organization"],
+      default: "user",
+    },
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: function () {
+        return this.scope === "organization";
+      },
+    },
+    url: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
+    secret: {
+      type: String,
+      required: true,
+      select: false, // Signing key, shown once on creation and rotation
+    },
+    events: {
+      type: [{ type: String, enum: WEBHOOK_EVENTS }],
+      validate: {
+        validator: (events) => events.length > 0,
+        message: "Subscribe to at least one event",
+      },
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    secretRotatedAt: {
+      type: Date,
+    },
+    lastDeliveryAt: {
+      type: Date,
+    },
+    lastDeliveryStatus: {
+      type: String,
+      enum: ["delivered", "failed"],
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Indexes for efficient queries
+webhookSchema.index({ userId: 1, isActive: 1 });
+webhookSchema.index({ organizationId: 1, isActive: 1, events: 1 });
+
+module.exports = mongoose.model("Webhook", webhookSchema);
@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+
+// One attempt to deliver an event to a webhook: the delivery log
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    webhookId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Webhook",
+      required: true,
+    },
+    eventId: {
+      type: String,
+      required: true, // Same for every attempt of an event; sent as a header
+    },
+    event: {
+      type: String,
+      required: true,
+    },
+    attempt: {
+      type: Number,
+      default: 1,
+    },
+    status: {
+      type: String,
+      enum: ["delivered", "failed"],
+      required: true,
+    },
+    responseStatus: {
+      type: Number,
+    },
+    error: {
+      type: String,
+    },
+    durationMs: {
+      type: Number,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+);
+
+// Indexes for efficient queries
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ eventId: 1 });
+
+module.exports = mongoose.model("WebhookDelivery", webhookDeliverySchema);
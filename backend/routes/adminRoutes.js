@@ -0,0 +1,119 @@
+const express = require("express");
+const { body, query } = require("express-validator");
+const adminController = require("../controllers/adminController");
+const OutboxJob = require("../models/OutboxJob");
+const User = require("../models/User");
+const OutboxService = require("../services/outboxService");
+const UserAdminService = require("../services/userAdminService");
+const {
+  authenticateToken,
+  requireAdmin,
+} = require("../middlewares/authMiddleware");
+
+const router = express.Router();
+
+const ROLES = User.schema.path("role").enumValues;
+
+// Validation rules
+const outboxListValidation = [
+  query("status")
+    .optional()
+    .isIn(OutboxJob.schema.path("status").enumValues)
+    .withMessage("Invalid outbox job status"),
+
+  query("type")
+    .optional()
+    .isIn(OutboxJob.schema.path("type").enumValues)
+    .withMessage("Invalid outbox job type"),
+
+  query("userId").optional().isMongoId().withMessage("Invalid user ID"),
+
+  query("breachId").optional().isMongoId().withMessage("Invalid breach ID"),
+
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: OutboxService.MAX_PAGE_SIZE })
+    .withMessage(
+      `Limit must be an integer between 1 and ${OutboxService.MAX_PAGE_SIZE}`,
+    ),
+];
+
+const userListValidation = [
+  query("search")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Search must be at most 100 characters"),
+
+  query(["verified", "locked"])
+    .optional()
+    .isBoolean()
+    .withMessage("Verified and locked filters must be true or false"),
+
+  query("role").optional().isIn(ROLES).withMessage("Invalid role"),
+
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: UserAdminService.MAX_PAGE_SIZE })
+    .withMessage(
+      `Limit must be an integer between 1 and ${UserAdminService.MAX_PAGE_SIZE}`,
+    ),
+];
+
+const lockUserValidation = [
+  body("until")
+    .optional()
+    .isISO8601()
+    .withMessage("Lock end must be an ISO 8601 date")
+    .bail()
+    .custom((value) => new Date(value) > new Date())
+    .withMessage("Lock end must be in the future"),
+
+  body("reason")
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage("Reason must be at most 500 characters"),
+];
+
+const updateRoleValidation = [
+  body("role")
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(", ")}`),
+];
+
+// All admin routes require an authenticated admin
+router.use(authenticateToken, requireAdmin);
+
+// Notification outbox
+router.get("/outbox", outboxListValidation, adminController.getOutboxJobs);
+router.get("/outbox/:jobId", adminController.getOutboxJob);
+router.post("/outbox/:jobId/requeue", adminController.requeueOutboxJob);
+
+// Users
+router.get("/users", userListValidation, adminController.getUsers);
+router.get("/users/:userId", adminController.getUser);
+router.delete("/users/:userId", adminController.deleteUser);
+router.put("/users/:userId/lock", lockUserValidation, adminController.lockUser);
+router.put("/users/:userId/unlock", adminController.unlockUser);
+router.put(
+  "/users/:userId/role",
+  updateRoleValidation,
+  adminController.updateUserRole,
+);
+router.post(
+  "/users/:userId/force-password-reset",
+  adminController.forcePasswordReset,
+);
+
+module.exports = router;
@@ -0,0 +1,85 @@
+const express = require("express");
+const { query } = require("express-validator");
+const auditController = require("../controllers/auditController");
+const AuditEvent = require("../models/AuditEvent");
+const AuditService = require("../services/auditService");
+const {
+  authenticateToken,
+  requireAdmin,
+} = require("../middlewares/authMiddleware");
+
+const router = express.Router();
+
+const AUDIT_ACTIONS = AuditEvent.schema.path("action").enumValues;
+
+// Validation rules
+const activityValidation = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: AuditService.MAX_PAGE_SIZE })
+    .withMessage(
+      `Limit must be an integer between 1 and ${AuditService.MAX_PAGE_SIZE}`,
+    ),
+
+  query("action")
+    .optional()
+    .custom((value) =>
+      String(value)
+        .split(",")
+        .every((action) => AUDIT_ACTIONS.includes(action)),
+    )
+    .withMessage("Invalid audit action"),
+
+  query("outcome")
+    .optional()
+    .isIn(["success", "failure"])
+    .withMessage("Outcome must be either success or failure"),
+
+  query("dateFrom")
+    .optional()
+    .isISO8601()
+    .withMessage("Invalid date format for dateFrom"),
+
+  query("dateTo")
+    .optional()
+    .isISO8601()
+    .withMessage("Invalid date format for dateTo"),
+];
+
+const auditSearchValidation = [
+  ...activityValidation,
+
+  query("userId").optional().isMongoId().withMessage("Invalid user ID"),
+
+  query("targetType")
+    .optional()
+    .isIn(AuditEvent.schema.path("targetType").enumValues)
+    .withMessage("Invalid target type"),
+
+  query("targetId").optional().isMongoId().withMessage("Invalid target ID"),
+
+  query("ipAddress")
+    .optional()
+    .isIP()
+    .withMessage("IP address must be a valid IPv4 or IPv6 address"),
+];
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+router.get("/me", activityValidation, auditController.getMyActivity);
+
+// Admin routes
+router.get(
+  "/events",
+  requireAdmin,
+  auditSearchValidation,
+  auditController.getAuditEvents,
+);
+
+module.exports = router;
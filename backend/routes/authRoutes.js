@@ -1,12 +1,37 @@
 const express = require("express");
 const { body } = require("express-validator");
 const authController = require("../controllers/authController");
+const mfaController = require("../controllers/mfaController");
+const User = require("../models/User");
+const PasswordPolicyService = require("../services/passwordPolicyService");
+const { SEVERITY_LEVELS } = require("../utils/severity");
+const { TIME_OF_DAY, isValidTimeZone } = require("../utils/quietHours");
+const { assertPublicUrl } = require("../utils/networkUtil");
 const {
   authenticateToken,
   requireVerified,
 } = require("../middlewares/authMiddleware");
 
 const router = express.Router();
+const passwordPolicyService = new PasswordPolicyService();
+
+const CHAT_PROVIDERS = User.schema.path(
+  "notificationPreferences.chat.provider",
+).enumValues;
+
+/**
+ * Validator applying the breached-password policy. The outcome is kept on
+ * req.passwordPolicy so controllers can return any warning.
+ */
+const checkBreachedPassword = async (value, { req, path }) => {
+  const result = await passwordPolicyService.evaluate(value);
+  req.passwordPolicy = { ...result, path };
+
+  if (!result.allowed) {
+    throw new Error(result.message);
+  }
+  return true;
+};
 
 // Validation rules
 const registerValidation = [
@@ -28,7 +53,9 @@ const registerValidation = [
     .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
     .withMessage(
       "Password must contain at least one lowercase letter, one uppercase letter, one number, and one special character",
-    ),
+    )
+    .bail()
+    .custom(checkBreachedPassword),
 
   body("phone")
     .optional()
@@ -45,6 +72,29 @@ const loginValidation = [
   body("password").notEmpty().withMessage("Password is required"),
 ];
 
+const mfaCodeValidation = [
+  body("code")
+    .trim()
+    .notEmpty()
+    .withMessage("MFA code is required")
+    .isLength({ max: 32 })
+    .withMessage("MFA code is too long"),
+];
+
+const mfaLoginValidation = [
+  body("mfaToken").notEmpty().withMessage("MFA token is required"),
+  ...mfaCodeValidation,
+];
+
+const disableMfaValidation = [
+  body("password").notEmpty().withMessage("Password is required"),
+  ...mfaCodeValidation,
+];
+
+const refreshTokenValidation = [
+  body("refreshToken").notEmpty().withMessage("Refresh token is required"),
+];
+
 const forgotPasswordValidation = [
   body("email")
     .isEmail()
@@ -75,7 +125,9 @@ const changePasswordValidation = [
     .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
     .withMessage(
       "Password must contain at least one lowercase letter, one uppercase letter, one number, and one special character",
-    ),
+    )
+    .bail()
+    .custom(checkBreachedPassword),
 ];
 
 const updateProfileValidation = [
@@ -106,11 +158,73 @@ const updateProfileValidation = [
     .optional()
     .isBoolean()
     .withMessage("Push preference must be a boolean"),
+
+  body("notificationPreferences.frequency")
+    .optional()
+    .isIn(["immediate", "daily", "weekly"])
+    .withMessage("Frequency must be immediate, daily or weekly"),
+
+  body("notificationPreferences.minSeverity")
+    .optional()
+    .isIn(SEVERITY_LEVELS)
+    .withMessage(
+      `Minimum severity must be one of: ${SEVERITY_LEVELS.join(", ")}`,
+    ),
+
+  body("notificationPreferences.immediateSeverity")
+    .optional()
+    .isIn(SEVERITY_LEVELS)
+    .withMessage(
+      `Immediate severity must be one of: ${SEVERITY_LEVELS.join(", ")}`,
+    ),
+
+  body("notificationPreferences.timeZone")
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage("Time zone must be an IANA name, e.g. Europe/Berlin"),
+
+  body("notificationPreferences.quietHours.enabled")
+    .optional()
+    .isBoolean()
+    .withMessage("Quiet hours enabled must be a boolean"),
+
+  body([
+    "notificationPreferences.quietHours.start",
+    "notificationPreferences.quietHours.end",
+  ])
+    .optional()
+    .matches(TIME_OF_DAY)
+    .withMessage("Quiet hours must be given as HH:MM"),
+
+  body("notificationPreferences.quietHours.allowCritical")
+    .optional()
+    .isBoolean()
+    .withMessage("Quiet hours critical bypass must be a boolean"),
+
+  body("notificationPreferences.chat.enabled")
+    .optional()
+    .isBoolean()
+    .withMessage("Chat enabled must be a boolean"),
+
+  body("notificationPreferences.chat.provider")
+    .optional()
+    .isIn(CHAT_PROVIDERS)
+    .withMessage(`Chat provider must be one of: ${CHAT_PROVIDERS.join(", ")}`),
+
+  body("notificationPreferences.chat.webhookUrl")
+    .optional()
+    .isURL({ protocols: ["https"], require_protocol: true })
+    .withMessage("Chat webhook URL must be a valid https URL")
+    .bail()
+    .custom(assertPublicUrl)
+    .withMessage("Chat webhook URL must point to a public host"),
 ];
 
 // Public routes
 router.post("/register", registerValidation, authController.register);
 router.post("/login", loginValidation, authController.login);
+router.post("/login/mfa", mfaLoginValidation, authController.verifyMfaLogin);
+router.post("/refresh", refreshTokenValidation, authController.refreshToken);
 router.get("/verify-email", authController.verifyEmail);
 router.post(
   "/forgot-password",
@@ -135,4 +249,20 @@ router.post(
 );
 router.post("/logout", authController.logout);
 
+// Sessions
+router.get("/sessions", authController.getSessions);
+router.delete("/sessions", authController.revokeOtherSessions);
+router.delete("/sessions/:sessionId", authController.revokeSession);
+
+// MFA management
+router.get("/mfa", mfaController.getMfaStatus);
+router.post("/mfa/setup", mfaController.setupMfa);
+router.post("/mfa/enable", mfaCodeValidation, mfaController.enableMfa);
+router.post("/mfa/disable", disableMfaValidation, mfaController.disableMfa);
+router.post(
+  "/mfa/recovery-codes",
+  mfaCodeValidation,
+  mfaController.regenerateRecoveryCodes,
+);
+
 module.exports = router;
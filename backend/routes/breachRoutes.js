@@ -10,12 +10,78 @@ const {
 const router = express.Router();
 
 // Validation rules
+// Exactly one of a plaintext password, a full SHA-1 hash or a 5-character
+// hash prefix (for client-side matching) must be sent
 const checkPasswordValidation = [
   body("password")
+    .optional()
     .notEmpty()
     .withMessage("Password is required")
     .isLength({ min: 1 })
     .withMessage("Password cannot be empty"),
+
+  body("hash")
+    .optional()
+    .matches(/^[0-9a-fA-F]{40}$/)
+    .withMessage("Hash must be a 40-character SHA-1 hex string"),
+
+  body("prefix")
+    .optional()
+    .matches(/^[0-9a-fA-F]{5}$/)
+    .withMessage("Prefix must be the first 5 hex characters of a SHA-1 hash"),
+
+  body().custom((value) => {
+    const provided = ["password", "hash", "prefix"].filter(
+      (field) => value && value[field] !== undefined,
+    );
+
+    if (provided.length === 0) {
+      throw new Error("Password is required");
+    }
+    if (provided.length > 1) {
+      throw new Error("Send only one of password, hash or prefix");
+    }
+    return true;
+  }),
+];
+
+// Largest number of passwords plus hashes accepted by one batch check
+const BATCH_MAX = parseInt(process.env.BREACH_BATCH_MAX) || 500;
+
+const checkBatchValidation = [
+  body("passwords")
+    .optional()
+    .isArray({ max: BATCH_MAX })
+    .withMessage(`Passwords must be an array of at most ${BATCH_MAX} items`),
+
+  body("passwords.*")
+    .isString()
+    .withMessage("Each password must be a string")
+    .isLength({ min: 1 })
+    .withMessage("Passwords cannot be empty"),
+
+  body("hashes")
+    .optional()
+    .isArray({ max: BATCH_MAX })
+    .withMessage(`Hashes must be an array of at most ${BATCH_MAX} items`),
+
+  body("hashes.*")
+    .matches(/^[0-9a-fA-F]{40}$/)
+    .withMessage("Each hash must be a 40-character SHA-1 hex string"),
+
+  body().custom((value) => {
+    const total =
+      ((value && value.passwords) || []).length +
+      ((value && value.hashes) || []).length;
+
+    if (total === 0) {
+      throw new Error("Provide at least one password or hash");
+    }
+    if (total > BATCH_MAX) {
+      throw new Error(`A batch can check at most ${BATCH_MAX} items`);
+    }
+    return true;
+  }),
 ];
 
 const markActionValidation = [
@@ -62,6 +128,13 @@ const searchValidation = [
     .withMessage("Source cannot be empty"),
 ];
 
+const accountBreachValidation = [
+  query("status")
+    .optional()
+    .isIn(["unacknowledged", "acknowledged"])
+    .withMessage("Invalid account breach status"),
+];
+
 // Apply authentication to all routes
 router.use(authenticateToken);
 
@@ -72,7 +145,29 @@ router.post(
   checkPasswordValidation,
   breachController.checkPasswordBreach,
 );
+router.post(
+  "/check/batch",
+  requireVerified,
+  checkBatchValidation,
+  breachController.checkPasswordBatch,
+);
 router.get("/history", requireVerified, breachController.getBreachHistory);
+router.post(
+  "/account/check",
+  requireVerified,
+  breachController.checkAccountExposure,
+);
+router.get(
+  "/account",
+  requireVerified,
+  accountBreachValidation,
+  breachController.getAccountBreaches,
+);
+router.put(
+  "/account/:accountBreachId/acknowledge",
+  requireVerified,
+  breachController.acknowledgeAccountBreach,
+);
 router.get(
   "/search",
   requireVerified,
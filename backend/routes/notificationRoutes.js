@@ -1,6 +1,12 @@
 const express = require("express");
-const { body } = require("express-validator");
+const { body, query } = require("express-validator");
 const notificationController = require("../controllers/notificationController");
+const Notification = require("../models/Notification");
+const User = require("../models/User");
+const NotificationService = require("../services/notificationService");
+const { SEVERITY_LEVELS } = require("../utils/severity");
+const { TIME_OF_DAY, isValidTimeZone } = require("../utils/quietHours");
+const { assertPublicUrl } = require("../utils/networkUtil");
 const {
   authenticateToken,
   requireVerified,
@@ -8,6 +14,10 @@ const {
 
 const router = express.Router();
 
+const CHAT_PROVIDERS = User.schema.path(
+  "notificationPreferences.chat.provider",
+).enumValues;
+
 // Validation rules
 const updatePreferencesValidation = [
   body("email")
@@ -24,12 +34,137 @@ const updatePreferencesValidation = [
     .optional()
     .isBoolean()
     .withMessage("Push preference must be a boolean"),
+
+  body("frequency")
+    .optional()
+    .isIn(["immediate", "daily", "weekly"])
+    .withMessage("Frequency must be immediate, daily or weekly"),
+
+  body("minSeverity")
+    .optional()
+    .isIn(SEVERITY_LEVELS)
+    .withMessage(
+      `Minimum severity must be one of: ${SEVERITY_LEVELS.join(", ")}`,
+    ),
+
+  body("immediateSeverity")
+    .optional()
+    .isIn(SEVERITY_LEVELS)
+    .withMessage(
+      `Immediate severity must be one of: ${SEVERITY_LEVELS.join(", ")}`,
+    ),
+
+  body("timeZone")
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage("Time zone must be an IANA name, e.g. Europe/Berlin"),
+
+  body("quietHours.enabled")
+    .optional()
+    .isBoolean()
+    .withMessage("Quiet hours enabled must be a boolean"),
+
+  body(["quietHours.start", "quietHours.end"])
+    .optional()
+    .matches(TIME_OF_DAY)
+    .withMessage("Quiet hours must be given as HH:MM"),
+
+  body("quietHours.allowCritical")
+    .optional()
+    .isBoolean()
+    .withMessage("Quiet hours critical bypass must be a boolean"),
+
+  body("chat.enabled")
+    .optional()
+    .isBoolean()
+    .withMessage("Chat enabled must be a boolean"),
+
+  body("chat.provider")
+    .optional()
+    .isIn(CHAT_PROVIDERS)
+    .withMessage(`Chat provider must be one of: ${CHAT_PROVIDERS.join(", ")}`),
+
+  body("chat.webhookUrl")
+    .optional()
+    .isURL({ protocols: ["https"], require_protocol: true })
+    .withMessage("Chat webhook URL must be a valid https URL")
+    .bail()
+    .custom(assertPublicUrl)
+    .withMessage("Chat webhook URL must point to a public host"),
+];
+
+const paginationValidation = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: NotificationService.MAX_PAGE_SIZE })
+    .withMessage(
+      `Limit must be an integer between 1 and ${NotificationService.MAX_PAGE_SIZE}`,
+    ),
+
+  query("channel")
+    .optional()
+    .isIn(Notification.schema.path("channel").enumValues)
+    .withMessage("Invalid notification channel"),
+];
+
+const listNotificationsValidation = [
+  ...paginationValidation,
+
+  query("unread")
+    .optional()
+    .isBoolean()
+    .withMessage("Unread must be a boolean"),
+
+  query("type")
+    .optional()
+    .isIn(Notification.schema.path("type").enumValues)
+    .withMessage("Invalid notification type"),
+];
+
+const historyValidation = [
+  ...paginationValidation,
+
+  query("deliveryStatus")
+    .optional()
+    .isIn(Notification.schema.path("deliveryStatus").enumValues)
+    .withMessage("Invalid delivery status"),
 ];
 
 const testNotificationValidation = [
   body("type")
-    .isIn(["email", "sms"])
-    .withMessage('Notification type must be either "email" or "sms"'),
+    .isIn(["email", "sms", "chat", "push"])
+    .withMessage('Notification type must be "email", "sms", "chat" or "push"'),
+];
+
+const pushEndpoint = () =>
+  body("endpoint")
+    .isURL({ protocols: ["https"], require_protocol: true })
+    .withMessage("Endpoint must be a valid https URL");
+
+const pushEndpointValidation = [pushEndpoint()];
+
+const pushSubscriptionValidation = [
+  // Messages are sent to the endpoint, so it must be on a public host
+  pushEndpoint()
+    .bail()
+    .custom(assertPublicUrl)
+    .withMessage("Endpoint must point to a public host"),
+
+  // Unpadded base64url of a 65-byte P-256 public key and a 16-byte secret
+  body("keys.p256dh")
+    .isBase64({ urlSafe: true })
+    .isLength({ min: 87, max: 87 })
+    .withMessage("keys.p256dh must be a base64url P-256 public key"),
+
+  body("keys.auth")
+    .isBase64({ urlSafe: true })
+    .isLength({ min: 22, max: 22 })
+    .withMessage("keys.auth must be a base64url 16-byte secret"),
 ];
 
 // Apply authentication to all routes
@@ -44,7 +179,12 @@ router.put(
 );
 
 // Notification management routes
-router.get("/", requireVerified, notificationController.getNotifications);
+router.get(
+  "/",
+  requireVerified,
+  listNotificationsValidation,
+  notificationController.getNotifications,
+);
 router.get(
   "/stats",
   requireVerified,
@@ -53,6 +193,7 @@ router.get(
 router.get(
   "/history",
   requireVerified,
+  historyValidation,
   notificationController.getNotificationHistory,
 );
 router.put(
@@ -66,6 +207,21 @@ router.put(
   notificationController.markNotificationAsRead,
 );
 
+// Web push subscription routes
+router.get("/push/public-key", notificationController.getPushPublicKey);
+router.post(
+  "/push/subscriptions",
+  requireVerified,
+  pushSubscriptionValidation,
+  notificationController.subscribePush,
+);
+router.delete(
+  "/push/subscriptions",
+  requireVerified,
+  pushEndpointValidation,
+  notificationController.unsubscribePush,
+);
+
 // Testing route (for development)
 router.post(
   "/test",
@@ -0,0 +1,200 @@
+const express = require("express");
+const { body, param, query } = require("express-validator");
+const organizationController = require("../controllers/organizationController");
+const User = require("../models/User");
+const OrganizationService = require("../services/organizationService");
+const {
+  authenticateToken,
+  requireVerified,
+  requireOrganizationRole,
+} = require("../middlewares/authMiddleware");
+
+const router = express.Router();
+
+const ORGANIZATION_ROLES = User.schema.path("organizationRole").enumValues;
+
+// Validation rules
+const domainsValidation = [
+  body("domains")
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage("Domains must be an array of at most 20 domains"),
+
+  body("domains.*")
+    .isFQDN()
+    .withMessage("Each domain must be a valid domain name, e.g. example.com"),
+
+  body("autoJoin")
+    .optional()
+    .isBoolean()
+    .withMessage("Auto-join must be a boolean"),
+];
+
+const createOrganizationValidation = [
+  body("name")
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Name must be between 1 and 100 characters"),
+
+  ...domainsValidation,
+];
+
+const updateOrganizationValidation = [
+  body("name")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Name must be between 1 and 100 characters"),
+
+  ...domainsValidation,
+];
+
+const paginationValidation = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: OrganizationService.MAX_PAGE_SIZE })
+    .withMessage(
+      `Limit must be an integer between 1 and ${OrganizationService.MAX_PAGE_SIZE}`,
+    ),
+];
+
+const memberListValidation = [
+  query("role")
+    .optional()
+    .isIn(ORGANIZATION_ROLES)
+    .withMessage("Invalid organization role"),
+
+  ...paginationValidation,
+];
+
+const joinValidation = [
+  body("organizationId").isMongoId().withMessage("Invalid organization ID"),
+];
+
+const domainValidation = [
+  param("domain")
+    .isFQDN()
+    .withMessage("Domain must be a valid domain name, e.g. example.com"),
+];
+
+const inviteMemberValidation = [
+  body("email")
+    .isEmail()
+    .normalizeEmail()
+    .withMessage("Please provide a valid email"),
+
+  body("role")
+    .optional()
+    .isIn(ORGANIZATION_ROLES)
+    .withMessage(`Role must be one of: ${ORGANIZATION_ROLES.join(", ")}`),
+];
+
+const updateMemberValidation = [
+  body("role")
+    .isIn(ORGANIZATION_ROLES)
+    .withMessage(`Role must be one of: ${ORGANIZATION_ROLES.join(", ")}`),
+];
+
+const breachListValidation = [
+  query("userId").optional().isMongoId().withMessage("Invalid user ID"),
+
+  query("riskLevel")
+    .optional()
+    .isIn(["low", "medium", "high", "critical"])
+    .withMessage("Invalid risk level"),
+
+  query("acknowledged")
+    .optional()
+    .isBoolean()
+    .withMessage("Acknowledged must be a boolean"),
+
+  query("active")
+    .optional()
+    .isBoolean()
+    .withMessage("Active must be a boolean"),
+
+  ...paginationValidation,
+];
+
+// Organization members see the organization itself; its breach data is for
+// owners and security officers, and managing it is for owners
+const requireMember = requireOrganizationRole(...ORGANIZATION_ROLES);
+const requireSecurityStaff = requireOrganizationRole(
+  "owner",
+  "security-officer",
+);
+const requireOwner = requireOrganizationRole("owner");
+
+router.use(authenticateToken);
+
+// Organization
+router.post(
+  "/",
+  requireVerified,
+  createOrganizationValidation,
+  organizationController.createOrganization,
+);
+router.get("/", requireMember, organizationController.getOrganization);
+router.put(
+  "/",
+  requireOwner,
+  updateOrganizationValidation,
+  organizationController.updateOrganization,
+);
+router.delete("/", requireOwner, organizationController.deleteOrganization);
+router.post(
+  "/domains/:domain/verify",
+  requireOwner,
+  domainValidation,
+  organizationController.verifyDomain,
+);
+
+// Joining, for users not in an organization yet
+router.get("/joinable", requireVerified, organizationController.getJoinable);
+router.post(
+  "/join",
+  requireVerified,
+  joinValidation,
+  organizationController.joinOrganization,
+);
+
+// Members
+router.get(
+  "/members",
+  requireSecurityStaff,
+  memberListValidation,
+  organizationController.getMembers,
+);
+router.post(
+  "/members",
+  requireOwner,
+  inviteMemberValidation,
+  organizationController.inviteMember,
+);
+router.put(
+  "/members/:userId",
+  requireOwner,
+  updateMemberValidation,
+  organizationController.updateMember,
+);
+router.delete(
+  "/members/:userId",
+  requireMember,
+  organizationController.removeMember,
+);
+
+// Breach data across members
+router.get("/stats", requireSecurityStaff, organizationController.getStats);
+router.get(
+  "/breaches",
+  requireSecurityStaff,
+  breachListValidation,
+  organizationController.getBreaches,
+);
+
+module.exports = router;
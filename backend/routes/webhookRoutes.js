@@ -0,0 +1,86 @@
+const express = require("express");
+const { body, query } = require("express-validator");
+const webhookController = require("../controllers/webhookController");
+const WebhookDelivery = require("../models/WebhookDelivery");
+const WebhookService = require("../services/webhookService");
+const { assertPublicUrl } = require("../utils/networkUtil");
+const {
+  authenticateToken,
+  requireVerified,
+} = require("../middlewares/authMiddleware");
+
+const router = express.Router();
+
+// Plain HTTP endpoints are only accepted when explicitly allowed, e.g. for
+// testing; they must still be on public hosts
+const URL_PROTOCOLS =
+  process.env.WEBHOOK_ALLOW_HTTP === "true" ? ["http", "https"] : ["https"];
+
+// Validation rules
+const createWebhookValidation = [
+  body("url")
+    .isURL({
+      protocols: URL_PROTOCOLS,
+      require_protocol: true,
+      require_tld: process.env.WEBHOOK_ALLOW_HTTP !== "true",
+    })
+    .withMessage(`URL must be a valid ${URL_PROTOCOLS.join(" or ")} URL`)
+    .bail()
+    .custom(assertPublicUrl)
+    .withMessage("URL must point to a public host"),
+
+  body("events")
+    .isArray({ min: 1 })
+    .withMessage("Subscribe to at least one event"),
+
+  body("events.*")
+    .isIn(WebhookService.EVENTS)
+    .withMessage(`Events must be among: ${WebhookService.EVENTS.join(", ")}`),
+
+  body("description")
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage("Description must be at most 200 characters"),
+
+  body("scope")
+    .optional()
+    .isIn(["user", "organization"])
+    .withMessage("Scope must be user or organization"),
+];
+
+const deliveriesValidation = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: WebhookService.MAX_PAGE_SIZE })
+    .withMessage(
+      `Limit must be an integer between 1 and ${WebhookService.MAX_PAGE_SIZE}`,
+    ),
+
+  query("status")
+    .optional()
+    .isIn(WebhookDelivery.schema.path("status").enumValues)
+    .withMessage("Invalid delivery status"),
+];
+
+// All webhook routes require a verified account
+router.use(authenticateToken, requireVerified);
+
+router.get("/", webhookController.getWebhooks);
+router.post("/", createWebhookValidation, webhookController.createWebhook);
+router.get("/:webhookId", webhookController.getWebhook);
+router.delete("/:webhookId", webhookController.deleteWebhook);
+router.post("/:webhookId/test", webhookController.testWebhook);
+router.post("/:webhookId/rotate-secret", webhookController.rotateWebhookSecret);
+router.get(
+  "/:webhookId/deliveries",
+  deliveriesValidation,
+  webhookController.getWebhookDeliveries,
+);
+
+module.exports = router;
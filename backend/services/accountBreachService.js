@@ -0,0 +1,197 @@
+const fs = require("fs");
+const axios = require("axios");
+const logger = require("../utils/logger");
+
+// Data classes that make an exposure more serious than a leaked email alone
+const CRITICAL_DATA_CLASSES = [
+  "Bank account numbers",
+  "Credit cards",
+  "Credit card CVV",
+  "Government issued IDs",
+  "Passport numbers",
+  "Social security numbers",
+];
+const HIGH_DATA_CLASSES = [
+  "Passwords",
+  "Password hints",
+  "Security questions and answers",
+  "Auth tokens",
+];
+const MEDIUM_DATA_CLASSES = [
+  "Phone numbers",
+  "Physical addresses",
+  "Dates of birth",
+  "IP addresses",
+];
+
+class AccountBreachService {
+  /**
+   * @param {object} options - Service options
+   * @param {string} [options.source] - "api" (HIBP breachedaccount) or
+   *   "local" (JSON breach catalog); defaults to ACCOUNT_BREACH_SOURCE
+   * @param {string} [options.catalogPath] - Local catalog path
+   */
+  constructor(options = {}) {
+    this.source = options.source || process.env.ACCOUNT_BREACH_SOURCE || "api";
+    this.apiUrl =
+      options.apiUrl ||
+      process.env.HIBP_API_URL ||
+      "https://haveibeenpwned.com/api/v3/";
+    this.apiKey = options.apiKey || process.env.HIBP_API_KEY;
+    this.catalogPath =
+      options.catalogPath || process.env.ACCOUNT_BREACH_CATALOG_PATH;
+    this.catalog = null;
+  }
+
+  /**
+   * Get the breaches an email address appeared in
+   * @param {string} email - Account email address
+   * @returns {Promise<Array<object>>} - HIBP-format breach objects
+   */
+  async getBreachesForAccount(email) {
+    try {
+      if (this.source === "local") {
+        return await this.getBreachesFromCatalog(email);
+      }
+
+      return await this.getBreachesFromApi(email);
+    } catch (error) {
+      logger.error("Error checking account exposure:", error);
+      throw new Error("Failed to check account exposure");
+    }
+  }
+
+  /**
+   * Query a HIBP-compatible breachedaccount endpoint
+   * @param {string} email - Account email address
+   * @returns {Promise<Array<object>>} - Breach objects
+   */
+  async getBreachesFromApi(email) {
+    if (!this.apiKey) {
+      throw new Error("HIBP_API_KEY is required for account breach lookups");
+    }
+
+    try {
+      const response = await axios.get(
+        `${this.apiUrl}breachedaccount/${encodeURIComponent(email)}`,
+        {
+          params: { truncateResponse: false },
+          timeout: 10000,
+          headers: {
+            "hibp-api-key": this.apiKey,
+            "User-Agent": "Password-Breach-Notification-System",
+          },
+        },
+      );
+
+      return response.data || [];
+    } catch (error) {
+      // The API answers 404 when the account is not in any breach
+      if (error.response && error.response.status === 404) {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Look an account up in the local breach catalog. The catalog is JSON of
+   * the form { "breaches": [<HIBP breach>], "accounts": { email: [Name] } }
+   * @param {string} email - Account email address
+   * @returns {Promise<Array<object>>} - Breach objects
+   */
+  async getBreachesFromCatalog(email) {
+    if (!this.catalog) {
+      if (!this.catalogPath) {
+        throw new Error("ACCOUNT_BREACH_CATALOG_PATH is not configured");
+      }
+
+      const body = await fs.promises.readFile(this.catalogPath, "utf8");
+      this.catalog = JSON.parse(body);
+    }
+
+    const names = (this.catalog.accounts || {})[email.toLowerCase()] || [];
+
+    return (this.catalog.breaches || []).filter((breach) =>
+      names.includes(breach.Name),
+    );
+  }
+
+  /**
+   * Calculate severity from the kinds of data exposed
+   * @param {Array<string>} dataClasses - Exposed data classes
+   * @returns {string} - Severity level
+   */
+  calculateSeverity(dataClasses = []) {
+    const includesAny = (classes) =>
+      dataClasses.some((dataClass) => classes.includes(dataClass));
+
+    if (includesAny(CRITICAL_DATA_CLASSES)) return "critical";
+    if (includesAny(HIGH_DATA_CLASSES)) return "high";
+    if (includesAny(MEDIUM_DATA_CLASSES)) return "medium";
+    return "low";
+  }
+
+  /**
+   * Map a HIBP breach object onto AccountBreach fields
+   * @param {object} breach - HIBP-format breach
+   * @returns {object} - AccountBreach fields
+   */
+  normalizeBreach(breach) {
+    const dataClasses = breach.DataClasses || [];
+
+    return {
+      breachName: breach.Name,
+      title: breach.Title || breach.Name,
+      domain: breach.Domain,
+      breachDate: breach.BreachDate ? new Date(breach.BreachDate) : undefined,
+      addedDate: breach.AddedDate ? new Date(breach.AddedDate) : undefined,
+      dataClasses,
+      affectedAccounts: breach.PwnCount || 0,
+      description: breach.Description,
+      isVerified: breach.IsVerified !== false,
+      severity: this.calculateSeverity(dataClasses),
+      source: this.source === "local" ? "LocalBreachCatalog" : "HaveIBeenPwned",
+    };
+  }
+
+  /**
+   * Check a user's email and record each breach it appeared in
+   * @param {object} user - User document
+   * @returns {Promise<object>} - All recorded breaches and the new ones
+   */
+  async checkAccount(user) {
+    const AccountBreach = require("../models/AccountBreach");
+    const found = await this.getBreachesForAccount(user.email);
+    const breaches = [];
+    const newBreaches = [];
+
+    for (const breach of found) {
+      const fields = this.normalizeBreach(breach);
+      let record = await AccountBreach.findOne({
+        userId: user._id,
+        breachName: fields.breachName,
+      });
+
+      if (record) {
+        Object.assign(record, fields, { lastChecked: new Date() });
+      } else {
+        record = new AccountBreach({
+          ...fields,
+          userId: user._id,
+          email: user.email,
+        });
+        newBreaches.push(record);
+      }
+
+      await record.save();
+      breaches.push(record);
+    }
+
+    return { breaches, newBreaches };
+  }
+}
+
+// Export the class constructor directly
+// This makes it compatible with: const AccountBreachService = require('...')
+module.exports = AccountBreachService;
@@ -0,0 +1,118 @@
+const mongoose = require("mongoose");
+const AuditEvent = require("../models/AuditEvent");
+const logger = require("../utils/logger");
+
+// Largest page size accepted when listing events
+const MAX_PAGE_SIZE = 100;
+
+class AuditService {
+  /**
+   * Record an audit event. The actor defaults to the authenticated user and
+   * client details come from the request. Failures are logged and never
+   * fail the action being audited.
+   * @param {object} req - Express request
+   * @param {string} action - Audit action, e.g. "auth.login"
+   * @param {object} details - Event details
+   * @param {object} [details.actor] - User performing the action, when not
+   *   req.user
+   * @param {string} [details.actorEmail] - Email for actors without a user
+   * @param {string} [details.outcome] - "success" (default) or "failure"
+   * @param {string} [details.reason] - Failure reason
+   * @param {string} [details.targetType] - Model name of the target
+   * @param {string} [details.targetId] - ID of the target
+   * @param {object} [details.metadata] - Extra action-specific fields
+   * @returns {Promise<object|null>} - Saved event, or null on failure
+   */
+  async record(req, action, details = {}) {
+    const actor = details.actor || req.user;
+
+    try {
+      const event = new AuditEvent({
+        actorId: actor ? actor._id : undefined,
+        actorEmail: details.actorEmail || (actor ? actor.email : undefined),
+        action,
+        outcome: details.outcome || "success",
+        reason: details.reason,
+        targetType: details.targetType,
+        targetId: details.targetId,
+        ipAddress: req.ip,
+        userAgent: req.get ? req.get("User-Agent") : undefined,
+        metadata: details.metadata,
+      });
+
+      await event.save();
+      return event;
+    } catch (error) {
+      logger.error(`Failed to record audit event ${action}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Build a MongoDB query from audit log filters
+   * @param {object} filters - { userId, action, outcome, targetType,
+   *   targetId, ipAddress, dateFrom, dateTo }; action may be a
+   *   comma-separated list
+   * @returns {object} - MongoDB query
+   */
+  buildQuery(filters = {}) {
+    const query = {};
+
+    if (filters.userId) {
+      query.actorId = new mongoose.Types.ObjectId(String(filters.userId));
+    }
+    if (filters.action) {
+      const actions = String(filters.action).split(",");
+      query.action = actions.length > 1 ? { $in: actions } : actions[0];
+    }
+    if (filters.outcome) query.outcome = filters.outcome;
+    if (filters.targetType) query.targetType = filters.targetType;
+    if (filters.targetId) {
+      query.targetId = new mongoose.Types.ObjectId(String(filters.targetId));
+    }
+    if (filters.ipAddress) query.ipAddress = filters.ipAddress;
+
+    if (filters.dateFrom || filters.dateTo) {
+      query.createdAt = {};
+      if (filters.dateFrom) query.createdAt.$gte = new Date(filters.dateFrom);
+      if (filters.dateTo) query.createdAt.$lte = new Date(filters.dateTo);
+    }
+
+    return query;
+  }
+
+  /**
+   * List audit events, most recent first
+   * @param {object} query - MongoDB query from buildQuery
+   * @param {object} options - { page, limit }
+   * @returns {Promise<object>} - { events, pagination }
+   */
+  async listEvents(query, options = {}) {
+    const page = Math.max(parseInt(options.page) || 1, 1);
+    const limit = Math.min(parseInt(options.limit) || 20, MAX_PAGE_SIZE);
+
+    const [events, total] = await Promise.all([
+      AuditEvent.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditEvent.countDocuments(query),
+    ]);
+
+    return {
+      events,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+}
+
+AuditService.MAX_PAGE_SIZE = MAX_PAGE_SIZE;
+
+// Export the class constructor directly
+// This makes it compatible with: const AuditService = require('...')
+module.exports = AuditService;
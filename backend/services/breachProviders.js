@@ -0,0 +1,293 @@
+const fs = require("fs");
+const { generateSHA1Hash } = require("../utils/hashUtil");
+const logger = require("../utils/logger");
+
+const SEVERITY_ORDER = ["none", "low", "medium", "high", "critical"];
+
+/**
+ * Load a credential list into a map of SHA-1 hash -> count.
+ * Lines may be "HASH:COUNT", a bare 40-character SHA-1 hash, or a plaintext
+ * password (hashed on load). Blank lines and "#" comments are skipped.
+ * @param {string} filePath - Path to the list
+ * @returns {Promise<Map<string, number>>} - Hash counts
+ */
+const loadCredentialList = async (filePath) => {
+  const body = await fs.promises.readFile(filePath, "utf8");
+  const hashes = new Map();
+
+  for (const rawLine of body.split("\n")) {
+    const line = rawLine.replace(/\r$/, "");
+    if (!line.trim() || line.startsWith("#")) continue;
+
+    const match = line.trim().match(/^([0-9A-Fa-f]{40})(?::(\d+))?$/);
+    if (match) {
+      hashes.set(match[1].toUpperCase(), parseInt(match[2]) || 1);
+    } else {
+      hashes.set(generateSHA1Hash(line), 1);
+    }
+  }
+
+  return hashes;
+};
+
+/**
+ * Pwned Passwords k-anonymity lookups through the BreachService range
+ * provider and cache
+ */
+class HibpBreachProvider {
+  constructor(breachService, options = {}) {
+    this.name = options.name || "HaveIBeenPwned";
+    this.timeoutMs = options.timeoutMs;
+    this.breachService = breachService;
+  }
+
+  async check({ prefix, suffix, ranges }) {
+    const entries = this.breachService.parseRange(
+      await this.breachService.getRange(prefix, ranges),
+    );
+    const entry = entries.find((candidate) => candidate.suffix === suffix);
+
+    if (!entry) {
+      return { found: false, count: 0 };
+    }
+
+    return {
+      found: true,
+      count: entry.count,
+      severity: this.breachService.calculateSeverity(entry.count),
+      description: `Password found ${entry.count} times`,
+    };
+  }
+}
+
+/**
+ * Base class for providers that match against a local credential list
+ */
+class CredentialListProvider {
+  constructor(options = {}) {
+    if (!options.path) {
+      throw new Error(`${options.name} provider requires a list path`);
+    }
+
+    this.name = options.name;
+    this.path = options.path;
+    this.timeoutMs = options.timeoutMs;
+    this.hashes = null;
+  }
+
+  async getHashes() {
+    if (!this.hashes) {
+      this.hashes = loadCredentialList(this.path).catch((error) => {
+        // Allow a later check to retry once the file is fixed
+        this.hashes = null;
+        throw error;
+      });
+    }
+
+    return this.hashes;
+  }
+
+  /**
+   * Drop the loaded list so the next check re-reads the file
+   */
+  reload() {
+    this.hashes = null;
+  }
+}
+
+/**
+ * Local corpus of leaked credentials (e.g. an internal breach dump)
+ */
+class LocalCorpusProvider extends CredentialListProvider {
+  constructor(options = {}) {
+    super({ name: "LocalCorpus", ...options });
+    this.calculateSeverity = options.calculateSeverity;
+  }
+
+  async check({ hash }) {
+    const count = (await this.getHashes()).get(hash);
+
+    if (!count) {
+      return { found: false, count: 0 };
+    }
+
+    return {
+      found: true,
+      count,
+      severity: this.calculateSeverity ? this.calculateSeverity(count) : "low",
+      description: `Password found ${count} times in the local breach corpus`,
+    };
+  }
+}
+
+/**
+ * Planted honeypot credentials; any match means the password is known to
+ * attackers who have used the honeypot, so hits are always critical
+ */
+class HoneypotProvider extends CredentialListProvider {
+  constructor(options = {}) {
+    super({ name: "HoneypotCredentials", ...options });
+  }
+
+  async check({ hash }) {
+    const found = (await this.getHashes()).has(hash);
+
+    if (!found) {
+      return { found: false, count: 0 };
+    }
+
+    return {
+      found: true,
+      count: 1,
+      severity: "critical",
+      description: "Password matches a monitored honeypot credential",
+    };
+  }
+}
+
+/**
+ * Registry of breach providers queried in parallel for each check
+ */
+class BreachProviderRegistry {
+  /**
+   * @param {object} options - Registry options
+   * @param {number} [options.timeoutMs] - Default per-provider timeout
+   */
+  constructor(options = {}) {
+    this.timeoutMs = options.timeoutMs || 10000;
+    this.providers = new Map();
+  }
+
+  /**
+   * Register a provider; providers must expose `name` and `check()`
+   * @param {object} provider - Breach provider
+   * @returns {BreachProviderRegistry} - The registry, for chaining
+   */
+  register(provider) {
+    if (!provider || !provider.name || typeof provider.check !== "function") {
+      throw new Error("Breach providers need a name and a check() method");
+    }
+
+    if (this.providers.has(provider.name)) {
+      throw new Error(`Breach provider already registered: ${provider.name}`);
+    }
+
+    this.providers.set(provider.name, provider);
+    return this;
+  }
+
+  unregister(name) {
+    return this.providers.delete(name);
+  }
+
+  get(name) {
+    return this.providers.get(name);
+  }
+
+  list() {
+    return [...this.providers.values()];
+  }
+
+  /**
+   * Run a provider check, rejecting if it exceeds its timeout
+   */
+  runWithTimeout(provider, hashParts) {
+    const timeoutMs = provider.timeoutMs || this.timeoutMs;
+    let timer;
+
+    const timeout = new Promise((resolve, reject) => {
+      timer = global.setTimeout(
+        () => reject(new Error(`Timed out after ${timeoutMs}ms`)),
+        timeoutMs,
+      );
+    });
+
+    return Promise.race([provider.check(hashParts), timeout]).finally(() =>
+      global.clearTimeout(timer),
+    );
+  }
+
+  /**
+   * Query every provider in parallel
+   * @param {object} hashParts - Full SHA-1 hash with its prefix and suffix
+   * @returns {Promise<object>} - Successful results and failures per provider
+   */
+  async checkAll(hashParts) {
+    const providers = this.list();
+    const settled = await Promise.allSettled(
+      providers.map((provider) => this.runWithTimeout(provider, hashParts)),
+    );
+
+    const results = [];
+    const failures = [];
+
+    settled.forEach((outcome, index) => {
+      const { name } = providers[index];
+
+      if (outcome.status === "fulfilled") {
+        results.push({ name, ...outcome.value });
+      } else {
+        logger.warn(
+          `Breach provider ${name} failed: ${outcome.reason && outcome.reason.message}`,
+        );
+        failures.push({
+          name,
+          error: outcome.reason ? outcome.reason.message : "Unknown error",
+        });
+      }
+    });
+
+    return { results, failures };
+  }
+}
+
+/**
+ * Build the provider registry configured by BREACH_PROVIDERS
+ * (comma-separated: "hibp", "corpus", "honeypot"; default "hibp")
+ * @param {object} breachService - Service used for range lookups
+ * @param {object} options - Overrides for the environment configuration
+ * @returns {BreachProviderRegistry} - Populated registry
+ */
+const createBreachProviderRegistry = (breachService, options = {}) => {
+  const registry = new BreachProviderRegistry({
+    timeoutMs:
+      options.timeoutMs || parseInt(process.env.BREACH_PROVIDER_TIMEOUT_MS),
+  });
+  const names = (options.providers || process.env.BREACH_PROVIDERS || "hibp")
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean);
+
+  for (const name of names) {
+    if (name === "hibp") {
+      registry.register(new HibpBreachProvider(breachService));
+    } else if (name === "corpus") {
+      registry.register(
+        new LocalCorpusProvider({
+          path: options.corpusPath || process.env.BREACH_CORPUS_PATH,
+          calculateSeverity: (count) => breachService.calculateSeverity(count),
+        }),
+      );
+    } else if (name === "honeypot") {
+      registry.register(
+        new HoneypotProvider({
+          path: options.honeypotPath || process.env.HONEYPOT_CREDENTIALS_PATH,
+        }),
+      );
+    } else {
+      throw new Error(`Unknown breach provider: ${name}`);
+    }
+  }
+
+  return registry;
+};
+
+module.exports = {
+  BreachProviderRegistry,
+  HibpBreachProvider,
+  LocalCorpusProvider,
+  HoneypotProvider,
+  createBreachProviderRegistry,
+  loadCredentialList,
+  SEVERITY_ORDER,
+};
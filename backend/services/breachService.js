@@ -1,52 +1,115 @@
-const axios = require("axios");
-const { getHashPrefix } = require("../utils/hashUtil");
+const { generateSHA1Hash } = require("../utils/hashUtil");
+const {
+  createRangeProvider,
+  normalizePrefix,
+  padRange,
+} = require("./rangeProvider");
+const { getSharedRangeCache } = require("./rangeCache");
+const {
+  createBreachProviderRegistry,
+  SEVERITY_ORDER,
+} = require("./breachProviders");
 const logger = require("../utils/logger");
 
 class BreachService {
-  constructor() {
-    // This is the free Pwned Passwords API endpoint that uses k-anonymity
-    this.pwnedPasswordsApiUrl = "https://api.pwnedpasswords.com/range/";
+  /**
+   * @param {object} options - Service options
+   * @param {object} [options.rangeProvider] - Source of Pwned Passwords ranges
+   *   (defaults to the one configured by PWNED_RANGE_SOURCE)
+   * @param {object|null} [options.rangeCache] - Range cache; the shared cache
+   *   is used with the default provider, pass null to disable caching
+   * @param {object} [options.providerRegistry] - Breach providers to query
+   *   (defaults to the ones configured by BREACH_PROVIDERS)
+   */
+  constructor(options = {}) {
+    this.rangeProvider = options.rangeProvider || createRangeProvider();
+
+    if (options.rangeCache !== undefined) {
+      this.rangeCache = options.rangeCache;
+    } else {
+      // A custom provider may serve different data, so it gets no shared cache
+      this.rangeCache = options.rangeProvider ? null : getSharedRangeCache();
+    }
+
+    this.providerRegistry =
+      options.providerRegistry || createBreachProviderRegistry(this);
   }
 
   /**
-   * Check if a password has been breached using Pwned Passwords API
+   * Check if a password has been breached across all breach providers
    * @param {string} password - The password to check
    * @returns {Promise<object>} - Breach information
    */
   async checkPasswordBreach(password) {
+    return this.checkHashBreach(generateSHA1Hash(password));
+  }
+
+  /**
+   * Check a SHA-1 password hash against every registered breach provider.
+   * Providers run in parallel; a failing provider is reported in
+   * `failedSources` and only fails the check if every provider failed.
+   * @param {string} hash - 40-character SHA-1 hash
+   * @param {object} [options] - Check options
+   * @param {Map} [options.ranges] - Ranges already fetched for this batch,
+   *   keyed by prefix; see checkHashBatch
+   * @returns {Promise<object>} - Merged breach information
+   */
+  async checkHashBreach(hash, options = {}) {
     try {
-      const { prefix, suffix } = getHashPrefix(password);
+      const normalized = hash.toUpperCase();
+      const { results, failures } = await this.providerRegistry.checkAll({
+        hash: normalized,
+        prefix: normalized.substring(0, 5),
+        suffix: normalized.substring(5),
+        ranges: options.ranges,
+      });
 
-      const response = await axios.get(
-        `${this.pwnedPasswordsApiUrl}${prefix}`,
-        {
-          timeout: 10000,
-          headers: {
-            "User-Agent": "Password-Breach-Notification-System",
-          },
-        },
-      );
+      if (results.length === 0) {
+        throw new Error(
+          `All breach providers failed: ${failures.map((f) => f.name).join(", ")}`,
+        );
+      }
 
-      const hashes = response.data.split("\n");
-      const breachedHash = hashes.find(
-        (hash) => hash.split(":")[0].toUpperCase() === suffix.toUpperCase(),
-      );
+      const sources = results
+        .filter((result) => result.found)
+        .map((result) => ({
+          name: result.name,
+          count: result.count,
+          severity: result.severity,
+          description: result.description,
+        }));
+      const checkedSources = results.map((result) => result.name);
+      const failedSources = failures;
 
-      if (breachedHash) {
-        const count = parseInt(breachedHash.split(":")[1]);
+      if (sources.length === 0) {
         return {
-          breached: true,
-          count,
-          severity: this.calculateSeverity(count),
-          source: "HaveIBeenPwned",
+          breached: false,
+          count: 0,
+          source: checkedSources[0],
+          severity: "none",
+          sources,
+          checkedSources,
+          failedSources,
         };
       }
 
+      // The primary source is the most severe match, then the largest count
+      const rank = (source) => SEVERITY_ORDER.indexOf(source.severity);
+      const primary = sources.reduce((best, source) =>
+        rank(source) > rank(best) ||
+        (rank(source) === rank(best) && source.count > best.count)
+          ? source
+          : best,
+      );
+
       return {
-        breached: false,
-        count: 0,
-        source: "HaveIBeenPwned",
-        severity: "none",
+        breached: true,
+        count: Math.max(...sources.map((source) => source.count)),
+        severity: primary.severity,
+        source: primary.name,
+        sources,
+        checkedSources,
+        failedSources,
       };
     } catch (error) {
       logger.error("Error checking password breach:", error);
@@ -54,6 +117,70 @@ class BreachService {
     }
   }
 
+  /**
+   * Fetch the raw range for a hash prefix, going through the range cache
+   * @param {string} prefix - 5-character SHA-1 prefix
+   * @param {Map} [ranges] - Per-batch memo; a prefix already in it is not
+   *   fetched again
+   * @returns {Promise<string>} - Raw "SUFFIX:COUNT" lines
+   */
+  async getRange(prefix, ranges) {
+    if (ranges) {
+      if (!ranges.has(prefix)) {
+        ranges.set(prefix, this.getRange(prefix));
+      }
+      return ranges.get(prefix);
+    }
+
+    if (!this.rangeCache) {
+      return this.rangeProvider.getRange(prefix);
+    }
+
+    return this.rangeCache.get(prefix, (key) =>
+      this.rangeProvider.getRange(key),
+    );
+  }
+
+  /**
+   * Get the Pwned Passwords range for a prefix so a client can match its
+   * hash locally without revealing it. The range is padded with zero-count
+   * rows, so clients must ignore those.
+   * @param {string} prefix - 5-character SHA-1 prefix
+   * @returns {Promise<object>} - Prefix, the serving provider's name and
+   *   suffix/count entries
+   */
+  async getPrefixRange(prefix) {
+    const normalized = normalizePrefix(prefix);
+
+    try {
+      return {
+        prefix: normalized,
+        source: this.rangeProvider.name || "HaveIBeenPwned",
+        entries: padRange(this.parseRange(await this.getRange(normalized))),
+      };
+    } catch (error) {
+      logger.error("Error fetching breach range:", error);
+      throw new Error("Failed to fetch breach range");
+    }
+  }
+
+  /**
+   * Parse a range body into suffix/count pairs, skipping padding rows
+   * @param {string} body - Raw "SUFFIX:COUNT" lines
+   * @returns {Array<object>} - Parsed entries
+   */
+  parseRange(body) {
+    return String(body || "")
+      .split("\n")
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .map((line) => {
+        const [suffix, count] = line.split(":");
+        return { suffix: suffix.toUpperCase(), count: parseInt(count) };
+      })
+      .filter((entry) => entry.count > 0);
+  }
+
   /**
    * Calculate severity based on breach count
    * @param {number} count - Number of times password was found
@@ -67,99 +194,125 @@ class BreachService {
   }
 
   /**
-   * Check multiple passwords for breaches
-   * @param {Array<string>} passwords - Array of passwords to check
-   * @returns {Promise<Array<object>>} - Array of breach results
+   * Check many SHA-1 hashes at once. Hashes are grouped by prefix so each
+   * range is fetched once per batch, and groups are checked concurrently.
+   * A hash repeated in the batch is checked once and reported for each of
+   * its items in turn. A failed item is reported with its error instead of
+   * failing the batch.
+   * @param {Array<string>} hashes - 40-character SHA-1 hashes
+   * @param {object} [options] - Batch options
+   * @param {number} [options.concurrency] - Prefix groups checked at once
+   *   (defaults to BREACH_BATCH_CONCURRENCY or 4)
+   * @param {Function} [options.onResult] - Awaited with each item result as
+   *   soon as it is ready
+   * @returns {Promise<Array<object>>} - { index, hash, result | error } in
+   *   input order
    */
-  async checkMultiplePasswords(passwords) {
-    const results = [];
+  async checkHashBatch(hashes, options = {}) {
+    const concurrency =
+      options.concurrency ||
+      parseInt(process.env.BREACH_BATCH_CONCURRENCY) ||
+      4;
+    const ranges = new Map();
+    const groups = new Map();
+    const results = new Array(hashes.length);
 
-    for (const password of passwords) {
-      try {
-        const result = await this.checkPasswordBreach(password);
-        results.push(result);
+    // prefix -> hash -> indexes of the items carrying that hash
+    hashes.forEach((hash, index) => {
+      const normalized = hash.toUpperCase();
+      const prefix = normalized.substring(0, 5);
+      if (!groups.has(prefix)) groups.set(prefix, new Map());
+      const group = groups.get(prefix);
+      if (!group.has(normalized)) group.set(normalized, []);
+      group.get(normalized).push(index);
+    });
+
+    const checkHash = async ([hash, indexes]) => {
+      let outcome;
 
-        // Add delay to avoid rate limiting
-        await this.delay(100);
+      try {
+        outcome = { result: await this.checkHashBreach(hash, { ranges }) };
       } catch (error) {
-        logger.error(`Error checking password: ${error.message}`);
-        results.push({
-          isBreached: false,
-          error: error.message,
-          source: "HaveIBeenPwned",
-        });
+        outcome = { error: error.message };
       }
-    }
+
+      for (const index of indexes) {
+        const item = { index, hash, ...outcome };
+        results[index] = item;
+        if (options.onResult) await options.onResult(item);
+      }
+    };
+
+    const queue = [...groups.values()];
+    const worker = async () => {
+      while (queue.length > 0) {
+        await Promise.all([...queue.shift()].map(checkHash));
+      }
+    };
+
+    await Promise.all(
+      Array.from({ length: Math.min(concurrency, queue.length) }, worker),
+    );
 
     return results;
   }
 
   /**
-   * Get breach statistics for a user
-   * @param {string} userId - User ID
-   * @returns {Promise<object>} - Breach statistics
+   * Check multiple passwords for breaches
+   * @param {Array<string>} passwords - Array of passwords to check
+   * @returns {Promise<Array<object>>} - Array of breach results
    */
-  async getUserBreachStats(userId) {
-    try {
-      const Breach = require("../models/Breach");
+  async checkMultiplePasswords(passwords) {
+    const items = await this.checkHashBatch(passwords.map(generateSHA1Hash));
 
-      const stats = await Breach.aggregate([
-        { $match: { userId: userId } },
-        {
-          $group: {
-            _id: null,
-            totalBreaches: { $sum: 1 },
-            activeBreaches: { $sum: { $cond: ["$isActive", 1, 0] } },
-            acknowledgedBreaches: {
-              $sum: { $cond: ["$userAcknowledged", 1, 0] },
-            },
-            criticalBreaches: {
-              $sum: { $cond: [{ $eq: ["$riskLevel", "critical"] }, 1, 0] },
-            },
-            highBreaches: {
-              $sum: { $cond: [{ $eq: ["$riskLevel", "high"] }, 1, 0] },
-            },
-            mediumBreaches: {
-              $sum: { $cond: [{ $eq: ["$riskLevel", "medium"] }, 1, 0] },
-            },
-            lowBreaches: {
-              $sum: { $cond: [{ $eq: ["$riskLevel", "low"] }, 1, 0] },
-            },
-          },
-        },
-      ]);
-
-      return (
-        stats[0] || {
-          totalBreaches: 0,
-          activeBreaches: 0,
-          acknowledgedBreaches: 0,
-          criticalBreaches: 0,
-          highBreaches: 0,
-          mediumBreaches: 0,
-          lowBreaches: 0,
-        }
-      );
-    } catch (error) {
-      logger.error("Error getting user breach stats:", error);
-      throw new Error("Failed to get breach statistics");
-    }
+    return items.map((item) => {
+      if (item.error) {
+        logger.error(`Error checking password: ${item.error}`);
+        return {
+          isBreached: false,
+          error: item.error,
+          source: "HaveIBeenPwned",
+        };
+      }
+
+      return item.result;
+    });
   }
 
   /**
-   * Get global breach statistics
-   * @returns {Promise<object>} - Global breach statistics
+   * Count breaches by state and risk level. Shared by the user, organization
+   * and global statistics so they always report the same figures.
+   * @param {object} match - Breach filter, e.g. { userId }
+   * @param {object} [options] - { perUser }: also count affected users, the
+   *   average times found and notifications sent
+   * @returns {Promise<object>} - Breach statistics
    */
-  async getGlobalBreachStats() {
-    try {
-      const Breach = require("../models/Breach");
+  async aggregateBreachStats(match, options = {}) {
+    const Breach = require("../models/Breach");
+    const countByRisk = (level) => ({
+      $sum: { $cond: [{ $eq: ["$riskLevel", level] }, 1, 0] },
+    });
+
+    const counts = {
+      totalBreaches: { $sum: 1 },
+      activeBreaches: { $sum: { $cond: ["$isActive", 1, 0] } },
+      acknowledgedBreaches: { $sum: { $cond: ["$userAcknowledged", 1, 0] } },
+      criticalBreaches: countByRisk("critical"),
+      highBreaches: countByRisk("high"),
+      mediumBreaches: countByRisk("medium"),
+      lowBreaches: countByRisk("low"),
+    };
+    const empty = Object.fromEntries(
+      Object.keys(counts).map((key) => [key, 0]),
+    );
 
-      const stats = await Breach.aggregate([
+    const pipeline = [{ $match: match }];
+    if (options.perUser) {
+      pipeline.push(
         {
           $group: {
             _id: null,
-            totalBreaches: { $sum: 1 },
-            activeBreaches: { $sum: { $cond: ["$isActive", 1, 0] } },
+            ...counts,
             uniqueUsers: { $addToSet: "$userId" },
             averageTimesFound: { $avg: "$timesFound" },
             totalNotificationsSent: { $sum: "$notificationsSent" },
@@ -167,36 +320,72 @@ class BreachService {
         },
         {
           $project: {
-            totalBreaches: 1,
-            activeBreaches: 1,
+            ...Object.fromEntries(Object.keys(counts).map((key) => [key, 1])),
             uniqueUsers: { $size: "$uniqueUsers" },
             averageTimesFound: { $round: ["$averageTimesFound", 2] },
             totalNotificationsSent: 1,
           },
         },
-      ]);
-
-      return (
-        stats[0] || {
-          totalBreaches: 0,
-          activeBreaches: 0,
-          uniqueUsers: 0,
-          averageTimesFound: 0,
-          totalNotificationsSent: 0,
-        }
+      );
+      Object.assign(empty, {
+        uniqueUsers: 0,
+        averageTimesFound: 0,
+        totalNotificationsSent: 0,
+      });
+    } else {
+      pipeline.push({ $group: { _id: null, ...counts } });
+    }
+
+    const stats = await Breach.aggregate(pipeline);
+    return stats[0] || empty;
+  }
+
+  /**
+   * Get breach statistics for a user
+   * @param {string} userId - User ID
+   * @returns {Promise<object>} - Breach statistics
+   */
+  async getUserBreachStats(userId) {
+    try {
+      return await this.aggregateBreachStats({ userId: userId });
+    } catch (error) {
+      logger.error("Error getting user breach stats:", error);
+      throw new Error("Failed to get breach statistics");
+    }
+  }
+
+  /**
+   * Get breach statistics across an organization's members
+   * @param {Array<string>} userIds - IDs of the members
+   * @returns {Promise<object>} - Breach statistics; uniqueUsers counts the
+   *   members with at least one breach
+   */
+  async getOrganizationBreachStats(userIds) {
+    try {
+      return await this.aggregateBreachStats(
+        { userId: { $in: userIds } },
+        { perUser: true },
       );
     } catch (error) {
-      logger.error("Error getting global breach stats:", error);
-      throw new Error("Failed to get global breach statistics");
+      logger.error("Error getting organization breach stats:", error);
+      throw new Error("Failed to get organization breach statistics");
     }
   }
 
   /**
-   * Utility function to add delay
-   * @param {number} ms - Milliseconds to delay
+   * Get global breach statistics
+   * @returns {Promise<object>} - Global breach statistics
    */
-  delay(ms) {
-    return new Promise((resolve) => global.setTimeout(resolve, ms));
+  async getGlobalBreachStats() {
+    try {
+      return {
+        ...(await this.aggregateBreachStats({}, { perUser: true })),
+        rangeCache: this.rangeCache ? this.rangeCache.getStats() : null,
+      };
+    } catch (error) {
+      logger.error("Error getting global breach stats:", error);
+      throw new Error("Failed to get global breach statistics");
+    }
   }
 }
 
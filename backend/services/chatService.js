@@ -0,0 +1,203 @@
+const { URL } = require("url");
+const axios = require("axios");
+const NotificationService = require("./notificationService");
+const { assertPublicUrl, publicAgents } = require("../utils/networkUtil");
+const { getSeverityColor } = require("../utils/severity");
+const logger = require("../utils/logger");
+
+const notificationService = new NotificationService();
+
+// Shown when a breach carries no recommended actions of its own
+const DEFAULT_ACTIONS = [
+  "Change your password immediately",
+  "Enable Two-Factor Authentication",
+  "Check for unauthorized account access",
+];
+
+class ChatService {
+  /**
+   * @param {object} options - Chat options
+   * @param {number} [options.timeoutMs] - How long to wait for the chat
+   *   app; defaults to CHAT_TIMEOUT_MS or 10000
+   */
+  constructor(options = {}) {
+    this.timeoutMs =
+      options.timeoutMs || parseInt(process.env.CHAT_TIMEOUT_MS) || 10000;
+  }
+
+  /**
+   * The admin channel that receives every user's breach alerts, if one is
+   * configured with ADMIN_CHAT_WEBHOOK_URL
+   * @returns {object|null} - { provider, webhookUrl, minSeverity }
+   */
+  getAdminTarget() {
+    if (!process.env.ADMIN_CHAT_WEBHOOK_URL) return null;
+
+    return {
+      provider: process.env.ADMIN_CHAT_PROVIDER || "slack",
+      webhookUrl: process.env.ADMIN_CHAT_WEBHOOK_URL,
+      minSeverity: process.env.ADMIN_CHAT_MIN_SEVERITY || "high",
+    };
+  }
+
+  /**
+   * Post a message to a chat webhook, recording it as a Notification when
+   * the context names a user. The webhook URL itself is never stored.
+   * @param {object} target - { provider, webhookUrl }
+   * @param {object} message - Provider-specific message body
+   * @param {object} [notification] - Notification fields: userId, type,
+   *   title, body, severity, breachId
+   * @returns {Promise<boolean>} - Success status
+   */
+  async sendMessage(target, message, notification) {
+    return notificationService.track(
+      notification && {
+        channel: "chat",
+        recipient: `${target.provider}:${new URL(target.webhookUrl).host}`,
+        ...notification,
+      },
+      () => this.dispatch(target, message),
+    );
+  }
+
+  /**
+   * POST a message to a chat webhook. Redirects are not followed, and hosts
+   * resolving to private or reserved addresses are refused.
+   * @param {object} target - { provider, webhookUrl }
+   * @param {object} message - Provider-specific message body
+   * @returns {Promise<boolean>} - True once the chat app accepted it
+   */
+  async dispatch(target, message) {
+    try {
+      await assertPublicUrl(target.webhookUrl);
+
+      await axios.post(target.webhookUrl, message, {
+        ...publicAgents,
+        timeout: this.timeoutMs,
+        maxRedirects: 0,
+      });
+      return true;
+    } catch (error) {
+      logger.error(`Error posting to ${target.provider} webhook:`, error);
+      throw new Error(`Failed to send ${target.provider} notification`);
+    }
+  }
+
+  /**
+   * Send breach notification to a chat channel
+   * @param {object} target - { provider, webhookUrl }
+   * @param {object} breachData - Breach information, with the affected
+   *   `account` for the admin channel
+   * @param {object} [context] - Notification context: userId, breachId
+   * @returns {Promise<boolean>} - Success status
+   */
+  async sendBreachNotification(target, breachData, context = {}) {
+    const severity = breachData.riskLevel || breachData.severity;
+    const alert = {
+      title: "🚨 Password Breach Detected",
+      summary: `A password was found ${breachData.count} times in known data breaches. Change it immediately.`,
+      severity,
+      facts: [
+        ["Risk Level", (severity || "unknown").toUpperCase()],
+        ["Times Found", Number(breachData.count).toLocaleString()],
+        [
+          "Sources",
+          (breachData.sources || []).map((source) => source.name).join(", ") ||
+            breachData.source ||
+            "Unknown",
+        ],
+        ...(breachData.otherBreaches
+          ? [["Other Breached Passwords", String(breachData.otherBreaches)]]
+          : []),
+        ...(breachData.account ? [["Account", breachData.account]] : []),
+      ],
+      actions: (breachData.recommendedActions || []).length
+        ? breachData.recommendedActions.map((action) => action.action)
+        : DEFAULT_ACTIONS,
+    };
+
+    return this.sendMessage(
+      target,
+      this.formatMessage(target.provider, alert),
+      {
+        type: "breach_alert",
+        title: "Password Breach Detected",
+        body: alert.summary,
+        severity,
+        ...context,
+      },
+    );
+  }
+
+  /**
+   * Format an alert for a chat provider
+   * @param {string} provider - "slack" or "teams"
+   * @param {object} alert - { title, summary, severity, facts, actions }
+   * @returns {object} - Message body
+   */
+  formatMessage(provider, alert) {
+    return provider === "teams"
+      ? this.formatTeamsMessage(alert)
+      : this.formatSlackMessage(alert);
+  }
+
+  /**
+   * Format an alert as a Slack message with a severity-colored attachment
+   * @param {object} alert - { title, summary, severity, facts, actions }
+   * @returns {object} - Slack message body
+   */
+  formatSlackMessage(alert) {
+    return {
+      text: alert.title,
+      attachments: [
+        {
+          color: getSeverityColor(alert.severity),
+          title: alert.title,
+          text: alert.summary,
+          fields: [
+            ...alert.facts.map(([title, value]) => ({
+              title,
+              value,
+              short: true,
+            })),
+            {
+              title: "Recommended Actions",
+              value: alert.actions.map((action) => `• ${action}`).join("\n"),
+              short: false,
+            },
+          ],
+          footer: "Password Breach Notification System",
+        },
+      ],
+    };
+  }
+
+  /**
+   * Format an alert as a Teams MessageCard
+   * @param {object} alert - { title, summary, severity, facts, actions }
+   * @returns {object} - Teams message body
+   */
+  formatTeamsMessage(alert) {
+    return {
+      "@type": "MessageCard",
+      "@context": "https://schema.org/extensions",
+      summary: alert.title,
+      themeColor: getSeverityColor(alert.severity).replace("#", ""),
+      title: alert.title,
+      sections: [
+        {
+          text: alert.summary,
+          facts: alert.facts.map(([name, value]) => ({ name, value })),
+        },
+        {
+          title: "Recommended Actions",
+          text: alert.actions.map((action) => `- ${action}`).join("\n"),
+        },
+      ],
+    };
+  }
+}
+
+// Export the class constructor directly
+// This makes it compatible with: const ChatService = require('...')
+module.exports = ChatService;
@@ -0,0 +1,193 @@
+const User = require("../models/User");
+const Breach = require("../models/Breach");
+const AccountBreach = require("../models/AccountBreach");
+const OutboxService = require("./outboxService");
+const {
+  SEVERITY_LEVELS,
+  meetsSeverity,
+  getHighestSeverity,
+} = require("../utils/severity");
+const { getDeliveryTime } = require("../utils/quietHours");
+const logger = require("../utils/logger");
+
+class DigestService {
+  /**
+   * @param {object} options - Digest options
+   * @param {object} [options.outboxService] - Queue used for digest emails
+   */
+  constructor(options = {}) {
+    this.outboxService = options.outboxService || new OutboxService();
+  }
+
+  /**
+   * Decide how a breach of the given severity reaches a user: not at all
+   * when below their minimum severity, right away when they want immediate
+   * alerts or it meets their immediate threshold, otherwise in a digest.
+   * Digests are only sent by email, so users without the email channel get
+   * every alert right away on their other channels.
+   * @param {object} preferences - User's notificationPreferences
+   * @param {string} severity - Breach severity or risk level
+   * @returns {string} - "skip", "immediate" or "digest"
+   */
+  route(preferences, severity) {
+    const minSeverity = preferences.minSeverity || SEVERITY_LEVELS[0];
+    const immediateSeverity = preferences.immediateSeverity || "critical";
+
+    if (!meetsSeverity(severity, minSeverity)) {
+      return "skip";
+    }
+
+    if (
+      !preferences.frequency ||
+      preferences.frequency === "immediate" ||
+      !preferences.email ||
+      meetsSeverity(severity, immediateSeverity)
+    ) {
+      return "immediate";
+    }
+
+    return "digest";
+  }
+
+  /**
+   * Hold a password breach for the user's next digest
+   * @param {object} breach - Breach document
+   */
+  async hold(breach) {
+    await Breach.updateOne({ _id: breach._id }, { digestPending: true });
+  }
+
+  /**
+   * Gather what a user's digest would report: held password breaches and
+   * unacknowledged account breaches not yet notified, at or above the user's
+   * minimum severity
+   * @param {object} user - User document
+   * @returns {Promise<object>} - { breaches, accountBreaches }
+   */
+  async collect(user) {
+    const minSeverity =
+      user.notificationPreferences.minSeverity || SEVERITY_LEVELS[0];
+    const severities = SEVERITY_LEVELS.filter((severity) =>
+      meetsSeverity(severity, minSeverity),
+    );
+
+    const [breaches, accountBreaches] = await Promise.all([
+      Breach.find({
+        userId: user._id,
+        digestPending: true,
+        riskLevel: { $in: severities },
+      }).sort({ firstDetected: -1 }),
+      AccountBreach.find({
+        userId: user._id,
+        status: "unacknowledged",
+        notificationSent: { $ne: true },
+        severity: { $in: severities },
+      }).sort({ breachDate: -1 }),
+    ]);
+
+    return { breaches, accountBreaches };
+  }
+
+  /**
+   * Queue a digest email for one user and mark its contents as notified.
+   * Nothing is queued when there is nothing to report. A digest that falls
+   * in the user's quiet hours is delivered when the window ends.
+   * @param {object} user - User document
+   * @returns {Promise<object|null>} - Queued outbox job, or null
+   */
+  async sendDigest(user) {
+    const { breaches, accountBreaches } = await this.collect(user);
+
+    if (breaches.length === 0 && accountBreaches.length === 0) {
+      return null;
+    }
+
+    const digestData = {
+      username: user.username,
+      frequency: user.notificationPreferences.frequency,
+      passwordBreaches: breaches.map((breach) => ({
+        date: breach.firstDetected
+          ? breach.firstDetected.toDateString()
+          : "Unknown date",
+        count: breach.timesFound,
+        riskLevel: breach.riskLevel,
+      })),
+      accountBreaches: accountBreaches.map((breach) => ({
+        name: breach.title || breach.breachName,
+        date: breach.breachDate
+          ? breach.breachDate.toDateString()
+          : "Unknown date",
+        severity: breach.severity,
+        dataClasses: breach.dataClasses,
+      })),
+    };
+
+    const job = await this.outboxService.enqueue(
+      "digest_email",
+      {
+        email: user.email,
+        digestData,
+        breachIds: breaches.map((breach) => breach._id),
+        accountBreachIds: accountBreaches.map((breach) => breach._id),
+      },
+      { userId: user._id },
+      {
+        deliverAt: getDeliveryTime(
+          user.notificationPreferences,
+          getHighestSeverity([
+            ...breaches.map((breach) => breach.riskLevel),
+            ...accountBreaches.map((breach) => breach.severity),
+          ]),
+        ),
+      },
+    );
+
+    // The outbox now owns delivery, so release what the digest covers
+    await Promise.all([
+      Breach.updateMany(
+        { _id: { $in: breaches.map((breach) => breach._id) } },
+        { $set: { digestPending: false } },
+      ),
+      AccountBreach.updateMany(
+        { _id: { $in: accountBreaches.map((breach) => breach._id) } },
+        { $set: { notificationSent: true, notificationSentDate: new Date() } },
+      ),
+    ]);
+
+    return job;
+  }
+
+  /**
+   * Queue digests for every verified email subscriber on a frequency
+   * @param {string} frequency - "daily" or "weekly"
+   * @returns {Promise<object>} - { users, queued, errors }
+   */
+  async sendDigests(frequency) {
+    const users = await User.find({
+      isVerified: true,
+      "notificationPreferences.email": true,
+      "notificationPreferences.frequency": frequency,
+    }).select("username email notificationPreferences");
+
+    const counts = { users: users.length, queued: 0, errors: 0 };
+
+    for (const user of users) {
+      try {
+        const job = await this.sendDigest(user);
+        if (job) counts.queued++;
+      } catch (error) {
+        logger.error(
+          `Failed to queue ${frequency} digest for ${user._id}:`,
+          error,
+        );
+        counts.errors++;
+      }
+    }
+
+    return counts;
+  }
+}
+
+// Export the class constructor directly
+// This makes it compatible with: const DigestService = require('...')
+module.exports = DigestService;
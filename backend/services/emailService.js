@@ -1,6 +1,10 @@
 const nodemailer = require("nodemailer");
+const NotificationService = require("./notificationService");
+const { getHighestSeverity, getSeverityColor } = require("../utils/severity");
 const logger = require("../utils/logger");
 
+const notificationService = new NotificationService();
+
 class EmailService {
   constructor() {
     this.transporter = nodemailer.createTransport({
@@ -14,13 +18,32 @@ class EmailService {
     });
   }
 
+  /**
+   * Send an email, recording it as a Notification when the context names a
+   * user
+   * @param {object} mailOptions - Nodemailer message options
+   * @param {object} notification - Notification fields (type, title, body,
+   *   severity) merged with the caller's context (userId, breachId, ...)
+   * @returns {Promise<string>} - Message ID
+   */
+  async deliver(mailOptions, notification) {
+    return notificationService.track(
+      { channel: "email", recipient: mailOptions.to, ...notification },
+      async () => {
+        const info = await this.transporter.sendMail(mailOptions);
+        return info.messageId;
+      },
+    );
+  }
+
   /**
    * Send breach notification email
    * @param {string} email - Recipient email
    * @param {object} breachData - Breach information
+   * @param {object} [context] - Notification context: userId, breachId
    * @returns {Promise<boolean>} - Success status
    */
-  async sendBreachNotification(email, breachData) {
+  async sendBreachNotification(email, breachData, context = {}) {
     try {
       const mailOptions = {
         from: `"Password Breach Alert" <${process.env.EMAIL_USER}>`,
@@ -29,8 +52,14 @@ class EmailService {
         html: this.generateBreachNotificationHTML(breachData),
       };
 
-      const info = await this.transporter.sendMail(mailOptions);
-      logger.info(`Breach notification sent to ${email}:`, info.messageId);
+      const messageId = await this.deliver(mailOptions, {
+        type: "breach_alert",
+        title: "Password Breach Detected",
+        body: `Your password was found ${breachData.count} times in known data breaches. Change it immediately.${breachData.otherBreaches ? ` ${breachData.otherBreaches} more of the passwords you checked were also found.` : ""}`,
+        severity: breachData.riskLevel || breachData.severity,
+        ...context,
+      });
+      logger.info(`Breach notification sent to ${email}:`, messageId);
       return true;
     } catch (error) {
       logger.error("Error sending breach notification:", error);
@@ -38,14 +67,90 @@ class EmailService {
     }
   }
 
+  /**
+   * Send an alert listing named breaches an account appeared in
+   * @param {string} email - Recipient email
+   * @param {object} alertData - Username, breach summaries and total
+   * @param {object} [context] - Notification context: userId,
+   *   accountBreachIds
+   * @returns {Promise<boolean>} - Success status
+   */
+  async sendBreachAlert(email, alertData, context = {}) {
+    try {
+      const mailOptions = {
+        from: `"Password Breach Alert" <${process.env.EMAIL_USER}>`,
+        to: email,
+        subject: `🚨 Your email was found in ${alertData.totalBreaches} data breach(es)`,
+        html: this.generateBreachAlertHTML(alertData),
+      };
+
+      const messageId = await this.deliver(mailOptions, {
+        type: "account_breach_alert",
+        title: "Email Address Found in Data Breaches",
+        body: `Your email address was found in ${alertData.totalBreaches} data breach(es): ${alertData.breaches.map((breach) => breach.name).join(", ")}.`,
+        severity: getHighestSeverity(
+          alertData.breaches.map((breach) => breach.severity),
+        ),
+        ...context,
+      });
+      logger.info(`Breach alert sent to ${email}:`, messageId);
+      return true;
+    } catch (error) {
+      logger.error("Error sending breach alert:", error);
+      throw new Error("Failed to send breach alert email");
+    }
+  }
+
+  /**
+   * Send a digest of breaches held back from users who chose daily or weekly
+   * alerts
+   * @param {string} email - Recipient email
+   * @param {object} digestData - Username, frequency, passwordBreaches and
+   *   accountBreaches
+   * @param {object} [context] - Notification context: userId,
+   *   accountBreachIds
+   * @returns {Promise<boolean>} - Success status
+   */
+  async sendDigest(email, digestData, context = {}) {
+    try {
+      const total =
+        digestData.passwordBreaches.length + digestData.accountBreaches.length;
+      const period = digestData.frequency === "daily" ? "Daily" : "Weekly";
+
+      const mailOptions = {
+        from: `"Password Breach Alert" <${process.env.EMAIL_USER}>`,
+        to: email,
+        subject: `${period} breach digest: ${total} new finding(s)`,
+        html: this.generateDigestHTML(digestData),
+      };
+
+      const messageId = await this.deliver(mailOptions, {
+        type: "digest",
+        title: `${period} Breach Digest`,
+        body: `${digestData.passwordBreaches.length} breached password(s) and ${digestData.accountBreaches.length} data breach(es) involving your email address since your last digest.`,
+        severity: getHighestSeverity([
+          ...digestData.passwordBreaches.map((breach) => breach.riskLevel),
+          ...digestData.accountBreaches.map((breach) => breach.severity),
+        ]),
+        ...context,
+      });
+      logger.info(`Breach digest sent to ${email}:`, messageId);
+      return true;
+    } catch (error) {
+      logger.error("Error sending breach digest:", error);
+      throw new Error("Failed to send breach digest email");
+    }
+  }
+
   /**
    * Send welcome email to new users
    * @param {string} email - Recipient email
    * @param {string} username - User's username
    * @param {string} verificationToken - Email verification token
+   * @param {object} [context] - Notification context: userId
    * @returns {Promise<boolean>} - Success status
    */
-  async sendWelcomeEmail(email, username, verificationToken) {
+  async sendWelcomeEmail(email, username, verificationToken, context = {}) {
     try {
       const verificationUrl = `${process.env.FRONTEND_URL}/verify-email?token=${verificationToken}`;
 
@@ -56,8 +161,13 @@ class EmailService {
         html: this.generateWelcomeHTML(username, verificationUrl),
       };
 
-      const info = await this.transporter.sendMail(mailOptions);
-      logger.info(`Welcome email sent to ${email}:`, info.messageId);
+      const messageId = await this.deliver(mailOptions, {
+        type: "welcome",
+        title: "Welcome! Please verify your email address",
+        body: "Verify your email address to start receiving breach alerts.",
+        ...context,
+      });
+      logger.info(`Welcome email sent to ${email}:`, messageId);
       return true;
     } catch (error) {
       logger.error("Error sending welcome email:", error);
@@ -69,9 +179,10 @@ class EmailService {
    * Send password reset email
    * @param {string} email - Recipient email
    * @param {string} resetToken - Password reset token
+   * @param {object} [context] - Notification context: userId
    * @returns {Promise<boolean>} - Success status
    */
-  async sendPasswordResetEmail(email, resetToken) {
+  async sendPasswordResetEmail(email, resetToken, context = {}) {
     try {
       const resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`;
 
@@ -82,8 +193,13 @@ class EmailService {
         html: this.generatePasswordResetHTML(resetUrl),
       };
 
-      const info = await this.transporter.sendMail(mailOptions);
-      logger.info(`Password reset email sent to ${email}:`, info.messageId);
+      const messageId = await this.deliver(mailOptions, {
+        type: "password_reset",
+        title: "Password Reset Request",
+        body: "A password reset was requested for your account. The link expires in 1 hour.",
+        ...context,
+      });
+      logger.info(`Password reset email sent to ${email}:`, messageId);
       return true;
     } catch (error) {
       logger.error("Error sending password reset email:", error);
@@ -120,6 +236,7 @@ class EmailService {
               
               <div class="alert">
                   <strong>URGENT:</strong> One of your passwords has been found in a data breach!
+                  ${breachData.otherBreaches ? `<p>${breachData.otherBreaches} more of the passwords you checked were also found. The details below are for the most severe.</p>` : ""}
               </div>
               
               <div class="severity-${breachData.severity}">
@@ -153,6 +270,136 @@ class EmailService {
     `;
   }
 
+  /**
+   * Generate HTML for account breach alert email
+   * @param {object} alertData - Username, breach summaries and total
+   * @returns {string} - HTML content
+   */
+  generateBreachAlertHTML(alertData) {
+    const breachRows = alertData.breaches
+      .map(
+        (breach) => `
+                  <div class="breach severity-${breach.severity}">
+                      <h3>${breach.name}</h3>
+                      <p><strong>Breach Date:</strong> ${breach.date}</p>
+                      <p><strong>Severity:</strong> ${breach.severity.toUpperCase()}</p>
+                      <p><strong>Exposed Data:</strong> ${(breach.dataClasses || []).join(", ")}</p>
+                  </div>`,
+      )
+      .join("");
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+          <style>
+              body { font-family: Arial, sans-serif; margin: 0; padding: 20px; background-color: #f4f4f4; }
+              .container { max-width: 600px; margin: 0 auto; background-color: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
+              .header { text-align: center; margin-bottom: 30px; }
+              .alert { background-color: #ff4444; color: white; padding: 15px; border-radius: 5px; margin-bottom: 20px; }
+              .breach { padding-left: 15px; margin-bottom: 20px; }
+              .severity-critical { border-left: 5px solid ${this.getSeverityColor("critical")}; }
+              .severity-high { border-left: 5px solid ${this.getSeverityColor("high")}; }
+              .severity-medium { border-left: 5px solid ${this.getSeverityColor("medium")}; }
+              .severity-low { border-left: 5px solid ${this.getSeverityColor("low")}; }
+              .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+          </style>
+      </head>
+      <body>
+          <div class="container">
+              <div class="header">
+                  <h1>🚨 Data Breach Alert</h1>
+              </div>
+
+              <p>Hello ${alertData.username},</p>
+
+              <div class="alert">
+                  Your email address was found in <strong>${alertData.totalBreaches}</strong> data breach(es).
+              </div>
+              ${breachRows}
+
+              <p><strong>What should you do?</strong> Change your password on the affected services and anywhere you reused it, and enable Two-Factor Authentication where available.</p>
+
+              <div class="footer">
+                  <p>This email was sent by Password Breach Notification System</p>
+                  <p>Acknowledge these breaches in your dashboard to stop further alerts.</p>
+              </div>
+          </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Generate HTML for a breach digest email
+   * @param {object} digestData - Username, frequency, passwordBreaches and
+   *   accountBreaches
+   * @returns {string} - HTML content
+   */
+  generateDigestHTML(digestData) {
+    const passwordRows = digestData.passwordBreaches
+      .map(
+        (breach) => `
+                  <div class="breach severity-${breach.riskLevel}">
+                      <h3>Breached password</h3>
+                      <p><strong>First Detected:</strong> ${breach.date}</p>
+                      <p><strong>Times Found:</strong> ${breach.count}</p>
+                      <p><strong>Risk Level:</strong> ${breach.riskLevel.toUpperCase()}</p>
+                  </div>`,
+      )
+      .join("");
+    const accountRows = digestData.accountBreaches
+      .map(
+        (breach) => `
+                  <div class="breach severity-${breach.severity}">
+                      <h3>${breach.name}</h3>
+                      <p><strong>Breach Date:</strong> ${breach.date}</p>
+                      <p><strong>Severity:</strong> ${breach.severity.toUpperCase()}</p>
+                      <p><strong>Exposed Data:</strong> ${(breach.dataClasses || []).join(", ")}</p>
+                  </div>`,
+      )
+      .join("");
+    const period = digestData.frequency === "daily" ? "day" : "week";
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+          <style>
+              body { font-family: Arial, sans-serif; margin: 0; padding: 20px; background-color: #f4f4f4; }
+              .container { max-width: 600px; margin: 0 auto; background-color: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
+              .header { text-align: center; margin-bottom: 30px; }
+              .breach { padding-left: 15px; margin-bottom: 20px; }
+              .severity-critical { border-left: 5px solid ${this.getSeverityColor("critical")}; }
+              .severity-high { border-left: 5px solid ${this.getSeverityColor("high")}; }
+              .severity-medium { border-left: 5px solid ${this.getSeverityColor("medium")}; }
+              .severity-low { border-left: 5px solid ${this.getSeverityColor("low")}; }
+              .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+          </style>
+      </head>
+      <body>
+          <div class="container">
+              <div class="header">
+                  <h1>📰 Your Breach Digest</h1>
+              </div>
+
+              <p>Hello ${digestData.username},</p>
+              <p>Here is what we found this ${period}.</p>
+              ${passwordRows}
+              ${accountRows}
+
+              <p><strong>What should you do?</strong> Change any breached password wherever you use it, and enable Two-Factor Authentication where available.</p>
+
+              <div class="footer">
+                  <p>This email was sent by Password Breach Notification System</p>
+                  <p>You can switch to immediate alerts in your notification preferences.</p>
+              </div>
+          </div>
+      </body>
+      </html>
+    `;
+  }
+
   /**
    * Generate HTML for welcome email
    * @param {string} username - User's username
@@ -260,18 +507,7 @@ class EmailService {
    * @returns {string} - Color hex code
    */
   getSeverityColor(severity) {
-    switch (severity) {
-      case "critical":
-        return "#dc3545";
-      case "high":
-        return "#fd7e14";
-      case "medium":
-        return "#ffc107";
-      case "low":
-        return "#28a745";
-      default:
-        return "#6c757d";
-    }
+    return getSeverityColor(severity);
   }
 }
 
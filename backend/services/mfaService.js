@@ -0,0 +1,218 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+const { generateSHA256Hash } = require("../utils/hashUtil");
+const {
+  generateSecret,
+  verifyTOTP,
+  buildOtpauthUri,
+} = require("../utils/totp");
+
+// Fields holding MFA secrets; they are excluded from queries by default
+const MFA_SECRET_FIELDS =
+  "+mfaSecret +mfaPendingSecret +mfaRecoveryCodes +mfaLastUsedStep";
+
+class MfaService {
+  /**
+   * @param {object} options - Service options
+   * @param {string} [options.issuer] - Issuer shown in authenticator apps
+   * @param {number} [options.recoveryCodeCount] - Recovery codes per set
+   * @param {string} [options.challengeExpiresIn] - MFA challenge token
+   *   lifetime (jsonwebtoken format)
+   */
+  constructor(options = {}) {
+    this.issuer =
+      options.issuer ||
+      process.env.MFA_ISSUER ||
+      "Password Breach Notification System";
+    this.recoveryCodeCount = options.recoveryCodeCount || 10;
+    this.challengeExpiresIn =
+      options.challengeExpiresIn ||
+      process.env.MFA_CHALLENGE_EXPIRES_IN ||
+      "5m";
+  }
+
+  /**
+   * Start enrollment by generating a pending secret. MFA stays disabled until
+   * the user confirms a first code.
+   * @param {object} user - User document selected with MFA_SECRET_FIELDS
+   * @returns {Promise<object>} - Secret and otpauth URI for the authenticator
+   */
+  async beginEnrollment(user) {
+    if (user.mfaEnabled) {
+      throw new Error("MFA is already enabled");
+    }
+
+    user.mfaPendingSecret = generateSecret();
+    await user.save();
+
+    return {
+      secret: user.mfaPendingSecret,
+      otpauthUri: buildOtpauthUri({
+        secret: user.mfaPendingSecret,
+        accountName: user.email,
+        issuer: this.issuer,
+      }),
+    };
+  }
+
+  /**
+   * Confirm enrollment with a first code from the authenticator
+   * @param {object} user - User document selected with MFA_SECRET_FIELDS
+   * @param {string} code - TOTP code
+   * @returns {Promise<Array<string>|null>} - Recovery codes, or null when
+   *   the code is wrong
+   */
+  async confirmEnrollment(user, code) {
+    if (user.mfaEnabled) {
+      throw new Error("MFA is already enabled");
+    }
+    if (!user.mfaPendingSecret) {
+      throw new Error("MFA setup has not been started");
+    }
+
+    const step = verifyTOTP(user.mfaPendingSecret, code);
+    if (step === null) {
+      return null;
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+
+    user.mfaEnabled = true;
+    user.mfaSecret = user.mfaPendingSecret;
+    user.mfaPendingSecret = undefined;
+    user.mfaLastUsedStep = step;
+    user.mfaRecoveryCodes = recoveryCodes.map(this.hashRecoveryCode);
+    await user.save();
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Verify a TOTP code or a one-time recovery code. Each TOTP time step and
+   * each recovery code is accepted once: it is claimed with a conditional
+   * update, so of two concurrent requests with the same code only one
+   * succeeds. The update goes straight to the database and is not reflected
+   * on `user`.
+   * @param {object} user - User document selected with MFA_SECRET_FIELDS
+   * @param {string} code - TOTP or recovery code
+   * @returns {Promise<string|null>} - "totp" or "recovery", or null
+   */
+  async verifyCode(user, code) {
+    if (!user.mfaEnabled || !user.mfaSecret) {
+      return null;
+    }
+
+    const step = verifyTOTP(user.mfaSecret, code);
+    if (step !== null) {
+      if (user.mfaLastUsedStep !== undefined && step <= user.mfaLastUsedStep) {
+        return null;
+      }
+
+      const result = await User.updateOne(
+        {
+          _id: user._id,
+          $or: [
+            { mfaLastUsedStep: { $exists: false } },
+            { mfaLastUsedStep: { $lt: step } },
+          ],
+        },
+        { $set: { mfaLastUsedStep: step } },
+      );
+      return result.modifiedCount === 1 ? "totp" : null;
+    }
+
+    const hash = this.hashRecoveryCode(code);
+    if (!(user.mfaRecoveryCodes || []).includes(hash)) {
+      return null;
+    }
+
+    const result = await User.updateOne(
+      { _id: user._id, mfaRecoveryCodes: hash },
+      { $pull: { mfaRecoveryCodes: hash } },
+    );
+    return result.modifiedCount === 1 ? "recovery" : null;
+  }
+
+  /**
+   * Turn MFA off and drop its secrets
+   * @param {object} user - User document selected with MFA_SECRET_FIELDS
+   */
+  async disable(user) {
+    user.mfaEnabled = false;
+    user.mfaSecret = undefined;
+    user.mfaPendingSecret = undefined;
+    user.mfaLastUsedStep = undefined;
+    user.mfaRecoveryCodes = [];
+    await user.save();
+  }
+
+  /**
+   * Replace the user's recovery codes with a fresh set
+   * @param {object} user - User document selected with MFA_SECRET_FIELDS
+   * @returns {Promise<Array<string>>} - New recovery codes
+   */
+  async regenerateRecoveryCodes(user) {
+    const recoveryCodes = this.generateRecoveryCodes();
+
+    user.mfaRecoveryCodes = recoveryCodes.map(this.hashRecoveryCode);
+    await user.save();
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Generate a set of recovery codes in the form "xxxxx-xxxxx"
+   * @returns {Array<string>} - Plaintext recovery codes
+   */
+  generateRecoveryCodes() {
+    return Array.from({ length: this.recoveryCodeCount }, () => {
+      const hex = crypto.randomBytes(5).toString("hex");
+      return `${hex.substring(0, 5)}-${hex.substring(5)}`;
+    });
+  }
+
+  /**
+   * Hash a recovery code for storage, ignoring case, spaces and dashes
+   * @param {string} code - Recovery code
+   * @returns {string} - SHA-256 hash
+   */
+  hashRecoveryCode(code) {
+    return generateSHA256Hash(
+      String(code || "")
+        .toLowerCase()
+        .replace(/[\s-]/g, ""),
+    );
+  }
+
+  /**
+   * Issue the short-lived token that proves the password step of a login
+   * @param {string} userId - User ID
+   * @returns {string} - MFA challenge token
+   */
+  generateChallengeToken(userId) {
+    return jwt.sign({ userId, purpose: "mfa" }, process.env.JWT_SECRET, {
+      expiresIn: this.challengeExpiresIn,
+    });
+  }
+
+  /**
+   * Verify an MFA challenge token
+   * @param {string} token - MFA challenge token
+   * @returns {string|null} - User ID, or null when invalid or expired
+   */
+  verifyChallengeToken(token) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      return decoded.purpose === "mfa" ? decoded.userId : null;
+    } catch {
+      return null;
+    }
+  }
+}
+
+MfaService.MFA_SECRET_FIELDS = MFA_SECRET_FIELDS;
+
+// Export the class constructor directly
+// This makes it compatible with: const MfaService = require('...')
+module.exports = MfaService;
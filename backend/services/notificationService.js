@@ -0,0 +1,249 @@
+const mongoose = require("mongoose");
+const Notification = require("../models/Notification");
+const RealtimeService = require("./realtimeService");
+const logger = require("../utils/logger");
+
+const realtimeService = new RealtimeService();
+
+// Largest page size accepted when listing notifications
+const MAX_PAGE_SIZE = 100;
+
+class NotificationService {
+  /**
+   * Send a message and record it as a Notification with its delivery status.
+   * Without a userId nothing is recorded. A failure to record never stops
+   * the message from being sent. New notifications are published to the
+   * user's dashboards. Retries that pass the same notificationId
+   * update one Notification instead of creating one per attempt.
+   * @param {object} details - Notification fields: userId, type, channel,
+   *   recipient, title, body, severity, breachId, accountBreachIds and an
+   *   optional notificationId
+   * @param {Function} send - Sends the message; resolves to a provider
+   *   message ID or true when delivered, false when not
+   * @returns {Promise<*>} - Result of send
+   */
+  async track(details, send) {
+    if (!details || !details.userId) {
+      return send();
+    }
+
+    const { notificationId, ...fields } = details;
+
+    let notification = null;
+    try {
+      notification =
+        notificationId && (await Notification.findById(notificationId));
+
+      if (!notification) {
+        notification = await Notification.create({
+          _id: notificationId,
+          ...fields,
+        });
+        await realtimeService.publish(
+          "notification.created",
+          {
+            id: notification._id,
+            type: notification.type,
+            channel: notification.channel,
+            title: notification.title,
+            severity: notification.severity,
+            breachId: notification.breachId,
+            createdAt: notification.createdAt,
+          },
+          { userId: notification.userId },
+        );
+      }
+    } catch (error) {
+      logger.error("Failed to record notification:", error);
+    }
+
+    let result;
+    try {
+      result = await send();
+    } catch (error) {
+      await this.updateDelivery(notification, {
+        deliveryStatus: "failed",
+        deliveryError: error.message,
+      });
+      throw error;
+    }
+
+    if (result) {
+      await this.updateDelivery(notification, {
+        deliveryStatus: "sent",
+        sentAt: new Date(),
+        providerMessageId: typeof result === "string" ? result : undefined,
+        deliveryError: undefined,
+      });
+    } else {
+      await this.updateDelivery(notification, {
+        deliveryStatus: "failed",
+        deliveryError: "Message not delivered",
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Store the outcome of a delivery attempt
+   * @param {object|null} notification - Notification document
+   * @param {object} fields - Delivery fields to set
+   */
+  async updateDelivery(notification, fields) {
+    if (!notification) return;
+
+    try {
+      notification.set(fields);
+      await notification.save();
+    } catch (error) {
+      logger.error(
+        `Failed to update delivery status of notification ${notification._id}:`,
+        error,
+      );
+    }
+  }
+
+  /**
+   * List a user's notifications, most recent first
+   * @param {string} userId - User ID
+   * @param {object} options - { page, limit, unread, type, channel,
+   *   deliveryStatus }
+   * @returns {Promise<object>} - { notifications, pagination }
+   */
+  async listForUser(userId, options = {}) {
+    const page = Math.max(parseInt(options.page) || 1, 1);
+    const limit = Math.min(parseInt(options.limit) || 10, MAX_PAGE_SIZE);
+
+    const query = { userId };
+    if (options.unread) query.isRead = false;
+    if (options.type) query.type = options.type;
+    if (options.channel) query.channel = options.channel;
+    if (options.deliveryStatus) query.deliveryStatus = options.deliveryStatus;
+
+    const [notifications, total] = await Promise.all([
+      Notification.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Notification.countDocuments(query),
+    ]);
+
+    return {
+      notifications,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Mark one of a user's notifications as read
+   * @param {string} userId - User ID
+   * @param {string} notificationId - Notification ID
+   * @returns {Promise<object|null>} - Notification, or null when not found
+   */
+  async markRead(userId, notificationId) {
+    const notification = await Notification.findOne({
+      _id: notificationId,
+      userId,
+    });
+
+    if (notification && !notification.isRead) {
+      notification.isRead = true;
+      notification.readAt = new Date();
+      await notification.save();
+      await realtimeService.publish(
+        "notification.read",
+        { ids: [notification._id] },
+        { userId },
+      );
+    }
+
+    return notification;
+  }
+
+  /**
+   * Mark all of a user's notifications as read
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} - Number of notifications updated
+   */
+  async markAllRead(userId) {
+    const result = await Notification.updateMany(
+      { userId, isRead: false },
+      { $set: { isRead: true, readAt: new Date() } },
+    );
+
+    if (result.modifiedCount > 0) {
+      await realtimeService.publish(
+        "notification.read",
+        { all: true },
+        { userId },
+      );
+    }
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Count a user's unread notifications
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} - Unread count
+   */
+  async countUnread(userId) {
+    return Notification.countDocuments({ userId, isRead: false });
+  }
+
+  /**
+   * Count a user's notifications by read state, severity and delivery
+   * @param {string} userId - User ID
+   * @returns {Promise<object>} - Notification statistics
+   */
+  async getStats(userId) {
+    const stats = await Notification.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(String(userId)) } },
+      {
+        $group: {
+          _id: null,
+          totalNotifications: { $sum: 1 },
+          unreadNotifications: {
+            $sum: { $cond: [{ $eq: ["$isRead", false] }, 1, 0] },
+          },
+          criticalNotifications: {
+            $sum: { $cond: [{ $eq: ["$severity", "critical"] }, 1, 0] },
+          },
+          highNotifications: {
+            $sum: { $cond: [{ $eq: ["$severity", "high"] }, 1, 0] },
+          },
+          totalNotificationsSent: {
+            $sum: { $cond: [{ $eq: ["$deliveryStatus", "sent"] }, 1, 0] },
+          },
+          failedNotifications: {
+            $sum: { $cond: [{ $eq: ["$deliveryStatus", "failed"] }, 1, 0] },
+          },
+        },
+      },
+      { $project: { _id: 0 } },
+    ]);
+
+    return (
+      stats[0] || {
+        totalNotifications: 0,
+        unreadNotifications: 0,
+        criticalNotifications: 0,
+        highNotifications: 0,
+        totalNotificationsSent: 0,
+        failedNotifications: 0,
+      }
+    );
+  }
+}
+
+NotificationService.MAX_PAGE_SIZE = MAX_PAGE_SIZE;
+
+// Export the class constructor directly
+// This makes it compatible with: const NotificationService = require('...')
+module.exports = NotificationService;
@@ -0,0 +1,471 @@
+const crypto = require("crypto");
+const dns = require("dns");
+const Organization = require("../models/Organization");
+const User = require("../models/User");
+const Breach = require("../models/Breach");
+const Webhook = require("../models/Webhook");
+const WebhookDelivery = require("../models/WebhookDelivery");
+const BreachService = require("./breachService");
+
+// Largest page size accepted when listing members or breaches
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Build a pagination block
+ * @param {object} options - { page, limit } from the query string
+ * @returns {object} - { page, limit, skip }
+ */
+const paginate = (options = {}) => {
+  const page = Math.max(parseInt(options.page) || 1, 1);
+  const limit = Math.min(parseInt(options.limit) || 20, MAX_PAGE_SIZE);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Shared mail providers: nobody owns these, so no organization may claim them
+const PUBLIC_EMAIL_DOMAINS = [
+  "gmail.com",
+  "googlemail.com",
+  "outlook.com",
+  "hotmail.com",
+  "live.com",
+  "yahoo.com",
+  "icloud.com",
+  "me.com",
+  "aol.com",
+  "proton.me",
+  "protonmail.com",
+  "gmx.com",
+  "mail.com",
+  "yandex.com",
+];
+
+// Prefix of the TXT record proving an organization controls a domain
+const DOMAIN_RECORD_PREFIX = "breach-notification-verification=";
+
+// Lookup failures meaning the domain simply has no TXT record
+const NO_RECORD_CODES = ["ENODATA", "ENOTFOUND"];
+
+class OrganizationService {
+  /**
+   * @param {object} options - Service options
+   * @param {object} [options.breachService] - Service used for statistics
+   */
+  constructor(options = {}) {
+    this.breachService = options.breachService || new BreachService();
+  }
+
+  /**
+   * Domain part of an email address, lowercased
+   * @param {string} email - Email address
+   * @returns {string} - Domain, e.g. example.com
+   */
+  static getEmailDomain(email) {
+    return String(email).split("@").pop().toLowerCase();
+  }
+
+  /**
+   * Lowercase and de-duplicate domains
+   * @param {Array<string>} domains - Email domains
+   * @returns {Array<string>} - Normalized domains
+   */
+  normalizeDomains(domains = []) {
+    return [
+      ...new Set(domains.map((domain) => domain.trim().toLowerCase())),
+    ].filter(Boolean);
+  }
+
+  /**
+   * Find the domains a user may not claim. Admins may claim any domain;
+   * anyone else only the domain of their own verified email address, and
+   * never a shared mail provider.
+   * @param {object} user - User claiming the domains
+   * @param {Array<string>} domains - Normalized domains
+   * @returns {Array<string>} - Domains the user may not claim
+   */
+  findUnclaimableDomains(user, domains) {
+    return domains.filter((domain) => {
+      if (PUBLIC_EMAIL_DOMAINS.includes(domain)) return true;
+      if (user.role === "admin") return false;
+
+      return (
+        !user.isVerified ||
+        domain !== OrganizationService.getEmailDomain(user.email)
+      );
+    });
+  }
+
+  /**
+   * Find which domains another organization already claims
+   * @param {Array<string>} domains - Normalized domains
+   * @param {string} [exceptId] - Organization being updated
+   * @returns {Promise<Array<string>>} - Domains that are taken
+   */
+  async findTakenDomains(domains, exceptId) {
+    if (domains.length === 0) return [];
+
+    const query = { domains: { $in: domains } };
+    if (exceptId) query._id = { $ne: exceptId };
+
+    const taken = await Organization.find(query).select("domains");
+    return domains.filter((domain) =>
+      taken.some((organization) => organization.domains.includes(domain)),
+    );
+  }
+
+  /**
+   * Set the domains an organization wants. Verified domains still listed
+   * stay verified; the others wait for their TXT record, keeping the token
+   * they were given when first requested. Does not save.
+   * @param {object} organization - Organization document
+   * @param {Array<string>} domains - Normalized domains
+   */
+  requestDomains(organization, domains) {
+    const pending = organization.pendingDomains || [];
+
+    organization.domains = organization.domains.filter((domain) =>
+      domains.includes(domain),
+    );
+    organization.pendingDomains = domains
+      .filter((domain) => !organization.domains.includes(domain))
+      .map(
+        (domain) =>
+          pending.find((entry) => entry.domain === domain) || {
+            domain,
+            token: crypto.randomBytes(16).toString("hex"),
+          },
+      );
+  }
+
+  /**
+   * The DNS record an owner publishes to prove control of a domain
+   * @param {object} pending - Pending domain: { domain, token }
+   * @returns {object} - { domain, type, name, value }
+   */
+  describeDomainRecord(pending) {
+    return {
+      domain: pending.domain,
+      type: "TXT",
+      name: pending.domain,
+      value: `${DOMAIN_RECORD_PREFIX}${pending.token}`,
+    };
+  }
+
+  /**
+   * Create an organization owned by a user. Its domains stay pending until
+   * verified, so nobody joins yet.
+   * @param {object} user - User document of the owner; not in an
+   *   organization yet
+   * @param {object} details - { name, domains, autoJoin }
+   * @returns {Promise<object>} - Organization document
+   */
+  async create(user, { name, domains, autoJoin }) {
+    const organization = new Organization({
+      name,
+      autoJoin,
+      createdBy: user._id,
+    });
+    this.requestDomains(organization, this.normalizeDomains(domains));
+    await organization.save();
+
+    user.organizationId = organization._id;
+    user.organizationRole = "owner";
+    await user.save();
+
+    return organization;
+  }
+
+  /**
+   * Update an organization's name, domains or auto-join setting. New domains
+   * are pending until verified.
+   * @param {object} organization - Organization document
+   * @param {object} changes - { name, domains, autoJoin }
+   * @returns {Promise<object>} - Organization document
+   */
+  async update(organization, { name, domains, autoJoin }) {
+    if (name !== undefined) organization.name = name;
+    if (domains !== undefined) {
+      this.requestDomains(organization, this.normalizeDomains(domains));
+    }
+    if (autoJoin !== undefined) organization.autoJoin = autoJoin;
+    await organization.save();
+
+    return organization;
+  }
+
+  /**
+   * Verify a pending domain by looking up its TXT record. Once verified the
+   * domain is claimed: new users verifying an email on it may auto-join.
+   * @param {object} organization - Organization document
+   * @param {object} pending - Pending domain: { domain, token }
+   * @returns {Promise<boolean>} - False when the record is not published
+   */
+  async verifyDomain(organization, pending) {
+    const expected = `${DOMAIN_RECORD_PREFIX}${pending.token}`;
+
+    let records;
+    try {
+      records = await dns.promises.resolveTxt(pending.domain);
+    } catch (error) {
+      if (NO_RECORD_CODES.includes(error.code)) return false;
+      throw error;
+    }
+
+    // Long TXT records come back split into chunks
+    if (!records.some((chunks) => chunks.join("") === expected)) {
+      return false;
+    }
+
+    organization.pendingDomains = organization.pendingDomains.filter(
+      (entry) => entry.domain !== pending.domain,
+    );
+    organization.domains.push(pending.domain);
+    await organization.save();
+
+    return true;
+  }
+
+  /**
+   * Delete an organization and its webhooks; its members become standalone
+   * users again
+   * @param {object} organization - Organization document
+   * @returns {Promise<number>} - Number of members released
+   */
+  async delete(organization) {
+    const result = await User.updateMany(
+      { organizationId: organization._id },
+      { $unset: { organizationId: 1, organizationRole: 1 } },
+    );
+    const webhookIds = await Webhook.find({
+      organizationId: organization._id,
+    }).distinct("_id");
+    await Promise.all([
+      Webhook.deleteMany({ _id: { $in: webhookIds } }),
+      WebhookDelivery.deleteMany({ webhookId: { $in: webhookIds } }),
+    ]);
+    await Organization.deleteOne({ _id: organization._id });
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Add a user who just verified their email to the organization that
+   * claims their domain, if it allows auto-join
+   * @param {object} user - User document
+   * @returns {Promise<object|null>} - Organization joined, or null
+   */
+  async autoJoin(user) {
+    if (!user.isVerified || user.organizationId) return null;
+
+    const organization = await Organization.findOne({
+      domains: OrganizationService.getEmailDomain(user.email),
+      autoJoin: true,
+    });
+    if (!organization) return null;
+
+    user.organizationId = organization._id;
+    user.organizationRole = "member";
+    await user.save();
+
+    return organization;
+  }
+
+  /**
+   * Invite a user to an organization, replacing any earlier invitation
+   * @param {object} organization - Organization document
+   * @param {object} user - User document being invited
+   * @param {string} role - Role they get when they accept
+   * @param {object} invitedBy - Owner sending the invitation
+   * @returns {Promise<object>} - Invitation
+   */
+  async invite(organization, user, role, invitedBy) {
+    organization.invitations = organization.invitations.filter(
+      (invitation) => String(invitation.userId) !== String(user._id),
+    );
+    organization.invitations.push({
+      userId: user._id,
+      role,
+      invitedBy: invitedBy._id,
+    });
+    await organization.save();
+
+    return organization.invitations[organization.invitations.length - 1];
+  }
+
+  /**
+   * Organizations a user may join: those that invited them, and the one
+   * claiming their email domain if it allows auto-join
+   * @param {object} user - User document
+   * @returns {Promise<Array<object>>} - Organization documents
+   */
+  async findJoinable(user) {
+    if (!user.isVerified || user.organizationId) return [];
+
+    return Organization.find({
+      $or: [
+        { "invitations.userId": user._id },
+        {
+          domains: OrganizationService.getEmailDomain(user.email),
+          autoJoin: true,
+        },
+      ],
+    }).sort({ name: 1 });
+  }
+
+  /**
+   * Join an organization the user may join (see findJoinable), with the
+   * role they were invited with or as a member. Their other invitations
+   * are dropped.
+   * @param {object} user - User document; not in an organization yet
+   * @param {string} organizationId - Organization to join
+   * @returns {Promise<object|null>} - Organization joined, or null when the
+   *   user may not join it
+   */
+  async join(user, organizationId) {
+    const organization = await Organization.findById(organizationId);
+    if (!organization || !user.isVerified) return null;
+
+    const invitation = organization.invitations.find(
+      (entry) => String(entry.userId) === String(user._id),
+    );
+    if (
+      !invitation &&
+      !(organization.autoJoin && this.isEligible(organization, user))
+    ) {
+      return null;
+    }
+
+    user.organizationId = organization._id;
+    user.organizationRole = invitation ? invitation.role : "member";
+    await user.save();
+
+    await Organization.updateMany(
+      { "invitations.userId": user._id },
+      { $pull: { invitations: { userId: user._id } } },
+    );
+
+    return organization;
+  }
+
+  /**
+   * Whether a user may be added to an organization: they must have verified
+   * an email address on one of its verified domains
+   * @param {object} organization - Organization document
+   * @param {object} user - User document
+   * @returns {boolean} - Whether the user is eligible
+   */
+  isEligible(organization, user) {
+    return (
+      user.isVerified &&
+      organization.domains.includes(
+        OrganizationService.getEmailDomain(user.email),
+      )
+    );
+  }
+
+  /**
+   * Count an organization's owners
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<number>} - Number of owners
+   */
+  async countOwners(organizationId) {
+    return User.countDocuments({ organizationId, organizationRole: "owner" });
+  }
+
+  /**
+   * List members by username
+   * @param {string} organizationId - Organization ID
+   * @param {object} filters - { role }
+   * @param {object} options - { page, limit }
+   * @returns {Promise<object>} - { members, pagination }
+   */
+  async listMembers(organizationId, filters = {}, options = {}) {
+    const { page, limit, skip } = paginate(options);
+    const query = { organizationId };
+    if (filters.role) query.organizationRole = filters.role;
+
+    const [members, total] = await Promise.all([
+      User.find(query)
+        .sort({ username: 1 })
+        .skip(skip)
+        .limit(limit)
+        .select("username email isVerified organizationRole lastLoginAt"),
+      User.countDocuments(query),
+    ]);
+
+    return {
+      members,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    };
+  }
+
+  /**
+   * IDs of every member of an organization
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Array>} - User IDs
+   */
+  async getMemberIds(organizationId) {
+    return User.find({ organizationId }).distinct("_id");
+  }
+
+  /**
+   * Breach statistics across the organization's members
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<object>} - Statistics plus the member count
+   */
+  async getBreachStats(organizationId) {
+    const memberIds = await this.getMemberIds(organizationId);
+    const stats =
+      await this.breachService.getOrganizationBreachStats(memberIds);
+
+    return { ...stats, members: memberIds.length };
+  }
+
+  /**
+   * List the breaches of every member, newest first
+   * @param {string} organizationId - Organization ID
+   * @param {object} filters - { riskLevel, acknowledged, active, userId }
+   * @param {object} options - { page, limit }
+   * @returns {Promise<object>} - { breaches, pagination }
+   */
+  async listBreaches(organizationId, filters = {}, options = {}) {
+    const { page, limit, skip } = paginate(options);
+    const memberIds = await this.getMemberIds(organizationId);
+
+    const query = { userId: { $in: memberIds } };
+    if (filters.userId) {
+      query.userId = memberIds.some((id) => String(id) === filters.userId)
+        ? filters.userId
+        : { $in: [] };
+    }
+    if (filters.riskLevel) query.riskLevel = filters.riskLevel;
+    if (filters.acknowledged !== undefined) {
+      query.userAcknowledged = String(filters.acknowledged) === "true";
+    }
+    if (filters.active !== undefined) {
+      query.isActive = String(filters.active) === "true";
+    }
+
+    const [breaches, total] = await Promise.all([
+      Breach.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate("userId", "username email")
+        .select("-passwordHash"), // Don't expose password hashes
+      Breach.countDocuments(query),
+    ]);
+
+    return {
+      breaches,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    };
+  }
+}
+
+OrganizationService.MAX_PAGE_SIZE = MAX_PAGE_SIZE;
+OrganizationService.PUBLIC_EMAIL_DOMAINS = PUBLIC_EMAIL_DOMAINS;
+OrganizationService.DOMAIN_RECORD_PREFIX = DOMAIN_RECORD_PREFIX;
+
+// Export the class constructor directly
+// This makes it compatible with: const OrganizationService = require('...')
+module.exports = OrganizationService;
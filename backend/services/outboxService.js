@@ -0,0 +1,423 @@
+const crypto = require("crypto");
+const os = require("os");
+const mongoose = require("mongoose");
+const OutboxJob = require("../models/OutboxJob");
+const Breach = require("../models/Breach");
+const User = require("../models/User");
+const EmailService = require("./emailService");
+const SmsService = require("./smsService");
+const ChatService = require("./chatService");
+const PushService = require("./pushService");
+const WebhookService = require("./webhookService");
+const logger = require("../utils/logger");
+
+// Largest page size accepted when listing jobs
+const MAX_PAGE_SIZE = 100;
+
+class OutboxService {
+  /**
+   * @param {object} options - Outbox options
+   * @param {object} [options.emailService] - Service used for email jobs
+   * @param {object} [options.smsService] - Service used for SMS jobs
+   * @param {object} [options.chatService] - Service used for chat jobs
+   * @param {object} [options.pushService] - Service used for web push jobs
+   * @param {object} [options.webhookService] - Service used for webhook jobs
+   * @param {number} [options.maxAttempts] - Attempts before a job is
+   *   dead-lettered; defaults to OUTBOX_MAX_ATTEMPTS or 5
+   * @param {number} [options.retryBaseMs] - Delay before the first retry,
+   *   doubled for each later one; defaults to OUTBOX_RETRY_BASE_MS or 30000
+   * @param {number} [options.retryMaxMs] - Longest delay between attempts;
+   *   defaults to OUTBOX_RETRY_MAX_MS or one hour
+   * @param {number} [options.lockTimeoutMs] - How long a claimed job may run
+   *   before another worker may take it over; defaults to
+   *   OUTBOX_LOCK_TIMEOUT_MS or five minutes
+   */
+  constructor(options = {}) {
+    this.emailService = options.emailService || new EmailService();
+    this.smsService = options.smsService || new SmsService();
+    this.chatService = options.chatService || new ChatService();
+    this.pushService = options.pushService || new PushService();
+    this.webhookService =
+      options.webhookService || new WebhookService({ outboxService: this });
+    this.maxAttempts =
+      options.maxAttempts || parseInt(process.env.OUTBOX_MAX_ATTEMPTS) || 5;
+    this.retryBaseMs =
+      options.retryBaseMs ||
+      parseInt(process.env.OUTBOX_RETRY_BASE_MS) ||
+      30 * 1000;
+    this.retryMaxMs =
+      options.retryMaxMs ||
+      parseInt(process.env.OUTBOX_RETRY_MAX_MS) ||
+      60 * 60 * 1000;
+    this.lockTimeoutMs =
+      options.lockTimeoutMs ||
+      parseInt(process.env.OUTBOX_LOCK_TIMEOUT_MS) ||
+      5 * 60 * 1000;
+
+    // Delivery handler per job type; a handler throws when delivery failed
+    this.handlers = {
+      breach_email: (job) => this.deliverBreachEmail(job),
+      breach_sms: (job) => this.deliverBreachSms(job),
+      breach_chat: (job) => this.deliverBreachChat(job),
+      breach_push: (job) => this.deliverBreachPush(job),
+      digest_email: (job) => this.deliverDigestEmail(job),
+      webhook: (job) => this.webhookService.deliver(job),
+    };
+  }
+
+  /**
+   * Queue a delivery for the worker
+   * @param {string} type - Job type, e.g. "breach_email"
+   * @param {object} payload - Data the handler needs to deliver
+   * @param {object} [refs] - { userId, breachId }
+   * @param {object} [options] - { deliverAt }: earliest delivery time,
+   *   e.g. the end of the user's quiet hours; defaults to now
+   * @returns {Promise<object>} - Saved job
+   */
+  async enqueue(type, payload, refs = {}, options = {}) {
+    return OutboxJob.create({
+      type,
+      payload,
+      userId: refs.userId,
+      breachId: refs.breachId,
+      notificationId: new mongoose.Types.ObjectId(),
+      maxAttempts: this.maxAttempts,
+      nextAttemptAt: options.deliverAt || new Date(),
+    });
+  }
+
+  /**
+   * Claim the next due job. Jobs whose worker stopped mid-delivery are
+   * claimable again once their lock times out.
+   * @param {string} workerId - Identifies the claiming worker
+   * @returns {Promise<object|null>} - Claimed job, or null when none is due
+   */
+  async claimNext(workerId) {
+    const now = new Date();
+
+    return OutboxJob.findOneAndUpdate(
+      {
+        $or: [
+          { status: "pending", nextAttemptAt: { $lte: now } },
+          {
+            status: "processing",
+            lockedAt: { $lte: new Date(now.getTime() - this.lockTimeoutMs) },
+          },
+        ],
+      },
+      {
+        $set: { status: "processing", lockedAt: now, lockedBy: workerId },
+        $inc: { attempts: 1 },
+      },
+      { new: true, sort: { nextAttemptAt: 1 } },
+    );
+  }
+
+  /**
+   * Run a claimed job and record the outcome: delivered, retried later, or
+   * dead-lettered once it has used all its attempts
+   * @param {object} job - Claimed job
+   * @returns {Promise<string>} - New job status
+   */
+  async processJob(job) {
+    const handler = this.handlers[job.type];
+
+    try {
+      if (!handler) {
+        throw new Error(`No handler for outbox job type ${job.type}`);
+      }
+
+      await handler(job);
+
+      job.status = "delivered";
+      job.deliveredAt = new Date();
+      job.lastError = undefined;
+    } catch (error) {
+      job.lastError = error.message;
+
+      if (job.attempts >= job.maxAttempts) {
+        job.status = "dead";
+        job.deadAt = new Date();
+        logger.error(
+          `Outbox job ${job._id} dead-lettered after ${job.attempts} attempt(s): ${error.message}`,
+        );
+      } else {
+        job.status = "pending";
+        job.nextAttemptAt = new Date(
+          Date.now() + this.getRetryDelay(job.attempts),
+        );
+        logger.warn(
+          `Outbox job ${job._id} failed (attempt ${job.attempts}/${job.maxAttempts}), retrying at ${job.nextAttemptAt.toISOString()}: ${error.message}`,
+        );
+      }
+    }
+
+    job.lockedAt = undefined;
+    job.lockedBy = undefined;
+    await job.save();
+
+    return job.status;
+  }
+
+  /**
+   * Claim and run due jobs one at a time
+   * @param {object} options - { workerId, limit }
+   * @returns {Promise<object>} - Counts of delivered, retrying and dead jobs
+   */
+  async processDueJobs(options = {}) {
+    const workerId = options.workerId || this.createWorkerId();
+    const limit = options.limit || 50;
+    const counts = { delivered: 0, retrying: 0, dead: 0 };
+
+    for (let processed = 0; processed < limit; processed++) {
+      const job = await this.claimNext(workerId);
+      if (!job) break;
+
+      const status = await this.processJob(job);
+      if (status === "delivered") counts.delivered++;
+      else if (status === "dead") counts.dead++;
+      else counts.retrying++;
+    }
+
+    return counts;
+  }
+
+  /**
+   * Delay before the next attempt: retryBaseMs doubled for each attempt
+   * made, capped at retryMaxMs
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} - Delay in milliseconds
+   */
+  getRetryDelay(attempts) {
+    return Math.min(
+      this.retryBaseMs * 2 ** Math.max(attempts - 1, 0),
+      this.retryMaxMs,
+    );
+  }
+
+  /**
+   * Put a dead or pending job back in the queue with a fresh set of attempts
+   * @param {string} jobId - Job ID
+   * @returns {Promise<object|null>} - Requeued job, or null when no such job
+   *   can be requeued
+   */
+  async requeue(jobId) {
+    return OutboxJob.findOneAndUpdate(
+      { _id: jobId, status: { $in: ["dead", "pending"] } },
+      {
+        $set: { status: "pending", attempts: 0, nextAttemptAt: new Date() },
+        $unset: { deadAt: 1 },
+      },
+      { new: true },
+    );
+  }
+
+  /**
+   * List jobs, most recently updated first, with totals per status
+   * @param {object} filters - { status, type, userId, breachId }
+   * @param {object} options - { page, limit }
+   * @returns {Promise<object>} - { jobs, counts, pagination }
+   */
+  async listJobs(filters = {}, options = {}) {
+    const page = Math.max(parseInt(options.page) || 1, 1);
+    const limit = Math.min(parseInt(options.limit) || 20, MAX_PAGE_SIZE);
+
+    const query = {};
+    if (filters.status) query.status = filters.status;
+    if (filters.type) query.type = filters.type;
+    if (filters.userId) query.userId = filters.userId;
+    if (filters.breachId) query.breachId = filters.breachId;
+
+    const [jobs, total, statusCounts] = await Promise.all([
+      OutboxJob.find(query)
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      OutboxJob.countDocuments(query),
+      OutboxJob.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]),
+    ]);
+
+    const counts = { pending: 0, processing: 0, delivered: 0, dead: 0 };
+    for (const { _id, count } of statusCounts) {
+      counts[_id] = count;
+    }
+
+    return {
+      jobs,
+      counts,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Deliver a breach notification email and count it on the breach
+   * @param {object} job - breach_email job
+   */
+  async deliverBreachEmail(job) {
+    const { email, breachData } = job.payload;
+
+    await this.emailService.sendBreachNotification(email, breachData, {
+      userId: job.userId,
+      breachId: job.breachId,
+      notificationId: job.notificationId,
+    });
+
+    await this.countDelivery(job);
+  }
+
+  /**
+   * Deliver a breach notification SMS and count it on the breach
+   * @param {object} job - breach_sms job
+   */
+  async deliverBreachSms(job) {
+    const { phone, breachData } = job.payload;
+
+    const sent = await this.smsService.sendBreachNotificationSMS(
+      phone,
+      breachData,
+      {
+        userId: job.userId,
+        breachId: job.breachId,
+        notificationId: job.notificationId,
+      },
+    );
+
+    if (!sent) {
+      throw new Error("SMS provider did not accept the message");
+    }
+
+    await this.countDelivery(job);
+  }
+
+  /**
+   * Post a breach notification to a chat channel: the user's own, counted on
+   * the breach, or the admin channel. The webhook URL is looked up at
+   * delivery, so it never sits in the queue; jobs whose channel has been
+   * removed are dropped.
+   * @param {object} job - breach_chat job
+   */
+  async deliverBreachChat(job) {
+    const { channel, breachData } = job.payload;
+    let target = null;
+
+    if (channel === "admin") {
+      target = this.chatService.getAdminTarget();
+    } else {
+      const user = await User.findById(job.userId).select(
+        "notificationPreferences",
+      );
+      const chat = user && user.notificationPreferences.chat;
+      if (chat && chat.enabled && chat.webhookUrl) target = chat;
+    }
+
+    if (!target) {
+      logger.info(`Dropping outbox job ${job._id}: no ${channel} chat channel`);
+      return;
+    }
+
+    await this.chatService.sendBreachNotification(target, breachData, {
+      userId: channel === "admin" ? undefined : job.userId,
+      breachId: job.breachId,
+      notificationId: job.notificationId,
+    });
+
+    if (channel !== "admin") {
+      await this.countDelivery(job);
+    }
+  }
+
+  /**
+   * Push a breach notification to the user's browsers. Jobs whose user has
+   * turned push off or has no subscribed browser left are dropped.
+   * @param {object} job - breach_push job
+   */
+  async deliverBreachPush(job) {
+    const user = await User.findById(job.userId).select(
+      "notificationPreferences",
+    );
+
+    if (!user || !user.notificationPreferences.push) {
+      logger.info(`Dropping outbox job ${job._id}: push is turned off`);
+      return;
+    }
+
+    const sent = await this.pushService.sendBreachNotification(
+      job.userId,
+      job.payload.breachData,
+      {
+        breachId: job.breachId,
+        notificationId: job.notificationId,
+      },
+    );
+
+    if (!sent) {
+      logger.info(`Dropping outbox job ${job._id}: no push subscription`);
+      return;
+    }
+
+    await this.countDelivery(job);
+  }
+
+  /**
+   * Deliver a breach digest email and count it on each password breach it
+   * covers. As in countDelivery, a failure to count is only logged.
+   * @param {object} job - digest_email job
+   */
+  async deliverDigestEmail(job) {
+    const { email, digestData, breachIds, accountBreachIds } = job.payload;
+
+    await this.emailService.sendDigest(email, digestData, {
+      userId: job.userId,
+      accountBreachIds,
+      notificationId: job.notificationId,
+    });
+
+    if (breachIds && breachIds.length > 0) {
+      try {
+        await Breach.updateMany(
+          { _id: { $in: breachIds } },
+          { $inc: { notificationsSent: 1 } },
+        );
+      } catch (error) {
+        logger.error(
+          `Failed to count delivery of outbox job ${job._id}:`,
+          error,
+        );
+      }
+    }
+  }
+
+  /**
+   * Count a confirmed delivery on the job's breach. A failure here is only
+   * logged, since failing the job would send the message again.
+   * @param {object} job - Delivered job
+   */
+  async countDelivery(job) {
+    if (!job.breachId) return;
+
+    try {
+      await Breach.updateOne(
+        { _id: job.breachId },
+        { $inc: { notificationsSent: 1 } },
+      );
+    } catch (error) {
+      logger.error(`Failed to count delivery of outbox job ${job._id}:`, error);
+    }
+  }
+
+  createWorkerId() {
+    const suffix = crypto.randomBytes(4).toString("hex");
+    return `${os.hostname()}:${process.pid}:${suffix}`;
+  }
+}
+
+OutboxService.MAX_PAGE_SIZE = MAX_PAGE_SIZE;
+
+// Export the class constructor directly
+// This makes it compatible with: const OutboxService = require('...')
+module.exports = OutboxService;
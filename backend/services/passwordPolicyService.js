@@ -0,0 +1,103 @@
+const BreachService = require("./breachService");
+const logger = require("../utils/logger");
+
+/**
+ * Breached-password policy applied when a password is chosen (register,
+ * change and reset). Passwords seen in more breaches than the threshold are
+ * rejected; passwords seen fewer times are accepted with a warning.
+ */
+class PasswordPolicyService {
+  /**
+   * @param {object} options - Policy options
+   * @param {object} [options.breachService] - Service used for lookups
+   * @param {boolean} [options.enabled] - Defaults to BREACHED_PASSWORD_CHECK
+   *   not being "false"
+   * @param {number} [options.rejectThreshold] - Breach count above which a
+   *   password is rejected; defaults to BREACHED_PASSWORD_REJECT_THRESHOLD or 10
+   * @param {boolean} [options.failOpen] - Accept passwords (with a warning)
+   *   when no breach provider answers; defaults to BREACHED_PASSWORD_FAIL_OPEN
+   */
+  constructor(options = {}) {
+    this.breachService = options.breachService || new BreachService();
+    this.enabled =
+      options.enabled !== undefined
+        ? options.enabled
+        : process.env.BREACHED_PASSWORD_CHECK !== "false";
+
+    const envThreshold = parseInt(
+      process.env.BREACHED_PASSWORD_REJECT_THRESHOLD,
+    );
+    this.rejectThreshold =
+      options.rejectThreshold !== undefined
+        ? options.rejectThreshold
+        : envThreshold >= 0
+          ? envThreshold
+          : 10;
+    this.failOpen =
+      options.failOpen !== undefined
+        ? options.failOpen
+        : process.env.BREACHED_PASSWORD_FAIL_OPEN === "true";
+  }
+
+  /**
+   * Evaluate a candidate password against the policy
+   * @param {string} password - Candidate password
+   * @returns {Promise<object>} - { allowed, checked, count, message?, warning? }
+   */
+  async evaluate(password) {
+    if (!this.enabled) {
+      return { allowed: true, checked: false, count: 0 };
+    }
+
+    let result;
+    try {
+      result = await this.breachService.checkPasswordBreach(password);
+    } catch (error) {
+      if (this.failOpen) {
+        logger.warn(
+          `Breached-password check unavailable, accepting password: ${error.message}`,
+        );
+        return {
+          allowed: true,
+          checked: false,
+          count: 0,
+          warning: "Password could not be checked against known data breaches",
+        };
+      }
+
+      return {
+        allowed: false,
+        checked: false,
+        count: 0,
+        message:
+          "Password could not be checked against known data breaches; please try again later",
+      };
+    }
+
+    if (!result.breached) {
+      return { allowed: true, checked: true, count: 0 };
+    }
+
+    if (result.count > this.rejectThreshold) {
+      return {
+        allowed: false,
+        checked: true,
+        count: result.count,
+        // The count stays out of the message so it is no breach-count oracle
+        message:
+          "This password has appeared in known data breaches; please choose a different password",
+      };
+    }
+
+    return {
+      allowed: true,
+      checked: true,
+      count: result.count,
+      warning: `This password has appeared ${result.count} time(s) in known data breaches; consider choosing a different password`,
+    };
+  }
+}
+
+// Export the class constructor directly
+// This makes it compatible with: const PasswordPolicyService = require('...')
+module.exports = PasswordPolicyService;
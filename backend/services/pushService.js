@@ -0,0 +1,348 @@
+const crypto = require("crypto");
+const { URL } = require("url");
+const axios = require("axios");
+const jwt = require("jsonwebtoken");
+const PushSubscription = require("../models/PushSubscription");
+const NotificationService = require("./notificationService");
+const { assertPublicUrl, publicAgents } = require("../utils/networkUtil");
+const logger = require("../utils/logger");
+
+const notificationService = new NotificationService();
+
+// Payloads are sent as a single aes128gcm record of at most this size
+const RECORD_SIZE = 4096;
+
+// Push services reject VAPID tokens valid for more than 24 hours (RFC 8292)
+const VAPID_TOKEN_TTL_SECONDS = 12 * 60 * 60;
+
+// Push service responses meaning the subscription no longer exists
+const EXPIRED_STATUSES = [404, 410];
+
+/**
+ * HKDF-SHA-256 as used by RFC 8291
+ * @param {Buffer} salt - Salt
+ * @param {Buffer} ikm - Input keying material
+ * @param {Buffer} info - Context info
+ * @param {number} length - Output length in bytes
+ * @returns {Buffer} - Derived key
+ */
+const hkdf = (salt, ikm, info, length) =>
+  Buffer.from(crypto.hkdfSync("sha256", ikm, salt, info, length));
+
+class PushService {
+  /**
+   * @param {object} options - Push options
+   * @param {string} [options.publicKey] - VAPID public key, base64url;
+   *   defaults to VAPID_PUBLIC_KEY
+   * @param {string} [options.privateKey] - VAPID private key, base64url;
+   *   defaults to VAPID_PRIVATE_KEY
+   * @param {string} [options.subject] - Contact URL sent to push services,
+   *   e.g. mailto:security@example.com; defaults to VAPID_SUBJECT
+   * @param {number} [options.timeoutMs] - How long to wait for the push
+   *   service; defaults to PUSH_TIMEOUT_MS or 10000
+   * @param {number} [options.ttlSeconds] - How long the push service keeps
+   *   an undelivered message; defaults to PUSH_TTL_SECONDS or one day
+   */
+  constructor(options = {}) {
+    this.publicKey = options.publicKey || process.env.VAPID_PUBLIC_KEY;
+    this.privateKey = options.privateKey || process.env.VAPID_PRIVATE_KEY;
+    this.subject = options.subject || process.env.VAPID_SUBJECT;
+    this.timeoutMs =
+      options.timeoutMs || parseInt(process.env.PUSH_TIMEOUT_MS) || 10000;
+    this.ttlSeconds =
+      options.ttlSeconds ||
+      parseInt(process.env.PUSH_TTL_SECONDS) ||
+      24 * 60 * 60;
+  }
+
+  /**
+   * Generate a VAPID key pair
+   * @returns {object} - { publicKey, privateKey }: the uncompressed P-256
+   *   public key and the private scalar, both base64url
+   */
+  static generateVapidKeys() {
+    const { privateKey } = crypto.generateKeyPairSync("ec", {
+      namedCurve: "prime256v1",
+    });
+    const jwk = privateKey.export({ format: "jwk" });
+
+    return {
+      publicKey: Buffer.concat([
+        Buffer.from([0x04]),
+        Buffer.from(jwk.x, "base64url"),
+        Buffer.from(jwk.y, "base64url"),
+      ]).toString("base64url"),
+      privateKey: jwk.d,
+    };
+  }
+
+  /**
+   * Whether VAPID keys and a subject are configured
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return Boolean(this.publicKey && this.privateKey && this.subject);
+  }
+
+  /**
+   * Build the VAPID Authorization header for a push service (RFC 8292)
+   * @param {string} endpoint - Subscription endpoint
+   * @returns {string} - Authorization header value
+   */
+  createVapidAuthorization(endpoint) {
+    const publicKey = Buffer.from(this.publicKey, "base64url");
+    const key = crypto.createPrivateKey({
+      key: {
+        kty: "EC",
+        crv: "P-256",
+        x: publicKey.subarray(1, 33).toString("base64url"),
+        y: publicKey.subarray(33, 65).toString("base64url"),
+        d: this.privateKey,
+      },
+      format: "jwk",
+    });
+
+    const token = jwt.sign(
+      { aud: new URL(endpoint).origin, sub: this.subject },
+      key,
+      { algorithm: "ES256", expiresIn: VAPID_TOKEN_TTL_SECONDS },
+    );
+
+    return `vapid t=${token}, k=${this.publicKey}`;
+  }
+
+  /**
+   * Encrypt a payload for one subscription (RFC 8291, aes128gcm)
+   * @param {object} subscription - { keys: { p256dh, auth } }
+   * @param {string} payload - Message to encrypt
+   * @returns {Buffer} - Request body: content-coding header and one record
+   */
+  encrypt(subscription, payload) {
+    const userAgentKey = Buffer.from(subscription.keys.p256dh, "base64url");
+    const authSecret = Buffer.from(subscription.keys.auth, "base64url");
+
+    const ecdh = crypto.createECDH("prime256v1");
+    const serverKey = ecdh.generateKeys();
+    const sharedSecret = ecdh.computeSecret(userAgentKey);
+
+    const ikm = hkdf(
+      authSecret,
+      sharedSecret,
+      Buffer.concat([Buffer.from("WebPush: info\0"), userAgentKey, serverKey]),
+      32,
+    );
+    const salt = crypto.randomBytes(16);
+    const contentKey = hkdf(
+      salt,
+      ikm,
+      Buffer.from("Content-Encoding: aes128gcm\0"),
+      16,
+    );
+    const nonce = hkdf(salt, ikm, Buffer.from("Content-Encoding: nonce\0"), 12);
+
+    // A single record ends with the 0x02 delimiter and carries no padding
+    const plaintext = Buffer.concat([
+      Buffer.from(payload),
+      Buffer.from([0x02]),
+    ]);
+    if (plaintext.length + 16 > RECORD_SIZE) {
+      throw new Error("Push payload is too large");
+    }
+
+    const cipher = crypto.createCipheriv("aes-128-gcm", contentKey, nonce);
+    const ciphertext = Buffer.concat([
+      cipher.update(plaintext),
+      cipher.final(),
+      cipher.getAuthTag(),
+    ]);
+
+    const header = Buffer.alloc(21);
+    salt.copy(header, 0);
+    header.writeUInt32BE(RECORD_SIZE, 16);
+    header.writeUInt8(serverKey.length, 20);
+
+    return Buffer.concat([header, serverKey, ciphertext]);
+  }
+
+  /**
+   * Send a message to one subscription. Subscriptions the push service
+   * reports as gone (404 or 410) are deleted. Endpoints resolving to
+   * private or reserved addresses are refused.
+   * @param {object} subscription - PushSubscription document
+   * @param {object} message - JSON payload for the service worker
+   * @param {object} [options] - { urgency }: very-low, low, normal or high
+   * @returns {Promise<boolean>} - True when delivered, false when the
+   *   subscription had expired
+   */
+  async send(subscription, message, options = {}) {
+    await assertPublicUrl(subscription.endpoint);
+
+    const response = await axios.post(
+      subscription.endpoint,
+      this.encrypt(subscription, JSON.stringify(message)),
+      {
+        headers: {
+          Authorization: this.createVapidAuthorization(subscription.endpoint),
+          "Content-Encoding": "aes128gcm",
+          "Content-Type": "application/octet-stream",
+          TTL: String(this.ttlSeconds),
+          Urgency: options.urgency || "normal",
+        },
+        ...publicAgents,
+        timeout: this.timeoutMs,
+        maxRedirects: 0,
+        validateStatus: () => true,
+      },
+    );
+
+    if (EXPIRED_STATUSES.includes(response.status)) {
+      logger.info(
+        `Removing expired push subscription ${subscription._id} (${response.status})`,
+      );
+      await PushSubscription.deleteOne({ _id: subscription._id });
+      return false;
+    }
+
+    if (response.status < 200 || response.status >= 300) {
+      throw new Error(`Push service responded with ${response.status}`);
+    }
+
+    return true;
+  }
+
+  /**
+   * Send a message to every subscription of a user, recording it as one
+   * Notification. A device that fails does not stop the others; the send
+   * only throws when no device got the message and at least one failed, so
+   * a retry does not repeat the message on devices that got it.
+   * @param {string} userId - User ID
+   * @param {object} message - { title, body, severity, ... } for the
+   *   service worker
+   * @param {object} [notification] - Notification fields: type, title,
+   *   body, severity, breachId, accountBreachIds, notificationId
+   * @returns {Promise<boolean>} - True when at least one device got it
+   */
+  async sendToUser(userId, message, notification) {
+    if (!this.isConfigured()) {
+      logger.warn("Web push is not configured; set the VAPID_* variables");
+      return false;
+    }
+
+    const subscriptions = await PushSubscription.find({ userId });
+    if (subscriptions.length === 0) return false;
+
+    const urgency = ["high", "critical"].includes(message.severity)
+      ? "high"
+      : "normal";
+
+    return notificationService.track(
+      notification && {
+        userId,
+        channel: "push",
+        recipient: `${subscriptions.length} device(s)`,
+        ...notification,
+      },
+      async () => {
+        const results = await Promise.allSettled(
+          subscriptions.map((subscription) =>
+            this.send(subscription, message, { urgency }),
+          ),
+        );
+        const delivered = subscriptions.filter(
+          (subscription, index) =>
+            results[index].status === "fulfilled" && results[index].value,
+        );
+        const failure = results.find((result) => result.status === "rejected");
+
+        if (failure) {
+          logger.error("Error sending push notification:", failure.reason);
+        }
+
+        if (delivered.length > 0) {
+          await PushSubscription.updateMany(
+            { _id: { $in: delivered.map((subscription) => subscription._id) } },
+            { lastDeliveryAt: new Date() },
+          );
+          return true;
+        }
+
+        if (failure) {
+          throw new Error("Failed to send push notification");
+        }
+
+        return false;
+      },
+    );
+  }
+
+  /**
+   * Send breach notification to a user's browsers
+   * @param {string} userId - User ID
+   * @param {object} breachData - Breach information
+   * @param {object} [context] - Notification context: breachId,
+   *   notificationId, or type and title for tests
+   * @returns {Promise<boolean>} - True when at least one device got it
+   */
+  async sendBreachNotification(userId, breachData, context = {}) {
+    const severity = breachData.riskLevel || breachData.severity;
+    const title = "Password Breach Detected";
+    const others = breachData.otherBreaches
+      ? ` ${breachData.otherBreaches} more of the passwords you checked were also found.`
+      : "";
+    const body = `A password was found ${breachData.count} times in known data breaches.${others} Change it immediately.`;
+
+    return this.sendToUser(
+      userId,
+      { title, body, severity, breachId: context.breachId },
+      { type: "breach_alert", title, body, severity, ...context },
+    );
+  }
+
+  /**
+   * Register a browser subscription for a user. Re-subscribing the same
+   * endpoint updates its keys and moves it to the user.
+   * @param {string} userId - User ID
+   * @param {object} subscription - { endpoint, keys: { p256dh, auth } }
+   *   from PushSubscription.toJSON() in the browser
+   * @param {string} [userAgent] - Browser that subscribed
+   * @returns {Promise<object>} - Saved subscription
+   */
+  async subscribe(userId, subscription, userAgent) {
+    return PushSubscription.findOneAndUpdate(
+      { endpoint: subscription.endpoint },
+      {
+        userId,
+        keys: {
+          p256dh: subscription.keys.p256dh,
+          auth: subscription.keys.auth,
+        },
+        userAgent: userAgent && userAgent.slice(0, 500),
+      },
+      { upsert: true, new: true, runValidators: true },
+    );
+  }
+
+  /**
+   * Remove one of a user's subscriptions
+   * @param {string} userId - User ID
+   * @param {string} endpoint - Subscription endpoint
+   * @returns {Promise<boolean>} - True when a subscription was removed
+   */
+  async unsubscribe(userId, endpoint) {
+    const result = await PushSubscription.deleteOne({ userId, endpoint });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Whether a user has subscribed any browser
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>}
+   */
+  async hasSubscriptions(userId) {
+    return Boolean(await PushSubscription.exists({ userId }));
+  }
+}
+
+// Export the class constructor directly
+// This makes it compatible with: const PushService = require('...')
+module.exports = PushService;
@@ -0,0 +1,234 @@
+const mongoose = require("mongoose");
+const logger = require("../utils/logger");
+
+/**
+ * Persistent second cache tier backed by the RangeCacheEntry collection
+ */
+class MongoRangeCacheStore {
+  get model() {
+    return require("../models/RangeCacheEntry");
+  }
+
+  get isAvailable() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  /**
+   * Look up a cached range
+   * @param {string} prefix - Hash prefix
+   * @returns {Promise<object|null>} - Cached body and expiry, if fresh
+   */
+  async get(prefix) {
+    if (!this.isAvailable) return null;
+
+    const entry = await this.model
+      .findOne({ prefix, expiresAt: { $gt: new Date() } })
+      .lean();
+
+    return entry ? { body: entry.body, expiresAt: entry.expiresAt } : null;
+  }
+
+  /**
+   * Store a range
+   * @param {string} prefix - Hash prefix
+   * @param {string} body - Raw range body
+   * @param {Date} expiresAt - Expiry time
+   */
+  async set(prefix, body, expiresAt) {
+    if (!this.isAvailable) return;
+
+    await this.model.updateOne(
+      { prefix },
+      { $set: { body, expiresAt } },
+      { upsert: true },
+    );
+  }
+}
+
+/**
+ * In-memory LRU cache of Pwned Passwords ranges keyed by hash prefix, with
+ * an optional persistent tier. Concurrent lookups of the same prefix share
+ * a single in-flight load.
+ */
+class RangeCache {
+  /**
+   * @param {object} options - Cache options
+   * @param {number} [options.ttlMs] - Entry lifetime; 0 disables storage
+   * @param {number} [options.maxEntries] - Maximum in-memory entries
+   * @param {object} [options.store] - Second tier with get/set methods
+   */
+  constructor(options = {}) {
+    this.ttlMs = options.ttlMs !== undefined ? options.ttlMs : 60 * 60 * 1000;
+    this.maxEntries = options.maxEntries || 10000;
+    this.store = options.store || null;
+
+    this.entries = new Map();
+    this.inFlight = new Map();
+    this.resetStats();
+  }
+
+  /**
+   * Get a range from the cache, loading it on a miss
+   * @param {string} prefix - Hash prefix
+   * @param {Function} loader - Async function fetching the range body
+   * @returns {Promise<string>} - Raw range body
+   */
+  async get(prefix, loader) {
+    const key = prefix.toUpperCase();
+    const cached = this.entries.get(key);
+
+    if (cached && cached.expiresAt > Date.now()) {
+      // Re-insert to mark as most recently used
+      this.entries.delete(key);
+      this.entries.set(key, cached);
+      this.stats.hits += 1;
+      return cached.body;
+    }
+
+    if (cached) {
+      this.entries.delete(key);
+    }
+
+    if (this.inFlight.has(key)) {
+      this.stats.coalesced += 1;
+      return this.inFlight.get(key);
+    }
+
+    const pending = this.load(key, loader).finally(() => {
+      this.inFlight.delete(key);
+    });
+    this.inFlight.set(key, pending);
+
+    return pending;
+  }
+
+  /**
+   * Resolve a miss from the persistent tier or the loader
+   * @param {string} key - Normalized prefix
+   * @param {Function} loader - Async function fetching the range body
+   * @returns {Promise<string>} - Raw range body
+   */
+  async load(key, loader) {
+    const persisted = await this.readStore(key);
+
+    if (persisted) {
+      this.stats.persistentHits += 1;
+      this.remember(key, persisted.body, new Date(persisted.expiresAt));
+      return persisted.body;
+    }
+
+    this.stats.misses += 1;
+    const body = await loader(key);
+
+    if (this.ttlMs > 0) {
+      const expiresAt = new Date(Date.now() + this.ttlMs);
+      this.remember(key, body, expiresAt);
+      await this.writeStore(key, body, expiresAt);
+    }
+
+    return body;
+  }
+
+  /**
+   * Store an entry in memory, evicting the least recently used if full
+   */
+  remember(key, body, expiresAt) {
+    if (this.ttlMs <= 0) return;
+
+    this.entries.set(key, { body, expiresAt: expiresAt.getTime() });
+
+    while (this.entries.size > this.maxEntries) {
+      const oldest = this.entries.keys().next().value;
+      this.entries.delete(oldest);
+      this.stats.evictions += 1;
+    }
+  }
+
+  async readStore(key) {
+    if (!this.store || this.ttlMs <= 0) return null;
+
+    try {
+      return await this.store.get(key);
+    } catch (error) {
+      logger.warn(`Range cache store read failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  async writeStore(key, body, expiresAt) {
+    if (!this.store) return;
+
+    try {
+      await this.store.set(key, body, expiresAt);
+    } catch (error) {
+      logger.warn(`Range cache store write failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get cache counters
+   * @returns {object} - Hit/miss statistics
+   */
+  getStats() {
+    const lookups =
+      this.stats.hits +
+      this.stats.persistentHits +
+      this.stats.coalesced +
+      this.stats.misses;
+
+    return {
+      ...this.stats,
+      size: this.entries.size,
+      maxEntries: this.maxEntries,
+      ttlMs: this.ttlMs,
+      hitRate:
+        lookups > 0
+          ? Math.round(((lookups - this.stats.misses) / lookups) * 10000) / 100
+          : 0,
+    };
+  }
+
+  resetStats() {
+    this.stats = {
+      hits: 0,
+      persistentHits: 0,
+      coalesced: 0,
+      misses: 0,
+      evictions: 0,
+    };
+  }
+
+  clear() {
+    this.entries.clear();
+    this.resetStats();
+  }
+}
+
+let sharedRangeCache = null;
+
+/**
+ * Get the process-wide range cache configured from the environment
+ * @returns {RangeCache} - Shared cache instance
+ */
+const getSharedRangeCache = () => {
+  if (!sharedRangeCache) {
+    const ttlMs = parseInt(process.env.PWNED_RANGE_CACHE_TTL_MS);
+
+    sharedRangeCache = new RangeCache({
+      ttlMs: Number.isNaN(ttlMs) ? undefined : ttlMs,
+      maxEntries: parseInt(process.env.PWNED_RANGE_CACHE_MAX_ENTRIES) || 10000,
+      store:
+        process.env.PWNED_RANGE_CACHE_PERSIST === "true"
+          ? new MongoRangeCacheStore()
+          : null,
+    });
+  }
+
+  return sharedRangeCache;
+};
+
+module.exports = {
+  RangeCache,
+  MongoRangeCacheStore,
+  getSharedRangeCache,
+};
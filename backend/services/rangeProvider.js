@@ -0,0 +1,411 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+const logger = require("../utils/logger");
+
+// Number of distinct 5-character hex prefixes (16^5)
+const PREFIX_COUNT = 0x100000;
+const INDEX_ENTRY_SIZE = 8;
+
+/**
+ * Normalize and validate a 5-character SHA-1 prefix
+ * @param {string} prefix - Hash prefix
+ * @returns {string} - Uppercase prefix
+ */
+const normalizePrefix = (prefix) => {
+  const normalized = String(prefix || "").toUpperCase();
+  if (!/^[0-9A-F]{5}$/.test(normalized)) {
+    throw new Error(`Invalid hash prefix: ${prefix}`);
+  }
+  return normalized;
+};
+
+/**
+ * Drop the zero-count rows the API adds to padded responses
+ * @param {string} body - Raw "SUFFIX:COUNT" lines
+ * @returns {string} - Body without padding rows
+ */
+const stripPadding = (body) =>
+  String(body || "")
+    .split("\n")
+    .map((line) => line.trim())
+    .filter((line) => line && !/:0+$/.test(line))
+    .join("\n");
+
+/**
+ * Pick random prefixes to request alongside a real lookup
+ * @param {number} count - Number of decoys
+ * @param {string} exclude - The real prefix
+ * @returns {Array<string>} - Decoy prefixes
+ */
+const randomPrefixes = (count, exclude) => {
+  const prefixes = new Set();
+
+  while (prefixes.size < count) {
+    const prefix = crypto
+      .randomInt(0, PREFIX_COUNT)
+      .toString(16)
+      .toUpperCase()
+      .padStart(5, "0");
+
+    if (prefix !== exclude) prefixes.add(prefix);
+  }
+
+  return [...prefixes];
+};
+
+/**
+ * Pad a parsed range with zero-count rows of random suffixes, the way the
+ * API pads its responses, so its size says little about how many real
+ * suffixes share the prefix. Rows are sorted so real ones do not stand out.
+ * @param {Array<object>} entries - { suffix, count } rows without padding
+ * @param {object} [options] - Padding options
+ * @param {number} [options.min] - Smallest padded size (default 800)
+ * @param {number} [options.max] - Largest padded size (default 1000); larger
+ *   ranges still get up to max - min extra rows
+ * @returns {Array<object>} - Padded rows
+ */
+const padRange = (entries, options = {}) => {
+  const min = options.min || 800;
+  const max = options.max || 1000;
+  const target =
+    Math.max(entries.length, min) + crypto.randomInt(0, max - min + 1);
+  const suffixes = new Set(entries.map((entry) => entry.suffix));
+  const padded = [...entries];
+
+  while (padded.length < target) {
+    const suffix = crypto
+      .randomBytes(18)
+      .toString("hex")
+      .toUpperCase()
+      .slice(1);
+    if (suffixes.has(suffix)) continue;
+
+    suffixes.add(suffix);
+    padded.push({ suffix, count: 0 });
+  }
+
+  return padded.sort((a, b) => (a.suffix < b.suffix ? -1 : 1));
+};
+
+/**
+ * Range provider backed by the public Pwned Passwords API.
+ *
+ * Requests are padded by default (`Add-Padding: true`) so every response is
+ * a similar size regardless of how many hashes share the prefix. With
+ * `decoys` set, each lookup also fetches that many random prefixes in
+ * shuffled order, hiding which request was the real one.
+ */
+class HibpRangeProvider {
+  constructor(options = {}) {
+    this.name = "HaveIBeenPwned";
+    // This is the free Pwned Passwords API endpoint that uses k-anonymity
+    this.apiUrl = options.apiUrl || "https://api.pwnedpasswords.com/range/";
+    this.timeout = options.timeout || 10000;
+    this.padding =
+      options.padding !== undefined
+        ? options.padding
+        : process.env.PWNED_RANGE_PADDING !== "false";
+    this.decoys =
+      options.decoys !== undefined
+        ? options.decoys
+        : parseInt(process.env.PWNED_RANGE_DECOYS) || 0;
+  }
+
+  /**
+   * Fetch the range of hash suffixes for a prefix
+   * @param {string} prefix - 5-character SHA-1 prefix
+   * @returns {Promise<string>} - Raw "SUFFIX:COUNT" lines, padding removed
+   */
+  async getRange(prefix) {
+    const normalized = normalizePrefix(prefix);
+
+    if (this.decoys <= 0) {
+      return stripPadding(await this.fetchRange(normalized));
+    }
+
+    const decoys = randomPrefixes(this.decoys, normalized);
+    const position = crypto.randomInt(0, decoys.length + 1);
+    const order = [...decoys];
+    order.splice(position, 0, normalized);
+
+    const requests = order.map((candidate) => this.fetchRange(candidate));
+
+    // Decoy results are discarded, but their failures must not surface
+    requests.forEach((request, index) => {
+      if (index !== position) request.catch(() => {});
+    });
+
+    return stripPadding(await requests[position]);
+  }
+
+  /**
+   * Request a single range from the API
+   * @param {string} prefix - Normalized prefix
+   * @returns {Promise<string>} - Response body
+   */
+  async fetchRange(prefix) {
+    const headers = {
+      "User-Agent": "Password-Breach-Notification-System",
+    };
+
+    if (this.padding) {
+      headers["Add-Padding"] = "true";
+    }
+
+    const response = await axios.get(`${this.apiUrl}${prefix}`, {
+      timeout: this.timeout,
+      headers,
+    });
+
+    return response.data;
+  }
+}
+
+/**
+ * Range provider backed by a local copy of the Pwned Passwords dataset.
+ *
+ * Two layouts are supported:
+ * - a directory holding one "<PREFIX>.txt" file per prefix, as written by
+ *   the HIBP downloader, each containing "SUFFIX:COUNT" lines
+ * - a single file of sorted "HASH:COUNT" lines with a "<file>.idx" index
+ *   built by `buildRangeIndex` (see scripts/importPwnedRanges.js)
+ */
+class LocalRangeProvider {
+  constructor(options = {}) {
+    if (!options.path) {
+      throw new Error("LocalRangeProvider requires a dataset path");
+    }
+
+    this.name = "Pwned Passwords (local)";
+    this.path = path.resolve(options.path);
+    this.indexPath = options.indexPath || `${this.path}.idx`;
+  }
+
+  /**
+   * Read the range of hash suffixes for a prefix from disk
+   * @param {string} prefix - 5-character SHA-1 prefix
+   * @returns {Promise<string>} - Raw "SUFFIX:COUNT" lines
+   */
+  async getRange(prefix) {
+    const normalized = normalizePrefix(prefix);
+    const stats = await fs.promises.stat(this.path);
+
+    if (stats.isDirectory()) {
+      return this.readPrefixFile(normalized);
+    }
+
+    return this.readIndexedRange(normalized);
+  }
+
+  /**
+   * Read a per-prefix file from a downloader directory
+   * @param {string} prefix - Normalized prefix
+   * @returns {Promise<string>} - Range body
+   */
+  async readPrefixFile(prefix) {
+    try {
+      return await fs.promises.readFile(
+        path.join(this.path, `${prefix}.txt`),
+        "utf8",
+      );
+    } catch (error) {
+      // A missing prefix file simply means no hashes share that prefix
+      if (error.code === "ENOENT") return "";
+      throw error;
+    }
+  }
+
+  /**
+   * Read a prefix's lines from the sorted single-file dataset
+   * @param {string} prefix - Normalized prefix
+   * @returns {Promise<string>} - Range body with the prefix stripped
+   */
+  async readIndexedRange(prefix) {
+    const slot = parseInt(prefix, 16);
+    const offsets = Buffer.alloc(INDEX_ENTRY_SIZE * 2);
+
+    const indexHandle = await fs.promises.open(this.indexPath, "r");
+    try {
+      await indexHandle.read(
+        offsets,
+        0,
+        offsets.length,
+        slot * INDEX_ENTRY_SIZE,
+      );
+    } finally {
+      await indexHandle.close();
+    }
+
+    const start = Number(offsets.readBigUInt64LE(0));
+    const end = Number(offsets.readBigUInt64LE(INDEX_ENTRY_SIZE));
+
+    if (end <= start) return "";
+
+    const chunk = Buffer.alloc(end - start);
+    const dataHandle = await fs.promises.open(this.path, "r");
+    try {
+      await dataHandle.read(chunk, 0, chunk.length, start);
+    } finally {
+      await dataHandle.close();
+    }
+
+    // Stored lines carry the full hash; the API format only has the suffix
+    return chunk
+      .toString("utf8")
+      .split("\n")
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .map((line) => line.substring(5))
+      .join("\n");
+  }
+}
+
+/**
+ * Build the prefix index for a sorted "HASH:COUNT" file.
+ * The index holds PREFIX_COUNT + 1 little-endian 64-bit byte offsets, so
+ * the lines for prefix N live between entries N and N + 1.
+ * @param {string} dataPath - Path to the sorted dataset
+ * @param {string} [indexPath] - Where to write the index (default "<data>.idx")
+ * @returns {Promise<object>} - Number of hashes and prefixes indexed
+ */
+const buildRangeIndex = async (dataPath, indexPath = `${dataPath}.idx`) => {
+  const index = Buffer.alloc(INDEX_ENTRY_SIZE * (PREFIX_COUNT + 1));
+  let nextSlot = 0;
+  let position = 0;
+  let lineStart = 0;
+  let pending = Buffer.alloc(0);
+  let hashes = 0;
+  let prefixes = 0;
+
+  const markLine = (line, offset) => {
+    const text = line.toString("utf8").trim();
+    if (!text) return;
+
+    if (!/^[0-9A-Fa-f]{40}:\d+$/.test(text)) {
+      throw new Error(`Malformed line at byte ${offset}: ${text}`);
+    }
+
+    const slot = parseInt(text.substring(0, 5), 16);
+    if (slot < nextSlot - 1) {
+      throw new Error(`Dataset is not sorted at byte ${offset}`);
+    }
+
+    while (nextSlot <= slot) {
+      index.writeBigUInt64LE(BigInt(offset), nextSlot * INDEX_ENTRY_SIZE);
+      nextSlot += 1;
+      if (nextSlot - 1 === slot) prefixes += 1;
+    }
+
+    hashes += 1;
+  };
+
+  const stream = fs.createReadStream(dataPath);
+  for await (const chunk of stream) {
+    let buffer = Buffer.concat([pending, chunk]);
+    let newline = buffer.indexOf(0x0a);
+
+    while (newline !== -1) {
+      markLine(buffer.subarray(0, newline), lineStart);
+      lineStart += newline + 1;
+      buffer = buffer.subarray(newline + 1);
+      newline = buffer.indexOf(0x0a);
+    }
+
+    pending = buffer;
+    position += chunk.length;
+  }
+
+  if (pending.length > 0) {
+    markLine(pending, lineStart);
+  }
+
+  // Every remaining prefix (and the terminating entry) points at EOF
+  while (nextSlot <= PREFIX_COUNT) {
+    index.writeBigUInt64LE(BigInt(position), nextSlot * INDEX_ENTRY_SIZE);
+    nextSlot += 1;
+  }
+
+  await fs.promises.writeFile(indexPath, index);
+  logger.info(
+    `Indexed ${hashes} hashes across ${prefixes} prefixes into ${indexPath}`,
+  );
+
+  return { hashes, prefixes, indexPath };
+};
+
+/**
+ * Convert a downloader directory of "<PREFIX>.txt" files into a single
+ * sorted "HASH:COUNT" file that can be indexed with `buildRangeIndex`
+ * @param {string} sourceDir - Directory of per-prefix files
+ * @param {string} targetPath - Output file path
+ * @returns {Promise<number>} - Number of prefix files ingested
+ */
+const flattenRangeDirectory = async (sourceDir, targetPath) => {
+  const files = (await fs.promises.readdir(sourceDir))
+    .filter((file) => /^[0-9A-Fa-f]{5}\.txt$/.test(file))
+    .sort((a, b) => (a.toUpperCase() < b.toUpperCase() ? -1 : 1));
+
+  const output = fs.createWriteStream(targetPath);
+  const write = (data) =>
+    new Promise((resolve, reject) => {
+      output.write(data, (error) => (error ? reject(error) : resolve()));
+    });
+
+  try {
+    for (const file of files) {
+      const prefix = file.substring(0, 5).toUpperCase();
+      const body = await fs.promises.readFile(
+        path.join(sourceDir, file),
+        "utf8",
+      );
+      const lines = body
+        .split("\n")
+        .map((line) => line.trim())
+        .filter(Boolean)
+        .map((line) => `${prefix}${line.toUpperCase()}\n`);
+
+      if (lines.length > 0) {
+        await write(lines.join(""));
+      }
+    }
+  } finally {
+    await new Promise((resolve) => output.end(resolve));
+  }
+
+  return files.length;
+};
+
+/**
+ * Create the range provider configured for this deployment
+ * @param {object} options - Overrides for the environment configuration
+ * @returns {HibpRangeProvider|LocalRangeProvider} - Range provider
+ */
+const createRangeProvider = (options = {}) => {
+  const source = options.source || process.env.PWNED_RANGE_SOURCE || "api";
+
+  if (source === "api") {
+    return new HibpRangeProvider(options);
+  }
+
+  if (source === "local") {
+    return new LocalRangeProvider({
+      path: options.path || process.env.PWNED_RANGE_PATH,
+      indexPath: options.indexPath,
+    });
+  }
+
+  throw new Error(`Unknown Pwned Passwords range source: ${source}`);
+};
+
+module.exports = {
+  HibpRangeProvider,
+  LocalRangeProvider,
+  buildRangeIndex,
+  flattenRangeDirectory,
+  createRangeProvider,
+  normalizePrefix,
+  stripPadding,
+  padRange,
+};
@@ -0,0 +1,330 @@
+const http = require("http");
+const { URL } = require("url");
+const mongoose = require("mongoose");
+const { WebSocket, WebSocketServer } = require("ws");
+const RealtimeEvent = require("../models/RealtimeEvent");
+const NotificationService = require("./notificationService");
+const SessionService = require("./sessionService");
+const { verifyAccessToken } = require("../middlewares/authMiddleware");
+const logger = require("../utils/logger");
+
+const notificationService = new NotificationService();
+const sessionService = new SessionService();
+
+// Events every admin receives for all users, marked with feed "admin"
+const ADMIN_FEED_EVENTS = ["breach.detected", "notification.created"];
+
+// Events after which the user's unread count is sent again
+const UNREAD_COUNT_EVENTS = ["notification.created", "notification.read"];
+
+// Close code telling the client to refresh its token and reconnect
+const CLOSE_UNAUTHORIZED = 4001;
+
+class RealtimeServer {
+  /**
+   * @param {object} options - Server options
+   * @param {string} [options.path] - URL path clients connect to; defaults
+   *   to REALTIME_PATH or /ws
+   * @param {number} [options.heartbeatMs] - How often sockets are pinged and
+   *   their sessions re-checked; defaults to REALTIME_HEARTBEAT_MS or 30000
+   * @param {number} [options.retryMs] - Delay before the event feed is
+   *   reopened after it ends; defaults to 1000
+   */
+  constructor(options = {}) {
+    this.path = options.path || process.env.REALTIME_PATH || "/ws";
+    this.heartbeatMs =
+      options.heartbeatMs ||
+      parseInt(process.env.REALTIME_HEARTBEAT_MS) ||
+      30 * 1000;
+    this.retryMs = options.retryMs || 1000;
+
+    // Open sockets per user ID, and the sockets of admins
+    this.connections = new Map();
+    this.admins = new Set();
+
+    this.wss = new WebSocketServer({ noServer: true, maxPayload: 4096 });
+    this.closed = false;
+    this.cursor = null;
+  }
+
+  /**
+   * Accept WebSocket connections on an HTTP server and start forwarding
+   * published events
+   * @param {object} server - HTTP server
+   */
+  attach(server) {
+    server.on("upgrade", (req, socket, head) =>
+      this.handleUpgrade(req, socket, head),
+    );
+
+    this.heartbeat = global.setInterval(
+      () => this.checkConnections(),
+      this.heartbeatMs,
+    );
+    this.heartbeat.unref();
+
+    this.tail();
+    logger.info(`📡 Real-time events available at ${this.path}`);
+  }
+
+  /**
+   * Authenticate a WebSocket handshake. The access token comes from the
+   * Authorization header or, for browsers, the `token` query parameter.
+   * Refused handshakes get the same status as an HTTP request would.
+   * @param {object} req - Upgrade request
+   * @param {object} socket - Network socket
+   * @param {Buffer} head - First packet of the upgraded stream
+   */
+  async handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, "http://localhost");
+    if (url.pathname !== this.path) {
+      this.reject(socket, 404);
+      return;
+    }
+
+    try {
+      const authHeader = req.headers["authorization"];
+      const token =
+        (authHeader && authHeader.split(" ")[1]) ||
+        url.searchParams.get("token");
+
+      if (!token) {
+        this.reject(socket, 401);
+        return;
+      }
+
+      const result = await verifyAccessToken(token);
+      if (result.failure) {
+        this.reject(socket, result.failure.status);
+        return;
+      }
+
+      if (!result.user.isVerified) {
+        this.reject(socket, 403);
+        return;
+      }
+
+      this.wss.handleUpgrade(req, socket, head, (ws) =>
+        this.register(ws, result),
+      );
+    } catch (error) {
+      logger.error("WebSocket authentication error:", error);
+      this.reject(socket, 500);
+    }
+  }
+
+  /**
+   * Refuse a handshake with an HTTP status
+   * @param {object} socket - Network socket
+   * @param {number} status - HTTP status code
+   */
+  reject(socket, status) {
+    socket.write(
+      `HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nConnection: close\r\n\r\n`,
+    );
+    socket.destroy();
+  }
+
+  /**
+   * Track an authenticated socket and send the user's unread count
+   * @param {object} ws - WebSocket
+   * @param {object} auth - { user, sessionId, expiresAt } from
+   *   verifyAccessToken
+   */
+  async register(ws, { user, sessionId, expiresAt }) {
+    ws.userId = String(user._id);
+    ws.sessionId = sessionId;
+    ws.expiresAt = expiresAt;
+    ws.isAdmin = user.role === "admin";
+    ws.isAlive = true;
+
+    if (!this.connections.has(ws.userId)) {
+      this.connections.set(ws.userId, new Set());
+    }
+    this.connections.get(ws.userId).add(ws);
+    if (ws.isAdmin) this.admins.add(ws);
+
+    ws.on("pong", () => {
+      ws.isAlive = true;
+    });
+    ws.on("close", () => this.unregister(ws));
+    ws.on("error", (error) => logger.error("WebSocket error:", error));
+
+    await this.sendUnreadCount(ws.userId);
+  }
+
+  /**
+   * Stop tracking a closed socket
+   * @param {object} ws - WebSocket
+   */
+  unregister(ws) {
+    const sockets = this.connections.get(ws.userId);
+    if (sockets) {
+      sockets.delete(ws);
+      if (sockets.size === 0) this.connections.delete(ws.userId);
+    }
+    this.admins.delete(ws);
+  }
+
+  /**
+   * Ping every socket, dropping those that missed the last ping and closing
+   * those whose token expired or whose session was revoked
+   */
+  async checkConnections() {
+    for (const sockets of this.connections.values()) {
+      for (const ws of sockets) {
+        if (!ws.isAlive) {
+          ws.terminate();
+          continue;
+        }
+
+        try {
+          if (ws.expiresAt && ws.expiresAt <= new Date()) {
+            ws.close(CLOSE_UNAUTHORIZED, "Token expired");
+            continue;
+          }
+
+          if (
+            !(await sessionService.isSessionActive(ws.sessionId, ws.userId))
+          ) {
+            ws.close(CLOSE_UNAUTHORIZED, "Session revoked");
+            continue;
+          }
+        } catch (error) {
+          logger.error("Failed to check WebSocket session:", error);
+        }
+
+        ws.isAlive = false;
+        ws.ping();
+      }
+    }
+  }
+
+  /**
+   * Follow the event collection and dispatch each new event. The feed is
+   * reopened after errors, resuming after the last event seen by `_id`
+   * (timestamps can tie within a millisecond), and waits while the
+   * database is disconnected.
+   */
+  async tail() {
+    let lastId = mongoose.Types.ObjectId.createFromTime(
+      Math.floor(Date.now() / 1000),
+    );
+
+    while (!this.closed) {
+      if (mongoose.connection.readyState === 1) {
+        try {
+          this.cursor = RealtimeEvent.find({ _id: { $gt: lastId } })
+            .tailable(true, { awaitData: true })
+            .cursor();
+
+          for await (const event of this.cursor) {
+            lastId = event._id;
+            await this.dispatch(event);
+          }
+        } catch (error) {
+          if (!this.closed) logger.error("Real-time event feed error:", error);
+        }
+      }
+
+      if (!this.closed) {
+        await new Promise((resolve) =>
+          global.setTimeout(resolve, this.retryMs).unref(),
+        );
+      }
+    }
+  }
+
+  /**
+   * Forward an event to the user's sockets, and to admins when it belongs
+   * to the admin feed
+   * @param {object} event - RealtimeEvent document
+   */
+  async dispatch(event) {
+    const userId = event.userId ? String(event.userId) : null;
+    const message = {
+      event: event.event,
+      data: event.data,
+      createdAt: event.createdAt,
+    };
+
+    if (userId) {
+      this.sendToUser(userId, { ...message, feed: "user" });
+    }
+
+    if (ADMIN_FEED_EVENTS.includes(event.event)) {
+      for (const ws of this.admins) {
+        this.send(ws, { ...message, feed: "admin", userId });
+      }
+    }
+
+    if (userId && UNREAD_COUNT_EVENTS.includes(event.event)) {
+      await this.sendUnreadCount(userId);
+    }
+  }
+
+  /**
+   * Send a user's unread notification count to their open sockets
+   * @param {string} userId - User ID
+   */
+  async sendUnreadCount(userId) {
+    if (!this.connections.has(userId)) return;
+
+    try {
+      const count = await notificationService.countUnread(userId);
+      this.sendToUser(userId, {
+        event: "notification.unread_count",
+        data: { count },
+        createdAt: new Date(),
+        feed: "user",
+      });
+    } catch (error) {
+      logger.error(`Failed to count unread notifications of ${userId}:`, error);
+    }
+  }
+
+  /**
+   * Send a message to every open socket of a user
+   * @param {string} userId - User ID
+   * @param {object} message - JSON message
+   */
+  sendToUser(userId, message) {
+    for (const ws of this.connections.get(userId) || []) {
+      this.send(ws, message);
+    }
+  }
+
+  /**
+   * Send a message to one socket if it is still open
+   * @param {object} ws - WebSocket
+   * @param {object} message - JSON message
+   */
+  send(ws, message) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * Close every socket and stop following events
+   */
+  async close() {
+    this.closed = true;
+    global.clearInterval(this.heartbeat);
+
+    for (const ws of this.wss.clients) {
+      ws.close(1001, "Server shutting down");
+    }
+    this.wss.close();
+
+    if (this.cursor) {
+      await this.cursor.close().catch(() => {});
+    }
+  }
+}
+
+RealtimeServer.CLOSE_UNAUTHORIZED = CLOSE_UNAUTHORIZED;
+
+// Export the class constructor directly
+// This makes it compatible with: const RealtimeServer = require('...')
+module.exports = RealtimeServer;
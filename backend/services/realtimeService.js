@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+const RealtimeEvent = require("../models/RealtimeEvent");
+const logger = require("../utils/logger");
+
+class RealtimeService {
+  /**
+   * Publish an event to connected dashboards. Works from any process; the
+   * API server's WebSocket server picks it up. Events are dropped while
+   * the database is disconnected, as no dashboard could receive them. Never
+   * throws, so publishing cannot fail the action that caused the event.
+   * @param {string} event - Event name, e.g. "breach.detected"
+   * @param {object} data - Event payload sent to clients
+   * @param {object} [refs] - { userId }: the user whose sessions get it
+   * @returns {Promise<boolean>} - Whether the event was published
+   */
+  async publish(event, data, refs = {}) {
+    if (mongoose.connection.readyState !== 1) {
+      logger.debug(`Dropping ${event} event: database not connected`);
+      return false;
+    }
+
+    try {
+      await RealtimeEvent.create({ event, userId: refs.userId, data });
+      return true;
+    } catch (error) {
+      logger.error(`Failed to publish ${event} event:`, error);
+      return false;
+    }
+  }
+}
+
+// Export the class constructor directly
+// This makes it compatible with: const RealtimeService = require('...')
+module.exports = RealtimeService;
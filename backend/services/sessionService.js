@@ -0,0 +1,218 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const Session = require("../models/Session");
+const { generateSHA256Hash } = require("../utils/hashUtil");
+const logger = require("../utils/logger");
+
+// How many replaced refresh tokens are remembered for reuse detection
+const MAX_ROTATED_HASHES = 20;
+
+class SessionService {
+  /**
+   * @param {object} options - Service options
+   * @param {string} [options.accessTokenExpiresIn] - Access token lifetime
+   *   (jsonwebtoken format); defaults to ACCESS_TOKEN_EXPIRES_IN or 15m
+   * @param {number} [options.refreshTokenDays] - Refresh token lifetime;
+   *   defaults to REFRESH_TOKEN_EXPIRES_DAYS or 30
+   */
+  constructor(options = {}) {
+    this.accessTokenExpiresIn =
+      options.accessTokenExpiresIn ||
+      process.env.ACCESS_TOKEN_EXPIRES_IN ||
+      "15m";
+    this.refreshTokenDays =
+      options.refreshTokenDays ||
+      parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) ||
+      30;
+  }
+
+  /**
+   * Open a session for a user and issue its first token pair
+   * @param {object} user - Authenticated user document
+   * @param {object} req - Express request, for client details
+   * @returns {Promise<object>} - { accessToken, refreshToken, session }
+   */
+  async createSession(user, req = {}) {
+    const secret = this.generateSecret();
+    const session = new Session({
+      userId: user._id,
+      refreshTokenHash: generateSHA256Hash(secret),
+      userAgent: req.get ? req.get("User-Agent") : undefined,
+      ipAddress: req.ip,
+      expiresAt: this.getRefreshExpiry(),
+    });
+
+    await session.save();
+
+    return {
+      accessToken: this.generateAccessToken(user._id, session._id),
+      refreshToken: `${session._id}.${secret}`,
+      session,
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair. Presenting a refresh token
+   * that was already rotated revokes the whole session, since either the
+   * client or an attacker holds a stolen copy.
+   * @param {string} refreshToken - Refresh token from the client
+   * @returns {Promise<object>} - { status: "rotated", accessToken,
+   *   refreshToken, session }, { status: "reused", session } or
+   *   { status: "invalid" }
+   */
+  async rotate(refreshToken) {
+    const [sessionId, secret] = String(refreshToken || "").split(".");
+
+    if (!secret || !/^[0-9a-f]{24}$/.test(sessionId)) {
+      return { status: "invalid" };
+    }
+
+    const session = await Session.findById(sessionId);
+    if (!session || !session.isActive) {
+      return { status: "invalid" };
+    }
+
+    const hash = generateSHA256Hash(secret);
+
+    if (hash !== session.refreshTokenHash) {
+      if (session.rotatedTokenHashes.includes(hash)) {
+        logger.warn(
+          `Refresh token reuse detected, revoking session ${session._id}`,
+        );
+        await this.revoke(session, "reuse_detected");
+        return { status: "reused", session };
+      }
+
+      return { status: "invalid" };
+    }
+
+    const nextSecret = this.generateSecret();
+
+    // Conditional on the current hash so concurrent refreshes rotate once
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: hash },
+      {
+        $set: {
+          refreshTokenHash: generateSHA256Hash(nextSecret),
+          lastUsedAt: new Date(),
+          expiresAt: this.getRefreshExpiry(),
+        },
+        $push: {
+          rotatedTokenHashes: { $each: [hash], $slice: -MAX_ROTATED_HASHES },
+        },
+      },
+      { new: true },
+    );
+
+    if (!rotated) {
+      return { status: "invalid" };
+    }
+
+    return {
+      status: "rotated",
+      accessToken: this.generateAccessToken(rotated.userId, rotated._id),
+      refreshToken: `${rotated._id}.${nextSecret}`,
+      session: rotated,
+    };
+  }
+
+  /**
+   * Check that the session behind an access token is still usable
+   * @param {string} sessionId - Session ID from the access token
+   * @param {string} userId - User ID from the access token
+   * @returns {Promise<boolean>} - True when the session is active
+   */
+  async isSessionActive(sessionId, userId) {
+    const session = await Session.findById(sessionId).select(
+      "userId revokedAt expiresAt",
+    );
+
+    return !!session && session.isActive && session.userId.equals(userId);
+  }
+
+  /**
+   * List a user's active sessions
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<object>>} - Session documents, most recent first
+   */
+  async listSessions(userId) {
+    return Session.find({
+      userId,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() },
+    })
+      .select("userAgent ipAddress createdAt lastUsedAt expiresAt")
+      .sort({ lastUsedAt: -1 });
+  }
+
+  /**
+   * Revoke one session
+   * @param {object} session - Session document
+   * @param {string} reason - Revocation reason
+   */
+  async revoke(session, reason) {
+    session.revokedAt = new Date();
+    session.revokedReason = reason;
+    await session.save();
+  }
+
+  /**
+   * Revoke a user's session by ID
+   * @param {string} userId - Owner of the session
+   * @param {string} sessionId - Session ID
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<boolean>} - False when no active session matched
+   */
+  async revokeSession(userId, sessionId, reason) {
+    const result = await Session.updateOne(
+      { _id: sessionId, userId, revokedAt: { $exists: false } },
+      { $set: { revokedAt: new Date(), revokedReason: reason } },
+    );
+
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Revoke every active session of a user
+   * @param {string} userId - User ID
+   * @param {string} reason - Revocation reason
+   * @param {string} [exceptSessionId] - Session to keep
+   * @returns {Promise<number>} - Number of sessions revoked
+   */
+  async revokeAllSessions(userId, reason, exceptSessionId) {
+    const filter = { userId, revokedAt: { $exists: false } };
+    if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+    const result = await Session.updateMany(filter, {
+      $set: { revokedAt: new Date(), revokedReason: reason },
+    });
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Sign a short-lived access token bound to a session
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session ID
+   * @returns {string} - JWT access token
+   */
+  generateAccessToken(userId, sessionId) {
+    return jwt.sign(
+      { userId, sid: String(sessionId) },
+      process.env.JWT_SECRET,
+      { expiresIn: this.accessTokenExpiresIn },
+    );
+  }
+
+  generateSecret() {
+    return crypto.randomBytes(32).toString("base64url");
+  }
+
+  getRefreshExpiry() {
+    return new Date(Date.now() + this.refreshTokenDays * 24 * 60 * 60 * 1000);
+  }
+}
+
+// Export the class constructor directly
+// This makes it compatible with: const SessionService = require('...')
+module.exports = SessionService;
@@ -1,7 +1,10 @@
 const axios = require("axios");
+const NotificationService = require("./notificationService");
 const logger = require("../utils/logger");
 const { URLSearchParams } = require("url"); // For Node.js URL functionality
 
+const notificationService = new NotificationService();
+
 class SMSService {
   constructor() {}
 
@@ -23,12 +26,33 @@ class SMSService {
   }
 
   /**
-   * Send SMS notification - uses mock service in development
+   * Send SMS notification, recording it as a Notification when the context
+   * names a user
+   * @param {string} phone - Recipient phone number
+   * @param {string} message - SMS message
+   * @param {object} [notification] - Notification fields: userId, type,
+   *   title, severity, breachId, accountBreachIds
+   * @returns {Promise<boolean>} - Success status
+   */
+  async sendSMS(phone, message, notification) {
+    return notificationService.track(
+      notification && {
+        channel: "sms",
+        recipient: phone,
+        body: message,
+        ...notification,
+      },
+      () => this.dispatchSMS(phone, message),
+    );
+  }
+
+  /**
+   * Deliver an SMS - uses mock service in development
    * @param {string} phone - Recipient phone number
    * @param {string} message - SMS message
    * @returns {Promise<boolean>} - Success status
    */
-  async sendSMS(phone, message) {
+  async dispatchSMS(phone, message) {
     try {
       // Use mock service for development
       if (this.useMockService) {
@@ -107,46 +131,73 @@ class SMSService {
    * Send breach notification via SMS
    * @param {string} phone - Recipient phone number
    * @param {object} breachData - Breach information
+   * @param {object} [context] - Notification context: userId, breachId
    * @returns {Promise<boolean>} - Success status
    */
-  async sendBreachNotificationSMS(phone, breachData) {
-    const message = `🚨 SECURITY ALERT: Your password has been found in a data breach! Found ${breachData.count} times. Change your password immediately. Visit our app for more details.`;
-
-    return await this.sendSMS(phone, message);
+  async sendBreachNotificationSMS(phone, breachData, context = {}) {
+    const others = breachData.otherBreaches
+      ? ` ${breachData.otherBreaches} more of the passwords you checked were also found.`
+      : "";
+    const message = `🚨 SECURITY ALERT: Your password has been found in a data breach! Found ${breachData.count} times.${others} Change your password immediately. Visit our app for more details.`;
+
+    return await this.sendSMS(phone, message, {
+      type: "breach_alert",
+      title: "Password Breach Detected",
+      severity: breachData.riskLevel || breachData.severity,
+      ...context,
+    });
   }
 
   /**
    * Send verification code via SMS
    * @param {string} phone - Recipient phone number
    * @param {string} code - Verification code
+   * @param {object} [context] - Notification context: userId
    * @returns {Promise<boolean>} - Success status
    */
-  async sendVerificationCode(phone, code) {
+  async sendVerificationCode(phone, code, context = {}) {
     const message = `Your verification code is: ${code}. This code expires in 10 minutes. Do not share this code with anyone.`;
 
-    return await this.sendSMS(phone, message);
+    // The stored body must not contain the code itself
+    return await this.sendSMS(phone, message, {
+      type: "verification_code",
+      title: "Verification Code",
+      body: "A verification code was sent to your phone.",
+      ...context,
+    });
   }
 
   /**
    * Send password reset notification via SMS
    * @param {string} phone - Recipient phone number
+   * @param {object} [context] - Notification context: userId
    * @returns {Promise<boolean>} - Success status
    */
-  async sendPasswordResetSMS(phone) {
+  async sendPasswordResetSMS(phone, context = {}) {
     const message = `Password reset requested for your account. If this wasn't you, please contact support immediately.`;
 
-    return await this.sendSMS(phone, message);
+    return await this.sendSMS(phone, message, {
+      type: "password_reset",
+      title: "Password Reset Request",
+      ...context,
+    });
   }
 
   /**
    * Send account lock notification via SMS
    * @param {string} phone - Recipient phone number
+   * @param {object} [context] - Notification context: userId
    * @returns {Promise<boolean>} - Success status
    */
-  async sendAccountLockSMS(phone) {
+  async sendAccountLockSMS(phone, context = {}) {
     const message = `⚠️ Your account has been temporarily locked due to multiple failed login attempts. Please wait 2 hours or contact support.`;
 
-    return await this.sendSMS(phone, message);
+    return await this.sendSMS(phone, message, {
+      type: "account_locked",
+      title: "Account Locked",
+      severity: "high",
+      ...context,
+    });
   }
 
   /**
@@ -0,0 +1,163 @@
+const User = require("../models/User");
+const Breach = require("../models/Breach");
+const AccountBreach = require("../models/AccountBreach");
+const Notification = require("../models/Notification");
+const Organization = require("../models/Organization");
+const OutboxJob = require("../models/OutboxJob");
+const PushSubscription = require("../models/PushSubscription");
+const Session = require("../models/Session");
+const Webhook = require("../models/Webhook");
+const WebhookDelivery = require("../models/WebhookDelivery");
+
+// Largest page size accepted when listing users
+const MAX_PAGE_SIZE = 100;
+
+class UserAdminService {
+  /**
+   * List users, newest first
+   * @param {object} filters - { search, verified, locked, role }; search
+   *   matches part of the email address or username
+   * @param {object} options - { page, limit }
+   * @returns {Promise<object>} - { users, pagination }
+   */
+  async listUsers(filters = {}, options = {}) {
+    const page = Math.max(parseInt(options.page) || 1, 1);
+    const limit = Math.min(parseInt(options.limit) || 20, MAX_PAGE_SIZE);
+    const query = this.buildQuery(filters);
+
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(query),
+    ]);
+
+    return {
+      users,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Turn list filters into a User query
+   * @param {object} filters - See listUsers; verified and locked are
+   *   booleans or "true"/"false"
+   * @returns {object} - MongoDB query
+   */
+  buildQuery(filters = {}) {
+    const query = {};
+    const conditions = [];
+
+    if (filters.search) {
+      const pattern = new RegExp(
+        filters.search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+        "i",
+      );
+      conditions.push({ $or: [{ email: pattern }, { username: pattern }] });
+    }
+
+    if (filters.verified !== undefined) {
+      query.isVerified = String(filters.verified) === "true";
+    }
+
+    if (String(filters.locked) === "true") {
+      conditions.push({ lockUntil: { $gt: new Date() } });
+    } else if (String(filters.locked) === "false") {
+      conditions.push({
+        $or: [
+          { lockUntil: { $exists: false } },
+          { lockUntil: null },
+          { lockUntil: { $lte: new Date() } },
+        ],
+      });
+    }
+
+    if (filters.role) query.role = filters.role;
+    if (conditions.length > 0) query.$and = conditions;
+
+    return query;
+  }
+
+  /**
+   * Whether a user is the only owner of their organization. Such a user
+   * must not be deleted until another member is made owner, or nobody could
+   * manage the organization.
+   * @param {object} user - User document
+   * @returns {Promise<boolean>} - True for an organization's last owner
+   */
+  async isLastOrganizationOwner(user) {
+    if (!user.organizationId || user.organizationRole !== "owner") {
+      return false;
+    }
+
+    const owners = await User.countDocuments({
+      organizationId: user.organizationId,
+      organizationRole: "owner",
+    });
+    return owners <= 1;
+  }
+
+  /**
+   * Delete a user and everything that belongs to them: breaches, account
+   * breaches, notifications, queued jobs, push subscriptions, sessions,
+   * personal webhooks with their delivery logs and pending organization
+   * invitations. Organization webhooks the user created stay, as do audit
+   * events, which are append-only. Check isLastOrganizationOwner first.
+   * @param {object} user - User document
+   * @returns {Promise<object>} - Number of documents deleted per collection
+   */
+  async deleteUser(user) {
+    const userId = user._id;
+    const webhookIds = await Webhook.find({ userId, scope: "user" }).distinct(
+      "_id",
+    );
+
+    const [
+      breaches,
+      accountBreaches,
+      notifications,
+      outboxJobs,
+      pushSubscriptions,
+      sessions,
+      webhooks,
+      webhookDeliveries,
+    ] = await Promise.all([
+      Breach.deleteMany({ userId }),
+      AccountBreach.deleteMany({ userId }),
+      Notification.deleteMany({ userId }),
+      OutboxJob.deleteMany({ userId }),
+      PushSubscription.deleteMany({ userId }),
+      Session.deleteMany({ userId }),
+      Webhook.deleteMany({ _id: { $in: webhookIds } }),
+      WebhookDelivery.deleteMany({ webhookId: { $in: webhookIds } }),
+      Organization.updateMany(
+        { "invitations.userId": userId },
+        { $pull: { invitations: { userId } } },
+      ),
+    ]);
+    await User.deleteOne({ _id: userId });
+
+    return {
+      breaches: breaches.deletedCount,
+      accountBreaches: accountBreaches.deletedCount,
+      notifications: notifications.deletedCount,
+      outboxJobs: outboxJobs.deletedCount,
+      pushSubscriptions: pushSubscriptions.deletedCount,
+      sessions: sessions.deletedCount,
+      webhooks: webhooks.deletedCount,
+      webhookDeliveries: webhookDeliveries.deletedCount,
+    };
+  }
+}
+
+UserAdminService.MAX_PAGE_SIZE = MAX_PAGE_SIZE;
+
+// Export the class constructor directly
+// This makes it compatible with: const UserAdminService = require('...')
+module.exports = UserAdminService;
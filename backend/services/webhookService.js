@@ -0,0 +1,381 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const Webhook = require("../models/Webhook");
+const User = require("../models/User");
+const WebhookDelivery = require("../models/WebhookDelivery");
+const { assertPublicUrl, publicAgents } = require("../utils/networkUtil");
+const logger = require("../utils/logger");
+
+// Largest page size accepted when listing deliveries
+const MAX_PAGE_SIZE = 100;
+
+// Organization roles that manage the organization's webhooks
+const WEBHOOK_MANAGER_ROLES = ["owner", "security-officer"];
+
+class WebhookService {
+  /**
+   * @param {object} options - Webhook options
+   * @param {object} [options.outboxService] - Queue used to deliver events
+   * @param {number} [options.timeoutMs] - How long to wait for an endpoint;
+   *   defaults to WEBHOOK_TIMEOUT_MS or 10000
+   */
+  constructor(options = {}) {
+    if (options.outboxService) {
+      this.outboxService = options.outboxService;
+    } else {
+      // Required here: the outbox requires this module to deliver webhooks
+      const OutboxService = require("./outboxService");
+      this.outboxService = new OutboxService({ webhookService: this });
+    }
+    this.timeoutMs =
+      options.timeoutMs || parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+  }
+
+  /**
+   * Generate a webhook signing secret
+   * @returns {string} - Secret
+   */
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(32).toString("hex")}`;
+  }
+
+  /**
+   * Sign a request body. Receivers recompute the HMAC over
+   * "<timestamp>.<body>" and reject stale timestamps to stop replays.
+   * @param {string} secret - Webhook secret
+   * @param {number} timestamp - Unix time in seconds
+   * @param {string} body - Raw JSON body
+   * @returns {string} - Hex HMAC-SHA256 signature
+   */
+  sign(secret, timestamp, body) {
+    return crypto
+      .createHmac("sha256", secret)
+      .update(`${timestamp}.${body}`)
+      .digest("hex");
+  }
+
+  /**
+   * Whether a user manages their organization's webhooks
+   * @param {object} user - Authenticated user
+   * @returns {boolean} - True for owners and security officers
+   */
+  canManageOrganizationWebhooks(user) {
+    return Boolean(
+      user.organizationId &&
+      WEBHOOK_MANAGER_ROLES.includes(user.organizationRole),
+    );
+  }
+
+  /**
+   * Register a webhook
+   * @param {string} userId - Owner
+   * @param {object} fields - { url, events, description, scope,
+   *   organizationId }; organizationId is required for organization scope
+   * @returns {Promise<object>} - { webhook, secret }; the secret is only
+   *   returned here and on rotation
+   */
+  async create(userId, fields) {
+    const secret = this.generateSecret();
+    const webhook = await Webhook.create({
+      userId,
+      scope: fields.scope || "user",
+      organizationId:
+        fields.scope === "organization" ? fields.organizationId : undefined,
+      url: fields.url,
+      description: fields.description,
+      events: fields.events,
+      secret,
+    });
+
+    return { webhook, secret };
+  }
+
+  /**
+   * Build the query for webhooks a user may manage: their own, plus their
+   * organization's webhooks for its owners and security officers
+   * @param {object} user - Authenticated user
+   * @returns {object} - MongoDB query
+   */
+  buildAccessQuery(user) {
+    if (this.canManageOrganizationWebhooks(user)) {
+      return {
+        $or: [
+          { userId: user._id, scope: "user" },
+          { scope: "organization", organizationId: user.organizationId },
+        ],
+      };
+    }
+
+    return { userId: user._id, scope: "user" };
+  }
+
+  /**
+   * List the webhooks a user may manage
+   * @param {object} user - Authenticated user
+   * @returns {Promise<Array<object>>} - Webhooks, newest first
+   */
+  async listForUser(user) {
+    return Webhook.find(this.buildAccessQuery(user)).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Find one webhook a user may manage
+   * @param {object} user - Authenticated user
+   * @param {string} webhookId - Webhook ID
+   * @param {boolean} [withSecret] - Load the signing secret too
+   * @returns {Promise<object|null>} - Webhook, or null when not found
+   */
+  async findForUser(user, webhookId, withSecret = false) {
+    const query = Webhook.findOne({
+      _id: webhookId,
+      ...this.buildAccessQuery(user),
+    });
+
+    return withSecret ? query.select("+secret") : query;
+  }
+
+  /**
+   * Replace a webhook's secret. Deliveries still queued are signed with the
+   * new secret when they are sent.
+   * @param {object} webhook - Webhook document
+   * @returns {Promise<string>} - New secret
+   */
+  async rotateSecret(webhook) {
+    const secret = this.generateSecret();
+    webhook.secret = secret;
+    webhook.secretRotatedAt = new Date();
+    await webhook.save();
+
+    return secret;
+  }
+
+  /**
+   * Queue an event for every active webhook subscribed to it: the user's own
+   * and those of the user's organization. Failures are logged and never
+   * thrown, so emitting never fails the action that raised the event.
+   * @param {string} event - Event type, e.g. "breach.detected"
+   * @param {object} data - Event data
+   * @param {object} refs - { userId }: user the event concerns
+   * @returns {Promise<number>} - Number of deliveries queued
+   */
+  async emit(event, data, refs) {
+    try {
+      const user = await User.findById(refs.userId).select("organizationId");
+      const scopes = [{ scope: "user", userId: refs.userId }];
+      if (user && user.organizationId) {
+        scopes.push({
+          scope: "organization",
+          organizationId: user.organizationId,
+        });
+      }
+
+      const webhooks = await Webhook.find({
+        isActive: true,
+        events: event,
+        $or: scopes,
+      });
+
+      const eventId = crypto.randomUUID();
+      const occurredAt = new Date().toISOString();
+
+      for (const webhook of webhooks) {
+        await this.outboxService.enqueue(
+          "webhook",
+          { webhookId: webhook._id, eventId, event, occurredAt, data },
+          { userId: refs.userId },
+        );
+      }
+
+      return webhooks.length;
+    } catch (error) {
+      logger.error(`Failed to queue ${event} webhooks:`, error);
+      return 0;
+    }
+  }
+
+  /**
+   * Deliver a queued event (outbox handler). Events for webhooks that were
+   * deleted or disabled are dropped.
+   * @param {object} job - webhook job
+   */
+  async deliver(job) {
+    const { webhookId, ...event } = job.payload;
+    const webhook = await Webhook.findById(webhookId).select("+secret");
+
+    if (!webhook || !webhook.isActive) {
+      logger.info(`Dropping ${event.event} for inactive webhook ${webhookId}`);
+      return;
+    }
+
+    const delivery = await this.send(webhook, event, job.attempts);
+
+    if (delivery.status !== "delivered") {
+      throw new Error(delivery.error);
+    }
+  }
+
+  /**
+   * Send a test event to a webhook right away
+   * @param {object} webhook - Webhook document, with its secret
+   * @returns {Promise<object>} - Delivery record
+   */
+  async sendTest(webhook) {
+    return this.send(webhook, {
+      eventId: crypto.randomUUID(),
+      event: "webhook.test",
+      occurredAt: new Date().toISOString(),
+      data: { webhookId: webhook._id, message: "Webhook test event" },
+    });
+  }
+
+  /**
+   * POST a signed event to a webhook and log the attempt. Any 2xx response
+   * counts as delivered; redirects are not followed. Hosts resolving to
+   * private or reserved addresses are refused, and response bodies are not
+   * kept, so the webhook cannot be used to probe the internal network.
+   * @param {object} webhook - Webhook document, with its secret
+   * @param {object} event - { eventId, event, occurredAt, data }
+   * @param {number} [attempt] - Attempt number, for the log
+   * @returns {Promise<object>} - Delivery record
+   */
+  async send(webhook, event, attempt = 1) {
+    const body = JSON.stringify({
+      id: event.eventId,
+      event: event.event,
+      createdAt: event.occurredAt,
+      data: event.data,
+    });
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+    const result = {};
+
+    try {
+      await assertPublicUrl(webhook.url);
+
+      const response = await axios.post(webhook.url, body, {
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "Password-Breach-Notification-System",
+          "X-Webhook-Id": event.eventId,
+          "X-Webhook-Event": event.event,
+          "X-Webhook-Timestamp": String(timestamp),
+          "X-Webhook-Signature": `sha256=${this.sign(webhook.secret, timestamp, body)}`,
+        },
+        ...publicAgents,
+        timeout: this.timeoutMs,
+        maxRedirects: 0,
+        responseType: "text",
+        validateStatus: () => true,
+      });
+
+      result.responseStatus = response.status;
+      if (response.status < 200 || response.status >= 300) {
+        result.error = `Endpoint responded with ${response.status}`;
+      }
+    } catch (error) {
+      result.error = error.message;
+    }
+
+    const status = result.error ? "failed" : "delivered";
+    const delivery = new WebhookDelivery({
+      webhookId: webhook._id,
+      eventId: event.eventId,
+      event: event.event,
+      attempt,
+      status,
+      durationMs: Date.now() - startedAt,
+      ...result,
+    });
+
+    // A failure to log must not look like a failed delivery and resend it
+    try {
+      await delivery.save();
+      await Webhook.updateOne(
+        { _id: webhook._id },
+        { lastDeliveryAt: new Date(), lastDeliveryStatus: status },
+      );
+    } catch (error) {
+      logger.error(`Failed to log delivery to webhook ${webhook._id}:`, error);
+    }
+
+    return delivery;
+  }
+
+  /**
+   * List a webhook's delivery log, most recent first
+   * @param {string} webhookId - Webhook ID
+   * @param {object} options - { page, limit, status }
+   * @returns {Promise<object>} - { deliveries, pagination }
+   */
+  async listDeliveries(webhookId, options = {}) {
+    const page = Math.max(parseInt(options.page) || 1, 1);
+    const limit = Math.min(parseInt(options.limit) || 20, MAX_PAGE_SIZE);
+
+    const query = { webhookId };
+    if (options.status) query.status = options.status;
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      WebhookDelivery.countDocuments(query),
+    ]);
+
+    return {
+      deliveries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Describe a password breach for an event, without its hash
+   * @param {object} breach - Breach document
+   * @returns {object} - Event data
+   */
+  describeBreach(breach) {
+    return {
+      kind: "password",
+      breachId: breach._id,
+      userId: breach.userId,
+      riskLevel: breach.riskLevel,
+      timesFound: breach.timesFound,
+      sources: breach.breachSources.map((source) => source.name),
+      firstDetected: breach.firstDetected,
+      acknowledgedAt: breach.acknowledgedAt,
+    };
+  }
+
+  /**
+   * Describe a named account breach for an event
+   * @param {object} breach - AccountBreach document
+   * @returns {object} - Event data
+   */
+  describeAccountBreach(breach) {
+    return {
+      kind: "account",
+      accountBreachId: breach._id,
+      userId: breach.userId,
+      email: breach.email,
+      breachName: breach.breachName,
+      title: breach.title,
+      domain: breach.domain,
+      breachDate: breach.breachDate,
+      dataClasses: breach.dataClasses,
+      severity: breach.severity,
+      acknowledgedAt: breach.acknowledgedAt,
+    };
+  }
+}
+
+WebhookService.MAX_PAGE_SIZE = MAX_PAGE_SIZE;
+WebhookService.EVENTS = Webhook.schema.path("events").caster.enumValues;
+
+// Export the class constructor directly
+// This makes it compatible with: const WebhookService = require('...')
+module.exports = WebhookService;
@@ -7,7 +7,7 @@ const sinon = require("sinon");
 const app = require("../../index");
 const User = require("../../models/User");
 const Breach = require("../../models/Breach");
-const jwt = require("jsonwebtoken");
+const SessionService = require("../../services/sessionService");
 
 describe("Breach API", function () {
   let testUser;
@@ -43,17 +43,13 @@ describe("Breach API", function () {
     await adminUser.save();
 
     // Generate auth tokens
-    authToken = jwt.sign(
-      { userId: testUser._id, email: testUser.email },
-      process.env.JWT_SECRET || "test-secret",
-      { expiresIn: "1h" },
-    );
-
-    adminToken = jwt.sign(
-      { userId: adminUser._id, email: adminUser.email },
-      process.env.JWT_SECRET || "test-secret",
-      { expiresIn: "1h" },
-    );
+    ({ accessToken: authToken } = await new SessionService().createSession(
+      testUser,
+    ));
+
+    ({ accessToken: adminToken } = await new SessionService().createSession(
+      adminUser,
+    ));
   });
 
   afterEach(async function () {
@@ -6,7 +6,7 @@ const request = require("supertest");
 const sinon = require("sinon");
 const app = require("../../index");
 const User = require("../../models/User");
-const jwt = require("jsonwebtoken");
+const SessionService = require("../../services/sessionService");
 
 describe("Notification API", function () {
   let testUser;
@@ -36,11 +36,9 @@ describe("Notification API", function () {
     await testUser.save();
 
     // Generate auth token
-    authToken = jwt.sign(
-      { userId: testUser._id, email: testUser.email },
-      process.env.JWT_SECRET || "test-secret",
-      { expiresIn: "1h" },
-    );
+    ({ accessToken: authToken } = await new SessionService().createSession(
+      testUser,
+    ));
   });
 
   afterEach(async function () {
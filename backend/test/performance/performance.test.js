@@ -6,7 +6,7 @@ const request = require("supertest");
 const app = require("../../index");
 const User = require("../../models/User");
 const Breach = require("../../models/Breach");
-const jwt = require("jsonwebtoken");
+const SessionService = require("../../services/sessionService");
 
 describe("Performance Tests", function () {
   let testUser;
@@ -32,11 +32,9 @@ describe("Performance Tests", function () {
     await testUser.save();
 
     // Generate auth token
-    authToken = jwt.sign(
-      { userId: testUser._id, email: testUser.email },
-      process.env.JWT_SECRET || "test-secret",
-      { expiresIn: "1h" },
-    );
+    ({ accessToken: authToken } = await new SessionService().createSession(
+      testUser,
+    ));
   });
 
   afterEach(async function () {
@@ -6,6 +6,11 @@ const sinon = require("sinon");
 process.env.NODE_ENV = "test";
 process.env.RATE_LIMIT_ENABLED = "false";
 process.env.JWT_SECRET = "test_jwt_secret_key_for_testing_only";
+// Tests stub range responses per case, so ranges must not be cached
+process.env.PWNED_RANGE_CACHE_TTL_MS = "0";
+process.env.BREACH_HASH_PEPPERS = "1:test_breach_hash_pepper";
+// Auth flows must not call the Pwned Passwords API unless a test opts in
+process.env.BREACHED_PASSWORD_CHECK = "false";
 
 // In-memory MongoDB server for testing
 let mongod = null;
@@ -0,0 +1,121 @@
+// Set up the test environment first
+require("../setup");
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const sinon = require("sinon");
+const axios = require("axios");
+const AccountBreachService = require("../../services/accountBreachService");
+
+describe("Account Breach Service", function () {
+  let tmpDir;
+
+  const adobe = {
+    Name: "Adobe",
+    Title: "Adobe",
+    Domain: "adobe.com",
+    BreachDate: "2013-10-04",
+    AddedDate: "2013-12-04T00:00:00Z",
+    PwnCount: 152445165,
+    Description: "In October 2013, 153 million Adobe accounts were breached.",
+    DataClasses: ["Email addresses", "Password hints", "Passwords"],
+  };
+
+  beforeEach(async function () {
+    tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "accounts-"));
+  });
+
+  afterEach(async function () {
+    sinon.restore();
+    await fs.promises.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  describe("getBreachesForAccount (local catalog)", function () {
+    it("should return the catalog breaches listed for an email", async function () {
+      const catalogPath = path.join(tmpDir, "catalog.json");
+      await fs.promises.writeFile(
+        catalogPath,
+        JSON.stringify({
+          breaches: [adobe, { ...adobe, Name: "Other" }],
+          accounts: { "user@example.com": ["Adobe"] },
+        }),
+      );
+      const service = new AccountBreachService({
+        source: "local",
+        catalogPath,
+      });
+
+      const breaches = await service.getBreachesForAccount("User@Example.com");
+
+      expect(breaches.map((breach) => breach.Name)).to.deep.equal(["Adobe"]);
+      expect(await service.getBreachesForAccount("clean@example.com")).to.be
+        .empty;
+    });
+
+    it("should fail when no catalog is configured", async function () {
+      const service = new AccountBreachService({ source: "local" });
+
+      try {
+        await service.getBreachesForAccount("user@example.com");
+        expect.fail("Should have thrown an error");
+      } catch (error) {
+        expect(error.message).to.equal("Failed to check account exposure");
+      }
+    });
+  });
+
+  describe("getBreachesForAccount (API)", function () {
+    it("should query breachedaccount with the API key", async function () {
+      const axiosStub = sinon.stub(axios, "get").resolves({ data: [adobe] });
+      const service = new AccountBreachService({ apiKey: "key" });
+
+      const breaches = await service.getBreachesForAccount("user@example.com");
+
+      expect(breaches).to.deep.equal([adobe]);
+      expect(axiosStub.firstCall.args[0]).to.include(
+        "breachedaccount/user%40example.com",
+      );
+      expect(axiosStub.firstCall.args[1].headers["hibp-api-key"]).to.equal(
+        "key",
+      );
+    });
+
+    it("should treat a 404 as no breaches", async function () {
+      const notFound = new Error("Not Found");
+      notFound.response = { status: 404 };
+      sinon.stub(axios, "get").rejects(notFound);
+      const service = new AccountBreachService({ apiKey: "key" });
+
+      expect(await service.getBreachesForAccount("user@example.com")).to.be
+        .empty;
+    });
+  });
+
+  describe("normalizeBreach", function () {
+    it("should map HIBP fields and rate severity by data classes", function () {
+      const service = new AccountBreachService({ apiKey: "key" });
+
+      const fields = service.normalizeBreach(adobe);
+
+      expect(fields).to.include({
+        breachName: "Adobe",
+        domain: "adobe.com",
+        affectedAccounts: 152445165,
+        severity: "high",
+        source: "HaveIBeenPwned",
+      });
+      expect(fields.breachDate.toISOString()).to.equal(
+        "2013-10-04T00:00:00.000Z",
+      );
+    });
+
+    it("should rate exposures without sensitive data as low", function () {
+      const service = new AccountBreachService();
+
+      expect(service.calculateSeverity(["Email addresses"])).to.equal("low");
+      expect(service.calculateSeverity(["Credit cards"])).to.equal("critical");
+    });
+  });
+});
@@ -0,0 +1,146 @@
+// Set up the test environment first
+require("../setup");
+
+const { expect } = require("chai");
+const sinon = require("sinon");
+const mongoose = require("mongoose");
+const AuditEvent = require("../../models/AuditEvent");
+const AuditService = require("../../services/auditService");
+
+describe("Audit Service", function () {
+  let auditService;
+  const user = {
+    _id: new mongoose.Types.ObjectId(),
+    email: "test@example.com",
+  };
+  const req = {
+    user,
+    ip: "203.0.113.7",
+    get: (header) => (header === "User-Agent" ? "mocha" : undefined),
+  };
+
+  beforeEach(function () {
+    auditService = new AuditService();
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  describe("record", function () {
+    it("should record the authenticated user and client details", async function () {
+      sinon.stub(AuditEvent.prototype, "save").callsFake(async function () {
+        return this;
+      });
+
+      const event = await auditService.record(req, "breach.acknowledge", {
+        targetType: "Breach",
+        targetId: new mongoose.Types.ObjectId(),
+      });
+
+      expect(event.actorId.equals(user._id)).to.be.true;
+      expect(event.actorEmail).to.equal("test@example.com");
+      expect(event.action).to.equal("breach.acknowledge");
+      expect(event.outcome).to.equal("success");
+      expect(event.targetType).to.equal("Breach");
+      expect(event.ipAddress).to.equal("203.0.113.7");
+      expect(event.userAgent).to.equal("mocha");
+    });
+
+    it("should record failures for actors without a user", async function () {
+      sinon.stub(AuditEvent.prototype, "save").callsFake(async function () {
+        return this;
+      });
+
+      const event = await auditService.record(
+        { ip: "203.0.113.7" },
+        "auth.login",
+        {
+          actorEmail: "Unknown@Example.com",
+          outcome: "failure",
+          reason: "unknown_email",
+        },
+      );
+
+      expect(event.actorId).to.be.undefined;
+      expect(event.actorEmail).to.equal("unknown@example.com");
+      expect(event.outcome).to.equal("failure");
+      expect(event.reason).to.equal("unknown_email");
+    });
+
+    it("should not throw when the event cannot be saved", async function () {
+      sinon.stub(AuditEvent.prototype, "save").rejects(new Error("db down"));
+
+      const event = await auditService.record(req, "auth.logout");
+
+      expect(event).to.be.null;
+    });
+  });
+
+  describe("buildQuery", function () {
+    it("should translate filters into a MongoDB query", function () {
+      const userId = new mongoose.Types.ObjectId();
+
+      const query = auditService.buildQuery({
+        userId: String(userId),
+        action: "auth.login,auth.logout",
+        outcome: "failure",
+        dateFrom: "2024-01-01",
+        dateTo: "2024-02-01",
+      });
+
+      expect(query.actorId.equals(userId)).to.be.true;
+      expect(query.action).to.deep.equal({
+        $in: ["auth.login", "auth.logout"],
+      });
+      expect(query.outcome).to.equal("failure");
+      expect(query.createdAt.$gte).to.deep.equal(new Date("2024-01-01"));
+      expect(query.createdAt.$lte).to.deep.equal(new Date("2024-02-01"));
+    });
+
+    it("should match a single action exactly and ignore empty filters", function () {
+      expect(auditService.buildQuery({ action: "auth.login" })).to.deep.equal({
+        action: "auth.login",
+      });
+      expect(auditService.buildQuery({})).to.deep.equal({});
+    });
+  });
+
+  describe("AuditEvent model", function () {
+    it("should reject updates and deletes", async function () {
+      const mutations = [
+        () => AuditEvent.updateOne({}, { outcome: "success" }),
+        () => AuditEvent.findOneAndUpdate({}, { outcome: "success" }),
+        () => AuditEvent.deleteMany({}),
+        () => AuditEvent.findOneAndDelete({}),
+      ];
+
+      for (const mutate of mutations) {
+        let error;
+        try {
+          await mutate();
+        } catch (err) {
+          error = err;
+        }
+        expect(error).to.be.an("error");
+        expect(error.message).to.equal("Audit events are append-only");
+      }
+    });
+
+    it("should reject saving an existing event again", async function () {
+      const event = new AuditEvent({ action: "auth.login" });
+      event.isNew = false;
+      event.outcome = "failure";
+
+      let error;
+      try {
+        await event.save();
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).to.be.an("error");
+      expect(error.message).to.equal("Audit events are append-only");
+    });
+  });
+});
@@ -0,0 +1,172 @@
+// Set up the test environment first
+require("../setup");
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const sinon = require("sinon");
+const BreachService = require("../../services/breachService");
+const {
+  BreachProviderRegistry,
+  HibpBreachProvider,
+  LocalCorpusProvider,
+  HoneypotProvider,
+  createBreachProviderRegistry,
+} = require("../../services/breachProviders");
+const { generateSHA1Hash, getHashPrefix } = require("../../utils/hashUtil");
+
+describe("Breach Providers", function () {
+  let tmpDir;
+  const password = "password123";
+  const hash = generateSHA1Hash(password);
+  const { prefix, suffix } = getHashPrefix(password);
+
+  const fakeProvider = (name, result) => ({
+    name,
+    check: sinon.stub().resolves(result),
+  });
+
+  beforeEach(async function () {
+    tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "providers-"));
+  });
+
+  afterEach(async function () {
+    sinon.restore();
+    await fs.promises.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  describe("BreachProviderRegistry", function () {
+    it("should reject duplicate and malformed providers", function () {
+      const registry = new BreachProviderRegistry();
+      registry.register(fakeProvider("A", { found: false }));
+
+      expect(() =>
+        registry.register(fakeProvider("A", { found: false })),
+      ).to.throw("already registered");
+      expect(() => registry.register({ name: "B" })).to.throw("check()");
+    });
+
+    it("should query providers in parallel with the hash parts", async function () {
+      const registry = new BreachProviderRegistry();
+      const a = fakeProvider("A", { found: false, count: 0 });
+      const b = fakeProvider("B", { found: true, count: 3, severity: "low" });
+      registry.register(a).register(b);
+
+      const { results, failures } = await registry.checkAll({
+        hash,
+        prefix,
+        suffix,
+      });
+
+      expect(a.check.firstCall.args[0]).to.deep.equal({ hash, prefix, suffix });
+      expect(results.map((result) => result.name)).to.deep.equal(["A", "B"]);
+      expect(failures).to.be.empty;
+    });
+
+    it("should report slow and failing providers without failing the rest", async function () {
+      const registry = new BreachProviderRegistry({ timeoutMs: 20 });
+      registry
+        .register(fakeProvider("Fast", { found: false, count: 0 }))
+        .register({
+          name: "Slow",
+          check: () => new Promise(() => {}),
+        })
+        .register({
+          name: "Broken",
+          check: sinon.stub().rejects(new Error("boom")),
+        });
+
+      const { results, failures } = await registry.checkAll({ hash });
+
+      expect(results.map((result) => result.name)).to.deep.equal(["Fast"]);
+      expect(failures).to.deep.equal([
+        { name: "Slow", error: "Timed out after 20ms" },
+        { name: "Broken", error: "boom" },
+      ]);
+    });
+  });
+
+  describe("credential list providers", function () {
+    it("should match corpus entries given as hashes or plaintext", async function () {
+      const corpusPath = path.join(tmpDir, "corpus.txt");
+      await fs.promises.writeFile(
+        corpusPath,
+        `# internal dump\n${hash.toLowerCase()}:2500\nletmein\n`,
+      );
+      const provider = new LocalCorpusProvider({
+        path: corpusPath,
+        calculateSeverity: new BreachService().calculateSeverity,
+      });
+
+      expect(await provider.check({ hash })).to.include({
+        found: true,
+        count: 2500,
+        severity: "medium",
+      });
+      expect(
+        await provider.check({ hash: generateSHA1Hash("letmein") }),
+      ).to.include({ found: true, count: 1 });
+      expect(
+        await provider.check({ hash: generateSHA1Hash("other") }),
+      ).to.include({ found: false });
+    });
+
+    it("should flag honeypot credentials as critical", async function () {
+      const honeypotPath = path.join(tmpDir, "honeypot.txt");
+      await fs.promises.writeFile(honeypotPath, `${hash}\n`);
+      const provider = new HoneypotProvider({ path: honeypotPath });
+
+      expect(await provider.check({ hash })).to.include({
+        found: true,
+        severity: "critical",
+      });
+    });
+  });
+
+  describe("BreachService with several providers", function () {
+    it("should merge matches from every provider", async function () {
+      const honeypotPath = path.join(tmpDir, "honeypot.txt");
+      await fs.promises.writeFile(honeypotPath, `${password}\n`);
+      const rangeProvider = { getRange: sinon.stub().resolves(`${suffix}:42`) };
+      const breachService = new BreachService({ rangeProvider });
+      breachService.providerRegistry = createBreachProviderRegistry(
+        breachService,
+        { providers: "hibp,honeypot", honeypotPath },
+      );
+
+      const result = await breachService.checkPasswordBreach(password);
+
+      expect(result).to.include({
+        breached: true,
+        count: 42,
+        severity: "critical",
+        source: "HoneypotCredentials",
+      });
+      expect(result.sources.map((source) => source.name)).to.deep.equal([
+        "HaveIBeenPwned",
+        "HoneypotCredentials",
+      ]);
+      expect(result.failedSources).to.be.empty;
+    });
+
+    it("should still answer when one provider is down", async function () {
+      const rangeProvider = {
+        getRange: sinon.stub().rejects(new Error("down")),
+      };
+      const breachService = new BreachService({ rangeProvider });
+      const registry = new BreachProviderRegistry();
+      registry
+        .register(new HibpBreachProvider(breachService))
+        .register(fakeProvider("Internal", { found: false, count: 0 }));
+      breachService.providerRegistry = registry;
+
+      const result = await breachService.checkHashBreach(hash);
+
+      expect(result).to.include({ breached: false, source: "Internal" });
+      expect(result.failedSources).to.deep.equal([
+        { name: "HaveIBeenPwned", error: "down" },
+      ]);
+    });
+  });
+});
@@ -5,7 +5,7 @@ const { expect } = require("chai");
 const sinon = require("sinon");
 const axios = require("axios");
 const BreachService = require("../../services/breachService");
-const { getHashPrefix } = require("../../utils/hashUtil");
+const { generateSHA1Hash, getHashPrefix } = require("../../utils/hashUtil");
 
 describe("Breach Service", function () {
   let breachService;
@@ -74,6 +74,19 @@ describe("Breach Service", function () {
       });
     });
 
+    it("should ignore zero-count padding rows", async function () {
+      const password = "safePassword123";
+      const { suffix } = getHashPrefix(password);
+
+      axiosStub = sinon.stub(axios, "get").resolves({
+        data: `${suffix.toUpperCase()}:0\r\nABCDEF:5`,
+      });
+
+      const result = await breachService.checkPasswordBreach(password);
+
+      expect(result.breached).to.be.false;
+    });
+
     it("should handle API errors gracefully", async function () {
       const password = "anypassword";
 
@@ -90,5 +103,104 @@ describe("Breach Service", function () {
     });
   });
 
-  // Add more tests for other breach service methods as needed
+  describe("getPrefixRange", function () {
+    it("should pad the range so its size hides the real suffixes", async function () {
+      const rangeProvider = {
+        name: "Pwned Passwords (local)",
+        getRange: sinon
+          .stub()
+          .resolves("0018A45C4D1DEF81644B54AB7F969B88D65:0\nabc:12"),
+      };
+      const service = new BreachService({ rangeProvider });
+
+      const range = await service.getPrefixRange("21bd1");
+      const real = range.entries.filter((entry) => entry.count > 0);
+
+      expect(rangeProvider.getRange.firstCall.args[0]).to.equal("21BD1");
+      expect(range.prefix).to.equal("21BD1");
+      expect(range.source).to.equal("Pwned Passwords (local)");
+      expect(real).to.deep.equal([{ suffix: "ABC", count: 12 }]);
+      expect(range.entries.length).to.be.within(800, 1000);
+      expect(range.entries.every((entry) => /^[0-9A-F]+$/.test(entry.suffix)))
+        .to.be.true;
+    });
+
+    it("should reject malformed prefixes", async function () {
+      try {
+        await breachService.getPrefixRange("XYZ12");
+        expect.fail("Should have thrown an error");
+      } catch (error) {
+        expect(error.message).to.include("Invalid hash prefix");
+      }
+    });
+  });
+
+  describe("checkHashBatch", function () {
+    it("should fetch each prefix range once per batch", async function () {
+      const { prefix, suffix } = getHashPrefix("password123");
+      const rangeProvider = {
+        getRange: sinon.stub().resolves(`${suffix}:42`),
+      };
+      const service = new BreachService({ rangeProvider });
+      const hashes = [
+        generateSHA1Hash("password123"),
+        generateSHA1Hash("safePassword123"),
+        generateSHA1Hash("password123").toLowerCase(),
+      ];
+
+      const results = await service.checkHashBatch(hashes);
+
+      expect(
+        rangeProvider.getRange.getCalls().map((call) => call.args[0]),
+      ).to.have.members([prefix, hashes[1].substring(0, 5)]);
+      expect(results.map((item) => item.index)).to.deep.equal([0, 1, 2]);
+      expect(results.map((item) => item.result.breached)).to.deep.equal([
+        true,
+        false,
+        true,
+      ]);
+      expect(results[2].hash).to.equal(hashes[0]);
+    });
+
+    it("should check a repeated hash once and report every item", async function () {
+      const { suffix } = getHashPrefix("password123");
+      const service = new BreachService({
+        rangeProvider: { getRange: sinon.stub().resolves(`${suffix}:42`) },
+      });
+      const checkHashBreach = sinon.spy(service, "checkHashBreach");
+      const hash = generateSHA1Hash("password123");
+      const seen = [];
+
+      const results = await service.checkHashBatch(
+        [hash, hash.toLowerCase(), hash],
+        { onResult: async (item) => seen.push(item.index) },
+      );
+
+      expect(checkHashBreach.calledOnce).to.be.true;
+      expect(seen).to.deep.equal([0, 1, 2]);
+      expect(results.every((item) => item.result.breached)).to.be.true;
+    });
+
+    it("should report failed items without failing the batch", async function () {
+      const failing = generateSHA1Hash("anypassword").substring(0, 5);
+      const rangeProvider = {
+        getRange: sinon
+          .stub()
+          .callsFake(async (prefix) =>
+            prefix === failing ? Promise.reject(new Error("down")) : "",
+          ),
+      };
+      const service = new BreachService({ rangeProvider });
+      const seen = [];
+
+      const results = await service.checkHashBatch(
+        [generateSHA1Hash("anypassword"), generateSHA1Hash("password123")],
+        { onResult: async (item) => seen.push(item.index) },
+      );
+
+      expect(results[0].error).to.equal("Failed to check password breach");
+      expect(results[1].result.breached).to.be.false;
+      expect(seen).to.have.members([0, 1]);
+    });
+  });
 });
@@ -0,0 +1,167 @@
+// Set up the test environment first
+require("../setup");
+
+const dns = require("dns");
+const { expect } = require("chai");
+const sinon = require("sinon");
+const axios = require("axios");
+const mongoose = require("mongoose");
+const Notification = require("../../models/Notification");
+const ChatService = require("../../services/chatService");
+const { publicAgents } = require("../../utils/networkUtil");
+
+describe("Chat Service", function () {
+  let chatService;
+  const breachData = {
+    count: 12345,
+    riskLevel: "critical",
+    sources: [{ name: "HaveIBeenPwned" }, { name: "Offline Mirror" }],
+    recommendedActions: [
+      { action: "Change Password Immediately", priority: "high" },
+      { action: "Enable Two-Factor Authentication", priority: "high" },
+    ],
+  };
+  const slack = {
+    provider: "slack",
+    webhookUrl: "https://hooks.slack.com/services/T000/B000/XXXX",
+  };
+  const teams = {
+    provider: "teams",
+    webhookUrl: "https://example.webhook.office.com/webhookb2/abc",
+  };
+
+  beforeEach(function () {
+    sinon
+      .stub(dns.promises, "lookup")
+      .resolves([{ address: "93.184.215.14", family: 4 }]);
+    chatService = new ChatService();
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  it("should post a Slack attachment colored by severity with the recommended actions", async function () {
+    const post = sinon.stub(axios, "post").resolves({ status: 200 });
+
+    const result = await chatService.sendBreachNotification(slack, breachData);
+
+    expect(result).to.be.true;
+    const [url, message, config] = post.firstCall.args;
+    const attachment = message.attachments[0];
+    expect(url).to.equal(slack.webhookUrl);
+    expect(config.maxRedirects).to.equal(0);
+    expect(attachment.color).to.equal("#dc3545");
+    expect(attachment.fields[0]).to.deep.equal({
+      title: "Risk Level",
+      value: "CRITICAL",
+      short: true,
+    });
+    expect(attachment.fields[2].value).to.equal(
+      "HaveIBeenPwned, Offline Mirror",
+    );
+    expect(attachment.fields[3].value).to.equal(
+      "• Change Password Immediately\n• Enable Two-Factor Authentication",
+    );
+  });
+
+  it("should post a Teams MessageCard with a theme color and facts", async function () {
+    const post = sinon.stub(axios, "post").resolves({ status: 200 });
+
+    await chatService.sendBreachNotification(teams, {
+      count: 3,
+      severity: "medium",
+      source: "Test Source",
+    });
+
+    const message = post.firstCall.args[1];
+    expect(message["@type"]).to.equal("MessageCard");
+    expect(message.themeColor).to.equal("ffc107");
+    expect(message.sections[0].facts).to.deep.include({
+      name: "Sources",
+      value: "Test Source",
+    });
+    expect(message.sections[1].text).to.include(
+      "- Enable Two-Factor Authentication",
+    );
+  });
+
+  it("should throw when the chat app rejects the message", async function () {
+    sinon.stub(axios, "post").rejects(new Error("Request failed with 404"));
+
+    let error;
+    try {
+      await chatService.sendBreachNotification(slack, breachData);
+    } catch (err) {
+      error = err;
+    }
+
+    expect(error.message).to.equal("Failed to send slack notification");
+  });
+
+  it("should refuse webhook URLs on private addresses", async function () {
+    const post = sinon.stub(axios, "post").resolves({ status: 200 });
+    dns.promises.lookup
+      .withArgs("chat.internal.example.com")
+      .resolves([{ address: "10.0.0.5", family: 4 }]);
+
+    for (const webhookUrl of [
+      "https://169.254.169.254/latest/meta-data/",
+      "https://chat.internal.example.com/hooks/abc",
+    ]) {
+      const error = await chatService
+        .sendBreachNotification({ provider: "slack", webhookUrl }, breachData)
+        .catch((err) => err);
+      expect(error.message).to.equal("Failed to send slack notification");
+    }
+
+    expect(post.called).to.equal(false);
+  });
+
+  it("should post to any Slack-compatible webhook on a public host", async function () {
+    const post = sinon.stub(axios, "post").resolves({ status: 200 });
+
+    await chatService.sendBreachNotification(
+      {
+        provider: "slack",
+        webhookUrl: "https://chat.example.com/hooks/mattermost",
+      },
+      breachData,
+    );
+
+    const config = post.firstCall.args[2];
+    expect(config.httpsAgent).to.equal(publicAgents.httpsAgent);
+    expect(config.maxRedirects).to.equal(0);
+  });
+
+  it("should record the provider and host but never the webhook URL", async function () {
+    sinon.stub(axios, "post").resolves({ status: 200 });
+    const create = sinon
+      .stub(Notification, "create")
+      .callsFake(async (fields) => new Notification(fields));
+    sinon.stub(Notification.prototype, "save").callsFake(async function () {
+      return this;
+    });
+
+    await chatService.sendBreachNotification(slack, breachData, {
+      userId: new mongoose.Types.ObjectId(),
+    });
+
+    const fields = create.firstCall.args[0];
+    expect(fields.channel).to.equal("chat");
+    expect(fields.recipient).to.equal("slack:hooks.slack.com");
+    expect(fields.severity).to.equal("critical");
+  });
+
+  it("should only configure an admin channel when its URL is set", function () {
+    sinon.stub(process, "env").value({});
+    expect(chatService.getAdminTarget()).to.be.null;
+
+    process.env.ADMIN_CHAT_WEBHOOK_URL = teams.webhookUrl;
+    process.env.ADMIN_CHAT_PROVIDER = "teams";
+    expect(chatService.getAdminTarget()).to.deep.equal({
+      ...teams,
+      minSeverity: "high",
+    });
+  });
+});
@@ -0,0 +1,139 @@
+// Set up the test environment first
+require("../setup");
+
+const { expect } = require("chai");
+const sinon = require("sinon");
+const mongoose = require("mongoose");
+const Breach = require("../../models/Breach");
+const AccountBreach = require("../../models/AccountBreach");
+const DigestService = require("../../services/digestService");
+
+describe("Digest Service", function () {
+  let digestService;
+  let outboxService;
+  const user = {
+    _id: new mongoose.Types.ObjectId(),
+    username: "testuser",
+    email: "test@example.com",
+    notificationPreferences: {
+      email: true,
+      frequency: "daily",
+      minSeverity: "medium",
+      immediateSeverity: "critical",
+    },
+  };
+
+  // Stand-in for Model.find(...).sort(...)
+  const findResult = (documents) => ({
+    sort: sinon.stub().resolves(documents),
+  });
+
+  beforeEach(function () {
+    outboxService = { enqueue: sinon.stub().resolves({ _id: "job-1" }) };
+    digestService = new DigestService({ outboxService });
+    sinon.stub(Breach, "updateMany").resolves({ modifiedCount: 1 });
+    sinon.stub(AccountBreach, "updateMany").resolves({ modifiedCount: 1 });
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  describe("route", function () {
+    it("should send everything at or above the minimum right away for immediate users", function () {
+      const preferences = { frequency: "immediate", minSeverity: "medium" };
+
+      expect(digestService.route(preferences, "low")).to.equal("skip");
+      expect(digestService.route(preferences, "medium")).to.equal("immediate");
+      expect(digestService.route(preferences, "high")).to.equal("immediate");
+    });
+
+    it("should hold breaches below the immediate threshold for digest users", function () {
+      const preferences = user.notificationPreferences;
+
+      expect(digestService.route(preferences, "low")).to.equal("skip");
+      expect(digestService.route(preferences, "high")).to.equal("digest");
+      expect(digestService.route(preferences, "critical")).to.equal(
+        "immediate",
+      );
+    });
+
+    it("should send right away to digest users without the email channel", function () {
+      const preferences = {
+        ...user.notificationPreferences,
+        email: false,
+        sms: true,
+      };
+
+      expect(digestService.route(preferences, "low")).to.equal("skip");
+      expect(digestService.route(preferences, "high")).to.equal("immediate");
+    });
+
+    it("should treat missing preferences as immediate alerts for every severity", function () {
+      expect(digestService.route({}, "low")).to.equal("immediate");
+    });
+  });
+
+  describe("sendDigest", function () {
+    it("should queue one digest email and release what it covers", async function () {
+      const breach = {
+        _id: new mongoose.Types.ObjectId(),
+        firstDetected: new Date("2026-01-02"),
+        timesFound: 7,
+        riskLevel: "high",
+      };
+      const accountBreach = {
+        _id: new mongoose.Types.ObjectId(),
+        breachName: "Adobe",
+        title: "Adobe",
+        breachDate: new Date("2013-10-04"),
+        severity: "medium",
+        dataClasses: ["Email addresses", "Passwords"],
+      };
+      const breachFind = sinon
+        .stub(Breach, "find")
+        .returns(findResult([breach]));
+      sinon.stub(AccountBreach, "find").returns(findResult([accountBreach]));
+
+      const job = await digestService.sendDigest(user);
+
+      expect(job).to.deep.equal({ _id: "job-1" });
+      expect(breachFind.firstCall.args[0].riskLevel).to.deep.equal({
+        $in: ["medium", "high", "critical"],
+      });
+
+      const [type, payload, refs] = outboxService.enqueue.firstCall.args;
+      expect(type).to.equal("digest_email");
+      expect(refs).to.deep.equal({ userId: user._id });
+      expect(payload.breachIds).to.deep.equal([breach._id]);
+      expect(payload.accountBreachIds).to.deep.equal([accountBreach._id]);
+      expect(payload.digestData.frequency).to.equal("daily");
+      expect(payload.digestData.passwordBreaches[0]).to.include({
+        count: 7,
+        riskLevel: "high",
+      });
+      expect(payload.digestData.accountBreaches[0]).to.include({
+        name: "Adobe",
+        severity: "medium",
+      });
+
+      expect(Breach.updateMany.firstCall.args[1]).to.deep.equal({
+        $set: { digestPending: false },
+      });
+      expect(
+        AccountBreach.updateMany.firstCall.args[1].$set.notificationSent,
+      ).to.equal(true);
+    });
+
+    it("should queue nothing when there is nothing to report", async function () {
+      sinon.stub(Breach, "find").returns(findResult([]));
+      sinon.stub(AccountBreach, "find").returns(findResult([]));
+
+      const job = await digestService.sendDigest(user);
+
+      expect(job).to.be.null;
+      expect(outboxService.enqueue.called).to.be.false;
+      expect(Breach.updateMany.called).to.be.false;
+    });
+  });
+});
@@ -7,6 +7,10 @@ const {
   generateSHA256Hash,
   getHashPrefix,
   generateSalt,
+  parsePepperKeyring,
+  getKeyedHashCandidates,
+  generateKeyedHash,
+  rekeyHash,
 } = require("../../utils/hashUtil");
 
 describe("Hash Utility", function () {
@@ -82,4 +86,52 @@ describe("Hash Utility", function () {
       expect(salt1).to.not.equal(salt2);
     });
   });
+
+  describe("keyed password hashes", function () {
+    const sha1 = generateSHA1Hash("password123");
+
+    it("should parse a versioned pepper keyring", function () {
+      expect(parsePepperKeyring("2:beta, 1:alpha")).to.deep.equal([
+        "alpha",
+        "beta",
+      ]);
+      expect(() => parsePepperKeyring("2:beta")).to.throw("missing version 1");
+      expect(() => parsePepperKeyring("alpha")).to.throw("VERSION:SECRET");
+    });
+
+    it("should key hashes with the current pepper", function () {
+      const keyed = generateKeyedHash(sha1, ["alpha"]);
+
+      expect(keyed.version).to.equal(1);
+      expect(keyed.hash).to.have.lengthOf(64);
+      expect(keyed.hash).to.not.include(sha1);
+      expect(generateKeyedHash(sha1, ["other"]).hash).to.not.equal(keyed.hash);
+    });
+
+    it("should offer a lookup candidate for every version", function () {
+      const candidates = getKeyedHashCandidates(sha1.toLowerCase(), [
+        "alpha",
+        "beta",
+      ]);
+
+      expect(candidates.map((candidate) => candidate.version)).to.deep.equal([
+        0, 1, 2,
+      ]);
+      expect(candidates[0].hash).to.equal(sha1);
+      expect(candidates[1].hash).to.equal(
+        generateKeyedHash(sha1, ["alpha"]).hash,
+      );
+    });
+
+    it("should re-key legacy and old-version hashes to the current pepper", function () {
+      const peppers = ["alpha", "beta"];
+      const current = generateKeyedHash(sha1, peppers);
+      const v1 = generateKeyedHash(sha1, ["alpha"]).hash;
+
+      expect(rekeyHash(sha1, 0, peppers)).to.deep.equal(current);
+      expect(rekeyHash(v1, 1, peppers)).to.deep.equal(current);
+      expect(rekeyHash(current.hash, 2, peppers)).to.deep.equal(current);
+      expect(() => rekeyHash(v1, 3, peppers)).to.throw("Unknown pepper");
+    });
+  });
 });
@@ -0,0 +1,175 @@
+// Set up the test environment first
+require("../setup");
+
+const { expect } = require("chai");
+const sinon = require("sinon");
+const User = require("../../models/User");
+const MfaService = require("../../services/mfaService");
+const { generateTOTP } = require("../../utils/totp");
+
+describe("MFA Service", function () {
+  let mfaService;
+  let clock;
+  // The user's MFA fields as stored: save() writes them and the
+  // conditional updates made by verifyCode apply to them
+  let stored;
+
+  const createUser = (overrides = {}) => {
+    const user = {
+      _id: "507f1f77bcf86cd799439011",
+      email: "test@example.com",
+      mfaEnabled: false,
+      ...overrides,
+    };
+    user.save = sinon.stub().callsFake(async () => {
+      stored = {
+        mfaLastUsedStep: user.mfaLastUsedStep,
+        mfaRecoveryCodes: [...(user.mfaRecoveryCodes || [])],
+      };
+    });
+    return user;
+  };
+
+  beforeEach(function () {
+    mfaService = new MfaService({ issuer: "Test", recoveryCodeCount: 3 });
+    clock = sinon.useFakeTimers(new Date("2026-01-01T00:00:00Z"));
+    stored = {};
+    sinon.stub(User, "updateOne").callsFake(async (filter, update) => {
+      if (update.$pull) {
+        const hash = update.$pull.mfaRecoveryCodes;
+        if (!stored.mfaRecoveryCodes.includes(hash))
+          return { modifiedCount: 0 };
+        stored.mfaRecoveryCodes = stored.mfaRecoveryCodes.filter(
+          (code) => code !== hash,
+        );
+        return { modifiedCount: 1 };
+      }
+
+      const step = update.$set.mfaLastUsedStep;
+      if (
+        stored.mfaLastUsedStep !== undefined &&
+        stored.mfaLastUsedStep >= step
+      ) {
+        return { modifiedCount: 0 };
+      }
+      stored.mfaLastUsedStep = step;
+      return { modifiedCount: 1 };
+    });
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  const enroll = async () => {
+    const user = createUser();
+    const { secret } = await mfaService.beginEnrollment(user);
+    const recoveryCodes = await mfaService.confirmEnrollment(
+      user,
+      generateTOTP(secret),
+    );
+    return { user, secret, recoveryCodes };
+  };
+
+  describe("enrollment", function () {
+    it("should keep MFA off until a first code is confirmed", async function () {
+      const user = createUser();
+
+      const { secret, otpauthUri } = await mfaService.beginEnrollment(user);
+
+      expect(user.mfaEnabled).to.be.false;
+      expect(user.mfaPendingSecret).to.equal(secret);
+      expect(otpauthUri).to.include(`secret=${secret}`);
+      expect(
+        await mfaService.confirmEnrollment(
+          user,
+          generateTOTP(secret, { time: Date.now() - 3600000 }),
+        ),
+      ).to.be.null;
+      expect(user.mfaEnabled).to.be.false;
+    });
+
+    it("should enable MFA and hash the recovery codes", async function () {
+      const { user, secret, recoveryCodes } = await enroll();
+
+      expect(user.mfaEnabled).to.be.true;
+      expect(user.mfaSecret).to.equal(secret);
+      expect(user.mfaPendingSecret).to.be.undefined;
+      expect(recoveryCodes).to.have.lengthOf(3);
+      expect(user.mfaRecoveryCodes).to.deep.equal(
+        recoveryCodes.map(mfaService.hashRecoveryCode),
+      );
+    });
+  });
+
+  describe("verifyCode", function () {
+    it("should accept each TOTP time step only once", async function () {
+      const { user, secret } = await enroll();
+      clock.tick(30000);
+      const code = generateTOTP(secret);
+
+      expect(await mfaService.verifyCode(user, code)).to.equal("totp");
+      expect(await mfaService.verifyCode(user, code)).to.be.null;
+    });
+
+    it("should consume recovery codes", async function () {
+      const { user, recoveryCodes } = await enroll();
+
+      expect(
+        await mfaService.verifyCode(user, recoveryCodes[0].toUpperCase()),
+      ).to.equal("recovery");
+      expect(await mfaService.verifyCode(user, recoveryCodes[0])).to.be.null;
+      expect(stored.mfaRecoveryCodes).to.have.lengthOf(2);
+    });
+
+    it("should refuse the second of two concurrent uses of a code", async function () {
+      const { user, secret, recoveryCodes } = await enroll();
+      clock.tick(30000);
+      const code = generateTOTP(secret);
+
+      expect(
+        await Promise.all([
+          mfaService.verifyCode(user, code),
+          mfaService.verifyCode(user, code),
+        ]),
+      ).to.deep.equal(["totp", null]);
+      expect(
+        await Promise.all([
+          mfaService.verifyCode(user, recoveryCodes[0]),
+          mfaService.verifyCode(user, recoveryCodes[0]),
+        ]),
+      ).to.deep.equal(["recovery", null]);
+      expect(User.updateOne.firstCall.args[0]._id).to.equal(user._id);
+    });
+
+    it("should reject codes once MFA is disabled", async function () {
+      const { user, recoveryCodes } = await enroll();
+
+      await mfaService.disable(user);
+
+      expect(user.mfaSecret).to.be.undefined;
+      expect(await mfaService.verifyCode(user, recoveryCodes[1])).to.be.null;
+    });
+
+    it("should invalidate old recovery codes on regeneration", async function () {
+      const { user, recoveryCodes } = await enroll();
+
+      const fresh = await mfaService.regenerateRecoveryCodes(user);
+
+      expect(await mfaService.verifyCode(user, recoveryCodes[0])).to.be.null;
+      expect(await mfaService.verifyCode(user, fresh[0])).to.equal("recovery");
+    });
+  });
+
+  describe("challenge tokens", function () {
+    it("should only accept unexpired MFA challenge tokens", function () {
+      const token = mfaService.generateChallengeToken("user-1");
+
+      expect(mfaService.verifyChallengeToken(token)).to.equal("user-1");
+      expect(mfaService.verifyChallengeToken("garbage")).to.be.null;
+
+      clock.tick(6 * 60 * 1000);
+      expect(mfaService.verifyChallengeToken(token)).to.be.null;
+    });
+  });
+});
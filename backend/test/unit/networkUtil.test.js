@@ -0,0 +1,104 @@
+// Set up the test environment first
+require("../setup");
+
+const dns = require("dns");
+const { expect } = require("chai");
+const sinon = require("sinon");
+const {
+  isPublicAddress,
+  assertPublicUrl,
+  publicLookup,
+  publicAgents,
+} = require("../../utils/networkUtil");
+
+describe("Network Utilities", function () {
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  describe("isPublicAddress", function () {
+    it("should refuse loopback, private, link-local and reserved addresses", function () {
+      [
+        "127.0.0.1",
+        "10.1.2.3",
+        "172.20.0.1",
+        "192.168.1.1",
+        "169.254.169.254",
+        "100.64.0.1",
+        "0.0.0.0",
+        "::1",
+        "::ffff:127.0.0.1",
+        "fd00:ec2::254",
+        "fe80::1",
+        "not-an-address",
+      ].forEach((address) =>
+        expect(isPublicAddress(address), address).to.equal(false),
+      );
+    });
+
+    it("should accept public addresses", function () {
+      expect(isPublicAddress("93.184.215.14")).to.equal(true);
+      expect(isPublicAddress("2606:4700::1111")).to.equal(true);
+    });
+  });
+
+  describe("assertPublicUrl", function () {
+    it("should refuse hosts resolving to any private address", async function () {
+      sinon.stub(dns.promises, "lookup").resolves([
+        { address: "93.184.215.14", family: 4 },
+        { address: "10.0.0.5", family: 4 },
+      ]);
+
+      const error = await assertPublicUrl("https://hooks.example.com/").catch(
+        (err) => err,
+      );
+
+      expect(error.message).to.equal(
+        "hooks.example.com resolves to a private or reserved address",
+      );
+    });
+
+    it("should check IP literals without resolving them", async function () {
+      const lookup = sinon.stub(dns.promises, "lookup");
+
+      const error = await assertPublicUrl("https://[::1]:8443/").catch(
+        (err) => err,
+      );
+
+      expect(error.message).to.match(/private or reserved address/);
+      expect(lookup.called).to.equal(false);
+      await assertPublicUrl("https://93.184.215.14/");
+    });
+  });
+
+  describe("publicLookup", function () {
+    it("should refuse connections once the host resolves somewhere private", function (done) {
+      sinon
+        .stub(dns, "lookup")
+        .callsFake((hostname, options, callback) =>
+          callback(null, [{ address: "169.254.169.254", family: 4 }]),
+        );
+
+      publicLookup("hooks.example.com", {}, (error) => {
+        expect(error.message).to.match(/private or reserved address/);
+        done();
+      });
+    });
+
+    it("should answer like dns.lookup for public hosts", function (done) {
+      sinon
+        .stub(dns, "lookup")
+        .callsFake((hostname, options, callback) =>
+          callback(null, [{ address: "93.184.215.14", family: 4 }]),
+        );
+
+      publicLookup("hooks.example.com", {}, (error, address, family) => {
+        expect(error).to.equal(null);
+        expect(address).to.equal("93.184.215.14");
+        expect(family).to.equal(4);
+        expect(publicAgents.httpsAgent.options.lookup).to.equal(publicLookup);
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,205 @@
+// Set up the test environment first
+require("../setup");
+
+const { expect } = require("chai");
+const sinon = require("sinon");
+const mongoose = require("mongoose");
+const Notification = require("../../models/Notification");
+const NotificationService = require("../../services/notificationService");
+const RealtimeService = require("../../services/realtimeService");
+
+describe("Notification Service", function () {
+  let notificationService;
+  let saveStub;
+  const details = {
+    userId: new mongoose.Types.ObjectId(),
+    breachId: new mongoose.Types.ObjectId(),
+    type: "breach_alert",
+    channel: "email",
+    recipient: "test@example.com",
+    title: "Password Breach Detected",
+    severity: "high",
+  };
+
+  beforeEach(function () {
+    notificationService = new NotificationService();
+    sinon
+      .stub(Notification, "create")
+      .callsFake(async (fields) => new Notification(fields));
+    saveStub = sinon
+      .stub(Notification.prototype, "save")
+      .callsFake(async function () {
+        return this;
+      });
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  describe("track", function () {
+    it("should send without recording when no user is given", async function () {
+      const send = sinon.stub().resolves(true);
+
+      const result = await notificationService.track(undefined, send);
+
+      expect(result).to.be.true;
+      expect(send.calledOnce).to.be.true;
+      expect(Notification.create.called).to.be.false;
+    });
+
+    it("should record a sent notification with its provider message ID", async function () {
+      const result = await notificationService.track(details, async () => {
+        // The record exists before the message goes out
+        expect(Notification.create.calledOnce).to.be.true;
+        return "<message-id@example.com>";
+      });
+
+      const notification = saveStub.firstCall.thisValue;
+      expect(result).to.equal("<message-id@example.com>");
+      expect(notification.userId.equals(details.userId)).to.be.true;
+      expect(notification.breachId.equals(details.breachId)).to.be.true;
+      expect(notification.isRead).to.be.false;
+      expect(notification.deliveryStatus).to.equal("sent");
+      expect(notification.sentAt).to.be.instanceOf(Date);
+      expect(notification.providerMessageId).to.equal(
+        "<message-id@example.com>",
+      );
+    });
+
+    it("should mark the notification failed when the send reports failure", async function () {
+      const result = await notificationService.track(
+        details,
+        async () => false,
+      );
+
+      const notification = saveStub.firstCall.thisValue;
+      expect(result).to.be.false;
+      expect(notification.deliveryStatus).to.equal("failed");
+      expect(notification.sentAt).to.be.undefined;
+    });
+
+    it("should mark the notification failed and rethrow send errors", async function () {
+      let error;
+      try {
+        await notificationService.track(details, async () => {
+          throw new Error("SMTP unavailable");
+        });
+      } catch (err) {
+        error = err;
+      }
+
+      const notification = saveStub.firstCall.thisValue;
+      expect(error.message).to.equal("SMTP unavailable");
+      expect(notification.deliveryStatus).to.equal("failed");
+      expect(notification.deliveryError).to.equal("SMTP unavailable");
+    });
+
+    it("should update the same notification on every retry", async function () {
+      const notificationId = new mongoose.Types.ObjectId();
+      const existing = new Notification({
+        ...details,
+        _id: notificationId,
+        deliveryStatus: "failed",
+        deliveryError: "SMTP unavailable",
+      });
+      sinon.stub(Notification, "findById").resolves(existing);
+
+      await notificationService.track(
+        { ...details, notificationId },
+        async () => "<retry@example.com>",
+      );
+
+      expect(Notification.create.called).to.be.false;
+      expect(saveStub.firstCall.thisValue).to.equal(existing);
+      expect(existing.deliveryStatus).to.equal("sent");
+      expect(existing.deliveryError).to.be.undefined;
+    });
+
+    it("should create the first attempt's notification under the given ID", async function () {
+      const notificationId = new mongoose.Types.ObjectId();
+      sinon.stub(Notification, "findById").resolves(null);
+
+      await notificationService.track(
+        { ...details, notificationId },
+        async () => true,
+      );
+
+      expect(saveStub.firstCall.thisValue._id.equals(notificationId)).to.be
+        .true;
+    });
+
+    it("should publish new notifications to the user's dashboards but not retries", async function () {
+      const publish = sinon
+        .stub(RealtimeService.prototype, "publish")
+        .resolves(true);
+      const notificationId = new mongoose.Types.ObjectId();
+      sinon
+        .stub(Notification, "findById")
+        .onFirstCall()
+        .resolves(null)
+        .onSecondCall()
+        .resolves(new Notification({ ...details, _id: notificationId }));
+
+      await notificationService.track(
+        { ...details, notificationId },
+        async () => true,
+      );
+      await notificationService.track(
+        { ...details, notificationId },
+        async () => true,
+      );
+
+      expect(publish.calledOnce).to.be.true;
+      const [event, data, refs] = publish.firstCall.args;
+      expect(event).to.equal("notification.created");
+      expect(refs.userId.equals(details.userId)).to.be.true;
+      expect(data.id.equals(notificationId)).to.be.true;
+      expect(data.title).to.equal("Password Breach Detected");
+    });
+
+    it("should still send when the notification cannot be recorded", async function () {
+      Notification.create.rejects(new Error("db down"));
+      const send = sinon.stub().resolves(true);
+
+      const result = await notificationService.track(details, send);
+
+      expect(result).to.be.true;
+      expect(send.calledOnce).to.be.true;
+      expect(saveStub.called).to.be.false;
+    });
+  });
+
+  describe("markRead", function () {
+    it("should mark only the user's notification as read", async function () {
+      const notification = new Notification({ ...details, isRead: false });
+      const findOne = sinon
+        .stub(Notification, "findOne")
+        .resolves(notification);
+
+      const result = await notificationService.markRead(
+        details.userId,
+        notification._id,
+      );
+
+      expect(findOne.firstCall.args[0]).to.deep.equal({
+        _id: notification._id,
+        userId: details.userId,
+      });
+      expect(result.isRead).to.be.true;
+      expect(result.readAt).to.be.instanceOf(Date);
+      expect(saveStub.calledOnce).to.be.true;
+    });
+
+    it("should return null for unknown notifications", async function () {
+      sinon.stub(Notification, "findOne").resolves(null);
+
+      const result = await notificationService.markRead(
+        details.userId,
+        new mongoose.Types.ObjectId(),
+      );
+
+      expect(result).to.be.null;
+    });
+  });
+});
@@ -0,0 +1,279 @@
+// Set up the test environment first
+require("../setup");
+
+const dns = require("dns");
+const { expect } = require("chai");
+const sinon = require("sinon");
+const mongoose = require("mongoose");
+const User = require("../../models/User");
+const Organization = require("../../models/Organization");
+const Breach = require("../../models/Breach");
+const OrganizationService = require("../../services/organizationService");
+
+describe("Organization Service", function () {
+  let organizationService;
+  let breachService;
+
+  beforeEach(function () {
+    breachService = { getOrganizationBreachStats: sinon.stub() };
+    organizationService = new OrganizationService({ breachService });
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  const buildOrganization = (fields = {}) =>
+    new Organization({
+      name: "Acme",
+      domains: ["acme.com"],
+      createdBy: new mongoose.Types.ObjectId(),
+      ...fields,
+    });
+
+  describe("findUnclaimableDomains", function () {
+    it("should only let users claim their own verified email domain", function () {
+      const user = new User({ email: "ann@acme.com", isVerified: true });
+
+      expect(
+        organizationService.findUnclaimableDomains(user, [
+          "acme.com",
+          "other.com",
+        ]),
+      ).to.deep.equal(["other.com"]);
+
+      user.isVerified = false;
+      expect(
+        organizationService.findUnclaimableDomains(user, ["acme.com"]),
+      ).to.deep.equal(["acme.com"]);
+    });
+
+    it("should let admins claim any domain except shared mail providers", function () {
+      const admin = new User({ email: "root@acme.com", role: "admin" });
+
+      expect(
+        organizationService.findUnclaimableDomains(admin, [
+          "other.com",
+          "gmail.com",
+        ]),
+      ).to.deep.equal(["gmail.com"]);
+    });
+  });
+
+  describe("requestDomains", function () {
+    it("should keep verified domains and hold new ones for their TXT record", function () {
+      const organization = buildOrganization({
+        domains: ["acme.com", "acme.net"],
+        pendingDomains: [{ domain: "acme.org", token: "kept" }],
+      });
+
+      organizationService.requestDomains(organization, [
+        "acme.com",
+        "acme.org",
+        "acme.io",
+      ]);
+
+      expect([...organization.domains]).to.deep.equal(["acme.com"]);
+      const [org, io] = organization.pendingDomains;
+      expect(org.domain).to.equal("acme.org");
+      expect(org.token).to.equal("kept");
+      expect(io.domain).to.equal("acme.io");
+      expect(io.token).to.match(/^[0-9a-f]{32}$/);
+    });
+
+    it("should not bring existing users in when an organization is created", async function () {
+      const updateMany = sinon.stub(User, "updateMany");
+      sinon.stub(Organization.prototype, "save").resolvesThis();
+      const owner = new User({ email: "ann@acme.com", isVerified: true });
+      sinon.stub(owner, "save").resolves(owner);
+
+      const organization = await organizationService.create(owner, {
+        name: "Acme",
+        domains: ["acme.com"],
+      });
+
+      expect([...organization.domains]).to.deep.equal([]);
+      expect(organization.pendingDomains[0].domain).to.equal("acme.com");
+      expect(owner.organizationRole).to.equal("owner");
+      expect(updateMany.called).to.be.false;
+    });
+  });
+
+  describe("verifyDomain", function () {
+    it("should claim the domain once its TXT record is published", async function () {
+      const organization = buildOrganization({
+        domains: [],
+        pendingDomains: [{ domain: "acme.com", token: "abc123" }],
+      });
+      const save = sinon.stub(organization, "save").resolves(organization);
+      const resolveTxt = sinon
+        .stub(dns.promises, "resolveTxt")
+        .resolves([
+          ["v=spf1 -all"],
+          ["breach-notification-verification=", "abc123"],
+        ]);
+
+      const verified = await organizationService.verifyDomain(
+        organization,
+        organization.pendingDomains[0],
+      );
+
+      expect(verified).to.be.true;
+      expect(resolveTxt.firstCall.args[0]).to.equal("acme.com");
+      expect([...organization.domains]).to.deep.equal(["acme.com"]);
+      expect(organization.pendingDomains).to.have.lengthOf(0);
+      expect(save.calledOnce).to.be.true;
+    });
+
+    it("should leave the domain pending without a matching record", async function () {
+      const organization = buildOrganization({
+        domains: [],
+        pendingDomains: [{ domain: "acme.com", token: "abc123" }],
+      });
+      const save = sinon.stub(organization, "save");
+      const resolveTxt = sinon
+        .stub(dns.promises, "resolveTxt")
+        .resolves([["breach-notification-verification=other"]]);
+
+      expect(
+        await organizationService.verifyDomain(
+          organization,
+          organization.pendingDomains[0],
+        ),
+      ).to.be.false;
+
+      resolveTxt.rejects(
+        Object.assign(new Error("no data"), { code: "ENODATA" }),
+      );
+      expect(
+        await organizationService.verifyDomain(
+          organization,
+          organization.pendingDomains[0],
+        ),
+      ).to.be.false;
+
+      expect(organization.domains).to.have.lengthOf(0);
+      expect(save.called).to.be.false;
+    });
+  });
+
+  describe("join", function () {
+    it("should only let users join with an invitation or a verified domain", async function () {
+      const user = new User({ email: "bob@other.com", isVerified: true });
+      sinon.stub(user, "save").resolves(user);
+      sinon.stub(Organization, "updateMany").resolves({ modifiedCount: 1 });
+      const organization = buildOrganization();
+      sinon.stub(Organization, "findById").resolves(organization);
+
+      expect(await organizationService.join(user, organization._id)).to.be.null;
+
+      organization.invitations.push({
+        userId: user._id,
+        role: "security-officer",
+      });
+      const joined = await organizationService.join(user, organization._id);
+
+      expect(joined).to.equal(organization);
+      expect(user.organizationId).to.equal(organization._id);
+      expect(user.organizationRole).to.equal("security-officer");
+    });
+
+    it("should let users on a verified domain opt in when auto-join is on", async function () {
+      const user = new User({ email: "bob@acme.com", isVerified: true });
+      sinon.stub(user, "save").resolves(user);
+      sinon.stub(Organization, "updateMany").resolves({ modifiedCount: 0 });
+      const organization = buildOrganization({
+        domains: [],
+        pendingDomains: [{ domain: "acme.com", token: "abc123" }],
+      });
+      sinon.stub(Organization, "findById").resolves(organization);
+
+      expect(await organizationService.join(user, organization._id)).to.be.null;
+
+      organization.domains = ["acme.com"];
+      expect(await organizationService.join(user, organization._id)).to.equal(
+        organization,
+      );
+      expect(user.organizationRole).to.equal("member");
+    });
+  });
+
+  describe("autoJoin", function () {
+    it("should add a verified user to the organization claiming their domain", async function () {
+      const organization = buildOrganization();
+      const findOne = sinon
+        .stub(Organization, "findOne")
+        .resolves(organization);
+      const user = new User({ email: "Bob@Acme.com", isVerified: true });
+      sinon.stub(user, "save").resolves(user);
+
+      const joined = await organizationService.autoJoin(user);
+
+      expect(findOne.firstCall.args[0]).to.deep.equal({
+        domains: "acme.com",
+        autoJoin: true,
+      });
+      expect(joined).to.equal(organization);
+      expect(user.organizationId).to.equal(organization._id);
+      expect(user.organizationRole).to.equal("member");
+    });
+
+    it("should skip unverified users and users already in an organization", async function () {
+      const findOne = sinon.stub(Organization, "findOne");
+      const unverified = new User({ email: "bob@acme.com" });
+      const member = new User({
+        email: "ann@acme.com",
+        isVerified: true,
+        organizationId: new mongoose.Types.ObjectId(),
+      });
+
+      expect(await organizationService.autoJoin(unverified)).to.be.null;
+      expect(await organizationService.autoJoin(member)).to.be.null;
+      expect(findOne.called).to.be.false;
+    });
+  });
+
+  describe("getBreachStats", function () {
+    it("should reuse the breach statistics over the member IDs", async function () {
+      const memberIds = [
+        new mongoose.Types.ObjectId(),
+        new mongoose.Types.ObjectId(),
+      ];
+      sinon
+        .stub(User, "find")
+        .returns({ distinct: sinon.stub().resolves(memberIds) });
+      breachService.getOrganizationBreachStats.resolves({ total: 5 });
+
+      const stats = await organizationService.getBreachStats("org");
+
+      expect(breachService.getOrganizationBreachStats.calledWith(memberIds)).to
+        .be.true;
+      expect(stats).to.deep.equal({ total: 5, members: 2 });
+    });
+  });
+
+  describe("listBreaches", function () {
+    it("should only list breaches of the organization's members", async function () {
+      const memberId = new mongoose.Types.ObjectId();
+      sinon
+        .stub(User, "find")
+        .returns({ distinct: sinon.stub().resolves([memberId]) });
+      const select = sinon.stub().resolves([]);
+      const chain = {
+        sort: () => chain,
+        skip: () => chain,
+        limit: () => chain,
+        populate: () => ({ select }),
+      };
+      const find = sinon.stub(Breach, "find").returns(chain);
+      sinon.stub(Breach, "countDocuments").resolves(0);
+
+      await organizationService.listBreaches("org", {
+        userId: String(new mongoose.Types.ObjectId()),
+      });
+
+      expect(find.firstCall.args[0].userId).to.deep.equal({ $in: [] });
+      expect(select.firstCall.args[0]).to.equal("-passwordHash");
+    });
+  });
+});
@@ -0,0 +1,183 @@
+// Set up the test environment first
+require("../setup");
+
+const { expect } = require("chai");
+const sinon = require("sinon");
+const mongoose = require("mongoose");
+const OutboxJob = require("../../models/OutboxJob");
+const Breach = require("../../models/Breach");
+const User = require("../../models/User");
+const OutboxService = require("../../services/outboxService");
+
+describe("Outbox Service", function () {
+  let outboxService;
+  let emailService;
+  let smsService;
+  const userId = new mongoose.Types.ObjectId();
+  const breachId = new mongoose.Types.ObjectId();
+  const breachData = { count: 42, severity: "high", riskLevel: "high" };
+
+  const createJob = (overrides = {}) =>
+    new OutboxJob({
+      type: "breach_email",
+      payload: { email: "test@example.com", breachData },
+      userId,
+      breachId,
+      notificationId: new mongoose.Types.ObjectId(),
+      maxAttempts: 3,
+      status: "processing",
+      attempts: 1,
+      lockedAt: new Date(),
+      lockedBy: "test-worker",
+      ...overrides,
+    });
+
+  beforeEach(function () {
+    emailService = { sendBreachNotification: sinon.stub().resolves(true) };
+    smsService = { sendBreachNotificationSMS: sinon.stub().resolves(true) };
+    outboxService = new OutboxService({
+      emailService,
+      smsService,
+      maxAttempts: 3,
+      retryBaseMs: 1000,
+      retryMaxMs: 5000,
+    });
+    sinon.stub(OutboxJob.prototype, "save").callsFake(async function () {
+      return this;
+    });
+    sinon.stub(Breach, "updateOne").resolves({ modifiedCount: 1 });
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  it("should queue jobs with the attempt limit and a notification ID", async function () {
+    sinon
+      .stub(OutboxJob, "create")
+      .callsFake(async (fields) => new OutboxJob(fields));
+
+    const job = await outboxService.enqueue(
+      "breach_email",
+      { email: "test@example.com", breachData },
+      { userId, breachId },
+    );
+
+    expect(job.status).to.equal("pending");
+    expect(job.attempts).to.equal(0);
+    expect(job.maxAttempts).to.equal(3);
+    expect(job.notificationId).to.be.instanceOf(mongoose.Types.ObjectId);
+    expect(job.nextAttemptAt.getTime()).to.be.at.most(Date.now());
+  });
+
+  it("should double the retry delay per attempt up to the maximum", function () {
+    expect(outboxService.getRetryDelay(1)).to.equal(1000);
+    expect(outboxService.getRetryDelay(2)).to.equal(2000);
+    expect(outboxService.getRetryDelay(3)).to.equal(4000);
+    expect(outboxService.getRetryDelay(4)).to.equal(5000);
+  });
+
+  it("should deliver an email job and count the delivery on the breach", async function () {
+    const job = createJob();
+
+    const status = await outboxService.processJob(job);
+
+    expect(status).to.equal("delivered");
+    expect(job.deliveredAt).to.be.instanceOf(Date);
+    expect(job.lockedBy).to.be.undefined;
+    expect(emailService.sendBreachNotification.firstCall.args).to.deep.equal([
+      "test@example.com",
+      breachData,
+      { userId, breachId, notificationId: job.notificationId },
+    ]);
+    expect(Breach.updateOne.firstCall.args).to.deep.equal([
+      { _id: breachId },
+      { $inc: { notificationsSent: 1 } },
+    ]);
+  });
+
+  it("should schedule a retry with backoff when delivery fails", async function () {
+    emailService.sendBreachNotification.rejects(new Error("SMTP timeout"));
+    const job = createJob({ attempts: 2 });
+    const before = Date.now();
+
+    const status = await outboxService.processJob(job);
+
+    expect(status).to.equal("pending");
+    expect(job.lastError).to.equal("SMTP timeout");
+    expect(job.nextAttemptAt.getTime() - before).to.be.within(2000, 2100);
+    expect(Breach.updateOne.called).to.be.false;
+  });
+
+  it("should dead-letter a job after its last attempt", async function () {
+    emailService.sendBreachNotification.rejects(new Error("SMTP timeout"));
+    const job = createJob({ attempts: 3 });
+
+    const status = await outboxService.processJob(job);
+
+    expect(status).to.equal("dead");
+    expect(job.deadAt).to.be.instanceOf(Date);
+    expect(job.lastError).to.equal("SMTP timeout");
+  });
+
+  it("should retry SMS jobs the provider did not accept", async function () {
+    smsService.sendBreachNotificationSMS.resolves(false);
+    const job = createJob({
+      type: "breach_sms",
+      payload: { phone: "+1234567890", breachData },
+    });
+
+    const status = await outboxService.processJob(job);
+
+    expect(status).to.equal("pending");
+    expect(job.lastError).to.match(/did not accept/);
+    expect(Breach.updateOne.called).to.be.false;
+  });
+
+  it("should drop push jobs once the user has turned push off", async function () {
+    const pushService = { sendBreachNotification: sinon.stub() };
+    outboxService.pushService = pushService;
+    sinon.stub(User, "findById").returns({
+      select: sinon.stub().resolves({
+        notificationPreferences: { push: false },
+      }),
+    });
+    const job = createJob({ type: "breach_push", payload: { breachData } });
+
+    const status = await outboxService.processJob(job);
+
+    expect(status).to.equal("delivered");
+    expect(pushService.sendBreachNotification.called).to.be.false;
+    expect(Breach.updateOne.called).to.be.false;
+  });
+
+  it("should process due jobs until none are left", async function () {
+    const claimNext = sinon.stub(outboxService, "claimNext");
+    claimNext.onFirstCall().resolves(createJob());
+    claimNext.onSecondCall().resolves(createJob({ attempts: 3 }));
+    claimNext.resolves(null);
+    emailService.sendBreachNotification
+      .onSecondCall()
+      .rejects(new Error("SMTP timeout"));
+
+    const counts = await outboxService.processDueJobs({ workerId: "w1" });
+
+    expect(counts).to.deep.equal({ delivered: 1, retrying: 0, dead: 1 });
+    expect(claimNext.alwaysCalledWith("w1")).to.be.true;
+  });
+
+  it("should only requeue dead or pending jobs, with fresh attempts", async function () {
+    const update = sinon.stub(OutboxJob, "findOneAndUpdate").resolves(null);
+    const jobId = new mongoose.Types.ObjectId();
+
+    const result = await outboxService.requeue(jobId);
+
+    const [filter, changes] = update.firstCall.args;
+    expect(result).to.be.null;
+    expect(filter).to.deep.equal({
+      _id: jobId,
+      status: { $in: ["dead", "pending"] },
+    });
+    expect(changes.$set).to.include({ status: "pending", attempts: 0 });
+  });
+});
@@ -0,0 +1,96 @@
+// Set up the test environment first
+require("../setup");
+
+const { expect } = require("chai");
+const sinon = require("sinon");
+const PasswordPolicyService = require("../../services/passwordPolicyService");
+
+describe("Password Policy Service", function () {
+  const breachServiceWith = (stub) => ({ checkPasswordBreach: stub });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  it("should accept passwords not found in any breach", async function () {
+    const policy = new PasswordPolicyService({
+      enabled: true,
+      breachService: breachServiceWith(
+        sinon.stub().resolves({ breached: false, count: 0 }),
+      ),
+    });
+
+    expect(await policy.evaluate("Str0ng!Passphrase")).to.deep.equal({
+      allowed: true,
+      checked: true,
+      count: 0,
+    });
+  });
+
+  it("should reject passwords seen more often than the threshold", async function () {
+    const policy = new PasswordPolicyService({
+      enabled: true,
+      rejectThreshold: 10,
+      breachService: breachServiceWith(
+        sinon.stub().resolves({ breached: true, count: 11 }),
+      ),
+    });
+
+    const result = await policy.evaluate("Password1!");
+
+    expect(result).to.include({ allowed: false, count: 11 });
+    expect(result.message).to.include("appeared in known data breaches");
+    expect(result.message).to.not.include("11");
+  });
+
+  it("should warn about passwords at or below the threshold", async function () {
+    const policy = new PasswordPolicyService({
+      enabled: true,
+      rejectThreshold: 10,
+      breachService: breachServiceWith(
+        sinon.stub().resolves({ breached: true, count: 10 }),
+      ),
+    });
+
+    const result = await policy.evaluate("Password1!");
+
+    expect(result).to.include({ allowed: true, count: 10 });
+    expect(result.warning).to.include("consider choosing");
+  });
+
+  it("should fail closed by default when providers are down", async function () {
+    const policy = new PasswordPolicyService({
+      enabled: true,
+      breachService: breachServiceWith(sinon.stub().rejects(new Error("down"))),
+    });
+
+    const result = await policy.evaluate("Password1!");
+
+    expect(result).to.include({ allowed: false, checked: false });
+    expect(result.message).to.include("could not be checked");
+  });
+
+  it("should fail open when configured", async function () {
+    const policy = new PasswordPolicyService({
+      enabled: true,
+      failOpen: true,
+      breachService: breachServiceWith(sinon.stub().rejects(new Error("down"))),
+    });
+
+    const result = await policy.evaluate("Password1!");
+
+    expect(result).to.include({ allowed: true, checked: false });
+    expect(result.warning).to.include("could not be checked");
+  });
+
+  it("should skip the lookup when disabled", async function () {
+    const stub = sinon.stub();
+    const policy = new PasswordPolicyService({
+      enabled: false,
+      breachService: breachServiceWith(stub),
+    });
+
+    expect(await policy.evaluate("Password1!")).to.include({ allowed: true });
+    expect(stub.called).to.be.false;
+  });
+});
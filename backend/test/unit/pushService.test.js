@@ -0,0 +1,247 @@
+// Set up the test environment first
+require("../setup");
+
+const crypto = require("crypto");
+const dns = require("dns");
+const { expect } = require("chai");
+const sinon = require("sinon");
+const axios = require("axios");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const PushSubscription = require("../../models/PushSubscription");
+const PushService = require("../../services/pushService");
+
+/**
+ * Decrypt an aes128gcm body the way the browser does (RFC 8291)
+ */
+const decrypt = (body, userAgent, authSecret) => {
+  const salt = body.subarray(0, 16);
+  const idLength = body.readUInt8(20);
+  const serverKey = body.subarray(21, 21 + idLength);
+  const ciphertext = body.subarray(21 + idLength);
+  const hkdf = (salt, ikm, info, length) =>
+    Buffer.from(crypto.hkdfSync("sha256", ikm, salt, info, length));
+
+  const ikm = hkdf(
+    authSecret,
+    userAgent.computeSecret(serverKey),
+    Buffer.concat([
+      Buffer.from("WebPush: info\0"),
+      userAgent.getPublicKey(),
+      serverKey,
+    ]),
+    32,
+  );
+  const decipher = crypto.createDecipheriv(
+    "aes-128-gcm",
+    hkdf(salt, ikm, Buffer.from("Content-Encoding: aes128gcm\0"), 16),
+    hkdf(salt, ikm, Buffer.from("Content-Encoding: nonce\0"), 12),
+  );
+  decipher.setAuthTag(ciphertext.subarray(-16));
+  const plaintext = Buffer.concat([
+    decipher.update(ciphertext.subarray(0, -16)),
+    decipher.final(),
+  ]);
+
+  expect(plaintext[plaintext.length - 1]).to.equal(0x02);
+  return plaintext.subarray(0, -1).toString();
+};
+
+describe("Push Service", function () {
+  let pushService;
+  let userAgent;
+  let authSecret;
+  let subscription;
+  const userId = new mongoose.Types.ObjectId();
+
+  beforeEach(function () {
+    sinon
+      .stub(dns.promises, "lookup")
+      .resolves([{ address: "93.184.215.14", family: 4 }]);
+    pushService = new PushService({
+      ...PushService.generateVapidKeys(),
+      subject: "mailto:security@example.com",
+    });
+    userAgent = crypto.createECDH("prime256v1");
+    userAgent.generateKeys();
+    authSecret = crypto.randomBytes(16);
+    subscription = new PushSubscription({
+      userId,
+      endpoint: "https://push.example.net/send/abc123",
+      keys: {
+        p256dh: userAgent.getPublicKey().toString("base64url"),
+        auth: authSecret.toString("base64url"),
+      },
+    });
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  describe("encrypt", function () {
+    it("should produce an aes128gcm body the subscribed browser can decrypt", function () {
+      const body = pushService.encrypt(subscription, '{"title":"Breach"}');
+
+      expect(body.readUInt32BE(16)).to.equal(4096);
+      expect(body.readUInt8(20)).to.equal(65);
+      expect(decrypt(body, userAgent, authSecret)).to.equal(
+        '{"title":"Breach"}',
+      );
+    });
+
+    it("should reject payloads that do not fit in one record", function () {
+      expect(() =>
+        pushService.encrypt(subscription, "x".repeat(4096)),
+      ).to.throw("Push payload is too large");
+    });
+  });
+
+  describe("createVapidAuthorization", function () {
+    it("should sign an ES256 token for the push service origin", function () {
+      const header = pushService.createVapidAuthorization(
+        subscription.endpoint,
+      );
+      const [, token, key] = header.match(/^vapid t=(\S+), k=(\S+)$/);
+      const publicKey = Buffer.from(key, "base64url");
+
+      const claims = jwt.verify(
+        token,
+        crypto.createPublicKey({
+          key: {
+            kty: "EC",
+            crv: "P-256",
+            x: publicKey.subarray(1, 33).toString("base64url"),
+            y: publicKey.subarray(33).toString("base64url"),
+          },
+          format: "jwk",
+        }),
+        { algorithms: ["ES256"] },
+      );
+
+      expect(key).to.equal(pushService.publicKey);
+      expect(claims.aud).to.equal("https://push.example.net");
+      expect(claims.sub).to.equal("mailto:security@example.com");
+      expect(claims.exp - claims.iat).to.be.at.most(24 * 60 * 60);
+    });
+  });
+
+  describe("send", function () {
+    it("should post the encrypted payload with push headers", async function () {
+      const post = sinon.stub(axios, "post").resolves({ status: 201 });
+
+      const sent = await pushService.send(
+        subscription,
+        { title: "Breach" },
+        { urgency: "high" },
+      );
+
+      const [url, body, config] = post.firstCall.args;
+      expect(sent).to.be.true;
+      expect(url).to.equal(subscription.endpoint);
+      expect(JSON.parse(decrypt(body, userAgent, authSecret))).to.deep.equal({
+        title: "Breach",
+      });
+      expect(config.headers["Content-Encoding"]).to.equal("aes128gcm");
+      expect(config.headers.TTL).to.equal("86400");
+      expect(config.headers.Urgency).to.equal("high");
+      expect(config.maxRedirects).to.equal(0);
+    });
+
+    it("should delete subscriptions the push service reports as gone", async function () {
+      sinon.stub(axios, "post").resolves({ status: 410 });
+      const deleteOne = sinon
+        .stub(PushSubscription, "deleteOne")
+        .resolves({ deletedCount: 1 });
+
+      const sent = await pushService.send(subscription, { title: "Breach" });
+
+      expect(sent).to.be.false;
+      expect(deleteOne.firstCall.args[0]).to.deep.equal({
+        _id: subscription._id,
+      });
+    });
+
+    it("should throw on other error responses so the outbox retries", async function () {
+      sinon.stub(axios, "post").resolves({ status: 429 });
+
+      let error;
+      try {
+        await pushService.send(subscription, { title: "Breach" });
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error.message).to.equal("Push service responded with 429");
+    });
+
+    it("should refuse endpoints on private addresses", async function () {
+      const post = sinon.stub(axios, "post");
+      subscription.endpoint = "https://169.254.169.254/latest/meta-data/";
+
+      const error = await pushService
+        .send(subscription, { title: "Breach" })
+        .catch((err) => err);
+
+      expect(error.message).to.match(/private or reserved address/);
+      expect(post.called).to.equal(false);
+    });
+  });
+
+  describe("sendToUser", function () {
+    beforeEach(function () {
+      sinon.stub(PushSubscription, "updateMany").resolves({});
+    });
+
+    it("should not fail when one device fails and another gets the message", async function () {
+      const other = new PushSubscription({
+        ...subscription.toObject(),
+        _id: new mongoose.Types.ObjectId(),
+        endpoint: "https://push.example.net/send/def456",
+      });
+      sinon.stub(PushSubscription, "find").resolves([subscription, other]);
+      sinon
+        .stub(axios, "post")
+        .onFirstCall()
+        .resolves({ status: 201 })
+        .onSecondCall()
+        .rejects(new Error("socket hang up"));
+
+      const sent = await pushService.sendToUser(userId, {
+        title: "Breach",
+        severity: "critical",
+      });
+
+      expect(sent).to.be.true;
+      expect(axios.post.firstCall.args[2].headers.Urgency).to.equal("high");
+      expect(PushSubscription.updateMany.firstCall.args[0]).to.deep.equal({
+        _id: { $in: [subscription._id] },
+      });
+    });
+
+    it("should throw when no device got the message", async function () {
+      sinon.stub(PushSubscription, "find").resolves([subscription]);
+      sinon.stub(axios, "post").rejects(new Error("socket hang up"));
+
+      let error;
+      try {
+        await pushService.sendToUser(userId, { title: "Breach" });
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error.message).to.equal("Failed to send push notification");
+    });
+
+    it("should send nothing when VAPID keys are not configured", async function () {
+      const find = sinon.stub(PushSubscription, "find");
+
+      const sent = await new PushService({ subject: "" }).sendToUser(userId, {
+        title: "Breach",
+      });
+
+      expect(sent).to.be.false;
+      expect(find.called).to.be.false;
+    });
+  });
+});
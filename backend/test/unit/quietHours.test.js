@@ -0,0 +1,74 @@
+// Set up the test environment first
+require("../setup");
+
+const { expect } = require("chai");
+const {
+  isValidTimeZone,
+  getQuietHoursEnd,
+  getDeliveryTime,
+} = require("../../utils/quietHours");
+
+describe("Quiet Hours", function () {
+  const preferences = {
+    timeZone: "America/New_York",
+    quietHours: {
+      enabled: true,
+      start: "22:00",
+      end: "07:00",
+      allowCritical: true,
+    },
+  };
+
+  it("should accept IANA time zones and reject unknown ones", function () {
+    expect(isValidTimeZone("Europe/Berlin")).to.be.true;
+    expect(isValidTimeZone("UTC")).to.be.true;
+    expect(isValidTimeZone("Mars/Olympus_Mons")).to.be.false;
+  });
+
+  it("should defer to the end of a window that spans midnight", function () {
+    // 03:10 in New York (EST, UTC-5)
+    const now = new Date("2026-01-15T08:10:30Z");
+
+    const end = getQuietHoursEnd(preferences, now);
+
+    expect(end.toISOString()).to.equal("2026-01-15T12:00:00.000Z");
+  });
+
+  it("should not defer outside the window", function () {
+    // 12:00 in New York
+    const now = new Date("2026-01-15T17:00:00Z");
+
+    expect(getQuietHoursEnd(preferences, now)).to.be.null;
+  });
+
+  it("should not defer when quiet hours are disabled", function () {
+    const now = new Date("2026-01-15T08:10:00Z");
+    const disabled = {
+      ...preferences,
+      quietHours: { ...preferences.quietHours, enabled: false },
+    };
+
+    expect(getQuietHoursEnd(disabled, now)).to.be.null;
+  });
+
+  it("should land on the local end time across a daylight saving change", function () {
+    // 23:30 EST on the night clocks spring forward; 07:00 is then EDT
+    const now = new Date("2026-03-08T04:30:00Z");
+
+    const end = getQuietHoursEnd(preferences, now);
+
+    expect(end.toISOString()).to.equal("2026-03-08T11:00:00.000Z");
+  });
+
+  it("should let critical alerts through only when the user allows it", function () {
+    const now = new Date("2026-01-15T08:10:00Z");
+    const strict = {
+      ...preferences,
+      quietHours: { ...preferences.quietHours, allowCritical: false },
+    };
+
+    expect(getDeliveryTime(preferences, "critical", now)).to.be.null;
+    expect(getDeliveryTime(preferences, "high", now)).to.be.instanceOf(Date);
+    expect(getDeliveryTime(strict, "critical", now)).to.be.instanceOf(Date);
+  });
+});
@@ -0,0 +1,150 @@
+// Set up the test environment first
+require("../setup");
+
+const { expect } = require("chai");
+const sinon = require("sinon");
+const BreachService = require("../../services/breachService");
+const { RangeCache } = require("../../services/rangeCache");
+
+describe("Range Cache", function () {
+  let clock;
+
+  afterEach(function () {
+    sinon.restore();
+    if (clock) {
+      clock.restore();
+      clock = null;
+    }
+  });
+
+  it("should load a prefix once and serve later lookups from memory", async function () {
+    const cache = new RangeCache({ ttlMs: 60000 });
+    const loader = sinon.stub().resolves("ABC:1");
+
+    expect(await cache.get("21bd1", loader)).to.equal("ABC:1");
+    expect(await cache.get("21BD1", loader)).to.equal("ABC:1");
+
+    expect(loader.calledOnce).to.be.true;
+    expect(loader.firstCall.args[0]).to.equal("21BD1");
+    expect(cache.getStats()).to.include({ hits: 1, misses: 1, size: 1 });
+  });
+
+  it("should reload entries once the TTL has passed", async function () {
+    clock = sinon.useFakeTimers({ now: Date.now(), toFake: ["Date"] });
+    const cache = new RangeCache({ ttlMs: 1000 });
+    const loader = sinon.stub();
+    loader.onFirstCall().resolves("ABC:1");
+    loader.onSecondCall().resolves("ABC:2");
+
+    await cache.get("21BD1", loader);
+    clock.tick(1001);
+
+    expect(await cache.get("21BD1", loader)).to.equal("ABC:2");
+    expect(loader.calledTwice).to.be.true;
+  });
+
+  it("should evict the least recently used prefix when full", async function () {
+    const cache = new RangeCache({ ttlMs: 60000, maxEntries: 2 });
+    const loader = sinon.stub().callsFake(async (prefix) => `${prefix}:1`);
+
+    await cache.get("AAAAA", loader);
+    await cache.get("BBBBB", loader);
+    await cache.get("AAAAA", loader);
+    await cache.get("CCCCC", loader);
+
+    expect([...cache.entries.keys()]).to.deep.equal(["AAAAA", "CCCCC"]);
+    expect(cache.getStats().evictions).to.equal(1);
+  });
+
+  it("should collapse concurrent lookups into one load", async function () {
+    const cache = new RangeCache({ ttlMs: 60000 });
+    let release;
+    const loader = sinon.stub().returns(
+      new Promise((resolve) => {
+        release = resolve;
+      }),
+    );
+
+    const lookups = [1, 2, 3].map(() => cache.get("21BD1", loader));
+    await Promise.resolve();
+    release("ABC:1");
+
+    expect(await Promise.all(lookups)).to.deep.equal([
+      "ABC:1",
+      "ABC:1",
+      "ABC:1",
+    ]);
+    expect(loader.calledOnce).to.be.true;
+    expect(cache.getStats()).to.include({ misses: 1, coalesced: 2 });
+  });
+
+  it("should collapse concurrent lookups even when storage is disabled", async function () {
+    const cache = new RangeCache({ ttlMs: 0 });
+    const loader = sinon.stub().resolves("ABC:1");
+
+    await Promise.all([cache.get("21BD1", loader), cache.get("21BD1", loader)]);
+    await cache.get("21BD1", loader);
+
+    expect(loader.calledTwice).to.be.true;
+    expect(cache.getStats().size).to.equal(0);
+  });
+
+  it("should not cache failed loads", async function () {
+    const cache = new RangeCache({ ttlMs: 60000 });
+    const loader = sinon.stub();
+    loader.onFirstCall().rejects(new Error("API Error"));
+    loader.onSecondCall().resolves("ABC:1");
+
+    try {
+      await cache.get("21BD1", loader);
+      expect.fail("Should have thrown an error");
+    } catch (error) {
+      expect(error.message).to.equal("API Error");
+    }
+
+    expect(await cache.get("21BD1", loader)).to.equal("ABC:1");
+  });
+
+  it("should fall back to the persistent tier before loading", async function () {
+    const store = {
+      get: sinon.stub().resolves({
+        body: "ABC:7",
+        expiresAt: new Date(Date.now() + 60000),
+      }),
+      set: sinon.stub().resolves(),
+    };
+    const cache = new RangeCache({ ttlMs: 60000, store });
+    const loader = sinon.stub().resolves("ABC:1");
+
+    expect(await cache.get("21BD1", loader)).to.equal("ABC:7");
+    expect(await cache.get("21BD1", loader)).to.equal("ABC:7");
+
+    expect(loader.called).to.be.false;
+    expect(store.get.calledOnce).to.be.true;
+    expect(cache.getStats()).to.include({ persistentHits: 1, hits: 1 });
+  });
+
+  it("should write fresh loads through to the persistent tier", async function () {
+    const store = {
+      get: sinon.stub().resolves(null),
+      set: sinon.stub().rejects(new Error("store down")),
+    };
+    const cache = new RangeCache({ ttlMs: 60000, store });
+
+    expect(await cache.get("21BD1", async () => "ABC:1")).to.equal("ABC:1");
+    expect(store.set.calledOnce).to.be.true;
+    expect(store.set.firstCall.args[0]).to.equal("21BD1");
+  });
+
+  it("should be used by BreachService for range lookups", async function () {
+    const rangeProvider = { getRange: sinon.stub().resolves("") };
+    const rangeCache = new RangeCache({ ttlMs: 60000 });
+    const breachService = new BreachService({ rangeProvider, rangeCache });
+
+    await breachService.checkPasswordBreach("password123");
+    await breachService.checkPasswordBreach("password123");
+
+    expect(rangeProvider.getRange.calledOnce).to.be.true;
+    expect(rangeCache.getStats()).to.include({ hits: 1, misses: 1 });
+  });
+});
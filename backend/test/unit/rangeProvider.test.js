@@ -0,0 +1,191 @@
+// Set up the test environment first
+require("../setup");
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const sinon = require("sinon");
+const axios = require("axios");
+const BreachService = require("../../services/breachService");
+const {
+  LocalRangeProvider,
+  buildRangeIndex,
+  flattenRangeDirectory,
+  createRangeProvider,
+  HibpRangeProvider,
+} = require("../../services/rangeProvider");
+const { getHashPrefix } = require("../../utils/hashUtil");
+
+describe("Range Provider", function () {
+  let tmpDir;
+  const password = "password123";
+  const { prefix, suffix } = getHashPrefix(password);
+
+  beforeEach(async function () {
+    tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "ranges-"));
+  });
+
+  afterEach(async function () {
+    sinon.restore();
+    await fs.promises.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  const writeDownloaderDirectory = async () => {
+    const dir = path.join(tmpDir, "ranges");
+    await fs.promises.mkdir(dir);
+    await fs.promises.writeFile(
+      path.join(dir, `${prefix}.txt`),
+      `0000000000000000000000000000000000A:3\r\n${suffix}:42\r\n`,
+    );
+    await fs.promises.writeFile(
+      path.join(dir, "00000.txt"),
+      "0005AD76BD555C1D6D771DE417A4B87E4B4:10\r\n",
+    );
+    return dir;
+  };
+
+  describe("LocalRangeProvider (directory)", function () {
+    it("should read the prefix file for a range", async function () {
+      const provider = new LocalRangeProvider({
+        path: await writeDownloaderDirectory(),
+      });
+
+      const body = await provider.getRange(prefix.toLowerCase());
+
+      expect(body).to.include(`${suffix}:42`);
+    });
+
+    it("should return an empty range for a missing prefix", async function () {
+      const provider = new LocalRangeProvider({
+        path: await writeDownloaderDirectory(),
+      });
+
+      expect(await provider.getRange("FFFFF")).to.equal("");
+    });
+
+    it("should reject invalid prefixes", async function () {
+      const provider = new LocalRangeProvider({ path: tmpDir });
+
+      try {
+        await provider.getRange("XYZ");
+        expect.fail("Should have thrown an error");
+      } catch (error) {
+        expect(error.message).to.include("Invalid hash prefix");
+      }
+    });
+  });
+
+  describe("LocalRangeProvider (indexed file)", function () {
+    it("should serve ranges from a flattened and indexed dump", async function () {
+      const dataPath = path.join(tmpDir, "pwned.txt");
+      await flattenRangeDirectory(await writeDownloaderDirectory(), dataPath);
+      const result = await buildRangeIndex(dataPath);
+
+      expect(result.hashes).to.equal(3);
+      expect(result.prefixes).to.equal(2);
+
+      const provider = new LocalRangeProvider({ path: dataPath });
+
+      expect(await provider.getRange(prefix)).to.equal(
+        `0000000000000000000000000000000000A:3\n${suffix}:42`,
+      );
+      expect(await provider.getRange("00000")).to.equal(
+        "0005AD76BD555C1D6D771DE417A4B87E4B4:10",
+      );
+      expect(await provider.getRange("00001")).to.equal("");
+      expect(await provider.getRange("FFFFF")).to.equal("");
+    });
+
+    it("should refuse to index an unsorted dump", async function () {
+      const dataPath = path.join(tmpDir, "unsorted.txt");
+      await fs.promises.writeFile(
+        dataPath,
+        `${prefix}${suffix}:42\n0000000000000000000000000000000000000000:1\n`,
+      );
+
+      try {
+        await buildRangeIndex(dataPath);
+        expect.fail("Should have thrown an error");
+      } catch (error) {
+        expect(error.message).to.include("not sorted");
+      }
+    });
+  });
+
+  describe("HibpRangeProvider", function () {
+    it("should request padded ranges and drop the padding rows", async function () {
+      const axiosStub = sinon.stub(axios, "get").resolves({
+        data: `${suffix}:42\r\n0018A45C4D1DEF81644B54AB7F969B88D65:0\r\n`,
+      });
+      const provider = new HibpRangeProvider();
+
+      const body = await provider.getRange(prefix);
+
+      expect(axiosStub.calledOnce).to.be.true;
+      expect(axiosStub.firstCall.args[1].headers["Add-Padding"]).to.equal(
+        "true",
+      );
+      expect(body).to.equal(`${suffix}:42`);
+    });
+
+    it("should omit the padding header when disabled", async function () {
+      const axiosStub = sinon.stub(axios, "get").resolves({ data: "" });
+      const provider = new HibpRangeProvider({ padding: false });
+
+      await provider.getRange(prefix);
+
+      expect(axiosStub.firstCall.args[1].headers).to.not.have.property(
+        "Add-Padding",
+      );
+    });
+
+    it("should hide the real lookup among decoy prefixes", async function () {
+      const axiosStub = sinon.stub(axios, "get").callsFake(async (url) => {
+        if (url.endsWith(prefix)) return { data: `${suffix}:42` };
+        throw new Error("Decoy failure");
+      });
+      const provider = new HibpRangeProvider({ decoys: 3 });
+
+      const body = await provider.getRange(prefix);
+      const requested = axiosStub.getCalls().map((call) => call.args[0]);
+
+      expect(body).to.equal(`${suffix}:42`);
+      expect(requested).to.have.lengthOf(4);
+      expect(new Set(requested).size).to.equal(4);
+      expect(requested.filter((url) => url.endsWith(prefix))).to.have.lengthOf(
+        1,
+      );
+    });
+  });
+
+  describe("createRangeProvider", function () {
+    it("should default to the Pwned Passwords API", function () {
+      expect(createRangeProvider({})).to.be.instanceOf(HibpRangeProvider);
+    });
+
+    it("should build a local provider from options", function () {
+      const provider = createRangeProvider({ source: "local", path: tmpDir });
+
+      expect(provider).to.be.instanceOf(LocalRangeProvider);
+    });
+  });
+
+  describe("BreachService with a local mirror", function () {
+    it("should detect a breached password offline", async function () {
+      const breachService = new BreachService({
+        rangeProvider: new LocalRangeProvider({
+          path: await writeDownloaderDirectory(),
+        }),
+      });
+
+      const result = await breachService.checkPasswordBreach(password);
+
+      expect(result).to.deep.include({
+        breached: true,
+        count: 42,
+        source: "HaveIBeenPwned",
+      });
+    });
+  });
+});
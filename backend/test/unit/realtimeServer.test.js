@@ -0,0 +1,201 @@
+// Set up the test environment first
+require("../setup");
+
+const http = require("http");
+const { expect } = require("chai");
+const sinon = require("sinon");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const { WebSocket } = require("ws");
+const User = require("../../models/User");
+const NotificationService = require("../../services/notificationService");
+const SessionService = require("../../services/sessionService");
+const RealtimeServer = require("../../services/realtimeServer");
+
+describe("Realtime Server", function () {
+  let server;
+  let realtimeServer;
+  let users;
+  let port;
+  let isSessionActive;
+
+  const createUser = (overrides = {}) =>
+    new User({
+      username: `user${Math.random().toString(36).slice(2, 8)}`,
+      email: "user@example.com",
+      password: "Test123!@#",
+      isVerified: true,
+      ...overrides,
+    });
+
+  const tokenFor = (user, claims = {}) =>
+    jwt.sign(
+      {
+        userId: user._id,
+        sid: String(new mongoose.Types.ObjectId()),
+        ...claims,
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: "15m" },
+    );
+
+  /**
+   * Connect and collect messages; resolves once the socket is open and the
+   * initial unread count has arrived
+   */
+  const connect = (query) =>
+    new Promise((resolve, reject) => {
+      const ws = new WebSocket(`ws://127.0.0.1:${port}/ws${query}`);
+      ws.messages = [];
+      ws.on("message", (data) => {
+        ws.messages.push(JSON.parse(data));
+        if (ws.messages.length === 1) resolve(ws);
+      });
+      ws.on("unexpected-response", (req, res) =>
+        reject(new Error(`HTTP ${res.statusCode}`)),
+      );
+      ws.on("error", reject);
+    });
+
+  const nextMessage = (ws) =>
+    new Promise((resolve) =>
+      ws.once("message", (data) => resolve(JSON.parse(data))),
+    );
+
+  beforeEach(function (done) {
+    users = new Map();
+    sinon.stub(User, "findById").callsFake((id) => ({
+      select: sinon.stub().resolves(users.get(String(id)) || null),
+    }));
+    sinon.stub(NotificationService.prototype, "countUnread").resolves(3);
+    isSessionActive = sinon
+      .stub(SessionService.prototype, "isSessionActive")
+      .resolves(true);
+
+    server = http.createServer();
+    realtimeServer = new RealtimeServer({ heartbeatMs: 60 * 1000 });
+    realtimeServer.attach(server);
+    server.listen(0, "127.0.0.1", () => {
+      port = server.address().port;
+      done();
+    });
+  });
+
+  afterEach(async function () {
+    sinon.restore();
+    await realtimeServer.close();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it("should refuse handshakes without a valid access token", async function () {
+    const user = createUser();
+    users.set(String(user._id), user);
+    const mfaToken = jwt.sign(
+      { userId: user._id, purpose: "mfa" },
+      process.env.JWT_SECRET,
+    );
+    const sessionlessToken = jwt.sign(
+      { userId: user._id },
+      process.env.JWT_SECRET,
+    );
+
+    const errors = await Promise.all(
+      [
+        "",
+        "?token=not-a-jwt",
+        `?token=${mfaToken}`,
+        `?token=${sessionlessToken}`,
+      ].map((query) => connect(query).catch((error) => error.message)),
+    );
+
+    expect(errors).to.deep.equal([
+      "HTTP 401",
+      "HTTP 401",
+      "HTTP 401",
+      "HTTP 401",
+    ]);
+  });
+
+  it("should refuse unverified accounts", async function () {
+    const user = createUser({ isVerified: false });
+    users.set(String(user._id), user);
+
+    const error = await connect(`?token=${tokenFor(user)}`).catch(
+      (err) => err.message,
+    );
+
+    expect(error).to.equal("HTTP 403");
+  });
+
+  it("should send the unread count on connect and route events to their user", async function () {
+    const user = createUser();
+    const other = createUser();
+    users.set(String(user._id), user);
+    users.set(String(other._id), other);
+
+    const ws = await connect(`?token=${tokenFor(user)}`);
+    const otherWs = await connect(`?token=${tokenFor(other)}`);
+
+    expect(ws.messages[0]).to.include({
+      event: "notification.unread_count",
+      feed: "user",
+    });
+    expect(ws.messages[0].data).to.deep.equal({ count: 3 });
+
+    const received = nextMessage(ws);
+    await realtimeServer.dispatch({
+      event: "breach.detected",
+      userId: user._id,
+      data: { kind: "password", riskLevel: "high" },
+      createdAt: new Date(),
+    });
+
+    const message = await received;
+    expect(message.event).to.equal("breach.detected");
+    expect(message.feed).to.equal("user");
+    expect(message.data.riskLevel).to.equal("high");
+    expect(otherWs.messages).to.have.lengthOf(1);
+
+    ws.close();
+    otherWs.close();
+  });
+
+  it("should give admins every user's breaches on the admin feed", async function () {
+    const admin = createUser({ role: "admin" });
+    const user = createUser();
+    users.set(String(admin._id), admin);
+
+    const ws = await connect(`?token=${tokenFor(admin)}`);
+    const received = nextMessage(ws);
+    await realtimeServer.dispatch({
+      event: "breach.detected",
+      userId: user._id,
+      data: { kind: "account" },
+      createdAt: new Date(),
+    });
+
+    const message = await received;
+    expect(message.feed).to.equal("admin");
+    expect(message.userId).to.equal(String(user._id));
+
+    ws.close();
+  });
+
+  it("should close sockets whose session was revoked", async function () {
+    const user = createUser();
+    users.set(String(user._id), user);
+    const sessionId = new mongoose.Types.ObjectId();
+
+    const ws = await connect(
+      `?token=${tokenFor(user, { sid: String(sessionId) })}`,
+    );
+    const closed = new Promise((resolve) =>
+      ws.on("close", (code) => resolve(code)),
+    );
+    isSessionActive.resolves(false);
+
+    await realtimeServer.checkConnections();
+
+    expect(await closed).to.equal(RealtimeServer.CLOSE_UNAUTHORIZED);
+  });
+});
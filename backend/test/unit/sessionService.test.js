@@ -0,0 +1,120 @@
+// Set up the test environment first
+require("../setup");
+
+const { expect } = require("chai");
+const sinon = require("sinon");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const Session = require("../../models/Session");
+const SessionService = require("../../services/sessionService");
+const { generateSHA256Hash } = require("../../utils/hashUtil");
+
+describe("Session Service", function () {
+  let sessionService;
+  const userId = new mongoose.Types.ObjectId();
+
+  beforeEach(function () {
+    sessionService = new SessionService({
+      accessTokenExpiresIn: "15m",
+      refreshTokenDays: 30,
+    });
+    sinon.stub(Session.prototype, "save").callsFake(async function () {
+      return this;
+    });
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  const openSession = async () => {
+    const tokens = await sessionService.createSession(
+      { _id: userId },
+      { ip: "127.0.0.1", get: () => "mocha" },
+    );
+    // Behaves like a query: awaitable directly or after select()
+    const query = Promise.resolve(tokens.session);
+    query.select = () => Promise.resolve(tokens.session);
+    sinon.stub(Session, "findById").returns(query);
+    return tokens;
+  };
+
+  it("should issue session-bound access tokens and hashed refresh tokens", async function () {
+    const { accessToken, refreshToken, session } = await openSession();
+    const [sessionId, secret] = refreshToken.split(".");
+
+    expect(jwt.verify(accessToken, process.env.JWT_SECRET)).to.include({
+      userId: String(userId),
+      sid: String(session._id),
+    });
+    expect(sessionId).to.equal(String(session._id));
+    expect(session.refreshTokenHash).to.equal(generateSHA256Hash(secret));
+    expect(session).to.include({ ipAddress: "127.0.0.1", userAgent: "mocha" });
+  });
+
+  it("should rotate a current refresh token", async function () {
+    const { refreshToken, session } = await openSession();
+    const update = sinon
+      .stub(Session, "findOneAndUpdate")
+      .callsFake(async (filter, changes) => {
+        session.refreshTokenHash = changes.$set.refreshTokenHash;
+        return session;
+      });
+
+    const result = await sessionService.rotate(refreshToken);
+
+    expect(result.status).to.equal("rotated");
+    expect(result.refreshToken).to.not.equal(refreshToken);
+    expect(update.firstCall.args[0].refreshTokenHash).to.equal(
+      generateSHA256Hash(refreshToken.split(".")[1]),
+    );
+    expect(
+      update.firstCall.args[1].$push.rotatedTokenHashes.$each,
+    ).to.deep.equal([generateSHA256Hash(refreshToken.split(".")[1])]);
+  });
+
+  it("should revoke the session when a rotated token is reused", async function () {
+    const { refreshToken, session } = await openSession();
+    const secret = refreshToken.split(".")[1];
+    session.rotatedTokenHashes = [generateSHA256Hash(secret)];
+    session.refreshTokenHash = "newer";
+
+    const result = await sessionService.rotate(refreshToken);
+
+    expect(result.status).to.equal("reused");
+    expect(result.session).to.equal(session);
+    expect(session.revokedReason).to.equal("reuse_detected");
+    expect(session.isActive).to.be.false;
+  });
+
+  it("should reject malformed, unknown and revoked refresh tokens", async function () {
+    const { refreshToken, session } = await openSession();
+
+    expect((await sessionService.rotate("garbage")).status).to.equal("invalid");
+    expect(
+      (await sessionService.rotate(`${session._id}.not-the-secret`)).status,
+    ).to.equal("invalid");
+
+    session.revokedAt = new Date();
+    expect((await sessionService.rotate(refreshToken)).status).to.equal(
+      "invalid",
+    );
+  });
+
+  it("should only report active sessions of the token's user", async function () {
+    const { session } = await openSession();
+
+    expect(await sessionService.isSessionActive(session._id, userId)).to.be
+      .true;
+    expect(
+      await sessionService.isSessionActive(
+        session._id,
+        new mongoose.Types.ObjectId(),
+      ),
+    ).to.be.false;
+
+    session.expiresAt = new Date(Date.now() - 1000);
+    expect(await sessionService.isSessionActive(session._id, userId)).to.be
+      .false;
+  });
+});
@@ -0,0 +1,115 @@
+// Set up the test environment first
+require("../setup");
+
+const { expect } = require("chai");
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateHOTP,
+  generateTOTP,
+  verifyTOTP,
+  buildOtpauthUri,
+} = require("../../utils/totp");
+
+describe("TOTP", function () {
+  // RFC 6238 / RFC 4226 test secret
+  const secret = base32Encode(Buffer.from("12345678901234567890"));
+
+  describe("base32", function () {
+    it("should round-trip bytes", function () {
+      const bytes = Buffer.from("foobar");
+
+      expect(base32Encode(bytes)).to.equal("MZXW6YTBOI");
+      expect(base32Decode("mzxw 6ytb oi======").equals(bytes)).to.be.true;
+    });
+
+    it("should reject invalid characters", function () {
+      expect(() => base32Decode("ABC1")).to.throw("Invalid base32");
+    });
+
+    it("should generate 160-bit secrets", function () {
+      expect(base32Decode(generateSecret())).to.have.lengthOf(20);
+    });
+  });
+
+  describe("generateHOTP", function () {
+    it("should match the RFC 4226 test vectors", function () {
+      const key = Buffer.from("12345678901234567890");
+
+      expect(generateHOTP(key, 0)).to.equal("755224");
+      expect(generateHOTP(key, 1)).to.equal("287082");
+      expect(generateHOTP(key, 9)).to.equal("520489");
+    });
+  });
+
+  describe("generateTOTP", function () {
+    it("should match the RFC 6238 SHA-1 test vectors", function () {
+      const vectors = {
+        59: "94287082",
+        1111111109: "07081804",
+        1111111111: "14050471",
+        1234567890: "89005924",
+        2000000000: "69279037",
+        20000000000: "65353130",
+      };
+
+      for (const [seconds, code] of Object.entries(vectors)) {
+        expect(
+          generateTOTP(secret, { time: Number(seconds) * 1000, digits: 8 }),
+        ).to.equal(code);
+      }
+    });
+
+    it("should match the RFC 6238 SHA-256 test vector", function () {
+      const sha256Secret = base32Encode(
+        Buffer.from("12345678901234567890123456789012"),
+      );
+
+      expect(
+        generateTOTP(sha256Secret, {
+          time: 59000,
+          digits: 8,
+          algorithm: "sha256",
+        }),
+      ).to.equal("46119246");
+    });
+  });
+
+  describe("verifyTOTP", function () {
+    const time = 1111111111000;
+
+    it("should accept codes within the drift window", function () {
+      const previous = generateTOTP(secret, { time: time - 30000 });
+
+      expect(
+        verifyTOTP(secret, generateTOTP(secret, { time }), { time }),
+      ).to.be.a("number");
+      expect(verifyTOTP(secret, previous, { time })).to.equal(
+        Math.floor(time / 30000) - 1,
+      );
+    });
+
+    it("should reject stale, malformed and wrong codes", function () {
+      const stale = generateTOTP(secret, { time: time - 90000 });
+
+      expect(verifyTOTP(secret, stale, { time })).to.be.null;
+      expect(verifyTOTP(secret, "12ab56", { time })).to.be.null;
+      expect(verifyTOTP(secret, "", { time })).to.be.null;
+    });
+  });
+
+  describe("buildOtpauthUri", function () {
+    it("should label the account with the issuer", function () {
+      const uri = buildOtpauthUri({
+        secret: "JBSWY3DPEHPK3PXP",
+        accountName: "user@example.com",
+        issuer: "Breach Monitor",
+      });
+
+      expect(uri).to.equal(
+        "otpauth://totp/Breach%20Monitor:user%40example.com?secret=JBSWY3DPEHPK3PXP&algorithm=SHA1&digits=6&period=30&issuer=Breach+Monitor",
+      );
+    });
+  });
+});
@@ -0,0 +1,151 @@
+// Set up the test environment first
+require("../setup");
+
+const { expect } = require("chai");
+const sinon = require("sinon");
+const mongoose = require("mongoose");
+const User = require("../../models/User");
+const Breach = require("../../models/Breach");
+const AccountBreach = require("../../models/AccountBreach");
+const Notification = require("../../models/Notification");
+const Organization = require("../../models/Organization");
+const OutboxJob = require("../../models/OutboxJob");
+const PushSubscription = require("../../models/PushSubscription");
+const Session = require("../../models/Session");
+const Webhook = require("../../models/Webhook");
+const WebhookDelivery = require("../../models/WebhookDelivery");
+const UserAdminService = require("../../services/userAdminService");
+
+describe("User Admin Service", function () {
+  let userAdminService;
+
+  beforeEach(function () {
+    userAdminService = new UserAdminService();
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  describe("buildQuery", function () {
+    it("should search email and username with regex characters escaped", function () {
+      const query = userAdminService.buildQuery({ search: "a.b+c" });
+      const [{ $or }] = query.$and;
+
+      expect($or[0].email.test("xA.B+Cx")).to.be.true;
+      expect($or[0].email.test("aXb+c")).to.be.false;
+      expect($or[1].username).to.equal($or[0].email);
+    });
+
+    it("should filter by verified, role and lock state", function () {
+      const locked = userAdminService.buildQuery({
+        verified: "false",
+        locked: "true",
+        role: "admin",
+      });
+      const unlocked = userAdminService.buildQuery({ locked: false });
+
+      expect(locked.isVerified).to.be.false;
+      expect(locked.role).to.equal("admin");
+      expect(locked.$and[0].lockUntil.$gt).to.be.an.instanceOf(Date);
+      expect(unlocked.$and[0].$or).to.have.lengthOf(3);
+    });
+
+    it("should match everyone without filters", function () {
+      expect(userAdminService.buildQuery({})).to.deep.equal({});
+    });
+  });
+
+  describe("listUsers", function () {
+    it("should page through users and cap the page size", async function () {
+      const limit = sinon.stub().resolves([]);
+      const skip = sinon.stub().returns({ limit });
+      sinon.stub(User, "find").returns({ sort: () => ({ skip }) });
+      sinon.stub(User, "countDocuments").resolves(250);
+
+      const { pagination } = await userAdminService.listUsers(
+        {},
+        { page: "3", limit: "500" },
+      );
+
+      expect(skip.firstCall.args[0]).to.equal(200);
+      expect(limit.firstCall.args[0]).to.equal(UserAdminService.MAX_PAGE_SIZE);
+      expect(pagination).to.deep.equal({
+        page: 3,
+        limit: 100,
+        total: 250,
+        pages: 3,
+      });
+    });
+  });
+
+  describe("deleteUser", function () {
+    it("should delete the user with their breaches, data and personal webhooks", async function () {
+      const user = new User({ username: "gone", email: "gone@example.com" });
+      const webhookId = new mongoose.Types.ObjectId();
+      const distinct = sinon.stub().resolves([webhookId]);
+      const webhookFind = sinon.stub(Webhook, "find").returns({ distinct });
+      const models = [
+        Breach,
+        AccountBreach,
+        Notification,
+        OutboxJob,
+        PushSubscription,
+        Session,
+        Webhook,
+        WebhookDelivery,
+      ];
+      models.forEach((model) =>
+        sinon.stub(model, "deleteMany").resolves({ deletedCount: 2 }),
+      );
+      const updateMany = sinon
+        .stub(Organization, "updateMany")
+        .resolves({ modifiedCount: 1 });
+      const deleteOne = sinon.stub(User, "deleteOne").resolves({});
+
+      const deleted = await userAdminService.deleteUser(user);
+
+      expect(webhookFind.firstCall.args[0]).to.deep.equal({
+        userId: user._id,
+        scope: "user",
+      });
+      expect(Breach.deleteMany.firstCall.args[0]).to.deep.equal({
+        userId: user._id,
+      });
+      expect(WebhookDelivery.deleteMany.firstCall.args[0]).to.deep.equal({
+        webhookId: { $in: [webhookId] },
+      });
+      expect(updateMany.firstCall.args).to.deep.equal([
+        { "invitations.userId": user._id },
+        { $pull: { invitations: { userId: user._id } } },
+      ]);
+      expect(deleteOne.firstCall.args[0]).to.deep.equal({ _id: user._id });
+      expect(deleted.breaches).to.equal(2);
+      expect(Object.keys(deleted)).to.have.lengthOf(models.length);
+    });
+  });
+
+  describe("isLastOrganizationOwner", function () {
+    it("should only flag the last owner of an organization", async function () {
+      const organizationId = new mongoose.Types.ObjectId();
+      const owner = new User({ organizationId, organizationRole: "owner" });
+      const countDocuments = sinon.stub(User, "countDocuments").resolves(1);
+
+      expect(await userAdminService.isLastOrganizationOwner(owner)).to.be.true;
+      expect(countDocuments.firstCall.args[0]).to.deep.equal({
+        organizationId,
+        organizationRole: "owner",
+      });
+
+      countDocuments.resolves(2);
+      expect(await userAdminService.isLastOrganizationOwner(owner)).to.be.false;
+
+      const member = new User({ organizationId, organizationRole: "member" });
+      expect(await userAdminService.isLastOrganizationOwner(member)).to.be
+        .false;
+      expect(await userAdminService.isLastOrganizationOwner(new User({}))).to.be
+        .false;
+      expect(countDocuments.calledTwice).to.be.true;
+    });
+  });
+});
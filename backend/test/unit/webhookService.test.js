@@ -0,0 +1,254 @@
+// Set up the test environment first
+require("../setup");
+
+const crypto = require("crypto");
+const dns = require("dns");
+const { expect } = require("chai");
+const sinon = require("sinon");
+const axios = require("axios");
+const mongoose = require("mongoose");
+const User = require("../../models/User");
+const Webhook = require("../../models/Webhook");
+const WebhookDelivery = require("../../models/WebhookDelivery");
+const WebhookService = require("../../services/webhookService");
+
+describe("Webhook Service", function () {
+  let webhookService;
+  let outboxService;
+  const userId = new mongoose.Types.ObjectId();
+  const secret = "whsec_test";
+  const event = {
+    eventId: "evt-1",
+    event: "breach.detected",
+    occurredAt: "2026-01-15T08:00:00.000Z",
+    data: { kind: "password", riskLevel: "high" },
+  };
+
+  const createWebhook = (overrides = {}) =>
+    new Webhook({
+      userId,
+      url: "https://siem.example.com/hooks/breach",
+      events: ["breach.detected"],
+      secret,
+      ...overrides,
+    });
+
+  beforeEach(function () {
+    sinon
+      .stub(dns.promises, "lookup")
+      .resolves([{ address: "93.184.215.14", family: 4 }]);
+    outboxService = { enqueue: sinon.stub().resolves({}) };
+    webhookService = new WebhookService({ outboxService });
+    sinon.stub(WebhookDelivery.prototype, "save").callsFake(async function () {
+      return this;
+    });
+    sinon.stub(Webhook, "updateOne").resolves({ modifiedCount: 1 });
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  describe("send", function () {
+    it("should sign the timestamp and body so receivers can verify them", async function () {
+      const post = sinon
+        .stub(axios, "post")
+        .resolves({ status: 204, data: "" });
+
+      const delivery = await webhookService.send(createWebhook(), event);
+
+      const [url, body, config] = post.firstCall.args;
+      const timestamp = config.headers["X-Webhook-Timestamp"];
+      const expected = crypto
+        .createHmac("sha256", secret)
+        .update(`${timestamp}.${body}`)
+        .digest("hex");
+
+      expect(url).to.equal("https://siem.example.com/hooks/breach");
+      expect(JSON.parse(body)).to.deep.equal({
+        id: "evt-1",
+        event: "breach.detected",
+        createdAt: event.occurredAt,
+        data: event.data,
+      });
+      expect(config.headers["X-Webhook-Signature"]).to.equal(
+        `sha256=${expected}`,
+      );
+      expect(config.headers["X-Webhook-Event"]).to.equal("breach.detected");
+      expect(config.headers["X-Webhook-Id"]).to.equal("evt-1");
+      expect(config.maxRedirects).to.equal(0);
+      expect(delivery.status).to.equal("delivered");
+      expect(delivery.responseStatus).to.equal(204);
+      expect(Webhook.updateOne.firstCall.args[1].lastDeliveryStatus).to.equal(
+        "delivered",
+      );
+    });
+
+    it("should log a non-2xx response as a failed delivery", async function () {
+      sinon.stub(axios, "post").resolves({ status: 503, data: "busy" });
+
+      const delivery = await webhookService.send(createWebhook(), event, 2);
+
+      expect(delivery.status).to.equal("failed");
+      expect(delivery.attempt).to.equal(2);
+      expect(delivery.responseStatus).to.equal(503);
+      expect(delivery.toObject()).to.not.have.property("responseBody");
+      expect(delivery.error).to.equal("Endpoint responded with 503");
+    });
+
+    it("should log network errors as failed deliveries", async function () {
+      sinon.stub(axios, "post").rejects(new Error("connect ECONNREFUSED"));
+
+      const delivery = await webhookService.send(createWebhook(), event);
+
+      expect(delivery.status).to.equal("failed");
+      expect(delivery.error).to.equal("connect ECONNREFUSED");
+    });
+
+    it("should refuse internal URLs without sending anything", async function () {
+      const post = sinon.stub(axios, "post");
+      dns.promises.lookup
+        .withArgs("db.internal.example.com")
+        .resolves([{ address: "10.0.0.5", family: 4 }]);
+
+      const deliveries = await Promise.all(
+        [
+          "https://127.0.0.1:27017/",
+          "http://169.254.169.254/latest/meta-data/",
+          "https://[::1]/hooks",
+          "https://db.internal.example.com/hooks",
+        ].map((url) => webhookService.send(createWebhook({ url }), event)),
+      );
+
+      expect(post.called).to.equal(false);
+      deliveries.forEach((delivery) => {
+        expect(delivery.status).to.equal("failed");
+        expect(delivery.error).to.match(/private or reserved address/);
+      });
+    });
+  });
+
+  describe("deliver", function () {
+    const job = (webhookId) => ({
+      attempts: 1,
+      payload: { webhookId, ...event },
+    });
+
+    it("should throw on a failed delivery so the outbox retries it", async function () {
+      const webhook = createWebhook();
+      sinon
+        .stub(Webhook, "findById")
+        .returns({ select: sinon.stub().resolves(webhook) });
+      sinon.stub(axios, "post").resolves({ status: 500, data: "" });
+
+      let error;
+      try {
+        await webhookService.deliver(job(webhook._id));
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).to.be.instanceOf(Error);
+      expect(error.message).to.equal("Endpoint responded with 500");
+    });
+
+    it("should drop events for deleted or disabled webhooks", async function () {
+      const webhook = createWebhook({ isActive: false });
+      sinon
+        .stub(Webhook, "findById")
+        .returns({ select: sinon.stub().resolves(webhook) });
+      const post = sinon.stub(axios, "post");
+
+      await webhookService.deliver(job(webhook._id));
+
+      expect(post.called).to.be.false;
+    });
+  });
+
+  describe("buildAccessQuery", function () {
+    it("should let owners and security officers manage their organization's webhooks", function () {
+      const organizationId = new mongoose.Types.ObjectId();
+      const staff = {
+        _id: userId,
+        organizationId,
+        organizationRole: "security-officer",
+      };
+
+      expect(webhookService.buildAccessQuery(staff)).to.deep.equal({
+        $or: [
+          { userId, scope: "user" },
+          { scope: "organization", organizationId },
+        ],
+      });
+
+      for (const user of [
+        { ...staff, organizationRole: "member" },
+        { _id: userId, role: "admin" },
+      ]) {
+        expect(webhookService.buildAccessQuery(user)).to.deep.equal({
+          userId,
+          scope: "user",
+        });
+      }
+    });
+  });
+
+  describe("emit", function () {
+    const organizationId = new mongoose.Types.ObjectId();
+    const findUser = (user) =>
+      sinon
+        .stub(User, "findById")
+        .returns({ select: sinon.stub().resolves(user) });
+
+    it("should queue one delivery per subscribed webhook with a shared event ID", async function () {
+      const webhooks = [
+        createWebhook(),
+        createWebhook({ scope: "organization", organizationId }),
+      ];
+      findUser({ _id: userId, organizationId });
+      const find = sinon.stub(Webhook, "find").resolves(webhooks);
+
+      const queued = await webhookService.emit("breach.detected", event.data, {
+        userId,
+      });
+
+      expect(queued).to.equal(2);
+      expect(find.firstCall.args[0].events).to.equal("breach.detected");
+      const payloads = outboxService.enqueue
+        .getCalls()
+        .map((call) => call.args[1]);
+      expect(outboxService.enqueue.firstCall.args[0]).to.equal("webhook");
+      expect(payloads[0].webhookId).to.equal(webhooks[0]._id);
+      expect(payloads[0].eventId).to.equal(payloads[1].eventId);
+    });
+
+    it("should only reach the webhooks of the user's own organization", async function () {
+      const find = sinon.stub(Webhook, "find").resolves([]);
+
+      findUser({ _id: userId, organizationId });
+      await webhookService.emit("breach.detected", event.data, { userId });
+      expect(find.firstCall.args[0].$or).to.deep.equal([
+        { scope: "user", userId },
+        { scope: "organization", organizationId },
+      ]);
+
+      User.findById.restore();
+      findUser({ _id: userId });
+      await webhookService.emit("breach.detected", event.data, { userId });
+      expect(find.secondCall.args[0].$or).to.deep.equal([
+        { scope: "user", userId },
+      ]);
+    });
+
+    it("should never throw when queueing fails", async function () {
+      findUser({ _id: userId });
+      sinon.stub(Webhook, "find").rejects(new Error("db down"));
+
+      const queued = await webhookService.emit("breach.detected", event.data, {
+        userId,
+      });
+
+      expect(queued).to.equal(0);
+    });
+  });
+});
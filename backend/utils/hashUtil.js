@@ -40,9 +40,119 @@ const generateSalt = (length = 16) => {
   return crypto.randomBytes(length).toString("hex");
 };
 
+/**
+ * Parse a pepper keyring of the form "1:secret,2:secret". Versions must run
+ * from 1 without gaps, because each version's hash is keyed over the
+ * previous one (see getKeyedHashCandidates).
+ * @param {string} spec - Comma-separated VERSION:SECRET entries
+ * @returns {Array<string>} - Secrets, index 0 holding version 1
+ */
+const parsePepperKeyring = (spec) => {
+  const peppers = [];
+
+  for (const entry of String(spec || "").split(",")) {
+    if (!entry.trim()) continue;
+
+    const separator = entry.indexOf(":");
+    const version = parseInt(entry.substring(0, separator));
+    const secret = entry.substring(separator + 1).trim();
+
+    if (separator < 1 || !(version > 0) || !secret) {
+      throw new Error("Invalid pepper keyring entry; expected VERSION:SECRET");
+    }
+    peppers[version - 1] = secret;
+  }
+
+  for (let index = 0; index < peppers.length; index++) {
+    if (!peppers[index]) {
+      throw new Error(`Pepper keyring is missing version ${index + 1}`);
+    }
+  }
+
+  return peppers;
+};
+
+/**
+ * Get the pepper keyring configured by BREACH_HASH_PEPPERS
+ * @returns {Array<string>} - Secrets, the last one being current
+ */
+const getPepperKeyring = () => {
+  const peppers = parsePepperKeyring(process.env.BREACH_HASH_PEPPERS);
+
+  if (peppers.length === 0) {
+    throw new Error("BREACH_HASH_PEPPERS is not configured");
+  }
+
+  return peppers;
+};
+
+/**
+ * Compute the stored form of a password SHA-1 hash under every key version.
+ * Version 0 is the legacy unkeyed SHA-1; version N is the HMAC-SHA256 of
+ * version N-1 under pepper N, so a stored hash can be re-keyed to a newer
+ * version without knowing the password.
+ * @param {string} sha1Hash - SHA-1 hash of the password
+ * @param {Array<string>} [peppers] - Pepper keyring
+ * @returns {Array<object>} - { version, hash } for versions 0..current
+ */
+const getKeyedHashCandidates = (sha1Hash, peppers = getPepperKeyring()) => {
+  const candidates = [{ version: 0, hash: sha1Hash.toUpperCase() }];
+
+  peppers.forEach((pepper, index) => {
+    candidates.push({
+      version: index + 1,
+      hash: crypto
+        .createHmac("sha256", pepper)
+        .update(candidates[index].hash)
+        .digest("hex"),
+    });
+  });
+
+  return candidates;
+};
+
+/**
+ * Generate the keyed hash of a password SHA-1 under the current pepper
+ * @param {string} sha1Hash - SHA-1 hash of the password
+ * @param {Array<string>} [peppers] - Pepper keyring
+ * @returns {object} - { version, hash }
+ */
+const generateKeyedHash = (sha1Hash, peppers = getPepperKeyring()) => {
+  const candidates = getKeyedHashCandidates(sha1Hash, peppers);
+  return candidates[candidates.length - 1];
+};
+
+/**
+ * Re-key a stored hash from an older version to the current pepper
+ * @param {string} hash - Stored hash
+ * @param {number} fromVersion - Key version of the stored hash (0 = SHA-1)
+ * @param {Array<string>} [peppers] - Pepper keyring
+ * @returns {object} - { version, hash }
+ */
+const rekeyHash = (hash, fromVersion, peppers = getPepperKeyring()) => {
+  if (fromVersion > peppers.length) {
+    throw new Error(`Unknown pepper version: ${fromVersion}`);
+  }
+
+  let rekeyed = fromVersion === 0 ? hash.toUpperCase() : hash;
+  for (let version = fromVersion + 1; version <= peppers.length; version++) {
+    rekeyed = crypto
+      .createHmac("sha256", peppers[version - 1])
+      .update(rekeyed)
+      .digest("hex");
+  }
+
+  return { version: peppers.length, hash: rekeyed };
+};
+
 module.exports = {
   generateSHA1Hash,
   generateSHA256Hash,
   getHashPrefix,
   generateSalt,
+  parsePepperKeyring,
+  getPepperKeyring,
+  getKeyedHashCandidates,
+  generateKeyedHash,
+  rekeyHash,
 };
@@ -0,0 +1,103 @@
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const { URL } = require("url");
+
+// Networks user-supplied URLs must never reach: this host, private and
+// carrier-grade NAT ranges, link-local (cloud metadata at 169.254.169.254
+// and fd00:ec2::254 included), multicast and reserved ranges. IPv4-mapped
+// IPv6 addresses are checked against the IPv4 rules.
+const BLOCKED_NETWORKS = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([network, prefix]) =>
+  BLOCKED_NETWORKS.addSubnet(network, prefix, "ipv4"),
+);
+[
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([network, prefix]) =>
+  BLOCKED_NETWORKS.addSubnet(network, prefix, "ipv6"),
+);
+
+/**
+ * Check whether an IP address is publicly routable
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - False for blocked networks and non-addresses
+ */
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+
+  return !BLOCKED_NETWORKS.check(address, family === 4 ? "ipv4" : "ipv6");
+};
+
+/**
+ * Resolve a URL's host and make sure every address it resolves to is
+ * public. Run it before each request: DNS answers change over time.
+ * @param {string} url - Absolute URL
+ * @returns {Promise<void>}
+ * @throws {Error} - When the host is private or cannot be resolved
+ */
+const assertPublicUrl = async (url) => {
+  // IPv6 hosts come bracketed, e.g. "[::1]"
+  const host = new URL(url).hostname.replace(/^\[(.*)\]$/, "$1");
+  const addresses = net.isIP(host)
+    ? [{ address: host }]
+    : await dns.promises.lookup(host, { all: true });
+
+  if (addresses.some(({ address }) => !isPublicAddress(address))) {
+    throw new Error(`${host} resolves to a private or reserved address`);
+  }
+};
+
+/**
+ * dns.lookup replacement for HTTP agents that refuses private addresses.
+ * It checks the address actually connected to, so a host cannot pass
+ * assertPublicUrl and then resolve somewhere internal.
+ * @param {string} hostname - Host to resolve
+ * @param {object} options - dns.lookup options
+ * @param {Function} callback - dns.lookup callback
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (addresses.some(({ address }) => !isPublicAddress(address))) {
+      return callback(
+        new Error(`${hostname} resolves to a private or reserved address`),
+      );
+    }
+
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Agents for axios requests to user-supplied URLs
+const publicAgents = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup }),
+};
+
+module.exports = {
+  isPublicAddress,
+  assertPublicUrl,
+  publicLookup,
+  publicAgents,
+};
@@ -0,0 +1,106 @@
+// Quiet hours are "HH:MM" times of day in the user's time zone
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Check whether a string names a time zone Intl understands, e.g.
+ * "Europe/Berlin"
+ * @param {string} timeZone - IANA time zone name
+ * @returns {boolean} - True when valid
+ */
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Convert "HH:MM" to minutes after midnight
+ * @param {string} time - Time of day
+ * @returns {number} - Minutes after midnight
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Minutes after local midnight of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone name
+ * @returns {number} - Local minutes after midnight
+ */
+const getLocalMinutes = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(date);
+  const value = (type) =>
+    Number(parts.find((part) => part.type === type).value);
+
+  return value("hour") * 60 + value("minute");
+};
+
+/**
+ * Find when the user's quiet hours end, if they are in effect at a moment.
+ * Windows may span midnight, e.g. 22:00-07:00.
+ * @param {object} preferences - User's notificationPreferences
+ * @param {Date} [now] - Moment to test
+ * @returns {Date|null} - End of the current quiet window, or null when
+ *   quiet hours are off or not in effect
+ */
+const getQuietHoursEnd = (preferences, now = new Date()) => {
+  const quietHours = preferences.quietHours;
+  if (!quietHours || !quietHours.enabled) return null;
+
+  const timeZone = preferences.timeZone || "UTC";
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  const local = getLocalMinutes(now, timeZone);
+
+  const inWindow =
+    start <= end
+      ? local >= start && local < end
+      : local >= start || local < end;
+  if (!inWindow) return null;
+
+  // Step to the end of the window, then correct once for a DST change
+  const startOfMinute = now.getTime() - (now.getTime() % 60000);
+  const minutesLeft = (end - local + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  const candidate = new Date(startOfMinute + minutesLeft * 60000);
+  let drift = end - getLocalMinutes(candidate, timeZone);
+  if (drift > MINUTES_PER_DAY / 2) drift -= MINUTES_PER_DAY;
+  if (drift < -MINUTES_PER_DAY / 2) drift += MINUTES_PER_DAY;
+
+  return new Date(candidate.getTime() + drift * 60000);
+};
+
+/**
+ * Decide when an alert may be delivered. Alerts inside the user's quiet
+ * hours wait for the window to end, unless they are critical and the user
+ * lets critical alerts through.
+ * @param {object} preferences - User's notificationPreferences
+ * @param {string} severity - Alert severity
+ * @param {Date} [now] - Moment the alert is raised
+ * @returns {Date|null} - When to deliver, or null to deliver now
+ */
+const getDeliveryTime = (preferences, severity, now = new Date()) => {
+  const quietHours = preferences.quietHours;
+  if (quietHours && quietHours.allowCritical && severity === "critical") {
+    return null;
+  }
+
+  return getQuietHoursEnd(preferences, now);
+};
+
+module.exports = {
+  TIME_OF_DAY,
+  isValidTimeZone,
+  getQuietHoursEnd,
+  getDeliveryTime,
+};
@@ -0,0 +1,54 @@
+// Severity levels from least to most severe
+const SEVERITY_LEVELS = ["low", "medium", "high", "critical"];
+
+/**
+ * Check whether a severity is at or above a threshold. Unknown severities
+ * rank below "low".
+ * @param {string} severity - Severity to test
+ * @param {string} threshold - Minimum severity
+ * @returns {boolean} - True when severity meets the threshold
+ */
+const meetsSeverity = (severity, threshold) => {
+  return (
+    SEVERITY_LEVELS.indexOf(severity) >= SEVERITY_LEVELS.indexOf(threshold)
+  );
+};
+
+// Display color of each severity level
+const SEVERITY_COLORS = {
+  critical: "#dc3545",
+  high: "#fd7e14",
+  medium: "#ffc107",
+  low: "#28a745",
+};
+
+/**
+ * Get the display color of a severity level
+ * @param {string} severity - Severity level
+ * @returns {string} - Color hex code; grey for unknown levels
+ */
+const getSeverityColor = (severity) => {
+  return SEVERITY_COLORS[severity] || "#6c757d";
+};
+
+/**
+ * Pick the most severe of several severity levels
+ * @param {Array<string>} severities - Severity levels
+ * @returns {string|undefined} - Highest severity, if any is known
+ */
+const getHighestSeverity = (severities) => {
+  return severities.reduce(
+    (highest, severity) =>
+      SEVERITY_LEVELS.indexOf(severity) > SEVERITY_LEVELS.indexOf(highest)
+        ? severity
+        : highest,
+    undefined,
+  );
+};
+
+module.exports = {
+  SEVERITY_LEVELS,
+  meetsSeverity,
+  getHighestSeverity,
+  getSeverityColor,
+};
@@ -0,0 +1,181 @@
+const crypto = require("crypto");
+const { URLSearchParams } = require("url");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+/**
+ * Encode bytes as unpadded RFC 4648 base32 (the format authenticator apps
+ * expect for TOTP secrets)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} - Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode RFC 4648 base32, ignoring case, spaces and padding
+ * @param {string} input - Base32 string
+ * @returns {Buffer} - Decoded bytes
+ */
+const base32Decode = (input) => {
+  const cleaned = String(input).toUpperCase().replace(/[\s=]/g, "");
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base32 character in secret");
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random base32 TOTP secret
+ * @param {number} length - Secret length in bytes (default 20, as for SHA-1)
+ * @returns {string} - Base32 secret
+ */
+const generateSecret = (length = 20) => {
+  return base32Encode(crypto.randomBytes(length));
+};
+
+/**
+ * Generate an HOTP code (RFC 4226)
+ * @param {Buffer} key - Shared secret bytes
+ * @param {number} counter - Moving factor
+ * @param {object} options - { digits, algorithm }
+ * @returns {string} - Zero-padded code
+ */
+const generateHOTP = (key, counter, options = {}) => {
+  const digits = options.digits || 6;
+  const algorithm = options.algorithm || "sha1";
+
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac(algorithm, key).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** digits).padStart(digits, "0");
+};
+
+/**
+ * Get the TOTP time step for a moment
+ * @param {number} time - Milliseconds since the epoch
+ * @param {number} step - Step length in seconds
+ * @returns {number} - Time step counter
+ */
+const getTimeStep = (time = Date.now(), step = 30) => {
+  return Math.floor(time / 1000 / step);
+};
+
+/**
+ * Generate a TOTP code (RFC 6238)
+ * @param {string} secret - Base32 secret
+ * @param {object} options - { time, step, digits, algorithm }
+ * @returns {string} - Code for the time step containing `time`
+ */
+const generateTOTP = (secret, options = {}) => {
+  return generateHOTP(
+    base32Decode(secret),
+    getTimeStep(options.time, options.step),
+    options,
+  );
+};
+
+/**
+ * Verify a TOTP code, allowing for clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} token - Code entered by the user
+ * @param {object} options - { time, step, digits, algorithm, window }
+ * @returns {number|null} - Matching time step, or null when invalid
+ */
+const verifyTOTP = (secret, token, options = {}) => {
+  const digits = options.digits || 6;
+  const window = options.window !== undefined ? options.window : 1;
+  const code = String(token || "").replace(/\s/g, "");
+
+  if (!new RegExp(`^\\d{${digits}}$`).test(code)) {
+    return null;
+  }
+
+  const key = base32Decode(secret);
+  const current = getTimeStep(options.time, options.step);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = generateHOTP(key, current + offset, options);
+
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(code))) {
+      return current + offset;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI used to enroll an authenticator app
+ * @param {object} params - { secret, accountName, issuer, digits, step }
+ * @returns {string} - otpauth URI
+ */
+const buildOtpauthUri = ({ secret, accountName, issuer, digits, step }) => {
+  const label = issuer
+    ? `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`
+    : encodeURIComponent(accountName);
+  const params = new URLSearchParams({
+    secret,
+    algorithm: "SHA1",
+    digits: String(digits || 6),
+    period: String(step || 30),
+  });
+
+  if (issuer) params.set("issuer", issuer);
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateHOTP,
+  getTimeStep,
+  generateTOTP,
+  verifyTOTP,
+  buildOtpauthUri,
+};
@@ -0,0 +1,72 @@
+// Load environment variables first
+require("./config/env");
+
+const mongoose = require("mongoose");
+const connectDB = require("./config/db");
+const OutboxService = require("./services/outboxService");
+const logger = require("./utils/logger");
+
+// Outbox worker: delivers queued notifications, separately from the API
+const outboxService = new OutboxService();
+const workerId = outboxService.createWorkerId();
+const POLL_INTERVAL_MS = parseInt(process.env.OUTBOX_POLL_INTERVAL_MS) || 5000;
+const BATCH_SIZE = parseInt(process.env.OUTBOX_BATCH_SIZE) || 50;
+
+let running = true;
+let wakeUp = null;
+
+/**
+ * Process due jobs until stopped, sleeping between empty polls
+ */
+const run = async () => {
+  await connectDB();
+  logger.info(`📬 Outbox worker ${workerId} started`);
+
+  while (running) {
+    let counts = { delivered: 0, retrying: 0, dead: 0 };
+
+    try {
+      counts = await outboxService.processDueJobs({
+        workerId,
+        limit: BATCH_SIZE,
+      });
+
+      if (counts.delivered || counts.retrying || counts.dead) {
+        logger.info(
+          `📬 Outbox: ${counts.delivered} delivered, ${counts.retrying} retrying, ${counts.dead} dead-lettered`,
+        );
+      }
+    } catch (error) {
+      logger.error("Outbox worker error:", error);
+    }
+
+    // Keep going while a full batch suggests more jobs are due
+    const processed = counts.delivered + counts.retrying + counts.dead;
+    if (running && processed < BATCH_SIZE) {
+      await new Promise((resolve) => {
+        wakeUp = resolve;
+        global.setTimeout(resolve, POLL_INTERVAL_MS);
+      });
+    }
+  }
+
+  await mongoose.connection.close();
+  logger.info(`📬 Outbox worker ${workerId} stopped`);
+};
+
+// Graceful shutdown: finish the current batch, then exit
+const stop = (signal) => {
+  logger.info(`${signal} received. Stopping outbox worker...`);
+  running = false;
+  if (wakeUp) wakeUp();
+};
+
+process.on("SIGTERM", () => stop("SIGTERM"));
+process.on("SIGINT", () => stop("SIGINT"));
+
+run()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    logger.error("Outbox worker failed:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,89 @@
+const mongoose = require("mongoose");
+const logger = require("../backend/utils/logger");
+
+// Load environment variables
+require("../backend/config/env");
+
+const Breach = require("../backend/models/Breach");
+const { getPepperKeyring, rekeyHash } = require("../backend/utils/hashUtil");
+
+/**
+ * Re-key every Breach.passwordHash to the current pepper version. Legacy
+ * unkeyed SHA-1 values (version 0) and values under older peppers are both
+ * upgraded, since each version is keyed over the previous one.
+ * @param {object} options - Migration options
+ * @param {boolean} [options.dryRun] - Count documents without updating them
+ * @returns {Promise<object>} - Migration summary
+ */
+async function migrateBreachHashes(options = {}) {
+  const peppers = getPepperKeyring();
+  const currentVersion = peppers.length;
+  const summary = { scanned: 0, rekeyed: 0, byVersion: {}, errors: 0 };
+
+  logger.info(
+    `🔑 Re-keying breach password hashes to pepper version ${currentVersion}${options.dryRun ? " (dry run)" : ""}...`,
+  );
+
+  const cursor = Breach.find({
+    $or: [
+      { passwordHashVersion: { $lt: currentVersion } },
+      { passwordHashVersion: { $exists: false } },
+    ],
+  })
+    .select("passwordHash passwordHashVersion")
+    .lean()
+    .cursor();
+
+  for await (const breach of cursor) {
+    const fromVersion = breach.passwordHashVersion || 0;
+    summary.scanned++;
+    summary.byVersion[fromVersion] = (summary.byVersion[fromVersion] || 0) + 1;
+
+    if (options.dryRun) continue;
+
+    try {
+      const { hash, version } = rekeyHash(
+        breach.passwordHash,
+        fromVersion,
+        peppers,
+      );
+
+      // Only update if nobody re-keyed the document in the meantime
+      const result = await Breach.updateOne(
+        { _id: breach._id, passwordHash: breach.passwordHash },
+        { $set: { passwordHash: hash, passwordHashVersion: version } },
+      );
+      summary.rekeyed += result.modifiedCount;
+    } catch (error) {
+      logger.error(`❌ Failed to re-key breach ${breach._id}:`, error.message);
+      summary.errors++;
+    }
+  }
+
+  logger.info("\n📊 Re-key Summary:");
+  logger.info(`🔍 Documents needing re-key: ${summary.scanned}`);
+  for (const [version, count] of Object.entries(summary.byVersion)) {
+    logger.info(`   version ${version}: ${count}`);
+  }
+  logger.info(`🔑 Documents re-keyed: ${summary.rekeyed}`);
+  logger.info(`❌ Errors: ${summary.errors}`);
+
+  return summary;
+}
+
+// Run if called directly
+if (require.main === module) {
+  const dryRun = process.argv.includes("--dry-run");
+
+  mongoose
+    .connect(process.env.MONGODB_URI)
+    .then(() => migrateBreachHashes({ dryRun }))
+    .then((summary) => mongoose.connection.close().then(() => summary))
+    .then((summary) => process.exit(summary.errors > 0 ? 1 : 0))
+    .catch((error) => {
+      logger.error("❌ Breach hash migration failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrateBreachHashes };
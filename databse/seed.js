@@ -7,6 +7,10 @@ require("../backend/config/env");
 // Import models
 const User = require("../backend/models/User");
 const Breach = require("../backend/models/Breach");
+const AccountBreach = require("../backend/models/AccountBreach");
+const AccountBreachService = require("../backend/services/accountBreachService");
+
+const accountBreachService = new AccountBreachService({ source: "local" });
 
 /**
  * Sample data for seeding the database
@@ -151,54 +155,39 @@ async function seedDatabase() {
       }
     }
 
-    // Seed breaches
-    logger.info("Seeding breaches...");
-    const createdBreaches = [];
-
-    for (const breachData of sampleBreaches) {
-      const existingBreach = await Breach.findOne({
-        breachName: breachData.breachName,
-      });
-
-      if (!existingBreach) {
-        const breach = new Breach(breachData);
-        await breach.save();
-        createdBreaches.push(breach);
-        logger.info(`✅ Created breach: ${breach.breachName}`);
-      } else {
-        logger.info(`⚠️  Breach already exists: ${breachData.breachName}`);
-        createdBreaches.push(existingBreach);
-      }
-    }
-
-    // Create user-specific breach entries
-    logger.info("Creating user-specific breach entries...");
+    // Create user-specific account breach entries
+    logger.info("Creating user-specific account breach entries...");
 
     for (const user of createdUsers) {
-      for (const breach of createdBreaches) {
-        const existingUserBreach = await Breach.findOne({
+      for (const breachData of sampleBreaches) {
+        const fields = accountBreachService.normalizeBreach({
+          Name: breachData.sourceDetails.hibpData.name,
+          Title: breachData.sourceDetails.hibpData.title,
+          Domain: breachData.sourceDetails.hibpData.domain,
+          BreachDate: breachData.sourceDetails.hibpData.breachDate,
+          AddedDate: breachData.sourceDetails.hibpData.addedDate,
+          PwnCount: breachData.affectedAccounts,
+          Description: breachData.description,
+          DataClasses: breachData.dataClasses,
+        });
+
+        const existingUserBreach = await AccountBreach.findOne({
           userId: user._id,
-          breachName: breach.breachName,
+          breachName: fields.breachName,
         });
 
         if (!existingUserBreach) {
-          const userBreach = new Breach({
+          const userBreach = new AccountBreach({
+            ...fields,
             userId: user._id,
-            breachName: breach.breachName,
-            description: breach.description,
-            breachDate: breach.breachDate,
-            affectedAccounts: breach.affectedAccounts,
-            dataClasses: breach.dataClasses,
-            severity: breach.severity,
-            source: "user_check",
+            email: user.email,
+            source: breachData.source,
             status: Math.random() > 0.5 ? "acknowledged" : "unacknowledged",
-            actionTaken: Math.random() > 0.7,
-            sourceDetails: breach.sourceDetails,
           });
 
           await userBreach.save();
           logger.info(
-            `✅ Created user breach entry for ${user.username}: ${breach.breachName}`,
+            `✅ Created account breach entry for ${user.username}: ${fields.breachName}`,
           );
         }
       }
@@ -208,19 +197,16 @@ async function seedDatabase() {
 
     // Display summary
     const totalUsers = await User.countDocuments();
-    const totalBreaches = await Breach.countDocuments();
+    const totalBreaches = await AccountBreach.countDocuments();
 
     logger.info("\n📊 Database Summary:");
     logger.info(`👥 Total Users: ${totalUsers}`);
-    logger.info(`🔴 Total Breach Entries: ${totalBreaches}`);
+    logger.info(`🔴 Total Account Breach Entries: ${totalBreaches}`);
     logger.info(
       `🛡️  Admin Users: ${await User.countDocuments({ role: "admin" })}`,
     );
     logger.info(
-      `🔍 Global Breaches: ${await Breach.countDocuments({ userId: { $exists: false } })}`,
-    );
-    logger.info(
-      `👤 User-specific Breaches: ${await Breach.countDocuments({ userId: { $exists: true } })}`,
+      `🔔 Unacknowledged: ${await AccountBreach.countDocuments({ status: "unacknowledged" })}`,
     );
   } catch (error) {
     logger.error("❌ Database seeding failed:", error);
@@ -244,6 +230,7 @@ async function clearSeedData() {
     // Delete non-admin users and all breaches
     await User.deleteMany({ role: { $ne: "admin" } });
     await Breach.deleteMany({});
+    await AccountBreach.deleteMany({});
 
     logger.info("✅ Seeded data cleared successfully");
   } catch (error) {
@@ -1,35 +1,77 @@
-import { useState } from 'react'
-import reactLogo from './assets/react.svg'
-import viteLogo from '/vite.svg'
-import './App.css'
+import { useEffect } from 'react'
+import { useAuth } from './lib/auth'
+import { matchPath, navigate, useLocation } from './lib/router'
+import AdminOverview from './pages/AdminOverview'
+import AdminUserBreaches from './pages/AdminUserBreaches'
+import AdminUsers from './pages/AdminUsers'
+import BreachDetail from './pages/BreachDetail'
+import BreachHistory from './pages/BreachHistory'
+import CheckPassword from './pages/CheckPassword'
+import ForgotPassword from './pages/ForgotPassword'
+import Login from './pages/Login'
+import NotFound from './pages/NotFound'
+import NotificationPreferences from './pages/NotificationPreferences'
+import Register from './pages/Register'
+import ResetPassword from './pages/ResetPassword'
+import VerifyEmail from './pages/VerifyEmail'
 
-function App() {
-  const [count, setCount] = useState(0)
+// access: "guest" pages send signed-in users on, "user" pages need a
+// session, "admin" pages need an admin session, and "any" pages (links from
+// emails) work either way
+const ROUTES = [
+  { path: '/login', component: Login, access: 'guest' },
+  { path: '/register', component: Register, access: 'guest' },
+  { path: '/forgot-password', component: ForgotPassword, access: 'guest' },
+  { path: '/reset-password', component: ResetPassword, access: 'any' },
+  { path: '/verify-email', component: VerifyEmail, access: 'any' },
+  { path: '/check', component: CheckPassword, access: 'user' },
+  { path: '/breaches', component: BreachHistory, access: 'user' },
+  { path: '/breaches/:breachId', component: BreachDetail, access: 'user' },
+  { path: '/preferences', component: NotificationPreferences, access: 'user' },
+  { path: '/admin', component: AdminOverview, access: 'admin' },
+  { path: '/admin/users', component: AdminUsers, access: 'admin' },
+  {
+    path: '/admin/users/:userId',
+    component: AdminUserBreaches,
+    access: 'admin',
+  },
+]
 
-  return (
-    <>
-      <div>
-        <a href="https://vite.dev" target="_blank">
-          <img src={viteLogo} className="logo" alt="Vite logo" />
-        </a>
-        <a href="https://react.dev" target="_blank">
-          <img src={reactLogo} className="logo react" alt="React logo" />
-        </a>
-      </div>
-      <h1>Vite + React</h1>
-      <div className="card">
-        <button onClick={() => setCount((count) => count + 1)}>
-          count is {count}
-        </button>
-        <p>
-          Edit <code>src/App.jsx</code> and save to test HMR
-        </p>
-      </div>
-      <p className="read-the-docs">
-        Click on the Vite and React logos to learn more
-      </p>
-    </>
-  )
+function resolve(path) {
+  for (const route of ROUTES) {
+    const params = matchPath(route.path, path)
+    if (params) return { route, params }
+  }
+  return null
 }
 
-export default App
+function redirectFor(path, match, user) {
+  if (path === '/') return user ? '/check' : '/login'
+  if (match?.route.access === 'guest' && user) return '/check'
+  if (['user', 'admin'].includes(match?.route.access) && !user) {
+    return '/login'
+  }
+  return null
+}
+
+export default function App() {
+  const { user, loading } = useAuth()
+  const { path } = useLocation()
+  const match = resolve(path)
+  const redirect = loading ? null : redirectFor(path, match, user)
+
+  useEffect(() => {
+    if (redirect) navigate(redirect, { replace: true })
+  }, [redirect])
+
+  if (loading || redirect) {
+    return <div className="min-h-screen bg-slate-100" />
+  }
+  // The API enforces the role; this only keeps the pages out of sight
+  if (!match || (match.route.access === 'admin' && user.role !== 'admin')) {
+    return <NotFound />
+  }
+
+  const Page = match.route.component
+  return <Page {...match.params} />
+}
@@ -0,0 +1,30 @@
+import { useLocation } from '../lib/router'
+import Link from './Link'
+
+const TABS = [
+  { to: '/admin', label: 'Overview' },
+  { to: '/admin/users', label: 'Users' },
+]
+
+export default function AdminTabs() {
+  const { path } = useLocation()
+  const current = path.startsWith('/admin/users') ? '/admin/users' : '/admin'
+
+  return (
+    <nav className="flex gap-1 rounded-lg bg-white p-1 text-sm shadow-sm">
+      {TABS.map((tab) => (
+        <Link
+          key={tab.to}
+          to={tab.to}
+          className={`rounded-md px-3 py-1.5 font-medium ${
+            tab.to === current
+              ? 'bg-indigo-600 text-white'
+              : 'text-slate-600 hover:bg-slate-100'
+          }`}
+        >
+          {tab.label}
+        </Link>
+      ))}
+    </nav>
+  )
+}
@@ -0,0 +1,31 @@
+const TONES = {
+  error: 'border-red-200 bg-red-50 text-red-800',
+  warning: 'border-amber-200 bg-amber-50 text-amber-800',
+  success: 'border-emerald-200 bg-emerald-50 text-emerald-800',
+  info: 'border-sky-200 bg-sky-50 text-sky-800',
+}
+
+/**
+ * Message box; pass an ApiError as `error` to list its validation errors
+ */
+export default function AlertBox({ tone = 'info', title, error, children }) {
+  const details = error?.errors?.map((item) => item.msg) ?? []
+
+  return (
+    <div
+      role={tone === 'error' ? 'alert' : 'status'}
+      className={`rounded-md border px-4 py-3 text-sm ${TONES[tone]}`}
+    >
+      {title && <p className="font-semibold">{title}</p>}
+      {error && <p>{error.message}</p>}
+      {children}
+      {details.length > 0 && (
+        <ul className="mt-2 list-disc pl-5">
+          {[...new Set(details)].map((detail) => (
+            <li key={detail}>{detail}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,24 @@
+// Centered card the signed-out pages share
+export default function AuthCard({ title, subtitle, children, footer }) {
+  return (
+    <div className="flex min-h-screen items-center justify-center bg-slate-100 px-4 py-12">
+      <div className="w-full max-w-md space-y-6">
+        <div className="text-center">
+          <p className="text-sm font-semibold uppercase tracking-widest text-indigo-600">
+            Breach Watch
+          </p>
+          <h1 className="mt-2 text-2xl font-bold text-slate-900">{title}</h1>
+          {subtitle && (
+            <p className="mt-1 text-sm text-slate-600">{subtitle}</p>
+          )}
+        </div>
+        <div className="space-y-4 rounded-lg bg-white p-6 shadow">
+          {children}
+        </div>
+        {footer && (
+          <div className="text-center text-sm text-slate-600">{footer}</div>
+        )}
+      </div>
+    </div>
+  )
+}
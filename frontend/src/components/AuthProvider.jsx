@@ -0,0 +1,112 @@
+import { useCallback, useEffect, useMemo, useState } from 'react'
+import { api, getSession, onSessionChange, setSession } from '../services/api'
+import { AuthContext } from '../lib/auth'
+
+export default function AuthProvider({ children }) {
+  const [user, setUser] = useState(null)
+  const [loading, setLoading] = useState(Boolean(getSession()))
+
+  const refreshUser = useCallback(async () => {
+    if (!getSession()) {
+      setUser(null)
+      return null
+    }
+
+    try {
+      const { data } = await api.get('/auth/me')
+      setUser(data.user)
+      return data.user
+    } catch {
+      setUser(null)
+      return null
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    refreshUser()
+  }, [refreshUser])
+
+  // A failed token refresh ends the session from inside the API client
+  useEffect(
+    () =>
+      onSessionChange((session) => {
+        if (!session) setUser(null)
+      }),
+    [],
+  )
+
+  const startSession = useCallback(
+    async (data) => {
+      setSession(data)
+      return refreshUser()
+    },
+    [refreshUser],
+  )
+
+  /**
+   * Sign in with a password. Resolves { mfaToken } instead of signing in
+   * when the account needs a second factor.
+   */
+  const login = useCallback(
+    async (email, password) => {
+      const { data } = await api.post(
+        '/auth/login',
+        { email, password },
+        { auth: false },
+      )
+      if (data.mfaRequired) return { mfaToken: data.mfaToken }
+
+      await startSession(data)
+      return {}
+    },
+    [startSession],
+  )
+
+  const completeMfa = useCallback(
+    async (mfaToken, code) => {
+      const { data } = await api.post(
+        '/auth/login/mfa',
+        { mfaToken, code },
+        { auth: false },
+      )
+      await startSession(data)
+    },
+    [startSession],
+  )
+
+  const register = useCallback(
+    async (details) => {
+      const response = await api.post('/auth/register', details, {
+        auth: false,
+      })
+      await startSession(response.data)
+      return response
+    },
+    [startSession],
+  )
+
+  const logout = useCallback(async () => {
+    try {
+      await api.post('/auth/logout')
+    } finally {
+      setSession(null)
+    }
+  }, [])
+
+  const value = useMemo(
+    () => ({
+      user,
+      loading,
+      login,
+      completeMfa,
+      register,
+      logout,
+      refreshUser,
+    }),
+    [user, loading, login, completeMfa, register, logout, refreshUser],
+  )
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>
+}
@@ -0,0 +1,27 @@
+/**
+ * Horizontal bars scaled to the largest value, or to `max` when given
+ */
+export default function BarChart({ items, max }) {
+  const scale = max ?? Math.max(...items.map((item) => item.value), 1)
+
+  return (
+    <ul className="space-y-3">
+      {items.map((item) => (
+        <li key={item.label}>
+          <div className="flex justify-between text-sm">
+            <span className="text-slate-700">{item.label}</span>
+            <span className="font-semibold text-slate-900">
+              {item.value.toLocaleString()}
+            </span>
+          </div>
+          <div className="mt-1 h-2.5 overflow-hidden rounded-full bg-slate-100">
+            <div
+              className={`h-full rounded-full ${item.color}`}
+              style={{ width: `${scale ? (item.value / scale) * 100 : 0}%` }}
+            />
+          </div>
+        </li>
+      ))}
+    </ul>
+  )
+}
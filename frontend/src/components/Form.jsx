@@ -0,0 +1,57 @@
+// Shared form controls so every page lays out fields the same way
+
+export const inputClass =
+  'block w-full rounded-md border border-slate-300 bg-white px-3 py-2 text-sm shadow-sm focus:border-indigo-500 focus:outline-none focus:ring-2 focus:ring-indigo-200 disabled:bg-slate-100'
+
+export function Field({ label, hint, children }) {
+  return (
+    <label className="block space-y-1">
+      <span className="text-sm font-medium text-slate-700">{label}</span>
+      {children}
+      {hint && <span className="block text-xs text-slate-500">{hint}</span>}
+    </label>
+  )
+}
+
+export function Checkbox({ label, hint, ...props }) {
+  return (
+    <label className="flex items-start gap-3">
+      <input
+        type="checkbox"
+        className="mt-1 size-4 rounded border-slate-300 text-indigo-600"
+        {...props}
+      />
+      <span>
+        <span className="block text-sm font-medium text-slate-700">
+          {label}
+        </span>
+        {hint && <span className="block text-xs text-slate-500">{hint}</span>}
+      </span>
+    </label>
+  )
+}
+
+const BUTTON_STYLES = {
+  primary: 'bg-indigo-600 text-white hover:bg-indigo-500',
+  secondary:
+    'border border-slate-300 bg-white text-slate-700 hover:bg-slate-50',
+}
+
+export function Button({
+  variant = 'primary',
+  busy = false,
+  className = '',
+  children,
+  ...props
+}) {
+  return (
+    <button
+      type="submit"
+      disabled={busy}
+      className={`inline-flex items-center justify-center rounded-md px-4 py-2 text-sm font-semibold shadow-sm disabled:cursor-not-allowed disabled:opacity-60 ${BUTTON_STYLES[variant]} ${className}`}
+      {...props}
+    >
+      {busy ? 'Please wait…' : children}
+    </button>
+  )
+}
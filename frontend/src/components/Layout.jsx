@@ -0,0 +1,28 @@
+import { useAuth } from '../lib/auth'
+import AlertBox from './AlertBox'
+import Navbar from './Navbar'
+
+// Frame for the signed-in pages. Breach endpoints need a verified email, so
+// unverified users are told why those pages stay empty.
+export default function Layout({ title, actions, children }) {
+  const { user } = useAuth()
+
+  return (
+    <div className="min-h-screen bg-slate-100">
+      <Navbar />
+      <main className="mx-auto max-w-5xl space-y-6 px-4 py-8">
+        {!user.isVerified && (
+          <AlertBox tone="warning" title="Verify your email address">
+            Follow the link we emailed to {user.email} to check passwords and
+            see your breach history.
+          </AlertBox>
+        )}
+        <div className="flex flex-wrap items-center justify-between gap-4">
+          <h1 className="text-2xl font-bold text-slate-900">{title}</h1>
+          {actions}
+        </div>
+        {children}
+      </main>
+    </div>
+  )
+}
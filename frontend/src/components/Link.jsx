@@ -0,0 +1,18 @@
+import { navigate } from '../lib/router'
+
+// Anchor that navigates inside the app, leaving modified clicks to the browser
+export default function Link({ to, children, ...props }) {
+  const handleClick = (event) => {
+    if (event.defaultPrevented || event.button !== 0) return
+    if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return
+
+    event.preventDefault()
+    navigate(to)
+  }
+
+  return (
+    <a href={to} onClick={handleClick} {...props}>
+      {children}
+    </a>
+  )
+}
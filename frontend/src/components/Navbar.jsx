@@ -0,0 +1,57 @@
+import { useAuth } from '../lib/auth'
+import { navigate, useLocation } from '../lib/router'
+import Link from './Link'
+
+const LINKS = [
+  { to: '/check', label: 'Check a password' },
+  { to: '/breaches', label: 'Breach history' },
+  { to: '/preferences', label: 'Notifications' },
+]
+
+const ADMIN_LINK = { to: '/admin', label: 'Admin' }
+
+export default function Navbar() {
+  const { user, logout } = useAuth()
+  const { path } = useLocation()
+  const links = user.role === 'admin' ? [...LINKS, ADMIN_LINK] : LINKS
+
+  const handleLogout = async () => {
+    await logout().catch(() => {})
+    navigate('/login')
+  }
+
+  return (
+    <header className="border-b border-slate-200 bg-white">
+      <nav className="mx-auto flex max-w-5xl flex-wrap items-center gap-x-6 gap-y-2 px-4 py-3">
+        <Link to="/check" className="font-bold text-indigo-600">
+          Breach Watch
+        </Link>
+        <div className="flex flex-1 flex-wrap gap-4 text-sm">
+          {links.map((link) => (
+            <Link
+              key={link.to}
+              to={link.to}
+              className={
+                path.startsWith(link.to)
+                  ? 'font-semibold text-slate-900'
+                  : 'text-slate-600 hover:text-slate-900'
+              }
+            >
+              {link.label}
+            </Link>
+          ))}
+        </div>
+        <div className="flex items-center gap-3 text-sm">
+          <span className="text-slate-600">{user.username}</span>
+          <button
+            type="button"
+            onClick={handleLogout}
+            className="font-medium text-slate-700 hover:text-slate-900"
+          >
+            Sign out
+          </button>
+        </div>
+      </nav>
+    </header>
+  )
+}
@@ -0,0 +1,31 @@
+import { Button } from './Form'
+
+export default function Pagination({ page, pages, total, onChange }) {
+  if (pages <= 1) return null
+
+  return (
+    <div className="flex items-center justify-between text-sm text-slate-600">
+      <span>
+        Page {page} of {pages} · {total} total
+      </span>
+      <div className="flex gap-2">
+        <Button
+          type="button"
+          variant="secondary"
+          disabled={page <= 1}
+          onClick={() => onChange(page - 1)}
+        >
+          Previous
+        </Button>
+        <Button
+          type="button"
+          variant="secondary"
+          disabled={page >= pages}
+          onClick={() => onChange(page + 1)}
+        >
+          Next
+        </Button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,17 @@
+const STYLES = {
+  critical: 'bg-red-600 text-white',
+  high: 'bg-orange-500 text-white',
+  medium: 'bg-amber-300 text-amber-950',
+  low: 'bg-sky-100 text-sky-800',
+  none: 'bg-emerald-100 text-emerald-800',
+}
+
+export default function RiskBadge({ level }) {
+  return (
+    <span
+      className={`inline-block rounded-full px-2.5 py-0.5 text-xs font-semibold uppercase tracking-wide ${STYLES[level] ?? STYLES.medium}`}
+    >
+      {level}
+    </span>
+  )
+}
@@ -0,0 +1,14 @@
+import { createContext, useContext } from 'react'
+
+export const AuthContext = createContext(null)
+
+/**
+ * The signed-in user and the actions that change the session
+ * @returns {object} - { user, loading, login, completeMfa, register,
+ *   logout, refreshUser }
+ */
+export function useAuth() {
+  const auth = useContext(AuthContext)
+  if (!auth) throw new Error('useAuth must be used inside an AuthProvider')
+  return auth
+}
@@ -0,0 +1,2 @@
+export const formatDate = (value) =>
+  value ? new Date(value).toLocaleString() : '—'
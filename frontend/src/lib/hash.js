@@ -0,0 +1,34 @@
+// Browser counterparts of the backend's hashUtil. WebCrypto is only
+// available in secure contexts (https, or http://localhost in development).
+
+/**
+ * Uppercase hex SHA-1, the format Pwned Passwords ranges use
+ * @param {string} text - Text to hash
+ * @returns {Promise<string>} - 40 hex characters
+ */
+export async function generateSHA1Hash(text) {
+  if (!globalThis.crypto?.subtle) {
+    throw new Error('Password hashing needs a secure (https) connection')
+  }
+
+  const digest = await crypto.subtle.digest(
+    'SHA-1',
+    new TextEncoder().encode(text),
+  )
+  return Array.from(new Uint8Array(digest), (byte) =>
+    byte.toString(16).padStart(2, '0'),
+  )
+    .join('')
+    .toUpperCase()
+}
+
+/**
+ * Split a password's SHA-1 into the 5-character prefix sent for a range
+ * query and the suffix that is matched locally
+ * @param {string} password - Password to hash
+ * @returns {Promise<object>} - { hash, prefix, suffix }
+ */
+export async function getHashPrefix(password) {
+  const hash = await generateSHA1Hash(password)
+  return { hash, prefix: hash.substring(0, 5), suffix: hash.substring(5) }
+}
@@ -0,0 +1,66 @@
+// Minimal History API router. Paths match the links the API puts in emails
+// (/verify-email?token=..., /reset-password?token=...), so the dev server
+// and production host must serve index.html for every path.
+
+import { useSyncExternalStore } from 'react'
+
+const NAVIGATE_EVENT = 'pbns:navigate'
+
+function subscribe(callback) {
+  window.addEventListener('popstate', callback)
+  window.addEventListener(NAVIGATE_EVENT, callback)
+  return () => {
+    window.removeEventListener('popstate', callback)
+    window.removeEventListener(NAVIGATE_EVENT, callback)
+  }
+}
+
+const getLocation = () => window.location.pathname + window.location.search
+
+/**
+ * Go to a path inside the app
+ * @param {string} to - Path with an optional query string
+ * @param {object} [options] - { replace }: replace the history entry
+ */
+export function navigate(to, { replace = false } = {}) {
+  if (to === getLocation()) return
+
+  if (replace) {
+    window.history.replaceState(null, '', to)
+  } else {
+    window.history.pushState(null, '', to)
+  }
+  window.scrollTo(0, 0)
+  window.dispatchEvent(new Event(NAVIGATE_EVENT))
+}
+
+/**
+ * The current path and query parameters, re-rendering on navigation
+ * @returns {object} - { path, query }
+ */
+export function useLocation() {
+  const location = useSyncExternalStore(subscribe, getLocation)
+  const url = new URL(location, window.location.origin)
+
+  return { path: url.pathname, query: url.searchParams }
+}
+
+/**
+ * Match a path against a pattern such as "/breaches/:breachId"
+ * @returns {object|null} - Named parameters, or null when it does not match
+ */
+export function matchPath(pattern, path) {
+  const patternParts = pattern.split('/')
+  const pathParts = (path.replace(/\/+$/, '') || '/').split('/')
+  if (patternParts.length !== pathParts.length) return null
+
+  const params = {}
+  for (let i = 0; i < patternParts.length; i++) {
+    if (patternParts[i].startsWith(':')) {
+      params[patternParts[i].slice(1)] = decodeURIComponent(pathParts[i])
+    } else if (patternParts[i] !== pathParts[i]) {
+      return null
+    }
+  }
+  return params
+}
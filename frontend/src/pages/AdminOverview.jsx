@@ -0,0 +1,191 @@
+import { useEffect, useState } from 'react'
+import AdminTabs from '../components/AdminTabs'
+import AlertBox from '../components/AlertBox'
+import BarChart from '../components/BarChart'
+import Layout from '../components/Layout'
+import Link from '../components/Link'
+import RiskBadge from '../components/RiskBadge'
+import { formatDate } from '../lib/format'
+import { api } from '../services/api'
+
+const RECENT_LIMIT = 20
+
+function Card({ title, children }) {
+  return (
+    <section className="space-y-4 rounded-lg bg-white p-6 shadow-sm">
+      <h2 className="font-semibold text-slate-900">{title}</h2>
+      {children}
+    </section>
+  )
+}
+
+export default function AdminOverview() {
+  const [statistics, setStatistics] = useState(null)
+  const [recent, setRecent] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let active = true
+
+    Promise.all([
+      api.get('/breach/admin/stats'),
+      api.get(`/breach/admin/recent?limit=${RECENT_LIMIT}`),
+    ])
+      .then(([stats, breaches]) => {
+        if (!active) return
+        setStatistics(stats.data.statistics)
+        setRecent(breaches.data.breaches)
+      })
+      .catch((err) => active && setError(err))
+
+    return () => {
+      active = false
+    }
+  }, [])
+
+  return (
+    <Layout title="Admin" actions={<AdminTabs />}>
+      {error && <AlertBox tone="error" error={error} />}
+      {statistics && (
+        <>
+          <dl className="grid grid-cols-2 gap-4 sm:grid-cols-4">
+            {[
+              { label: 'Breaches', value: statistics.totalBreaches },
+              { label: 'Affected users', value: statistics.uniqueUsers },
+              {
+                label: 'Avg. times found',
+                value: statistics.averageTimesFound ?? 0,
+              },
+              {
+                label: 'Notifications sent',
+                value: statistics.totalNotificationsSent,
+              },
+            ].map((stat) => (
+              <div
+                key={stat.label}
+                className="rounded-lg bg-white p-4 shadow-sm"
+              >
+                <dt className="text-xs font-medium uppercase tracking-wide text-slate-500">
+                  {stat.label}
+                </dt>
+                <dd className="mt-1 text-2xl font-bold text-slate-900">
+                  {stat.value.toLocaleString()}
+                </dd>
+              </div>
+            ))}
+          </dl>
+
+          <div className="grid gap-6 md:grid-cols-2">
+            <Card title="Active vs. acknowledged">
+              <BarChart
+                max={statistics.totalBreaches}
+                items={[
+                  {
+                    label: 'Active',
+                    value: statistics.activeBreaches,
+                    color: 'bg-red-500',
+                  },
+                  {
+                    label: 'Acknowledged',
+                    value: statistics.acknowledgedBreaches,
+                    color: 'bg-emerald-500',
+                  },
+                  {
+                    label: 'Awaiting acknowledgement',
+                    value:
+                      statistics.totalBreaches -
+                      statistics.acknowledgedBreaches,
+                    color: 'bg-amber-400',
+                  },
+                ]}
+              />
+            </Card>
+            <Card title="By risk level">
+              <BarChart
+                max={statistics.totalBreaches}
+                items={[
+                  {
+                    label: 'Critical',
+                    value: statistics.criticalBreaches,
+                    color: 'bg-red-600',
+                  },
+                  {
+                    label: 'High',
+                    value: statistics.highBreaches,
+                    color: 'bg-orange-500',
+                  },
+                  {
+                    label: 'Medium',
+                    value: statistics.mediumBreaches,
+                    color: 'bg-amber-300',
+                  },
+                  {
+                    label: 'Low',
+                    value: statistics.lowBreaches,
+                    color: 'bg-sky-300',
+                  },
+                ]}
+              />
+            </Card>
+          </div>
+        </>
+      )}
+
+      {recent && (
+        <Card title="Recent breaches">
+          {recent.length === 0 ? (
+            <p className="text-sm text-slate-600">No breaches recorded yet.</p>
+          ) : (
+            <div className="-mx-6 overflow-x-auto">
+              <table className="min-w-full divide-y divide-slate-200 text-sm">
+                <thead className="bg-slate-50 text-left text-xs font-semibold uppercase tracking-wide text-slate-500">
+                  <tr>
+                    <th className="px-6 py-3">Detected</th>
+                    <th className="px-6 py-3">User</th>
+                    <th className="px-6 py-3">Risk</th>
+                    <th className="px-6 py-3">Sources</th>
+                    <th className="px-6 py-3">Status</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-100">
+                  {recent.map((breach) => (
+                    <tr key={breach._id}>
+                      <td className="px-6 py-3 text-slate-700">
+                        {formatDate(breach.firstDetected)}
+                      </td>
+                      <td className="px-6 py-3">
+                        {breach.userId ? (
+                          <Link
+                            to={`/admin/users/${breach.userId._id}`}
+                            className="font-medium text-indigo-600 hover:text-indigo-500"
+                          >
+                            {breach.userId.username}
+                          </Link>
+                        ) : (
+                          <span className="text-slate-500">Deleted user</span>
+                        )}
+                      </td>
+                      <td className="px-6 py-3">
+                        <RiskBadge level={breach.riskLevel} />
+                      </td>
+                      <td className="px-6 py-3 text-slate-700">
+                        {breach.breachSources
+                          .map((source) => source.name)
+                          .join(', ')}
+                      </td>
+                      <td className="px-6 py-3 text-slate-700">
+                        {breach.userAcknowledged
+                          ? 'Acknowledged'
+                          : 'Needs review'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </Card>
+      )}
+    </Layout>
+  )
+}
@@ -0,0 +1,104 @@
+import { useEffect, useState } from 'react'
+import AdminTabs from '../components/AdminTabs'
+import AlertBox from '../components/AlertBox'
+import Layout from '../components/Layout'
+import Link from '../components/Link'
+import RiskBadge from '../components/RiskBadge'
+import { formatDate } from '../lib/format'
+import { api } from '../services/api'
+
+export default function AdminUserBreaches({ userId }) {
+  const [result, setResult] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let active = true
+    setResult(null)
+    setError(null)
+
+    api
+      .get(`/breach/user/${encodeURIComponent(userId)}`)
+      .then(({ data }) => active && setResult(data))
+      .catch((err) => active && setError(err))
+
+    return () => {
+      active = false
+    }
+  }, [userId])
+
+  return (
+    <Layout title="Admin" actions={<AdminTabs />}>
+      <Link
+        to="/admin/users"
+        className="text-sm font-medium text-indigo-600 hover:text-indigo-500"
+      >
+        ← Back to users
+      </Link>
+      {error && <AlertBox tone="error" error={error} />}
+      {result && (
+        <>
+          <section className="rounded-lg bg-white p-6 shadow-sm">
+            <h2 className="text-lg font-semibold text-slate-900">
+              {result.user.username}
+            </h2>
+            <p className="text-sm text-slate-600">{result.user.email}</p>
+            <p className="mt-2 text-sm text-slate-600">
+              {result.count === 1 ? '1 breach' : `${result.count} breaches`}
+              {result.count >= 50 && ' (most recent 50)'}
+            </p>
+          </section>
+
+          {result.breaches.length > 0 && (
+            <div className="overflow-x-auto rounded-lg bg-white shadow-sm">
+              <table className="min-w-full divide-y divide-slate-200 text-sm">
+                <thead className="bg-slate-50 text-left text-xs font-semibold uppercase tracking-wide text-slate-500">
+                  <tr>
+                    <th className="px-4 py-3">First detected</th>
+                    <th className="px-4 py-3">Risk</th>
+                    <th className="px-4 py-3">Sources</th>
+                    <th className="px-4 py-3">Times found</th>
+                    <th className="px-4 py-3">Actions done</th>
+                    <th className="px-4 py-3">Status</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-100">
+                  {result.breaches.map((breach) => (
+                    <tr key={breach._id}>
+                      <td className="px-4 py-3 text-slate-700">
+                        {formatDate(breach.firstDetected)}
+                      </td>
+                      <td className="px-4 py-3">
+                        <RiskBadge level={breach.riskLevel} />
+                      </td>
+                      <td className="px-4 py-3 text-slate-700">
+                        {breach.breachSources
+                          .map((source) => source.name)
+                          .join(', ')}
+                      </td>
+                      <td className="px-4 py-3 text-slate-700">
+                        {breach.timesFound}
+                      </td>
+                      <td className="px-4 py-3 text-slate-700">
+                        {
+                          breach.recommendedActions.filter(
+                            (action) => action.completed,
+                          ).length
+                        }{' '}
+                        of {breach.recommendedActions.length}
+                      </td>
+                      <td className="px-4 py-3 text-slate-700">
+                        {breach.userAcknowledged
+                          ? `Acknowledged ${formatDate(breach.acknowledgedAt)}`
+                          : 'Needs review'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </Layout>
+  )
+}
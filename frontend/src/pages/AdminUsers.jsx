@@ -0,0 +1,194 @@
+import { useEffect, useState } from 'react'
+import AdminTabs from '../components/AdminTabs'
+import AlertBox from '../components/AlertBox'
+import { Button, inputClass } from '../components/Form'
+import Layout from '../components/Layout'
+import Link from '../components/Link'
+import Pagination from '../components/Pagination'
+import { useAuth } from '../lib/auth'
+import { formatDate } from '../lib/format'
+import { navigate, useLocation } from '../lib/router'
+import { api } from '../services/api'
+
+const PAGE_SIZE = 20
+
+function StatusBadge({ user }) {
+  if (user.isLocked) {
+    return (
+      <span className="rounded-full bg-red-100 px-2.5 py-0.5 text-xs font-semibold text-red-800">
+        Locked
+      </span>
+    )
+  }
+  if (!user.isVerified) {
+    return (
+      <span className="rounded-full bg-amber-100 px-2.5 py-0.5 text-xs font-semibold text-amber-800">
+        Unverified
+      </span>
+    )
+  }
+  return (
+    <span className="rounded-full bg-emerald-100 px-2.5 py-0.5 text-xs font-semibold text-emerald-800">
+      Active
+    </span>
+  )
+}
+
+export default function AdminUsers() {
+  const { user: currentUser } = useAuth()
+  const { query } = useLocation()
+  const search = query.get('search') ?? ''
+  const page = Math.max(parseInt(query.get('page')) || 1, 1)
+  const [term, setTerm] = useState(search)
+  const [users, setUsers] = useState(null)
+  const [pagination, setPagination] = useState(null)
+  const [pending, setPending] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let active = true
+    setError(null)
+
+    const params = new URLSearchParams({ page, limit: PAGE_SIZE })
+    if (search) params.set('search', search)
+
+    api
+      .get(`/admin/users?${params}`)
+      .then(({ data }) => {
+        if (!active) return
+        setUsers(data.users)
+        setPagination(data.pagination)
+      })
+      .catch((err) => active && setError(err))
+
+    return () => {
+      active = false
+    }
+  }, [search, page])
+
+  const goToPage = (next) => {
+    const params = new URLSearchParams({ page: next })
+    if (search) params.set('search', search)
+    navigate(`/admin/users?${params}`)
+  }
+
+  const handleSearch = (event) => {
+    event.preventDefault()
+    const value = term.trim()
+    navigate(
+      value
+        ? `/admin/users?search=${encodeURIComponent(value)}`
+        : '/admin/users',
+    )
+  }
+
+  const setLock = async (user, locked) => {
+    if (
+      locked &&
+      !window.confirm(
+        `Lock ${user.username}? They are signed out until you unlock the account.`,
+      )
+    ) {
+      return
+    }
+
+    setPending(user.id)
+    setError(null)
+    try {
+      const { data } = await api.put(
+        `/admin/users/${user.id}/${locked ? 'lock' : 'unlock'}`,
+      )
+      setUsers((current) =>
+        current.map((item) => (item.id === user.id ? data.user : item)),
+      )
+    } catch (err) {
+      setError(err)
+    } finally {
+      setPending(null)
+    }
+  }
+
+  return (
+    <Layout title="Admin" actions={<AdminTabs />}>
+      <form
+        onSubmit={handleSearch}
+        className="flex gap-3 rounded-lg bg-white p-4 shadow-sm"
+      >
+        <input
+          type="search"
+          className={inputClass}
+          value={term}
+          onChange={(event) => setTerm(event.target.value)}
+          placeholder="Search by email or username"
+          maxLength={100}
+        />
+        <Button>Search</Button>
+      </form>
+      {error && <AlertBox tone="error" error={error} />}
+      {users &&
+        (users.length === 0 ? (
+          <AlertBox tone="info">
+            {search ? `No users match “${search}”.` : 'No users found.'}
+          </AlertBox>
+        ) : (
+          <div className="overflow-x-auto rounded-lg bg-white shadow-sm">
+            <table className="min-w-full divide-y divide-slate-200 text-sm">
+              <thead className="bg-slate-50 text-left text-xs font-semibold uppercase tracking-wide text-slate-500">
+                <tr>
+                  <th className="px-4 py-3">User</th>
+                  <th className="px-4 py-3">Role</th>
+                  <th className="px-4 py-3">Status</th>
+                  <th className="px-4 py-3">Last login</th>
+                  <th className="px-4 py-3" />
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-100">
+                {users.map((user) => (
+                  <tr key={user.id}>
+                    <td className="px-4 py-3">
+                      <Link
+                        to={`/admin/users/${user.id}`}
+                        className="font-medium text-indigo-600 hover:text-indigo-500"
+                      >
+                        {user.username}
+                      </Link>
+                      <p className="text-xs text-slate-500">{user.email}</p>
+                    </td>
+                    <td className="px-4 py-3 capitalize text-slate-700">
+                      {user.role}
+                    </td>
+                    <td className="px-4 py-3">
+                      <StatusBadge user={user} />
+                    </td>
+                    <td className="px-4 py-3 text-slate-700">
+                      {formatDate(user.lastLoginAt)}
+                    </td>
+                    <td className="px-4 py-3 text-right">
+                      {user.id !== currentUser._id && (
+                        <Button
+                          type="button"
+                          variant="secondary"
+                          busy={pending === user.id}
+                          onClick={() => setLock(user, !user.isLocked)}
+                        >
+                          {user.isLocked ? 'Unlock' : 'Lock'}
+                        </Button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ))}
+      {pagination && (
+        <Pagination
+          page={pagination.page}
+          pages={pagination.pages}
+          total={pagination.total}
+          onChange={goToPage}
+        />
+      )}
+    </Layout>
+  )
+}
@@ -0,0 +1,183 @@
+import { useEffect, useState } from 'react'
+import AlertBox from '../components/AlertBox'
+import { Button } from '../components/Form'
+import Layout from '../components/Layout'
+import Link from '../components/Link'
+import RiskBadge from '../components/RiskBadge'
+import { formatDate } from '../lib/format'
+import { api } from '../services/api'
+
+export default function BreachDetail({ breachId }) {
+  const [breach, setBreach] = useState(null)
+  const [error, setError] = useState(null)
+  const [pending, setPending] = useState(null)
+
+  useEffect(() => {
+    let active = true
+    setBreach(null)
+    setError(null)
+
+    api
+      .get(`/breach/${encodeURIComponent(breachId)}`)
+      .then(({ data }) => active && setBreach(data.breach))
+      .catch((err) => active && setError(err))
+
+    return () => {
+      active = false
+    }
+  }, [breachId])
+
+  // Both updates answer with the saved breach, which replaces the local copy
+  const update = async (key, method, path, body) => {
+    setPending(key)
+    setError(null)
+    try {
+      const { data } = await api[method](
+        `/breach/${encodeURIComponent(breachId)}${path}`,
+        body,
+      )
+      setBreach(data.breach)
+    } catch (err) {
+      setError(err)
+    } finally {
+      setPending(null)
+    }
+  }
+
+  const acknowledge = () => update('acknowledge', 'put', '/acknowledge')
+  const completeAction = (actionIndex) =>
+    update(actionIndex, 'put', '/action-completed', { actionIndex })
+
+  return (
+    <Layout
+      title="Breach details"
+      actions={
+        <Link
+          to="/breaches"
+          className="text-sm font-medium text-indigo-600 hover:text-indigo-500"
+        >
+          ← Back to history
+        </Link>
+      }
+    >
+      {error && <AlertBox tone="error" error={error} />}
+      {breach && (
+        <>
+          <section className="space-y-4 rounded-lg bg-white p-6 shadow-sm">
+            <div className="flex flex-wrap items-center justify-between gap-4">
+              <div className="flex items-center gap-3">
+                <RiskBadge level={breach.riskLevel} />
+                <span className="text-sm text-slate-600">
+                  {breach.isActive ? 'Active' : 'Resolved'}
+                </span>
+              </div>
+              {breach.userAcknowledged ? (
+                <span className="text-sm text-emerald-700">
+                  Acknowledged {formatDate(breach.acknowledgedAt)}
+                </span>
+              ) : (
+                <Button
+                  type="button"
+                  busy={pending === 'acknowledge'}
+                  onClick={acknowledge}
+                >
+                  Acknowledge
+                </Button>
+              )}
+            </div>
+            <dl className="grid gap-4 text-sm sm:grid-cols-3">
+              <div>
+                <dt className="text-slate-500">First detected</dt>
+                <dd className="font-medium text-slate-900">
+                  {formatDate(breach.firstDetected)}
+                </dd>
+              </div>
+              <div>
+                <dt className="text-slate-500">Last checked</dt>
+                <dd className="font-medium text-slate-900">
+                  {formatDate(breach.lastChecked)}
+                </dd>
+              </div>
+              <div>
+                <dt className="text-slate-500">Times found</dt>
+                <dd className="font-medium text-slate-900">
+                  {breach.timesFound}
+                </dd>
+              </div>
+            </dl>
+          </section>
+
+          <section className="space-y-3">
+            <h2 className="text-lg font-semibold text-slate-900">
+              Recommended actions
+            </h2>
+            {breach.recommendedActions.length === 0 ? (
+              <p className="text-sm text-slate-600">No actions recommended.</p>
+            ) : (
+              <ul className="divide-y divide-slate-100 rounded-lg bg-white shadow-sm">
+                {breach.recommendedActions.map((item, index) => (
+                  <li
+                    key={item._id ?? index}
+                    className="flex flex-wrap items-center justify-between gap-4 px-4 py-3"
+                  >
+                    <div>
+                      <p
+                        className={`text-sm ${item.completed ? 'text-slate-400 line-through' : 'text-slate-800'}`}
+                      >
+                        {item.action}
+                      </p>
+                      <p className="text-xs uppercase tracking-wide text-slate-500">
+                        {item.priority} priority
+                      </p>
+                    </div>
+                    {item.completed ? (
+                      <span className="text-sm text-emerald-700">Done</span>
+                    ) : (
+                      <Button
+                        type="button"
+                        variant="secondary"
+                        busy={pending === index}
+                        onClick={() => completeAction(index)}
+                      >
+                        Mark complete
+                      </Button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+
+          <section className="space-y-3">
+            <h2 className="text-lg font-semibold text-slate-900">Sources</h2>
+            <ul className="space-y-3">
+              {breach.breachSources.map((source, index) => (
+                <li
+                  key={source._id ?? index}
+                  className="rounded-lg bg-white p-4 shadow-sm"
+                >
+                  <div className="flex flex-wrap items-center justify-between gap-2">
+                    <span className="font-medium text-slate-900">
+                      {source.name}
+                    </span>
+                    <RiskBadge level={source.severity} />
+                  </div>
+                  {source.description && (
+                    <p className="mt-1 text-sm text-slate-600">
+                      {source.description}
+                    </p>
+                  )}
+                  <p className="mt-1 text-xs text-slate-500">
+                    Found {formatDate(source.dateFound)}
+                    {source.affectedAccounts > 0 &&
+                      ` · ${source.affectedAccounts.toLocaleString()} occurrences`}
+                  </p>
+                </li>
+              ))}
+            </ul>
+          </section>
+        </>
+      )}
+    </Layout>
+  )
+}
@@ -0,0 +1,128 @@
+import { useEffect, useState } from 'react'
+import AlertBox from '../components/AlertBox'
+import Layout from '../components/Layout'
+import Link from '../components/Link'
+import Pagination from '../components/Pagination'
+import RiskBadge from '../components/RiskBadge'
+import { formatDate } from '../lib/format'
+import { navigate, useLocation } from '../lib/router'
+import { api } from '../services/api'
+
+const PAGE_SIZE = 10
+
+const STATISTICS = [
+  { key: 'totalBreaches', label: 'Total' },
+  { key: 'activeBreaches', label: 'Active' },
+  { key: 'acknowledgedBreaches', label: 'Acknowledged' },
+  { key: 'criticalBreaches', label: 'Critical' },
+]
+
+export default function BreachHistory() {
+  const { query } = useLocation()
+  const page = Math.max(parseInt(query.get('page')) || 1, 1)
+  const [history, setHistory] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let active = true
+    setError(null)
+
+    api
+      .get(`/breach/history?page=${page}&limit=${PAGE_SIZE}`)
+      .then(({ data }) => active && setHistory(data))
+      .catch((err) => active && setError(err))
+
+    return () => {
+      active = false
+    }
+  }, [page])
+
+  return (
+    <Layout title="Breach history">
+      {error && <AlertBox tone="error" error={error} />}
+      {history && (
+        <>
+          <dl className="grid grid-cols-2 gap-4 sm:grid-cols-4">
+            {STATISTICS.map((stat) => (
+              <div key={stat.key} className="rounded-lg bg-white p-4 shadow-sm">
+                <dt className="text-xs font-medium uppercase tracking-wide text-slate-500">
+                  {stat.label}
+                </dt>
+                <dd className="mt-1 text-2xl font-bold text-slate-900">
+                  {history.statistics[stat.key] ?? 0}
+                </dd>
+              </div>
+            ))}
+          </dl>
+
+          {history.breaches.length === 0 ? (
+            <AlertBox tone="info" title="No breaches recorded">
+              <p>
+                Passwords you{' '}
+                <Link to="/check" className="underline">
+                  check
+                </Link>{' '}
+                that turn up in a breach are listed here.
+              </p>
+            </AlertBox>
+          ) : (
+            <div className="overflow-x-auto rounded-lg bg-white shadow-sm">
+              <table className="min-w-full divide-y divide-slate-200 text-sm">
+                <thead className="bg-slate-50 text-left text-xs font-semibold uppercase tracking-wide text-slate-500">
+                  <tr>
+                    <th className="px-4 py-3">First detected</th>
+                    <th className="px-4 py-3">Risk</th>
+                    <th className="px-4 py-3">Sources</th>
+                    <th className="px-4 py-3">Times found</th>
+                    <th className="px-4 py-3">Status</th>
+                    <th className="px-4 py-3" />
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-100">
+                  {history.breaches.map((breach) => (
+                    <tr key={breach._id}>
+                      <td className="px-4 py-3 text-slate-700">
+                        {formatDate(breach.firstDetected)}
+                      </td>
+                      <td className="px-4 py-3">
+                        <RiskBadge level={breach.riskLevel} />
+                      </td>
+                      <td className="px-4 py-3 text-slate-700">
+                        {breach.breachSources
+                          .map((source) => source.name)
+                          .join(', ')}
+                      </td>
+                      <td className="px-4 py-3 text-slate-700">
+                        {breach.timesFound}
+                      </td>
+                      <td className="px-4 py-3 text-slate-700">
+                        {breach.userAcknowledged
+                          ? 'Acknowledged'
+                          : 'Needs review'}
+                      </td>
+                      <td className="px-4 py-3 text-right">
+                        <Link
+                          to={`/breaches/${breach._id}`}
+                          className="font-medium text-indigo-600 hover:text-indigo-500"
+                        >
+                          Details
+                        </Link>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <Pagination
+            page={history.pagination.page}
+            pages={history.pagination.pages}
+            total={history.pagination.total}
+            onChange={(next) => navigate(`/breaches?page=${next}`)}
+          />
+        </>
+      )}
+    </Layout>
+  )
+}
@@ -0,0 +1,134 @@
+import { useState } from 'react'
+import AlertBox from '../components/AlertBox'
+import { Button, Field, inputClass } from '../components/Form'
+import Layout from '../components/Layout'
+import Link from '../components/Link'
+import RiskBadge from '../components/RiskBadge'
+import { getHashPrefix } from '../lib/hash'
+import { api } from '../services/api'
+
+/**
+ * Check a password with k-anonymity: only the 5-character SHA-1 prefix is
+ * sent, and the returned range is searched for the suffix here. A match is
+ * reported with the full hash so the API records the breach; the password
+ * itself never leaves the browser.
+ */
+async function checkPassword(password) {
+  const { hash, prefix, suffix } = await getHashPrefix(password)
+  const { data: range } = await api.post('/breach/check', { prefix })
+  // Zero-count rows are padding that hides the size of the range
+  const match = range.entries.find(
+    (entry) => entry.suffix === suffix && entry.count > 0,
+  )
+
+  if (!match) {
+    return { isBreached: false, breachCount: 0, source: range.source }
+  }
+
+  const { data } = await api.post('/breach/check', { hash })
+  return data
+}
+
+function BreachResult({ result }) {
+  if (!result.isBreached) {
+    return (
+      <AlertBox tone="success" title="No breaches found">
+        This password does not appear in the {result.source} breach database.
+      </AlertBox>
+    )
+  }
+
+  return (
+    <section className="space-y-4 rounded-lg border border-red-200 bg-white p-6 shadow-sm">
+      <div className="flex flex-wrap items-center gap-3">
+        <h2 className="text-lg font-semibold text-red-700">
+          This password has been exposed
+        </h2>
+        <RiskBadge level={result.riskLevel} />
+      </div>
+      <p className="text-sm text-slate-700">
+        It appears <strong>{result.breachCount.toLocaleString()}</strong> times
+        in known breaches. Stop using it everywhere.
+      </p>
+      {result.sources?.length > 0 && (
+        <ul className="space-y-1 text-sm text-slate-600">
+          {result.sources.map((source) => (
+            <li key={source.name}>
+              <span className="font-medium text-slate-800">{source.name}</span>:{' '}
+              {source.count.toLocaleString()} occurrences
+            </li>
+          ))}
+        </ul>
+      )}
+      {result.suggestMfa && (
+        <AlertBox tone="warning">
+          Turn on two-factor authentication for accounts that used this
+          password.
+        </AlertBox>
+      )}
+      <div className="flex flex-wrap gap-3">
+        <Link
+          to={`/breaches/${result.breachId}`}
+          className="rounded-md bg-indigo-600 px-4 py-2 text-sm font-semibold text-white hover:bg-indigo-500"
+        >
+          See recommended actions
+        </Link>
+      </div>
+    </section>
+  )
+}
+
+export default function CheckPassword() {
+  const [password, setPassword] = useState('')
+  const [result, setResult] = useState(null)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    setBusy(true)
+    setError(null)
+    setResult(null)
+
+    try {
+      setResult(await checkPassword(password))
+      setPassword('')
+    } catch (err) {
+      setError(err)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <Layout title="Check a password">
+      <form
+        onSubmit={handleSubmit}
+        className="space-y-4 rounded-lg bg-white p-6 shadow-sm"
+      >
+        <Field
+          label="Password"
+          hint="Your password is hashed in this browser and only the first 5 characters of the hash are sent. Breached passwords are added to your breach history."
+        >
+          <input
+            type="password"
+            className={inputClass}
+            value={password}
+            onChange={(event) => setPassword(event.target.value)}
+            autoComplete="off"
+            required
+          />
+        </Field>
+        <Button busy={busy}>Check password</Button>
+      </form>
+      {error && <AlertBox tone="error" error={error} />}
+      {result?.failedSources?.length > 0 && (
+        <AlertBox tone="warning">
+          Some breach databases could not be reached:{' '}
+          {result.failedSources.map((source) => source.name).join(', ')}.
+        </AlertBox>
+      )}
+      {result && <BreachResult result={result} />}
+    </Layout>
+  )
+}
@@ -0,0 +1,68 @@
+import { useState } from 'react'
+import AlertBox from '../components/AlertBox'
+import AuthCard from '../components/AuthCard'
+import { Button, Field, inputClass } from '../components/Form'
+import Link from '../components/Link'
+import { api } from '../services/api'
+
+export default function ForgotPassword() {
+  const [email, setEmail] = useState('')
+  const [sent, setSent] = useState(false)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    setBusy(true)
+    setError(null)
+
+    try {
+      await api.post('/auth/forgot-password', { email }, { auth: false })
+      setSent(true)
+    } catch (err) {
+      setError(err)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <AuthCard
+      title="Reset your password"
+      subtitle="We will email you a link that is valid for one hour."
+      footer={
+        <Link
+          to="/login"
+          className="font-medium text-indigo-600 hover:text-indigo-500"
+        >
+          Back to sign in
+        </Link>
+      }
+    >
+      {sent ? (
+        <AlertBox tone="success" title="Check your inbox">
+          We sent a password reset link to {email}.
+        </AlertBox>
+      ) : (
+        <>
+          {error && <AlertBox tone="error" error={error} />}
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <Field label="Email">
+              <input
+                type="email"
+                className={inputClass}
+                value={email}
+                onChange={(event) => setEmail(event.target.value)}
+                autoComplete="email"
+                required
+              />
+            </Field>
+            <Button busy={busy} className="w-full">
+              Send reset link
+            </Button>
+          </form>
+        </>
+      )}
+    </AuthCard>
+  )
+}
@@ -0,0 +1,120 @@
+import { useState } from 'react'
+import AlertBox from '../components/AlertBox'
+import AuthCard from '../components/AuthCard'
+import { Button, Field, inputClass } from '../components/Form'
+import Link from '../components/Link'
+import { useAuth } from '../lib/auth'
+import { navigate } from '../lib/router'
+
+export default function Login() {
+  const { login, completeMfa } = useAuth()
+  const [email, setEmail] = useState('')
+  const [password, setPassword] = useState('')
+  const [mfaToken, setMfaToken] = useState(null)
+  const [code, setCode] = useState('')
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    setBusy(true)
+    setError(null)
+
+    try {
+      if (mfaToken) {
+        await completeMfa(mfaToken, code.trim())
+      } else {
+        const result = await login(email, password)
+        if (result.mfaToken) {
+          setMfaToken(result.mfaToken)
+          return
+        }
+      }
+      navigate('/check', { replace: true })
+    } catch (err) {
+      setError(err)
+      // The challenge token is short-lived; start over once it is rejected
+      if (mfaToken && err.status === 401 && /challenge/i.test(err.message)) {
+        setMfaToken(null)
+        setCode('')
+      }
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <AuthCard
+      title={mfaToken ? 'Two-factor authentication' : 'Sign in'}
+      subtitle={
+        mfaToken
+          ? 'Enter the code from your authenticator app or a recovery code.'
+          : 'Find out if your passwords have been exposed.'
+      }
+      footer={
+        <>
+          No account yet?{' '}
+          <Link
+            to="/register"
+            className="font-medium text-indigo-600 hover:text-indigo-500"
+          >
+            Create one
+          </Link>
+        </>
+      }
+    >
+      {error && <AlertBox tone="error" error={error} />}
+      <form onSubmit={handleSubmit} className="space-y-4">
+        {mfaToken ? (
+          <Field label="Authentication code">
+            <input
+              className={inputClass}
+              value={code}
+              onChange={(event) => setCode(event.target.value)}
+              autoComplete="one-time-code"
+              maxLength={32}
+              required
+              autoFocus
+            />
+          </Field>
+        ) : (
+          <>
+            <Field label="Email">
+              <input
+                type="email"
+                className={inputClass}
+                value={email}
+                onChange={(event) => setEmail(event.target.value)}
+                autoComplete="email"
+                required
+              />
+            </Field>
+            <Field label="Password">
+              <input
+                type="password"
+                className={inputClass}
+                value={password}
+                onChange={(event) => setPassword(event.target.value)}
+                autoComplete="current-password"
+                required
+              />
+            </Field>
+          </>
+        )}
+        <Button busy={busy} className="w-full">
+          {mfaToken ? 'Verify' : 'Sign in'}
+        </Button>
+      </form>
+      {!mfaToken && (
+        <p className="text-center text-sm">
+          <Link
+            to="/forgot-password"
+            className="text-indigo-600 hover:text-indigo-500"
+          >
+            Forgot your password?
+          </Link>
+        </p>
+      )}
+    </AuthCard>
+  )
+}
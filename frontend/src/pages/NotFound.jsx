@@ -0,0 +1,20 @@
+import AuthCard from '../components/AuthCard'
+import Link from '../components/Link'
+
+export default function NotFound() {
+  return (
+    <AuthCard
+      title="Page not found"
+      subtitle="There is nothing at this address."
+    >
+      <p className="text-center text-sm">
+        <Link
+          to="/"
+          className="font-medium text-indigo-600 hover:text-indigo-500"
+        >
+          Go to the start page
+        </Link>
+      </p>
+    </AuthCard>
+  )
+}
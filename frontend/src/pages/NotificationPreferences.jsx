@@ -0,0 +1,260 @@
+import { useEffect, useState } from 'react'
+import AlertBox from '../components/AlertBox'
+import { Button, Checkbox, Field, inputClass } from '../components/Form'
+import Layout from '../components/Layout'
+import { api } from '../services/api'
+
+const SEVERITY_LEVELS = ['low', 'medium', 'high', 'critical']
+const FREQUENCIES = [
+  { value: 'immediate', label: 'Immediately' },
+  { value: 'daily', label: 'Daily digest' },
+  { value: 'weekly', label: 'Weekly digest' },
+]
+const CHAT_PROVIDERS = [
+  { value: 'slack', label: 'Slack' },
+  { value: 'teams', label: 'Microsoft Teams' },
+]
+
+function Section({ title, description, children }) {
+  return (
+    <section className="grid gap-6 rounded-lg bg-white p-6 shadow-sm md:grid-cols-3">
+      <div>
+        <h2 className="font-semibold text-slate-900">{title}</h2>
+        <p className="mt-1 text-sm text-slate-600">{description}</p>
+      </div>
+      <div className="space-y-4 md:col-span-2">{children}</div>
+    </section>
+  )
+}
+
+function SelectField({ label, hint, value, options, onChange }) {
+  return (
+    <Field label={label} hint={hint}>
+      <select
+        className={inputClass}
+        value={value}
+        onChange={(event) => onChange(event.target.value)}
+      >
+        {options.map((option) => (
+          <option key={option.value ?? option} value={option.value ?? option}>
+            {option.label ?? option}
+          </option>
+        ))}
+      </select>
+    </Field>
+  )
+}
+
+export default function NotificationPreferences() {
+  const [preferences, setPreferences] = useState(null)
+  const [busy, setBusy] = useState(false)
+  const [saved, setSaved] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let active = true
+
+    api
+      .get('/notifications/preferences')
+      .then(({ data }) => active && setPreferences(data.preferences))
+      .catch((err) => active && setError(err))
+
+    return () => {
+      active = false
+    }
+  }, [])
+
+  const set = (field, value) => {
+    setSaved(false)
+    setPreferences((current) => ({ ...current, [field]: value }))
+  }
+  const setNested = (group, field, value) => {
+    setSaved(false)
+    setPreferences((current) => ({
+      ...current,
+      [group]: { ...current[group], [field]: value },
+    }))
+  }
+
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    setBusy(true)
+    setError(null)
+
+    // An empty webhook URL fails validation, so leave the stored one alone
+    const { webhookUrl, ...chat } = preferences.chat
+    try {
+      const { data } = await api.put('/notifications/preferences', {
+        email: preferences.email,
+        sms: preferences.sms,
+        push: preferences.push,
+        frequency: preferences.frequency,
+        minSeverity: preferences.minSeverity,
+        immediateSeverity: preferences.immediateSeverity,
+        timeZone: preferences.timeZone,
+        quietHours: preferences.quietHours,
+        chat: webhookUrl ? { ...chat, webhookUrl } : chat,
+      })
+      setPreferences(data.preferences)
+      setSaved(true)
+    } catch (err) {
+      setError(err)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <Layout title="Notification preferences">
+      {error && <AlertBox tone="error" error={error} />}
+      {preferences && (
+        <form onSubmit={handleSubmit} className="space-y-6">
+          <Section title="Channels" description="Where breach alerts are sent.">
+            <Checkbox
+              label="Email"
+              checked={preferences.email}
+              onChange={(event) => set('email', event.target.checked)}
+            />
+            <Checkbox
+              label="SMS"
+              hint="Sent to the phone number on your profile."
+              checked={preferences.sms}
+              onChange={(event) => set('sms', event.target.checked)}
+            />
+            <Checkbox
+              label="Browser push"
+              hint="Delivered to browsers you have allowed to receive notifications."
+              checked={preferences.push}
+              onChange={(event) => set('push', event.target.checked)}
+            />
+          </Section>
+
+          <Section
+            title="Delivery"
+            description="How often alerts are sent and which breaches are worth one."
+          >
+            <SelectField
+              label="Frequency"
+              hint="Digests collect alerts and send them together."
+              value={preferences.frequency}
+              options={FREQUENCIES}
+              onChange={(value) => set('frequency', value)}
+            />
+            <SelectField
+              label="Minimum severity"
+              hint="Breaches below this level are not alerted."
+              value={preferences.minSeverity}
+              options={SEVERITY_LEVELS}
+              onChange={(value) => set('minSeverity', value)}
+            />
+            <SelectField
+              label="Send immediately from"
+              hint="Breaches at or above this level skip the digest."
+              value={preferences.immediateSeverity}
+              options={SEVERITY_LEVELS}
+              onChange={(value) => set('immediateSeverity', value)}
+            />
+          </Section>
+
+          <Section
+            title="Quiet hours"
+            description="Hold alerts overnight; they are sent when quiet hours end."
+          >
+            <Field label="Time zone" hint="IANA name, e.g. Europe/Berlin">
+              <input
+                className={inputClass}
+                value={preferences.timeZone}
+                onChange={(event) => set('timeZone', event.target.value)}
+                required
+              />
+            </Field>
+            <Checkbox
+              label="Enable quiet hours"
+              checked={preferences.quietHours.enabled}
+              onChange={(event) =>
+                setNested('quietHours', 'enabled', event.target.checked)
+              }
+            />
+            <div className="grid grid-cols-2 gap-4">
+              <Field label="From">
+                <input
+                  type="time"
+                  className={inputClass}
+                  value={preferences.quietHours.start}
+                  onChange={(event) =>
+                    setNested('quietHours', 'start', event.target.value)
+                  }
+                  disabled={!preferences.quietHours.enabled}
+                  required
+                />
+              </Field>
+              <Field label="Until">
+                <input
+                  type="time"
+                  className={inputClass}
+                  value={preferences.quietHours.end}
+                  onChange={(event) =>
+                    setNested('quietHours', 'end', event.target.value)
+                  }
+                  disabled={!preferences.quietHours.enabled}
+                  required
+                />
+              </Field>
+            </div>
+            <Checkbox
+              label="Always deliver critical alerts"
+              checked={preferences.quietHours.allowCritical}
+              onChange={(event) =>
+                setNested('quietHours', 'allowCritical', event.target.checked)
+              }
+              disabled={!preferences.quietHours.enabled}
+            />
+          </Section>
+
+          <Section
+            title="Chat"
+            description="Post alerts to a Slack or Teams channel through an incoming webhook."
+          >
+            <Checkbox
+              label="Send alerts to chat"
+              checked={preferences.chat.enabled}
+              onChange={(event) =>
+                setNested('chat', 'enabled', event.target.checked)
+              }
+            />
+            <SelectField
+              label="Provider"
+              value={preferences.chat.provider}
+              options={CHAT_PROVIDERS}
+              onChange={(value) => setNested('chat', 'provider', value)}
+            />
+            <Field
+              label="Incoming webhook URL"
+              hint="A Slack- or Teams-compatible incoming webhook on a public https host."
+            >
+              <input
+                type="url"
+                className={inputClass}
+                value={preferences.chat.webhookUrl ?? ''}
+                onChange={(event) =>
+                  setNested('chat', 'webhookUrl', event.target.value)
+                }
+                placeholder="https://hooks.slack.com/services/…"
+                required={preferences.chat.enabled}
+              />
+            </Field>
+          </Section>
+
+          <div className="flex items-center gap-4">
+            <Button busy={busy}>Save preferences</Button>
+            {saved && (
+              <span className="text-sm text-emerald-700">
+                Preferences saved
+              </span>
+            )}
+          </div>
+        </form>
+      )}
+    </Layout>
+  )
+}
@@ -0,0 +1,110 @@
+import { useState } from 'react'
+import AlertBox from '../components/AlertBox'
+import AuthCard from '../components/AuthCard'
+import { Button, Field, inputClass } from '../components/Form'
+import Link from '../components/Link'
+import { useAuth } from '../lib/auth'
+import { navigate } from '../lib/router'
+
+export default function Register() {
+  const { register } = useAuth()
+  const [form, setForm] = useState({
+    username: '',
+    email: '',
+    password: '',
+    phone: '',
+  })
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  const update = (field) => (event) =>
+    setForm({ ...form, [field]: event.target.value })
+
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    setBusy(true)
+    setError(null)
+
+    const { phone, ...details } = form
+    try {
+      await register(phone ? { ...details, phone } : details)
+      navigate('/check', { replace: true })
+    } catch (err) {
+      setError(err)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <AuthCard
+      title="Create an account"
+      subtitle="We will email you a link to verify your address."
+      footer={
+        <>
+          Already registered?{' '}
+          <Link
+            to="/login"
+            className="font-medium text-indigo-600 hover:text-indigo-500"
+          >
+            Sign in
+          </Link>
+        </>
+      }
+    >
+      {error && <AlertBox tone="error" error={error} />}
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <Field label="Username" hint="Letters, numbers and underscores">
+          <input
+            className={inputClass}
+            value={form.username}
+            onChange={update('username')}
+            autoComplete="username"
+            minLength={3}
+            maxLength={50}
+            required
+          />
+        </Field>
+        <Field label="Email">
+          <input
+            type="email"
+            className={inputClass}
+            value={form.email}
+            onChange={update('email')}
+            autoComplete="email"
+            required
+          />
+        </Field>
+        <Field
+          label="Password"
+          hint="At least 8 characters with upper and lower case letters, a number and one of @$!%*?&. Passwords found in known breaches are refused."
+        >
+          <input
+            type="password"
+            className={inputClass}
+            value={form.password}
+            onChange={update('password')}
+            autoComplete="new-password"
+            minLength={8}
+            required
+          />
+        </Field>
+        <Field
+          label="Phone (optional)"
+          hint="International format, e.g. +14155550123, for SMS alerts"
+        >
+          <input
+            type="tel"
+            className={inputClass}
+            value={form.phone}
+            onChange={update('phone')}
+            autoComplete="tel"
+          />
+        </Field>
+        <Button busy={busy} className="w-full">
+          Create account
+        </Button>
+      </form>
+    </AuthCard>
+  )
+}
@@ -0,0 +1,120 @@
+import { useState } from 'react'
+import AlertBox from '../components/AlertBox'
+import AuthCard from '../components/AuthCard'
+import { Button, Field, inputClass } from '../components/Form'
+import Link from '../components/Link'
+import { useLocation } from '../lib/router'
+import { api } from '../services/api'
+
+export default function ResetPassword() {
+  const { query } = useLocation()
+  const token = query.get('token')
+  const [password, setPassword] = useState('')
+  const [confirmation, setConfirmation] = useState('')
+  const [result, setResult] = useState(null)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    if (password !== confirmation) {
+      setError(new Error('The passwords do not match'))
+      return
+    }
+
+    setBusy(true)
+    setError(null)
+    try {
+      setResult(
+        await api.post(
+          '/auth/reset-password',
+          { token, newPassword: password },
+          { auth: false },
+        ),
+      )
+    } catch (err) {
+      setError(err)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const footer = (
+    <Link
+      to="/login"
+      className="font-medium text-indigo-600 hover:text-indigo-500"
+    >
+      Back to sign in
+    </Link>
+  )
+
+  if (!token) {
+    return (
+      <AuthCard title="Choose a new password" footer={footer}>
+        <AlertBox tone="error" title="Invalid reset link">
+          <p>
+            The link is missing its token.{' '}
+            <Link to="/forgot-password" className="underline">
+              Request a new one
+            </Link>
+            .
+          </p>
+        </AlertBox>
+      </AuthCard>
+    )
+  }
+
+  return (
+    <AuthCard
+      title="Choose a new password"
+      subtitle="Every signed-in device will be signed out."
+      footer={footer}
+    >
+      {result ? (
+        <>
+          <AlertBox tone="success" title="Your password was reset">
+            Sign in with your new password.
+          </AlertBox>
+          {result.warnings?.map((warning) => (
+            <AlertBox key={warning.msg} tone="warning">
+              {warning.msg}
+            </AlertBox>
+          ))}
+        </>
+      ) : (
+        <>
+          {error && <AlertBox tone="error" error={error} />}
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <Field
+              label="New password"
+              hint="At least 8 characters with upper and lower case letters, a number and one of @$!%*?&."
+            >
+              <input
+                type="password"
+                className={inputClass}
+                value={password}
+                onChange={(event) => setPassword(event.target.value)}
+                autoComplete="new-password"
+                minLength={8}
+                required
+              />
+            </Field>
+            <Field label="Confirm new password">
+              <input
+                type="password"
+                className={inputClass}
+                value={confirmation}
+                onChange={(event) => setConfirmation(event.target.value)}
+                autoComplete="new-password"
+                required
+              />
+            </Field>
+            <Button busy={busy} className="w-full">
+              Reset password
+            </Button>
+          </form>
+        </>
+      )}
+    </AuthCard>
+  )
+}
@@ -0,0 +1,60 @@
+import { useEffect, useState } from 'react'
+import AlertBox from '../components/AlertBox'
+import AuthCard from '../components/AuthCard'
+import Link from '../components/Link'
+import { useAuth } from '../lib/auth'
+import { useLocation } from '../lib/router'
+import { api } from '../services/api'
+
+export default function VerifyEmail() {
+  const { query } = useLocation()
+  const { user, refreshUser } = useAuth()
+  const token = query.get('token')
+  const [state, setState] = useState({ status: token ? 'pending' : 'failed' })
+
+  useEffect(() => {
+    if (!token) return
+    let active = true
+
+    api
+      .get(`/auth/verify-email?token=${encodeURIComponent(token)}`, {
+        auth: false,
+      })
+      .then(() => {
+        if (!active) return
+        setState({ status: 'verified' })
+        refreshUser()
+      })
+      .catch((error) => active && setState({ status: 'failed', error }))
+
+    return () => {
+      active = false
+    }
+  }, [token, refreshUser])
+
+  return (
+    <AuthCard title="Email verification">
+      {state.status === 'pending' && (
+        <p className="text-sm text-slate-600">Verifying your email address…</p>
+      )}
+      {state.status === 'verified' && (
+        <AlertBox tone="success" title="Your email address is verified">
+          You can now check passwords and receive breach alerts.
+        </AlertBox>
+      )}
+      {state.status === 'failed' && (
+        <AlertBox tone="error" title="Verification failed" error={state.error}>
+          {!state.error && <p>The verification link is missing its token.</p>}
+        </AlertBox>
+      )}
+      <p className="text-center text-sm">
+        <Link
+          to={user ? '/check' : '/login'}
+          className="font-medium text-indigo-600 hover:text-indigo-500"
+        >
+          {user ? 'Go to the dashboard' : 'Sign in'}
+        </Link>
+      </p>
+    </AuthCard>
+  )
+}
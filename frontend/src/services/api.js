@@ -0,0 +1,127 @@
+// Thin fetch wrapper for the breach notification API. It keeps the session
+// tokens in localStorage, adds the access token to every request and, when
+// the API answers 401, trades the refresh token for a new pair once before
+// giving up.
+
+const API_URL = import.meta.env.VITE_API_URL || '/api'
+const SESSION_KEY = 'pbns.session'
+
+export class ApiError extends Error {
+  constructor(message, status, errors = []) {
+    super(message)
+    this.name = 'ApiError'
+    this.status = status
+    this.errors = errors
+  }
+}
+
+let session = readSession()
+let refreshing = null
+const listeners = new Set()
+
+function readSession() {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY))
+  } catch {
+    return null
+  }
+}
+
+export function getSession() {
+  return session
+}
+
+/**
+ * Store the tokens from a login, register, refresh or password change
+ * response, or clear them with null
+ */
+export function setSession(tokens) {
+  session = tokens
+    ? { token: tokens.token, refreshToken: tokens.refreshToken }
+    : null
+
+  if (session) {
+    localStorage.setItem(SESSION_KEY, JSON.stringify(session))
+  } else {
+    localStorage.removeItem(SESSION_KEY)
+  }
+  listeners.forEach((listener) => listener(session))
+}
+
+/**
+ * Be told when the session changes, e.g. when a refresh fails
+ * @returns {Function} - Unsubscribe
+ */
+export function onSessionChange(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+async function send(path, { method = 'GET', body, token } = {}) {
+  const headers = {}
+  if (body !== undefined) headers['Content-Type'] = 'application/json'
+  if (token) headers.Authorization = `Bearer ${token}`
+
+  const response = await fetch(`${API_URL}${path}`, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body),
+  })
+  const payload = await response.json().catch(() => ({}))
+
+  if (!response.ok) {
+    throw new ApiError(
+      payload.message || `Request failed with status ${response.status}`,
+      response.status,
+      payload.errors,
+    )
+  }
+  return payload
+}
+
+// Concurrent 401s share one refresh, as the refresh token is single-use
+function refreshSession() {
+  if (!refreshing) {
+    refreshing = send('/auth/refresh', {
+      method: 'POST',
+      body: { refreshToken: session.refreshToken },
+    })
+      .then(({ data }) => setSession(data))
+      .catch((error) => {
+        setSession(null)
+        throw error
+      })
+      .finally(() => {
+        refreshing = null
+      })
+  }
+  return refreshing
+}
+
+/**
+ * Call the API and return its JSON body
+ * @param {string} path - Path below the API root, e.g. "/breach/history"
+ * @param {object} [options] - { method, body, auth }; auth false sends no
+ *   token, for the login and password reset endpoints
+ * @returns {Promise<object>} - { status, message, data, warnings }
+ */
+export async function request(path, options = {}) {
+  if (options.auth === false) return send(path, options)
+
+  try {
+    return await send(path, { ...options, token: session?.token })
+  } catch (error) {
+    if (error.status !== 401 || !session?.refreshToken) throw error
+  }
+
+  await refreshSession()
+  return send(path, { ...options, token: session.token })
+}
+
+export const api = {
+  get: (path, options) => request(path, options),
+  post: (path, body = {}, options) =>
+    request(path, { ...options, method: 'POST', body }),
+  put: (path, body = {}) => request(path, { method: 'PUT', body }),
+  delete: (path, body) => request(path, { method: 'DELETE', body }),
+}
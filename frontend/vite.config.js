@@ -4,4 +4,10 @@ import tailwindcss from '@tailwindcss/vite'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react(), tailwindcss(),],
+  server: {
+    // Forward API calls to the backend so the app and API share an origin
+    proxy: {
+      '/api': 'http://localhost:3000',
+    },
+  },
 })
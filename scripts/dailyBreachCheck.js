@@ -0,0 +1,126 @@
+const mongoose = require("mongoose");
+const logger = require("../backend/utils/logger");
+
+// Load environment variables
+require("../backend/config/env");
+
+// Import models and services
+const User = require("../backend/models/User");
+const AccountBreachService = require("../backend/services/accountBreachService");
+const WebhookService = require("../backend/services/webhookService");
+const RealtimeService = require("../backend/services/realtimeService");
+
+const accountBreachService = new AccountBreachService();
+const webhookService = new WebhookService();
+const realtimeService = new RealtimeService();
+
+/**
+ * Check every verified user's email address against the breach catalog.
+ * Each new breach is sent to webhooks and open dashboards as
+ * breach.detected.
+ */
+async function runDailyBreachCheck() {
+  try {
+    logger.info("🔍 Starting daily account breach check...");
+
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    logger.info("✅ Connected to MongoDB successfully");
+
+    const users = await User.find({ isVerified: true }).select(
+      "username email",
+    );
+
+    logger.info(`👥 Found ${users.length} verified users to check`);
+
+    // The HIBP API allows one breachedaccount request per rate-limit window
+    const requestDelay =
+      parseInt(process.env.ACCOUNT_BREACH_REQUEST_DELAY_MS) || 1600;
+
+    let usersExposed = 0;
+    let newBreaches = 0;
+    let errors = 0;
+
+    for (const user of users) {
+      try {
+        const result = await accountBreachService.checkAccount(user);
+
+        if (result.breaches.length > 0) {
+          usersExposed++;
+        }
+
+        if (result.newBreaches.length > 0) {
+          newBreaches += result.newBreaches.length;
+          logger.info(
+            `🔴 ${result.newBreaches.length} new breach(es) for user: ${user.username}`,
+          );
+
+          for (const breach of result.newBreaches) {
+            const detected = webhookService.describeAccountBreach(breach);
+            await webhookService.emit("breach.detected", detected, {
+              userId: user._id,
+            });
+            await realtimeService.publish("breach.detected", detected, {
+              userId: user._id,
+            });
+          }
+        }
+      } catch (userError) {
+        logger.error(
+          `❌ Error checking user ${user.username}:`,
+          userError.message,
+        );
+        errors++;
+      }
+
+      if (accountBreachService.source === "api") {
+        await new Promise((resolve) =>
+          global.setTimeout(resolve, requestDelay),
+        );
+      }
+    }
+
+    logger.info("\n📊 Daily Breach Check Summary:");
+    logger.info(`👥 Total users checked: ${users.length}`);
+    logger.info(`🔴 Users exposed: ${usersExposed}`);
+    logger.info(`🆕 New breaches recorded: ${newBreaches}`);
+    logger.info(`❌ Errors: ${errors}`);
+    logger.info("✅ Daily breach check completed successfully");
+  } catch (error) {
+    logger.error("❌ Daily breach check failed:", error);
+    throw error;
+  }
+}
+
+/**
+ * Clean up database connection
+ */
+async function closeDatabase() {
+  try {
+    await mongoose.connection.close();
+    logger.info("✅ Database connection closed");
+  } catch (error) {
+    logger.error("❌ Error closing database connection:", error);
+    throw error;
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  runDailyBreachCheck()
+    .then(() => closeDatabase())
+    .then(() => {
+      logger.info("Daily breach check complete");
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error("Daily breach check failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runDailyBreachCheck,
+  closeDatabase,
+};
@@ -0,0 +1,23 @@
+const PushService = require("../backend/services/pushService");
+
+/**
+ * Print a new VAPID key pair for web push in .env format. Browsers bind
+ * their subscriptions to the public key, so replacing the keys invalidates
+ * every existing subscription.
+ */
+function generateVapidKeys() {
+  const { publicKey, privateKey } = PushService.generateVapidKeys();
+
+  console.log(`VAPID_PUBLIC_KEY=${publicKey}`);
+  console.log(`VAPID_PRIVATE_KEY=${privateKey}`);
+  console.log("VAPID_SUBJECT=mailto:security@example.com");
+}
+
+// Run if called directly
+if (require.main === module) {
+  generateVapidKeys();
+}
+
+module.exports = {
+  generateVapidKeys,
+};
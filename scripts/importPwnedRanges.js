@@ -0,0 +1,82 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("../backend/utils/logger");
+const {
+  buildRangeIndex,
+  flattenRangeDirectory,
+} = require("../backend/services/rangeProvider");
+
+/**
+ * Import a Pwned Passwords dump for offline range lookups.
+ *
+ * Accepts either the per-prefix directory written by the HIBP downloader or
+ * a single sorted "HASH:COUNT" file. Directories are flattened into the
+ * target file first; the file is then indexed so LocalRangeProvider can
+ * serve any prefix with two small reads.
+ * @param {string} source - Downloader directory or sorted dataset file
+ * @param {string} [target] - Output dataset path (required for directories)
+ */
+async function importRanges(source, target) {
+  const sourcePath = path.resolve(source);
+  const stats = await fs.promises.stat(sourcePath);
+  let dataPath = sourcePath;
+
+  if (stats.isDirectory()) {
+    if (!target) {
+      throw new Error("A target file is required when importing a directory");
+    }
+
+    dataPath = path.resolve(target);
+    logger.info(`📂 Flattening ${sourcePath} into ${dataPath}...`);
+    const files = await flattenRangeDirectory(sourcePath, dataPath);
+    logger.info(`✅ Ingested ${files} prefix files`);
+  } else if (target && path.resolve(target) !== sourcePath) {
+    dataPath = path.resolve(target);
+    logger.info(`📄 Copying ${sourcePath} to ${dataPath}...`);
+    await fs.promises.copyFile(sourcePath, dataPath);
+  }
+
+  logger.info(`🔎 Indexing ${dataPath}...`);
+  const result = await buildRangeIndex(dataPath);
+
+  logger.info("\n📊 Import Summary:");
+  logger.info(`🔑 Hashes indexed: ${result.hashes}`);
+  logger.info(`🗂️ Prefixes present: ${result.prefixes}`);
+  logger.info(`📇 Index file: ${result.indexPath}`);
+  logger.info(
+    `➡️ Set PWNED_RANGE_SOURCE=local and PWNED_RANGE_PATH=${dataPath}`,
+  );
+
+  return { ...result, dataPath };
+}
+
+// Run if called directly
+if (require.main === module) {
+  const source = process.argv[2];
+  const target = process.argv[3];
+
+  if (!source) {
+    logger.info("Usage:");
+    logger.info(
+      "  node importPwnedRanges.js <dataset-file>            - Index a sorted HASH:COUNT file in place",
+    );
+    logger.info(
+      "  node importPwnedRanges.js <source> <target-file>    - Import a downloader directory or file into target",
+    );
+    process.exit(1);
+  }
+
+  importRanges(source, target)
+    .then(() => {
+      logger.info("Range import complete");
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error("Range import failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  importRanges,
+};
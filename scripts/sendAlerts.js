@@ -6,12 +6,23 @@ require("../backend/config/env");
 
 // Import models and services
 const User = require("../backend/models/User");
-const Breach = require("../backend/models/Breach");
-const emailService = require("../backend/services/emailService");
-const smsService = require("../backend/services/smsService");
+const AccountBreach = require("../backend/models/AccountBreach");
+const emailService = require("../backend/services/emailService").instance;
+const SmsService = require("../backend/services/smsService");
+const PushService = require("../backend/services/pushService");
+const DigestService = require("../backend/services/digestService");
+const { getHighestSeverity } = require("../backend/utils/severity");
+const { getDeliveryTime } = require("../backend/utils/quietHours");
+
+const smsService = new SmsService();
+const pushService = new PushService();
+const digestService = new DigestService();
 
 /**
- * Send alerts for unacknowledged breaches
+ * Send alerts for unacknowledged breaches. Users on daily or weekly digests
+ * only get breaches at their immediate severity here; the rest wait for
+ * their digest. Breaches that would alert a user during their quiet hours
+ * are left for a run after the window ends.
  */
 async function sendAlerts() {
   try {
@@ -25,30 +36,48 @@ async function sendAlerts() {
 
     logger.info("✅ Connected to MongoDB successfully");
 
-    // Get all users with notification preferences
+    // Get all users with email or push notifications enabled
     const users = await User.find({
       isVerified: true,
-      "notificationPreferences.email": true,
+      $or: [
+        { "notificationPreferences.email": true },
+        { "notificationPreferences.push": true },
+      ],
     }).select("username email phone notificationPreferences");
 
     logger.info(
-      `📧 Found ${users.length} users with email notifications enabled`,
+      `📧 Found ${users.length} users with email or push notifications enabled`,
     );
 
     let alertsSent = 0;
     let emailsSent = 0;
     let smsSent = 0;
+    let pushSent = 0;
     let errors = 0;
 
     // Process each user
     for (const user of users) {
       try {
-        // Get unacknowledged breaches for this user
-        const unacknowledgedBreaches = await Breach.find({
-          userId: user._id,
-          status: "unacknowledged",
-          notificationSent: { $ne: true },
-        }).sort({ breachDate: -1 });
+        // Get unacknowledged breaches this user wants alerted right now
+        const now = new Date();
+        const unacknowledgedBreaches = (
+          await AccountBreach.find({
+            userId: user._id,
+            status: "unacknowledged",
+            notificationSent: { $ne: true },
+          }).sort({ breachDate: -1 })
+        ).filter(
+          (breach) =>
+            digestService.route(
+              user.notificationPreferences,
+              breach.severity,
+            ) === "immediate" &&
+            !getDeliveryTime(
+              user.notificationPreferences,
+              breach.severity,
+              now,
+            ),
+        );
 
         if (unacknowledgedBreaches.length === 0) {
           logger.info(
@@ -63,8 +92,10 @@ async function sendAlerts() {
 
         // Prepare breach summary
         const breachSummary = unacknowledgedBreaches.map((breach) => ({
-          name: breach.breachName,
-          date: breach.breachDate.toDateString(),
+          name: breach.title || breach.breachName,
+          date: breach.breachDate
+            ? breach.breachDate.toDateString()
+            : "Unknown date",
           severity: breach.severity,
           dataClasses: breach.dataClasses,
         }));
@@ -72,11 +103,18 @@ async function sendAlerts() {
         // Send email notification
         if (user.notificationPreferences.email) {
           try {
-            await emailService.sendBreachAlert(user.email, {
-              username: user.username,
-              breaches: breachSummary,
-              totalBreaches: unacknowledgedBreaches.length,
-            });
+            await emailService.sendBreachAlert(
+              user.email,
+              {
+                username: user.username,
+                breaches: breachSummary,
+                totalBreaches: unacknowledgedBreaches.length,
+              },
+              {
+                userId: user._id,
+                accountBreachIds: unacknowledgedBreaches.map((b) => b._id),
+              },
+            );
 
             emailsSent++;
             logger.info(`📧 Email sent to ${user.email}`);
@@ -94,7 +132,15 @@ async function sendAlerts() {
           try {
             const smsMessage = `🔴 BREACH ALERT: ${unacknowledgedBreaches.length} new data breach(es) detected for your account. Please check your dashboard for details. Reply STOP to opt out.`;
 
-            await smsService.sendSMS(user.phone, smsMessage);
+            await smsService.sendSMS(user.phone, smsMessage, {
+              userId: user._id,
+              type: "account_breach_alert",
+              title: "Email Address Found in Data Breaches",
+              severity: getHighestSeverity(
+                unacknowledgedBreaches.map((b) => b.severity),
+              ),
+              accountBreachIds: unacknowledgedBreaches.map((b) => b._id),
+            });
             smsSent++;
             logger.info(`📱 SMS sent to ${user.phone}`);
           } catch (smsError) {
@@ -106,8 +152,41 @@ async function sendAlerts() {
           }
         }
 
+        // Push to the user's subscribed browsers
+        if (user.notificationPreferences.push) {
+          try {
+            const title = "Email Address Found in Data Breaches";
+            const body = `${unacknowledgedBreaches.length} new data breach(es) detected for your account. Check your dashboard for details.`;
+            const severity = getHighestSeverity(
+              unacknowledgedBreaches.map((b) => b.severity),
+            );
+
+            const pushed = await pushService.sendToUser(
+              user._id,
+              { title, body, severity },
+              {
+                type: "account_breach_alert",
+                title,
+                body,
+                severity,
+                accountBreachIds: unacknowledgedBreaches.map((b) => b._id),
+              },
+            );
+            if (pushed) {
+              pushSent++;
+              logger.info(`🔔 Push notification sent to ${user.username}`);
+            }
+          } catch (pushError) {
+            logger.error(
+              `❌ Failed to send push notification to ${user.username}:`,
+              pushError.message,
+            );
+            errors++;
+          }
+        }
+
         // Mark breaches as notification sent
-        await Breach.updateMany(
+        await AccountBreach.updateMany(
           {
             _id: { $in: unacknowledgedBreaches.map((b) => b._id) },
           },
@@ -137,6 +216,7 @@ async function sendAlerts() {
         alertsSent,
         emailsSent,
         smsSent,
+        pushSent,
         errors,
       });
     } catch (adminError) {
@@ -148,6 +228,7 @@ async function sendAlerts() {
     logger.info(`🚨 Alerts sent: ${alertsSent}`);
     logger.info(`📧 Emails sent: ${emailsSent}`);
     logger.info(`📱 SMS sent: ${smsSent}`);
+    logger.info(`🔔 Push notifications sent: ${pushSent}`);
     logger.info(`❌ Errors: ${errors}`);
     logger.info("✅ Breach alert process completed successfully");
   } catch (error) {
@@ -157,11 +238,13 @@ async function sendAlerts() {
 }
 
 /**
- * Send weekly digest to users
+ * Queue digest emails for users on a daily or weekly frequency. The outbox
+ * worker delivers them.
+ * @param {string} frequency - "daily" or "weekly"
  */
-async function sendWeeklyDigest() {
+async function sendDigests(frequency) {
   try {
-    logger.info("📰 Starting weekly digest process...");
+    logger.info(`📰 Starting ${frequency} digest process...`);
 
     // Connect to MongoDB
     await mongoose.connect(process.env.MONGODB_URI, {
@@ -169,63 +252,15 @@ async function sendWeeklyDigest() {
       useUnifiedTopology: true,
     });
 
-    // Get users with weekly digest preference
-    const users = await User.find({
-      isVerified: true,
-      "notificationPreferences.email": true,
-      "notificationPreferences.frequency": "weekly",
-    }).select("username email notificationPreferences");
-
-    logger.info(`📧 Found ${users.length} users subscribed to weekly digest`);
-
-    let digestsSent = 0;
-    let errors = 0;
-
-    // Get date range for this week
-    const weekAgo = new Date();
-    weekAgo.setDate(weekAgo.getDate() - 7);
-
-    for (const user of users) {
-      try {
-        // Get breach statistics for this user
-        const totalBreaches = await Breach.countDocuments({ userId: user._id });
-        const weeklyBreaches = await Breach.countDocuments({
-          userId: user._id,
-          createdAt: { $gte: weekAgo },
-        });
-        const unacknowledgedBreaches = await Breach.countDocuments({
-          userId: user._id,
-          status: "unacknowledged",
-        });
+    const counts = await digestService.sendDigests(frequency);
 
-        // Only send digest if there's something to report
-        if (totalBreaches > 0 || weeklyBreaches > 0) {
-          await emailService.sendWeeklyDigest(user.email, {
-            username: user.username,
-            totalBreaches,
-            weeklyBreaches,
-            unacknowledgedBreaches,
-          });
-
-          digestsSent++;
-          logger.info(`📰 Weekly digest sent to ${user.email}`);
-        }
-      } catch (userError) {
-        logger.error(
-          `❌ Error sending digest to ${user.username}:`,
-          userError.message,
-        );
-        errors++;
-      }
-    }
-
-    logger.info("\n📊 Weekly Digest Summary:");
-    logger.info(`👥 Total users checked: ${users.length}`);
-    logger.info(`📰 Digests sent: ${digestsSent}`);
-    logger.info(`❌ Errors: ${errors}`);
-    logger.info("✅ Weekly digest process completed successfully");
+    logger.info(`\n📊 ${frequency} Digest Summary:`);
+    logger.info(`👥 Total users checked: ${counts.users}`);
+    logger.info(`📰 Digests queued: ${counts.queued}`);
+    logger.info(`❌ Errors: ${counts.errors}`);
+    logger.info(`✅ ${frequency} digest process completed successfully`);
   } catch (error) {
-    logger.error("❌ Weekly digest process failed:", error);
+    logger.error(`❌ ${frequency} digest process failed:`, error);
     throw error;
   }
 }
@@ -325,14 +360,18 @@ if (require.main === module) {
       break;
 
     case "digest":
-      sendWeeklyDigest()
+      if (param && !["daily", "weekly"].includes(param)) {
+        logger.error("Digest frequency must be daily or weekly");
+        process.exit(1);
+      }
+      sendDigests(param || "weekly")
         .then(() => closeDatabase())
         .then(() => {
-          logger.info("Weekly digest process complete");
+          logger.info("Digest process complete");
           process.exit(0);
         })
         .catch((error) => {
-          logger.error("Weekly digest process failed:", error);
+          logger.error("Digest process failed:", error);
           process.exit(1);
         });
       break;
@@ -357,7 +396,9 @@ if (require.main === module) {
     default:
       logger.info("Usage:");
       logger.info("  node sendAlerts.js alerts    - Send breach alerts");
-      logger.info("  node sendAlerts.js digest    - Send weekly digest");
+      logger.info(
+        "  node sendAlerts.js digest [daily|weekly] - Queue digests (default weekly)",
+      );
       logger.info("  node sendAlerts.js test <email> - Send test notification");
       process.exit(1);
   }
@@ -365,7 +406,7 @@ if (require.main === module) {
 
 module.exports = {
   sendAlerts,
-  sendWeeklyDigest,
+  sendDigests,
   sendTestNotification,
   closeDatabase,
 };
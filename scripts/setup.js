@@ -82,4 +82,6 @@ console.log("   npm run lint      - Run linting");
 console.log("   npm run db:seed   - Seed database");
 console.log("   npm run db:clear  - Clear seeded data");
 console.log("   npm run alerts    - Send breach alerts");
-console.log("   npm run digest    - Send weekly digest");
+console.log("   npm run digest:daily  - Queue daily breach digests");
+console.log("   npm run digest:weekly - Queue weekly breach digests");
+console.log("   npm run push:keys     - Generate VAPID keys for web push");